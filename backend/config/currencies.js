@@ -0,0 +1,79 @@
+/**
+ * Currency Registry
+ * ISO 4217 currencies the app accepts, with their symbols and minor-unit precision
+ * (the number of decimal places amounts in that currency are kept to).
+ */
+
+const currency = (code, name, symbol, minorUnits = 2) => ({ code, name, symbol, minorUnits });
+
+export const CURRENCIES = Object.freeze({
+    USD: currency("USD", "US Dollar", "$"),
+    EUR: currency("EUR", "Euro", "€"),
+    GBP: currency("GBP", "British Pound", "£"),
+    INR: currency("INR", "Indian Rupee", "₹"),
+    CAD: currency("CAD", "Canadian Dollar", "C$"),
+    AUD: currency("AUD", "Australian Dollar", "A$"),
+    NZD: currency("NZD", "New Zealand Dollar", "NZ$"),
+    JPY: currency("JPY", "Japanese Yen", "¥", 0),
+    CNY: currency("CNY", "Chinese Yuan", "CN¥"),
+    KRW: currency("KRW", "South Korean Won", "₩", 0),
+    HKD: currency("HKD", "Hong Kong Dollar", "HK$"),
+    TWD: currency("TWD", "New Taiwan Dollar", "NT$"),
+    SGD: currency("SGD", "Singapore Dollar", "S$"),
+    MYR: currency("MYR", "Malaysian Ringgit", "RM"),
+    THB: currency("THB", "Thai Baht", "฿"),
+    IDR: currency("IDR", "Indonesian Rupiah", "Rp"),
+    PHP: currency("PHP", "Philippine Peso", "₱"),
+    VND: currency("VND", "Vietnamese Dong", "₫", 0),
+    PKR: currency("PKR", "Pakistani Rupee", "Rs"),
+    BDT: currency("BDT", "Bangladeshi Taka", "৳"),
+    LKR: currency("LKR", "Sri Lankan Rupee", "Rs"),
+    NPR: currency("NPR", "Nepalese Rupee", "Rs"),
+    AED: currency("AED", "UAE Dirham", "AED"),
+    SAR: currency("SAR", "Saudi Riyal", "SAR"),
+    QAR: currency("QAR", "Qatari Riyal", "QAR"),
+    KWD: currency("KWD", "Kuwaiti Dinar", "KD", 3),
+    BHD: currency("BHD", "Bahraini Dinar", "BD", 3),
+    OMR: currency("OMR", "Omani Rial", "OMR", 3),
+    JOD: currency("JOD", "Jordanian Dinar", "JD", 3),
+    ILS: currency("ILS", "Israeli New Shekel", "₪"),
+    TRY: currency("TRY", "Turkish Lira", "₺"),
+    EGP: currency("EGP", "Egyptian Pound", "E£"),
+    ZAR: currency("ZAR", "South African Rand", "R"),
+    NGN: currency("NGN", "Nigerian Naira", "₦"),
+    KES: currency("KES", "Kenyan Shilling", "KSh"),
+    CHF: currency("CHF", "Swiss Franc", "CHF"),
+    SEK: currency("SEK", "Swedish Krona", "kr"),
+    NOK: currency("NOK", "Norwegian Krone", "kr"),
+    DKK: currency("DKK", "Danish Krone", "kr"),
+    ISK: currency("ISK", "Icelandic Krona", "kr", 0),
+    PLN: currency("PLN", "Polish Zloty", "zł"),
+    CZK: currency("CZK", "Czech Koruna", "Kč"),
+    HUF: currency("HUF", "Hungarian Forint", "Ft"),
+    BRL: currency("BRL", "Brazilian Real", "R$"),
+    MXN: currency("MXN", "Mexican Peso", "MX$"),
+    CLP: currency("CLP", "Chilean Peso", "CLP$", 0)
+});
+
+export const CURRENCY_CODES = Object.freeze(Object.keys(CURRENCIES));
+
+/**
+ * Normalize a currency code sent by a client, e.g. " eur " -> "EUR"
+ */
+export const normalizeCurrencyCode = (code) => {
+    return typeof code === "string" ? code.trim().toUpperCase() : "";
+};
+
+/**
+ * Check whether a currency code is in the registry (case-insensitive)
+ */
+export const isSupportedCurrency = (code) => {
+    return Object.prototype.hasOwnProperty.call(CURRENCIES, normalizeCurrencyCode(code));
+};
+
+/**
+ * Get registry details for a currency, or null when it is not supported
+ */
+export const getCurrencyInfo = (code) => {
+    return CURRENCIES[normalizeCurrencyCode(code)] || null;
+};
@@ -0,0 +1,66 @@
+/**
+ * Group Roles
+ * What each member of a group is allowed to do.
+ *
+ * - owner: everything, including deleting the group and handing it to someone else (one per group)
+ * - admin: manages members and their roles, below admin level
+ * - member: adds expenses and settles up
+ * - viewer: read-only access to the group
+ *
+ * Archived groups are read-only for everyone: only the permissions in ARCHIVED_GROUP_PERMISSIONS still apply.
+ */
+
+export const GROUP_ROLES = Object.freeze(["owner", "admin", "member", "viewer"]);
+
+// Roles members can be promoted or demoted to, ownership only changes hands through a transfer
+export const ASSIGNABLE_GROUP_ROLES = Object.freeze(["admin", "member", "viewer"]);
+
+const ROLE_RANKS = { owner: 4, admin: 3, member: 2, viewer: 1 };
+
+export const GROUP_PERMISSIONS = Object.freeze({
+    "group:view": ["owner", "admin", "member", "viewer"],
+    "expenses:write": ["owner", "admin", "member"],
+    "settlements:write": ["owner", "admin", "member"],
+    "members:invite": ["owner", "admin"],
+    "members:remove": ["owner", "admin"],
+    "members:changeRole": ["owner", "admin"],
+    "group:archive": ["owner", "admin"],
+    "group:delete": ["owner"],
+    "group:transferOwnership": ["owner"]
+});
+
+// What can still be done in an archived group, everything else waits until it is unarchived
+export const ARCHIVED_GROUP_PERMISSIONS = Object.freeze(["group:view", "group:archive", "group:delete", "group:transferOwnership"]);
+
+export const isGroupArchived = (group) => Boolean(group && group.archivedAt);
+
+/**
+ * Role of a user in a group, or null when they are not a member.
+ * Groups created before roles existed have no role entries: their creator is the owner
+ * and everyone else is a member.
+ */
+export const getMemberRole = (group, userId) => {
+    const id = userId.toString();
+
+    if (!group || !(group.members || []).some(memberId => memberId.toString() === id)) {
+        return null;
+    }
+
+    const entry = (group.memberRoles || []).find(item => item.user.toString() === id);
+    if (entry) {
+        return entry.role;
+    }
+
+    return group.createdBy && group.createdBy.toString() === id ? "owner" : "member";
+};
+
+export const hasGroupPermission = (role, permission) => {
+    return Boolean(role) && (GROUP_PERMISSIONS[permission] || []).includes(role);
+};
+
+/**
+ * Whether a role sits strictly above another, e.g. admins can manage members and viewers but not other admins
+ */
+export const outranks = (role, otherRole) => {
+    return (ROLE_RANKS[role] || 0) > (ROLE_RANKS[otherRole] || 0);
+};
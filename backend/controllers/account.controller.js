@@ -0,0 +1,181 @@
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import User from "../models/user.model.js";
+import Group from "../models/group.model.js";
+import Expense from "../models/expense.model.js";
+import ExpenseRevision from "../models/expenseRevision.model.js";
+import Invitation from "../models/invitation.model.js";
+import RefreshToken from "../models/refreshToken.model.js";
+import AccountToken from "../models/accountToken.model.js";
+import LoginEvent from "../models/loginEvent.model.js";
+import { getMemberRole } from "../config/groupRoles.js";
+import { getGroupBalancesInCents } from "../services/balance.service.js";
+import { fromMinorUnits } from "../services/money.service.js";
+import { deleteGroupWithHistory, takeMemberOut } from "../services/groupRemoval.service.js";
+import { removeStoredAttachments } from "../services/receiptStorage.service.js";
+import { consumeSecondFactor } from "../services/twoFactor.service.js";
+import { REFRESH_TOKEN_COOKIE_OPTIONS } from "../services/refreshToken.service.js";
+import { ACCOUNT_EXPORT_FORMATS, buildAccountExport, createAccountExportZip } from "../services/accountExport.service.js";
+
+const BCRYPT_ROUNDS = process.env.NODE_ENV === 'test' ? 1 : 10;
+
+const parseFlag = (value) => value === true || value === "true";
+
+/**
+ * Download everything stored about the signed-in user, as one JSON file (default) or a ZIP archive
+ * with a JSON file per section (?format=zip)
+ */
+export const exportAccountData = async (req, res) => {
+    try {
+        const format = String(req.query.format || "json").toLowerCase();
+        if (!ACCOUNT_EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ message: `Format must be one of: ${ACCOUNT_EXPORT_FORMATS.join(", ")}` });
+        }
+
+        const data = await buildAccountExport(req.user._id);
+        if (!data) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const filename = `finterhub-export-${data.exportedAt.toISOString().slice(0, 10)}.${format}`;
+        res.set("Content-Disposition", `attachment; filename="${filename}"`);
+
+        if (format === "zip") {
+            res.set("Content-Type", "application/zip");
+            return res.status(200).send(createAccountExportZip(data));
+        }
+
+        return res.status(200).json(data);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Delete the signed-in user's account.
+ *
+ * Expenses and settlements other members rely on stay, still pointing at the user, who is kept as
+ * an anonymized "Deleted user" so every group ledger keeps adding up. The user leaves every group,
+ * with open balances written off when force is set, and groups only they belong to are deleted with
+ * their history. Everything else personal (sessions, links, login activity, expenses nobody else
+ * is part of) is removed.
+ */
+export const deleteAccount = async (req, res) => {
+    try {
+        const { password, code, recoveryCode, force } = req.body || {};
+
+        if (!password) {
+            return res.status(400).json({ message: "Password is required to delete your account" });
+        }
+
+        const user = await User.findById(req.user._id).select('_id email password twoFactor').lean();
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({ message: "Password is incorrect" });
+        }
+
+        const twoFactorEnabled = Boolean(user.twoFactor && user.twoFactor.enabled);
+        if (twoFactorEnabled && !code && !recoveryCode) {
+            return res.status(400).json({ message: "A two-factor or recovery code is required to delete your account" });
+        }
+
+        const groups = await Group.find({ members: user._id }).select('_id name createdBy members memberRoles archivedAt').lean();
+        const ownedGroups = groups.filter(group => getMemberRole(group, user._id) === "owner");
+        const memberGroups = groups.filter(group => getMemberRole(group, user._id) !== "owner");
+
+        // Nobody could manage these groups any more
+        const sharedOwnedGroups = ownedGroups.filter(group => group.members.length > 1);
+        if (sharedOwnedGroups.length > 0) {
+            return res.status(400).json({
+                message: "Transfer ownership of the groups you share with others before deleting your account",
+                groups: sharedOwnedGroups.map(group => ({ id: group._id, name: group.name }))
+            });
+        }
+
+        const openBalances = [];
+        for (const group of memberGroups) {
+            const { balancesUSD } = await getGroupBalancesInCents(group, { includeVerified: true });
+            const balanceCents = balancesUSD[user._id.toString()] || 0;
+            if (balanceCents !== 0) {
+                openBalances.push({ id: group._id, name: group.name, balanceUSD: fromMinorUnits(balanceCents, "USD") });
+            }
+        }
+
+        if (openBalances.length > 0 && !parseFlag(force)) {
+            return res.status(400).json({
+                message: `You still have open balances in ${openBalances.length} group(s). Settle up first, or delete your account with force to write them off`,
+                groups: openBalances
+            });
+        }
+
+        if (twoFactorEnabled && !(await consumeSecondFactor(user, { code, recoveryCode }))) {
+            return res.status(400).json({ message: "Invalid two-factor code" });
+        }
+
+        let writeOffs = 0;
+        for (const group of memberGroups) {
+            const result = await takeMemberOut(group, user._id, {
+                force: true,
+                recordedBy: user._id,
+                notes: "Written off when the member deleted their account"
+            });
+            writeOffs += result.writeOffs.length;
+        }
+
+        for (const group of ownedGroups) {
+            await deleteGroupWithHistory(group._id);
+        }
+
+        // Expenses outside groups that only concern this user, shared ones stay for the others
+        const personalExpenses = await Expense.find({
+            group: null,
+            paidBy: user._id,
+            splitDetails: { $not: { $elemMatch: { user: { $ne: user._id } } } }
+        }).select('_id attachments').lean();
+        const personalExpenseIds = personalExpenses.map(expense => expense._id);
+
+        await Promise.all([
+            Expense.deleteMany({ _id: { $in: personalExpenseIds } }),
+            ExpenseRevision.deleteMany({ expense: { $in: personalExpenseIds } }),
+            Invitation.deleteMany({ status: "pending", $or: [{ invitee: user._id }, { email: user.email.toLowerCase() }] }),
+            RefreshToken.deleteMany({ user: user._id }),
+            AccountToken.deleteMany({ user: user._id }),
+            LoginEvent.deleteMany({ user: user._id })
+        ]);
+        await removeStoredAttachments(personalExpenses.flatMap(expense => expense.attachments || []));
+
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                name: "Deleted user",
+                email: `deleted-${user._id}@deleted.invalid`,
+                // Nobody knows this password, so the account can never be logged into again
+                password: await bcrypt.hash(crypto.randomBytes(32).toString("hex"), BCRYPT_ROUNDS),
+                preferredCurrency: "USD",
+                locale: "en-US",
+                timezone: "UTC",
+                emailVerifiedAt: null,
+                pendingEmail: null,
+                deletedAt: new Date(),
+                twoFactor: { enabled: false, secret: null, pendingSecret: null, enabledAt: null, lastUsedStep: null, recoveryCodes: [] }
+            }
+        });
+
+        res.clearCookie("refreshToken", REFRESH_TOKEN_COOKIE_OPTIONS);
+
+        return res.status(200).json({
+            message: "Your account has been deleted",
+            removed: {
+                groupsLeft: memberGroups.length,
+                groupsDeleted: ownedGroups.length,
+                writeOffs,
+                personalExpenses: personalExpenseIds.length
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
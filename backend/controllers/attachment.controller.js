@@ -0,0 +1,213 @@
+import mongoose from "mongoose";
+import Group from "../models/group.model.js";
+import Expense from "../models/expense.model.js";
+import { getMemberRole, hasGroupPermission, isGroupArchived } from "../config/groupRoles.js";
+import {
+    MAX_ATTACHMENTS_PER_EXPENSE,
+    formatAttachment,
+    getReceiptStorage,
+    matchesReceiptType,
+    sanitizeFilename
+} from "../services/receiptStorage.service.js";
+
+const isObjectId = (id) => typeof id === "string" && /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Load an expense and check the caller may see its attachments:
+ * members of the expense's group, or the payer for personal expenses.
+ * Changing them takes a role that may change expenses, and is not possible in archived groups.
+ * Sends the error response and returns null when access is denied.
+ */
+const findExpenseForAttachments = async (req, res, { write = false } = {}) => {
+    const userId = req.user._id.toString();
+    const { id } = req.params;
+
+    if (!isObjectId(id)) {
+        res.status(400).json({ message: "Invalid expense ID" });
+        return null;
+    }
+
+    const expense = await Expense.findById(id).select('paidBy group attachments').lean();
+
+    if (!expense) {
+        res.status(404).json({ message: "Expense not found" });
+        return null;
+    }
+
+    let hasAccess = false;
+    let group = null;
+    if (expense.group) {
+        group = await Group.findById(expense.group).select('createdBy members memberRoles archivedAt').lean();
+        hasAccess = Boolean(group) && group.members.some(memberId => memberId.toString() === userId);
+    } else {
+        hasAccess = expense.paidBy.toString() === userId;
+    }
+
+    if (!hasAccess) {
+        res.status(403).json({ message: "You are not authorized to access this expense's attachments" });
+        return null;
+    }
+
+    if (write && group && !hasGroupPermission(getMemberRole(group, userId), "expenses:write")) {
+        res.status(403).json({ message: "Viewers cannot change expenses in this group" });
+        return null;
+    }
+
+    if (write && isGroupArchived(group)) {
+        res.status(403).json({ message: "This group is archived and read-only" });
+        return null;
+    }
+
+    return expense;
+};
+
+const findAttachment = (expense, req, res) => {
+    const { attachmentId } = req.params;
+
+    if (!isObjectId(attachmentId)) {
+        res.status(400).json({ message: "Invalid attachment ID" });
+        return null;
+    }
+
+    const attachment = (expense.attachments || []).find(item => item._id.toString() === attachmentId);
+    if (!attachment) {
+        res.status(404).json({ message: "Attachment not found" });
+        return null;
+    }
+
+    return attachment;
+};
+
+export const uploadExpenseAttachment = async (req, res) => {
+    try {
+        const expense = await findExpenseForAttachments(req, res, { write: true });
+        if (!expense) {
+            return;
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ message: "A receipt file is required in the \"receipt\" field" });
+        }
+
+        if (!matchesReceiptType(req.file.buffer, req.file.mimetype)) {
+            return res.status(415).json({ message: `File content does not match its type (${req.file.mimetype})` });
+        }
+
+        if ((expense.attachments || []).length >= MAX_ATTACHMENTS_PER_EXPENSE) {
+            return res.status(400).json({ message: `An expense can have at most ${MAX_ATTACHMENTS_PER_EXPENSE} attachments` });
+        }
+
+        const storage = getReceiptStorage();
+        const storageKey = await storage.save({ buffer: req.file.buffer, mimeType: req.file.mimetype });
+
+        const attachmentId = new mongoose.Types.ObjectId();
+        const attachment = {
+            _id: attachmentId,
+            filename: sanitizeFilename(req.file.originalname),
+            url: `/api/expense/${expense._id}/attachments/${attachmentId}`,
+            storageKey,
+            mimeType: req.file.mimetype,
+            size: req.file.size,
+            uploadedBy: req.user._id,
+            uploadedAt: new Date()
+        };
+
+        // The limit is checked again in the update itself so concurrent uploads cannot go over it
+        const { modifiedCount } = await Expense.updateOne(
+            { _id: expense._id, [`attachments.${MAX_ATTACHMENTS_PER_EXPENSE - 1}`]: { $exists: false } },
+            { $push: { attachments: attachment } }
+        );
+
+        if (modifiedCount === 0) {
+            await storage.remove(storageKey);
+            const stillExists = await Expense.exists({ _id: expense._id });
+            return stillExists
+                ? res.status(400).json({ message: `An expense can have at most ${MAX_ATTACHMENTS_PER_EXPENSE} attachments` })
+                : res.status(404).json({ message: "Expense not found" });
+        }
+
+        return res.status(201).json({
+            message: "Attachment uploaded successfully",
+            attachment: formatAttachment(attachment)
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const downloadExpenseAttachment = async (req, res) => {
+    try {
+        const expense = await findExpenseForAttachments(req, res);
+        if (!expense) {
+            return;
+        }
+
+        const attachment = findAttachment(expense, req, res);
+        if (!attachment) {
+            return;
+        }
+
+        if (!attachment.storageKey) {
+            return res.status(404).json({ message: "This attachment is a link and has no stored file", url: attachment.url });
+        }
+
+        let stream;
+        try {
+            stream = await getReceiptStorage().read(attachment.storageKey);
+        } catch (error) {
+            return res.status(404).json({ message: "Attachment file not found" });
+        }
+
+        res.set({
+            "Content-Type": attachment.mimeType,
+            "Content-Length": attachment.size,
+            "Content-Disposition": `attachment; filename="${attachment.filename}"`,
+            "X-Content-Type-Options": "nosniff"
+        });
+
+        stream.on("error", (error) => {
+            console.error(`Error streaming attachment ${attachment._id}:`, error.message);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const deleteExpenseAttachment = async (req, res) => {
+    try {
+        const expense = await findExpenseForAttachments(req, res, { write: true });
+        if (!expense) {
+            return;
+        }
+
+        const attachment = findAttachment(expense, req, res);
+        if (!attachment) {
+            return;
+        }
+
+        const userId = req.user._id.toString();
+        const canDelete = expense.paidBy.toString() === userId
+            || (attachment.uploadedBy && attachment.uploadedBy.toString() === userId);
+        if (!canDelete) {
+            return res.status(403).json({ message: "Only the payer or the uploader can delete this attachment" });
+        }
+
+        await Expense.updateOne(
+            { _id: expense._id },
+            { $pull: { attachments: { _id: attachment._id } } }
+        );
+
+        if (attachment.storageKey) {
+            await getReceiptStorage().remove(attachment.storageKey);
+        }
+
+        return res.status(200).json({
+            message: "Attachment deleted successfully",
+            deletedAttachmentId: attachment._id
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
@@ -3,14 +3,133 @@ import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
+import { isSupportedCurrency, normalizeCurrencyCode } from "../config/currencies.js";
+import { REFRESH_TOKEN_COOKIE_OPTIONS, getRefreshTokenTtlMs, issueRefreshToken, revokeRefreshToken, revokeUserRefreshTokens, rotateRefreshToken } from "../services/refreshToken.service.js";
+import { consumeAccountToken, issueAccountToken } from "../services/accountToken.service.js";
+import { sendEmailVerificationEmail, sendPasswordResetEmail } from "../services/accountEmails.service.js";
+import { clearFailedLogins, getAccountLockout, recordFailedLogin } from "../services/accountLockout.service.js";
+import { toRetryAfterSeconds } from "../services/rateLimit.service.js";
+import { consumeSecondFactor, createTwoFactorChallenge, getTwoFactorChallengeTtlMs, verifyTwoFactorChallenge } from "../services/twoFactor.service.js";
+import LoginEvent from "../models/loginEvent.model.js";
 
 dotenv.config();
 
 const BCRYPT_ROUNDS = process.env.NODE_ENV === 'test' ? 1 : 10;
 
+const REFRESH_TOKEN_ERRORS = {
+    invalid: "Invalid refresh token",
+    expired: "Refresh token has expired",
+    revoked: "Refresh token has been revoked",
+    reused: "Refresh token was already used, please log in again"
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const EDITABLE_PROFILE_FIELDS = ["name", "email", "preferredCurrency", "locale", "timezone"];
+
+/**
+ * Canonical form of a BCP 47 language tag (e.g. "en-in" becomes "en-IN"), or null when it is not one
+ */
+const normalizeLocale = (locale) => {
+    try {
+        const [canonical] = Intl.getCanonicalLocales(locale);
+        return canonical || null;
+    } catch {
+        return null;
+    }
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const formatProfile = (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    preferredCurrency: user.preferredCurrency,
+    locale: user.locale,
+    timezone: user.timezone,
+    emailVerified: Boolean(user.emailVerifiedAt),
+    pendingEmail: user.pendingEmail || null,
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
+});
+
+// Most recent login events returned to the account owner
+const LOGIN_ACTIVITY_LIMIT = 50;
+
+const sendLockedOut = (res, retryAfterMs) => {
+    const retryAfter = toRetryAfterSeconds(retryAfterMs);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ message: "Too many failed login attempts, please try again later", retryAfter });
+};
+
+const recordLoginEvent = (req, user, type, details = {}) => {
+    return LoginEvent.create({
+        user: user._id,
+        type,
+        ip: req.ip || null,
+        userAgent: req.get("User-Agent") || null,
+        ...details
+    });
+};
+
+/**
+ * Count a failed login (wrong password or wrong two-factor code) towards the account lockout,
+ * record it for the account owner and send the error response
+ */
+const rejectLogin = async (req, res, { email, user, type, message }) => {
+    const failure = await recordFailedLogin(email);
+    
+    if (user) {
+        await recordLoginEvent(req, user, type);
+        if (failure.locked) {
+            await recordLoginEvent(req, user, "account-locked", { lockedUntil: new Date(Date.now() + failure.retryAfterMs) });
+        }
+    }
+    
+    if (failure.locked) {
+        return sendLockedOut(res, failure.retryAfterMs);
+    }
+    return res.status(401).json({ message });
+};
+
+const signAccessToken = (userId) => jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+const setRefreshTokenCookie = (res, token) => {
+    res.cookie('refreshToken', token, { ...REFRESH_TOKEN_COOKIE_OPTIONS, maxAge: getRefreshTokenTtlMs() });
+};
+
+/**
+ * Start a new session: a fresh refresh token family in the cookie, and an access token to return
+ */
+const startSession = async (res, userId) => {
+    const { token } = await issueRefreshToken(userId);
+    setRefreshTokenCookie(res, token);
+    return signAccessToken(userId);
+};
+
+/**
+ * Email the user a link to verify their address. Delivery problems are logged rather than thrown,
+ * the user can ask for a new link later.
+ */
+const sendVerificationLink = async (user) => {
+    try {
+        const issued = await issueAccountToken(user, "email-verification");
+        await sendEmailVerificationEmail(user, issued);
+    } catch (error) {
+        console.error(`Error sending verification email to user ${user._id}:`, error.message);
+    }
+};
+
 export const signup = async (req, res) => {
     try {
-        const { name, email, password } = req.body;
+        const { name, email, password, preferredCurrency } = req.body;
         
         if (!name || !email || !password) {
             return res.status(400).json({ message: "All fields are required" });
@@ -20,6 +139,10 @@ export const signup = async (req, res) => {
             return res.status(400).json({ message: "Password must be at least 6 characters" });
         }
         
+        if (preferredCurrency !== undefined && !isSupportedCurrency(preferredCurrency)) {
+            return res.status(400).json({ message: `Unsupported currency: ${normalizeCurrencyCode(preferredCurrency)}` });
+        }
+        
         const user = await User.findOne({ email });
         if (user) {
             return res.status(400).json({ message: "User already exists" });
@@ -30,25 +153,22 @@ export const signup = async (req, res) => {
         const newUser = await User.create({ 
             name, 
             email, 
-            password: hashedPassword 
+            password: hashedPassword,
+            preferredCurrency: preferredCurrency !== undefined ? normalizeCurrencyCode(preferredCurrency) : undefined
         });
         
-        const accessToken = jwt.sign({ id: newUser._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
-        const refreshToken = jwt.sign({ id: newUser._id }, process.env.JWT_SECRET, { expiresIn: "7d" });
+        const accessToken = await startSession(res, newUser._id);
         
-        res.cookie('refreshToken', refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000
-        });
+        await sendVerificationLink(newUser);
 
         return res.status(201).json({ 
             token: accessToken,
             user: {
                 id: newUser._id,
                 name: newUser.name,
-                email: newUser.email
+                email: newUser.email,
+                preferredCurrency: newUser.preferredCurrency,
+                emailVerified: false
             }
         });
     } catch (error) {
@@ -64,32 +184,39 @@ export const login = async (req, res) => {
             return res.status(400).json({ message: "All fields are required" });
         }
         
-        const user = await User.findOne({ email });
-        if (!user) {
-            return res.status(401).json({ message: "Invalid credentials" }); 
+        // A locked account refuses even the right password, so guessing cannot go on in the meantime
+        const lockout = await getAccountLockout(email);
+        if (lockout.locked) {
+            return sendLockedOut(res, lockout.retryAfterMs);
         }
         
-        const isPasswordValid = await bcrypt.compare(password, user.password);
+        const user = await User.findOne({ email });
+        const isPasswordValid = user ? await bcrypt.compare(password, user.password) : false;
         if (!isPasswordValid) {
-            return res.status(401).json({ message: "Invalid credentials" }); 
+            return await rejectLogin(req, res, { email, user, type: "login-failed", message: "Invalid credentials" });
+        }
+        
+        // With two-factor authentication on, the session only starts once a code is checked as well
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(200).json({
+                message: "Enter the code from your authenticator app",
+                twoFactorRequired: true,
+                challengeToken: createTwoFactorChallenge(user._id),
+                expiresIn: Math.floor(getTwoFactorChallengeTtlMs() / 1000)
+            });
         }
         
-        const accessToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
-        const refreshToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "7d" });
+        await clearFailedLogins(email);
         
-        res.cookie('refreshToken', refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 
-        });
+        const accessToken = await startSession(res, user._id);
 
         return res.status(200).json({ 
             token: accessToken,
             user: {
                 id: user._id,
                 name: user.name,
-                email: user.email
+                email: user.email,
+                emailVerified: Boolean(user.emailVerifiedAt)
             }
         });
     } catch (error) {
@@ -97,31 +224,90 @@ export const login = async (req, res) => {
     }
 };
 
+/**
+ * Second login step for users with two-factor authentication: the challenge token from login
+ * together with a code from the authenticator app or a recovery code
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body || {};
+        
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ message: "Challenge token and a two-factor or recovery code are required" });
+        }
+        
+        const userId = verifyTwoFactorChallenge(challengeToken);
+        const user = userId ? await User.findById(userId).select('_id name email emailVerifiedAt twoFactor').lean() : null;
+        if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(401).json({ message: "Two-factor challenge is invalid or has expired" });
+        }
+        
+        const lockout = await getAccountLockout(user.email);
+        if (lockout.locked) {
+            return sendLockedOut(res, lockout.retryAfterMs);
+        }
+        
+        const accepted = await consumeSecondFactor(user, { code, recoveryCode });
+        if (!accepted) {
+            return await rejectLogin(req, res, { email: user.email, user, type: "two-factor-failed", message: "Invalid two-factor code" });
+        }
+        
+        await clearFailedLogins(user.email);
+        
+        const accessToken = await startSession(res, user._id);
+        
+        return res.status(200).json({
+            token: accessToken,
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                emailVerified: Boolean(user.emailVerifiedAt)
+            },
+            ...(accepted.method === "recovery" ? { recoveryCodesRemaining: accepted.recoveryCodesRemaining } : {})
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
 export const logout = async (req, res) => {
     try {
-        res.clearCookie("token");
+        const { refreshToken } = req.cookies || {};
+        if (refreshToken) {
+            await revokeRefreshToken(refreshToken, "logout");
+        }
+        res.clearCookie("refreshToken", REFRESH_TOKEN_COOKIE_OPTIONS);
         return res.status(200).json({ message: "Logout successful" });
     } catch (error) {
         return res.status(500).json({ message: error.message });
     }
 };
 
+/**
+ * Exchange the refresh token cookie for a new access token and a new refresh token.
+ * Every refresh token works once, see services/refreshToken.service.js.
+ */
 export const refreshToken = async (req, res) => {
     try {
-        const { refreshToken } = req.cookies;
+        const { refreshToken } = req.cookies || {};
         if (!refreshToken) {
             return res.status(400).json({ message: "Refresh token not found" });
         }
-        const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id);
+        
+        const rotated = await rotateRefreshToken(refreshToken);
+        if (rotated.reason) {
+            res.clearCookie("refreshToken", REFRESH_TOKEN_COOKIE_OPTIONS);
+            return res.status(401).json({ message: REFRESH_TOKEN_ERRORS[rotated.reason] });
+        }
+        
+        const user = await User.findById(rotated.record.user).select('_id').lean();
         if (!user) {
             return res.status(400).json({ message: "User not found" });
         }
-        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
-        if (!token) {
-            return res.status(400).json({ message: "Token not generated" });
-        }
-        return res.status(200).json({ token });
+        
+        setRefreshTokenCookie(res, rotated.token);
+        return res.status(200).json({ token: signAccessToken(user._id) });
     } catch (error) {
         return res.status(500).json({ message: error.message });
     }
@@ -137,13 +323,307 @@ export const getUserProfile = async (req, res) => {
         }
         
         return res.status(200).json({ 
+            user: formatProfile(user)
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Recent failed logins and lockouts on the signed-in user's account, newest first
+ */
+export const getLoginActivity = async (req, res) => {
+    try {
+        const events = await LoginEvent.find({ user: req.user._id })
+            .sort({ createdAt: -1 })
+            .limit(LOGIN_ACTIVITY_LIMIT)
+            .lean();
+
+        return res.status(200).json({
+            message: "Login activity retrieved successfully",
+            count: events.length,
+            events: events.map(event => ({
+                id: event._id,
+                type: event.type,
+                ip: event.ip,
+                userAgent: event.userAgent,
+                lockedUntil: event.lockedUntil,
+                createdAt: event.createdAt
+            }))
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body || {};
+        
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
+        }
+        
+        const user = await User.findOne({ email }).select('_id name email').lean();
+        
+        // The answer is the same whether or not the account exists, so nobody can probe for accounts
+        if (user) {
+            const issued = await issueAccountToken(user, "password-reset");
+            await sendPasswordResetEmail(user, issued);
+        }
+        
+        return res.status(200).json({ message: "If an account exists for this email, a password reset link has been sent" });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
+        
+        if (!token || !password) {
+            return res.status(400).json({ message: "Token and new password are required" });
+        }
+        
+        if (password.length < 6) {
+            return res.status(400).json({ message: "Password must be at least 6 characters" });
+        }
+        
+        const record = await consumeAccountToken(token, "password-reset");
+        if (!record) {
+            return res.status(400).json({ message: "Reset link is invalid or has expired" });
+        }
+        
+        const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+        
+        // A link sent to an address the account no longer uses does not reset it
+        const user = await User.findOneAndUpdate(
+            { _id: record.user, email: record.email },
+            { $set: { password: hashedPassword } }
+        ).select('_id').lean();
+        
+        if (!user) {
+            return res.status(400).json({ message: "Reset link is invalid or has expired" });
+        }
+        
+        // Whoever knew the old password is signed out
+        await revokeUserRefreshTokens(user._id, "password-reset");
+        
+        return res.status(200).json({ message: "Password reset successfully, please log in with your new password" });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body || {};
+        
+        if (!token) {
+            return res.status(400).json({ message: "Verification token is required" });
+        }
+        
+        const record = await consumeAccountToken(token, "email-verification");
+        if (!record) {
+            return res.status(400).json({ message: "Verification link is invalid or has expired" });
+        }
+        
+        const user = await User.findOne({
+            _id: record.user,
+            $or: [{ email: record.email }, { pendingEmail: record.email }]
+        }).select('_id email pendingEmail').lean();
+        
+        // The link was for an address the account no longer uses or wants
+        if (!user) {
+            return res.status(400).json({ message: "Verification link is invalid or has expired" });
+        }
+        
+        const update = { emailVerifiedAt: new Date() };
+        
+        // A new address only replaces the current one once it is verified
+        if (user.email !== record.email) {
+            const emailTaken = await User.exists({ email: record.email, _id: { $ne: user._id } });
+            if (emailTaken) {
+                return res.status(400).json({ message: "Email is already in use" });
+            }
+            update.email = record.email;
+            update.pendingEmail = null;
+        }
+        
+        let updatedUser;
+        try {
+            updatedUser = await User.findByIdAndUpdate(user._id, { $set: update }, { new: true }).select('_id email').lean();
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(400).json({ message: "Email is already in use" });
+            }
+            throw error;
+        }
+        
+        return res.status(200).json({
+            message: "Email verified successfully",
             user: {
-                id: user._id,
-                name: user.name,
-                email: user.email
+                id: updatedUser._id,
+                email: updatedUser.email,
+                emailVerified: true
             }
         });
     } catch (error) {
         return res.status(500).json({ message: error.message });
     }
-}; 
+};
+
+export const resendVerificationEmail = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('_id name email emailVerifiedAt pendingEmail').lean();
+        
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        
+        // A pending email change is verified at the new address
+        const email = user.pendingEmail || (user.emailVerifiedAt ? null : user.email);
+        if (!email) {
+            return res.status(400).json({ message: "Email is already verified" });
+        }
+        
+        const recipient = { ...user, email };
+        const issued = await issueAccountToken(recipient, "email-verification");
+        await sendEmailVerificationEmail(recipient, issued);
+        
+        return res.status(200).json({ message: "Verification email sent", email });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Update name, email, preferred currency, locale and timezone.
+ * A new email is only kept as pending and a verification link is sent to it, the account keeps
+ * using the current address until the link is opened.
+ */
+export const updateUserProfile = async (req, res) => {
+    try {
+        const updates = req.body || {};
+        
+        const fields = EDITABLE_PROFILE_FIELDS.filter(field => updates[field] !== undefined);
+        if (fields.length === 0) {
+            return res.status(400).json({ message: "No valid fields provided for update" });
+        }
+        
+        const user = await User.findById(req.user._id).select('-password');
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        
+        if (updates.name !== undefined) {
+            if (typeof updates.name !== "string" || !updates.name.trim()) {
+                return res.status(400).json({ message: "Name cannot be empty" });
+            }
+            user.name = updates.name.trim();
+        }
+        
+        if (updates.preferredCurrency !== undefined) {
+            if (!isSupportedCurrency(updates.preferredCurrency)) {
+                return res.status(400).json({ message: `Unsupported currency: ${normalizeCurrencyCode(updates.preferredCurrency)}` });
+            }
+            user.preferredCurrency = normalizeCurrencyCode(updates.preferredCurrency);
+        }
+        
+        if (updates.locale !== undefined) {
+            const locale = typeof updates.locale === "string" ? normalizeLocale(updates.locale.trim()) : null;
+            if (!locale) {
+                return res.status(400).json({ message: "Locale must be a language tag such as en-US" });
+            }
+            user.locale = locale;
+        }
+        
+        if (updates.timezone !== undefined) {
+            if (typeof updates.timezone !== "string" || !updates.timezone.trim() || !isValidTimezone(updates.timezone.trim())) {
+                return res.status(400).json({ message: "Timezone must be an IANA time zone such as Asia/Kolkata" });
+            }
+            user.timezone = updates.timezone.trim();
+        }
+        
+        let verificationEmail = null;
+        if (updates.email !== undefined) {
+            const email = typeof updates.email === "string" ? updates.email.trim() : "";
+            if (!EMAIL_PATTERN.test(email)) {
+                return res.status(400).json({ message: "Email is not valid" });
+            }
+            
+            if (email === user.email) {
+                // Asking for the current address again cancels a pending change
+                user.pendingEmail = null;
+            } else {
+                const emailTaken = await User.exists({ email, _id: { $ne: user._id } });
+                if (emailTaken) {
+                    return res.status(400).json({ message: "Email is already in use" });
+                }
+                user.pendingEmail = email;
+                verificationEmail = email;
+            }
+        }
+        
+        await user.save();
+        
+        if (verificationEmail) {
+            const recipient = { _id: user._id, name: user.name, email: verificationEmail };
+            const issued = await issueAccountToken(recipient, "email-verification");
+            await sendEmailVerificationEmail(recipient, issued);
+        }
+        
+        return res.status(200).json({
+            message: verificationEmail
+                ? "Profile updated successfully, open the link sent to your new email to finish changing it"
+                : "Profile updated successfully",
+            user: formatProfile(user)
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Change the password of the signed-in user. Every other session is signed out,
+ * and the caller gets a fresh session in place of theirs.
+ */
+export const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+        
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ message: "Current and new password are required" });
+        }
+        
+        if (newPassword.length < 6) {
+            return res.status(400).json({ message: "Password must be at least 6 characters" });
+        }
+        
+        const user = await User.findById(req.user._id).select('_id password');
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        
+        const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({ message: "Current password is incorrect" });
+        }
+        
+        if (currentPassword === newPassword) {
+            return res.status(400).json({ message: "New password must be different from the current one" });
+        }
+        
+        user.password = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+        await user.save();
+        
+        await revokeUserRefreshTokens(user._id, "password-change");
+        const accessToken = await startSession(res, user._id);
+        
+        return res.status(200).json({ message: "Password changed successfully", token: accessToken });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
@@ -1,9 +1,11 @@
 import { 
     getExchangeRates, 
     convertCurrency, 
+    convertCurrencyAt,
     getSupportedCurrencies,
     getCurrencyDetails 
 } from "../services/currency.service.js";
+import { isSupportedCurrency, normalizeCurrencyCode } from "../config/currencies.js";
 
 export const fetchExchangeRates = async (req, res) => {
     try {
@@ -19,7 +21,7 @@ export const fetchExchangeRates = async (req, res) => {
 
 export const performCurrencyConversion = async (req, res) => {
     try {
-        const { amount, from, to } = req.body;
+        const { amount, from, to, date } = req.body;
 
         if (amount === undefined || amount === null || !from || !to) {
             return res.status(400).json({ 
@@ -33,17 +35,55 @@ export const performCurrencyConversion = async (req, res) => {
             });
         }
 
-        const convertedAmount = convertCurrency(parseFloat(amount), from, to);
+        const unsupportedCurrency = [from, to].find(code => !isSupportedCurrency(code));
+        if (unsupportedCurrency !== undefined) {
+            return res.status(400).json({ 
+                message: `Unsupported currency: ${normalizeCurrencyCode(unsupportedCurrency)}` 
+            });
+        }
+
+        if (date !== undefined && date !== null && isNaN(new Date(date).getTime())) {
+            return res.status(400).json({ 
+                message: "Date must be a valid date" 
+            });
+        }
+
+        const fromCode = normalizeCurrencyCode(from);
+        const toCode = normalizeCurrencyCode(to);
+
+        // With a date, the rates closest to that date are used instead of the current ones
+        if (date !== undefined && date !== null) {
+            const conversion = await convertCurrencyAt(parseFloat(amount), fromCode, toCode, date);
+
+            return res.status(200).json({
+                success: true,
+                original: {
+                    amount: parseFloat(amount),
+                    currency: fromCode
+                },
+                converted: {
+                    amount: conversion.convertedAmount,
+                    currency: toCode
+                },
+                rate: conversion.rate,
+                date: new Date(date).toISOString(),
+                ratesSource: conversion.source,
+                ratesFetchedAt: new Date(conversion.ratesFetchedAt).toISOString(),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const convertedAmount = convertCurrency(parseFloat(amount), fromCode, toCode);
 
         return res.status(200).json({
             success: true,
             original: {
                 amount: parseFloat(amount),
-                currency: from.toUpperCase()
+                currency: fromCode
             },
             converted: {
                 amount: convertedAmount,
-                currency: to.toUpperCase()
+                currency: toCode
             },
             rate: convertedAmount / parseFloat(amount),
             timestamp: new Date().toISOString()
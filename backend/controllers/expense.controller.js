@@ -1,10 +1,148 @@
+import mongoose from "mongoose";
 import Group from "../models/group.model.js";
 import User from "../models/user.model.js";
 import Expense from "../models/expense.model.js";
+import ExpenseRevision from "../models/expenseRevision.model.js";
+import { convertExpenseShares, getExpenseSharesInMinorUnits, getGroupRepayments, getUserBalancesInGroups, isShareSettled, parseIncludeVerified } from "../services/balance.service.js";
+import { getConversionRate, getExpenseRateToUSD, getRateToUSDAt } from "../services/currency.service.js";
+import { isSupportedCurrency, normalizeCurrencyCode } from "../config/currencies.js";
+import { getMemberRole, hasGroupPermission, isGroupArchived } from "../config/groupRoles.js";
+import { convertMinorUnits, fromMinorUnits, getMinorUnits, hasValidPrecision, toMinorUnits } from "../services/money.service.js";
+import { computeSplitDetails } from "../services/split.service.js";
+import { RECURRING_FREQUENCIES, buildRecurrence, findNextOccurrence } from "../services/recurringExpense.service.js";
+import { formatAttachment, removeStoredAttachments } from "../services/receiptStorage.service.js";
+import { buildExpenseListQuery, findExpensePage } from "../services/expenseQuery.service.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
+const EDITABLE_EXPENSE_FIELDS = [
+    "title",
+    "description",
+    "amount",
+    "currency",
+    "category",
+    "date",
+    "paidBy",
+    "splitType",
+    "splitDetails",
+    "paymentMethod",
+    "tags",
+    "isRecurring",
+    "recurringFrequency",
+    "notes"
+];
+
+const REQUIRED_EXPENSE_FIELDS = ["title", "amount", "currency", "category"];
+
+// Filters accepted by the listing endpoints, see buildExpenseListQuery
+const GROUP_EXPENSE_FILTERS = ["from", "to", "category", "tags", "paidBy", "currency", "minAmount", "maxAmount", "paymentMethod"];
+const USER_EXPENSE_FILTERS = ["from", "to", "category", "tags", "group", "currency", "minAmount", "maxAmount", "paymentMethod"];
+
+// Which of the caller's expenses getUserExpenses lists: paid by them, split with them, or either
+const INVOLVEMENT_FILTERS = {
+    all: (userId) => ({ $or: [{ paidBy: userId }, { "splitDetails.user": userId }] }),
+    paid: (userId) => ({ paidBy: userId }),
+    split: (userId) => ({ "splitDetails.user": userId })
+};
+
+/**
+ * The part of an expense a user is responsible for, in the expense currency and in their preferred currency,
+ * and whether it is settled (see isShareSettled in services/balance.service.js).
+ */
+const getUserShare = (expense, userId, preferredCurrency, rateToPreferredCurrency, groupBalancesCents) => {
+    const shares = getExpenseSharesInMinorUnits(expense);
+    const { shares: convertedShares } = convertExpenseShares(expense, preferredCurrency, rateToPreferredCurrency);
+    
+    const isPayer = (expense.paidBy._id || expense.paidBy).toString() === userId;
+    const split = (expense.splitDetails || []).find(item => (item.user._id || item.user).toString() === userId);
+    
+    return {
+        isPayer,
+        isInSplit: Boolean(split),
+        amount: fromMinorUnits(shares.get(userId) || 0, expense.currency),
+        currency: expense.currency,
+        preferredCurrencyAmount: fromMinorUnits(convertedShares.get(userId) || 0, preferredCurrency),
+        preferredCurrency,
+        settled: isShareSettled(expense, userId, groupBalancesCents)
+    };
+};
+
+const validateExpenseDetails = ({ title, amount, currency, date, splitType, splitDetails }) => {
+    if (title.length < 3) {
+        return "Title must be at least 3 characters";
+    }
+    
+    if (amount <= 0) {
+        return "Amount must be greater than 0";
+    }
+    
+    if (currency && !hasValidPrecision(Number(amount), currency)) {
+        return `Amount cannot have more than ${getMinorUnits(currency)} decimal places in ${normalizeCurrencyCode(currency)}`;
+    }
+    
+    if (date && isNaN(new Date(date).getTime())) {
+        return "Date must be a valid date";
+    }
+    
+    if (splitType && splitType !== "none" && (!splitDetails || !Array.isArray(splitDetails) || splitDetails.length === 0)) {
+        return "Split details are required when split type is not 'none'";
+    }
+    
+    return null;
+};
+
+const validateRecurrence = ({ isRecurring, recurringFrequency, recurringEndDate, date }) => {
+    if (!isRecurring) {
+        return null;
+    }
+    
+    if (!RECURRING_FREQUENCIES.includes(recurringFrequency)) {
+        return `Recurring frequency must be one of: ${RECURRING_FREQUENCIES.join(", ")}`;
+    }
+    
+    if (recurringEndDate) {
+        const endDate = new Date(recurringEndDate);
+        if (isNaN(endDate.getTime())) {
+            return "Recurring end date must be a valid date";
+        }
+        if (endDate < new Date(date)) {
+            return "Recurring end date cannot be before the expense date";
+        }
+    }
+    
+    return null;
+};
+
+// Subdocument ids are regenerated on every write, so they are left out when comparing values
+const toComparable = (value) => JSON.stringify(value, (key, nested) => key === "_id" ? undefined : nested);
+
+/**
+ * Store the next revision of an expense. Revision numbers are unique per expense,
+ * so an edit that loses the race for a number takes the next one.
+ */
+const recordExpenseRevision = async (expenseId, editedBy, changes) => {
+    for (let attempt = 1; ; attempt++) {
+        const latestRevision = await ExpenseRevision.findOne({ expense: expenseId })
+            .sort({ revision: -1 })
+            .select('revision')
+            .lean();
+
+        try {
+            return await ExpenseRevision.create({
+                expense: expenseId,
+                revision: latestRevision ? latestRevision.revision + 1 : 1,
+                editedBy,
+                changes
+            });
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= 5) {
+                throw error;
+            }
+        }
+    }
+};
+
 export const addExpenseInAnyCurrency = async (req, res) => {
     try {
         const { 
@@ -22,6 +160,7 @@ export const addExpenseInAnyCurrency = async (req, res) => {
             tags,
             isRecurring,
             recurringFrequency,
+            recurringEndDate,
             notes,
             attachments
         } = req.body;
@@ -32,26 +171,23 @@ export const addExpenseInAnyCurrency = async (req, res) => {
             return res.status(400).json({ message: "Title, amount, currency, and category are required" });
         }
         
-        if (title.length < 3) {
-            return res.status(400).json({ message: "Title must be at least 3 characters" });
-        }
-        
-        if (amount <= 0) {
-            return res.status(400).json({ message: "Amount must be greater than 0" });
+        if (!isSupportedCurrency(currency)) {
+            return res.status(400).json({ message: `Unsupported currency: ${normalizeCurrencyCode(currency)}` });
         }
         
-        if (splitType && splitType !== "none" && (!splitDetails || !Array.isArray(splitDetails) || splitDetails.length === 0)) {
-            return res.status(400).json({ message: "Split details are required when split type is not 'none'" });
+        const validationError = validateExpenseDetails({ title, amount, currency, date, splitType, splitDetails });
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
         }
         
         const queries = [];
         
         if (group) {
-            queries.push(Group.findById(group).select('_id members').lean());
+            queries.push(Group.findById(group).select('_id createdBy members memberRoles archivedAt').lean());
         }
         
         if (paidBy && paidBy !== userId.toString()) {
-            queries.push(User.findById(paidBy).select('_id').lean());
+            queries.push(User.findOne({ _id: paidBy, deletedAt: null }).select('_id').lean());
         }
         
         const results = await Promise.all(queries);
@@ -62,10 +198,18 @@ export const addExpenseInAnyCurrency = async (req, res) => {
                 return res.status(404).json({ message: "Group not found" });
             }
             
-            const isMember = groupExists.members.some(memberId => memberId.toString() === userId.toString());
-            if (!isMember) {
+            const role = getMemberRole(groupExists, userId);
+            if (!role) {
                 return res.status(403).json({ message: "You are not a member of this group" });
             }
+            
+            if (!hasGroupPermission(role, "expenses:write")) {
+                return res.status(403).json({ message: "Viewers cannot change expenses in this group" });
+            }
+            
+            if (isGroupArchived(groupExists)) {
+                return res.status(403).json({ message: "This group is archived and read-only" });
+            }
         }
         
         if (paidBy && paidBy !== userId.toString()) {
@@ -75,23 +219,57 @@ export const addExpenseInAnyCurrency = async (req, res) => {
             }
         }
         
+        let computedSplitDetails;
+        try {
+            computedSplitDetails = computeSplitDetails({
+                amount,
+                currency,
+                splitType: splitType || "none",
+                splitDetails,
+                memberIds: group ? results[0].members.map(memberId => memberId.toString()) : null
+            });
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        
+        const expenseDate = date || Date.now();
+        
+        const recurrenceError = validateRecurrence({ isRecurring, recurringFrequency, recurringEndDate, date: expenseDate });
+        if (recurrenceError) {
+            return res.status(400).json({ message: recurrenceError });
+        }
+        
+        let exchangeRate;
+        try {
+            exchangeRate = await getRateToUSDAt(currency, expenseDate);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        
         const expense = await Expense.create({ 
             title, 
             description: description || "", 
             amount,
-            currency: currency.toUpperCase(),
+            currency: normalizeCurrencyCode(currency),
             category,
-            date: date || Date.now(),
+            date: expenseDate,
+            exchangeRate,
             paidBy: paidBy || userId,
             group: group || null,
             splitType: splitType || "none",
-            splitDetails: splitDetails || [],
+            splitDetails: computedSplitDetails,
             paymentMethod: paymentMethod || "Cash",
             tags: tags || [],
             isRecurring: isRecurring || false,
             recurringFrequency: recurringFrequency || null,
+            recurrence: isRecurring
+                ? buildRecurrence({ date: expenseDate, frequency: recurringFrequency, endDate: recurringEndDate })
+                : undefined,
             notes: notes || "",
-            attachments: attachments || []
+            // Only links can be attached here, files go through the attachment upload endpoint
+            attachments: Array.isArray(attachments)
+                ? attachments.map(({ filename, url }) => ({ filename, url }))
+                : []
         });
         
         return res.status(201).json({
@@ -104,10 +282,15 @@ export const addExpenseInAnyCurrency = async (req, res) => {
                 currency: expense.currency,
                 category: expense.category,
                 date: expense.date,
+                exchangeRate: expense.exchangeRate,
                 paidBy: expense.paidBy,
                 group: expense.group,
                 splitType: expense.splitType,
-                paymentMethod: expense.paymentMethod
+                splitDetails: expense.splitDetails,
+                paymentMethod: expense.paymentMethod,
+                isRecurring: expense.isRecurring,
+                recurringFrequency: expense.recurringFrequency,
+                recurrence: expense.isRecurring ? expense.recurrence : undefined
             }
         });
     } catch (error) {
@@ -115,6 +298,415 @@ export const addExpenseInAnyCurrency = async (req, res) => {
     }
 };
 
+export const updateExpense = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { id } = req.params;
+        const updates = req.body || {};
+        
+        if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ message: "Invalid expense ID" });
+        }
+        
+        if (updates.group !== undefined) {
+            return res.status(400).json({ message: "The group of an expense cannot be changed" });
+        }
+        
+        const fields = EDITABLE_EXPENSE_FIELDS.filter(field => updates[field] !== undefined);
+        if (fields.length === 0) {
+            return res.status(400).json({ message: "No valid fields provided for update" });
+        }
+        
+        if (fields.some(field => REQUIRED_EXPENSE_FIELDS.includes(field) && !updates[field])) {
+            return res.status(400).json({ message: "Title, amount, currency, and category cannot be empty" });
+        }
+        
+        if (updates.currency !== undefined && !isSupportedCurrency(updates.currency)) {
+            return res.status(400).json({ message: `Unsupported currency: ${normalizeCurrencyCode(updates.currency)}` });
+        }
+        
+        const expense = await Expense.findById(id);
+        
+        if (!expense) {
+            return res.status(404).json({ message: "Expense not found" });
+        }
+        
+        let groupMemberIds = null;
+        
+        if (expense.group) {
+            const group = await Group.findById(expense.group).select('_id createdBy members memberRoles archivedAt').lean();
+            const role = getMemberRole(group, userId);
+            if (!role) {
+                return res.status(403).json({ message: "You are not a member of this group" });
+            }
+            if (!hasGroupPermission(role, "expenses:write")) {
+                return res.status(403).json({ message: "Viewers cannot change expenses in this group" });
+            }
+            if (isGroupArchived(group)) {
+                return res.status(403).json({ message: "This group is archived and read-only" });
+            }
+            groupMemberIds = group.members.map(memberId => memberId.toString());
+        } else if (expense.paidBy.toString() !== userId.toString()) {
+            return res.status(403).json({ message: "You are not authorized to update this expense" });
+        }
+        
+        const amount = updates.amount !== undefined ? updates.amount : expense.amount;
+        const currency = updates.currency !== undefined ? updates.currency : expense.currency;
+        const splitType = updates.splitType !== undefined ? updates.splitType : expense.splitType;
+        const splitDetails = updates.splitDetails !== undefined
+            ? updates.splitDetails
+            : (splitType === "none" ? [] : expense.splitDetails.map(split => split.toObject()));
+        
+        const validationError = validateExpenseDetails({
+            title: updates.title !== undefined ? updates.title : expense.title,
+            amount,
+            currency,
+            date: updates.date,
+            splitType,
+            splitDetails
+        });
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+        
+        // Shares are only recomputed when something they depend on changes, and only
+        // newly sent split details have to be current group members
+        const splitChanged = ["amount", "currency", "splitType", "splitDetails"].some(field => updates[field] !== undefined);
+        let computedSplitDetails = null;
+        
+        if (splitChanged) {
+            try {
+                computedSplitDetails = computeSplitDetails({
+                    amount,
+                    currency,
+                    splitType,
+                    splitDetails,
+                    memberIds: updates.splitDetails !== undefined ? groupMemberIds : null
+                });
+            } catch (error) {
+                return res.status(400).json({ message: error.message });
+            }
+        }
+        
+        if (updates.paidBy && updates.paidBy !== userId.toString()) {
+            const userExists = await User.findOne({ _id: updates.paidBy, deletedAt: null }).select('_id').lean();
+            if (!userExists) {
+                return res.status(404).json({ message: "User specified in paidBy not found" });
+            }
+        }
+        
+        const previous = expense.toObject();
+        
+        fields.filter(field => field !== "splitDetails").forEach(field => {
+            expense.set(field, field === "currency" ? normalizeCurrencyCode(updates.currency) : updates[field]);
+        });
+        if (computedSplitDetails) {
+            expense.set("splitDetails", computedSplitDetails);
+        }
+        
+        // The locked rate follows the currency and date of the expense
+        if (expense.isModified("currency") || expense.isModified("date")) {
+            try {
+                expense.set("exchangeRate", await getRateToUSDAt(expense.currency, expense.date));
+            } catch (error) {
+                return res.status(400).json({ message: error.message });
+            }
+        }
+        
+        // Turning a series on, or changing how often it repeats, schedules it from today without back-filling
+        if (expense.isModified("isRecurring") || expense.isModified("recurringFrequency")) {
+            const recurrenceError = validateRecurrence({
+                isRecurring: expense.isRecurring,
+                recurringFrequency: expense.recurringFrequency,
+                date: expense.date
+            });
+            if (recurrenceError) {
+                return res.status(400).json({ message: recurrenceError });
+            }
+            
+            const recurrence = expense.recurrence || {};
+            
+            if (!expense.isRecurring) {
+                if (recurrence.status && recurrence.status !== "ended") {
+                    expense.set("recurrence.status", "ended");
+                    expense.set("recurrence.endedAt", new Date());
+                }
+            } else {
+                const anchorDate = recurrence.anchorDate || expense.date;
+                const { index, date } = findNextOccurrence(anchorDate, expense.recurringFrequency, new Date());
+                expense.set("recurrence", {
+                    status: recurrence.status === "paused" ? "paused" : "active",
+                    anchorDate,
+                    occurrenceIndex: index,
+                    nextOccurrence: date,
+                    endDate: recurrence.status === "ended" ? null : (recurrence.endDate || null),
+                    pausedAt: recurrence.status === "paused" ? recurrence.pausedAt : undefined
+                });
+            }
+        }
+        
+        const current = expense.toObject();
+        const changes = [...new Set([...fields, "splitDetails", "exchangeRate"])]
+            .filter(field => toComparable(previous[field]) !== toComparable(current[field]))
+            .map(field => ({
+                field,
+                previousValue: previous[field],
+                newValue: current[field]
+            }));
+        
+        if (changes.length === 0) {
+            return res.status(200).json({
+                message: "No changes to apply",
+                revision: null
+            });
+        }
+        
+        // Saved before the revision is written, so a failed save leaves no revision behind.
+        // The version check turns two edits of the same expense at once into a conflict.
+        expense.increment();
+        try {
+            await expense.save();
+        } catch (error) {
+            if (error.name === "VersionError") {
+                return res.status(409).json({ message: "The expense was changed meanwhile, please try again" });
+            }
+            throw error;
+        }
+        
+        const revision = await recordExpenseRevision(id, userId, changes);
+        
+        return res.status(200).json({
+            message: "Expense updated successfully",
+            revision: revision.revision,
+            changedFields: changes.map(change => change.field),
+            expense: {
+                id: expense._id,
+                title: expense.title,
+                description: expense.description,
+                amount: expense.amount,
+                currency: expense.currency,
+                category: expense.category,
+                date: expense.date,
+                exchangeRate: expense.exchangeRate,
+                paidBy: expense.paidBy,
+                group: expense.group,
+                splitType: expense.splitType,
+                splitDetails: expense.splitDetails,
+                paymentMethod: expense.paymentMethod,
+                updatedAt: expense.updatedAt
+            }
+        });
+    } catch (error) {
+        if (error.name === "ValidationError" || error.name === "CastError") {
+            return res.status(400).json({ message: error.message });
+        }
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const getExpenseRevisions = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { id } = req.params;
+        
+        if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ message: "Invalid expense ID" });
+        }
+        
+        const expense = await Expense.findById(id)
+            .select('paidBy group')
+            .populate('group', '_id members')
+            .lean();
+        
+        if (!expense) {
+            return res.status(404).json({ message: "Expense not found" });
+        }
+        
+        const isPayer = expense.paidBy.toString() === userId.toString();
+        const isMember = expense.group && expense.group.members.some(
+            memberId => memberId.toString() === userId.toString()
+        );
+        
+        if (!isPayer && !isMember) {
+            return res.status(403).json({ 
+                message: "You are not authorized to view this expense" 
+            });
+        }
+        
+        const revisions = await ExpenseRevision.find({ expense: id })
+            .sort({ revision: -1 })
+            .populate('editedBy', '_id name email')
+            .lean();
+        
+        return res.status(200).json({
+            message: "Expense revisions retrieved successfully",
+            expenseId: id,
+            count: revisions.length,
+            revisions: revisions.map(revision => ({
+                revision: revision.revision,
+                editedBy: revision.editedBy ? {
+                    id: revision.editedBy._id,
+                    name: revision.editedBy.name,
+                    email: revision.editedBy.email
+                } : null,
+                editedAt: revision.createdAt,
+                changes: revision.changes.map(change => ({
+                    field: change.field,
+                    previousValue: change.previousValue,
+                    newValue: change.newValue
+                }))
+            }))
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+const formatSeries = (expense) => ({
+    id: expense._id,
+    title: expense.title,
+    recurringFrequency: expense.recurringFrequency,
+    status: expense.recurrence.status,
+    nextOccurrence: expense.recurrence.status === "ended" ? null : expense.recurrence.nextOccurrence,
+    endDate: expense.recurrence.endDate || null,
+    pausedAt: expense.recurrence.pausedAt || null,
+    endedAt: expense.recurrence.endedAt || null
+});
+
+/**
+ * Load the recurring series an expense belongs to and check the caller may manage it.
+ * Occurrences resolve to the series they were created from.
+ * Sends the error response and returns null when the series cannot be changed.
+ */
+const findSeriesForUpdate = async (req, res) => {
+    const userId = req.user._id;
+    const { id } = req.params;
+
+    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+        res.status(400).json({ message: "Invalid expense ID" });
+        return null;
+    }
+
+    let expense = await Expense.findById(id);
+
+    if (expense && expense.recurringSource) {
+        expense = await Expense.findById(expense.recurringSource);
+    }
+
+    if (!expense) {
+        res.status(404).json({ message: "Expense not found" });
+        return null;
+    }
+
+    if (expense.group) {
+        const group = await Group.findById(expense.group).select('_id createdBy members memberRoles archivedAt').lean();
+        const role = getMemberRole(group, userId);
+        if (!role) {
+            res.status(403).json({ message: "You are not a member of this group" });
+            return null;
+        }
+        if (!hasGroupPermission(role, "expenses:write")) {
+            res.status(403).json({ message: "Viewers cannot change expenses in this group" });
+            return null;
+        }
+        if (isGroupArchived(group)) {
+            res.status(403).json({ message: "This group is archived and read-only" });
+            return null;
+        }
+    } else if (expense.paidBy.toString() !== userId.toString()) {
+        res.status(403).json({ message: "You are not authorized to update this expense" });
+        return null;
+    }
+
+    if (!expense.isRecurring || !expense.recurrence || !expense.recurrence.status) {
+        res.status(400).json({ message: "This expense is not part of a recurring series" });
+        return null;
+    }
+
+    return expense;
+};
+
+export const pauseRecurringExpense = async (req, res) => {
+    try {
+        const expense = await findSeriesForUpdate(req, res);
+        if (!expense) {
+            return;
+        }
+
+        if (expense.recurrence.status !== "active") {
+            return res.status(400).json({ message: `Only active series can be paused (this series is ${expense.recurrence.status})` });
+        }
+
+        expense.set("recurrence.status", "paused");
+        expense.set("recurrence.pausedAt", new Date());
+        await expense.save();
+
+        return res.status(200).json({
+            message: "Recurring expense paused successfully",
+            series: formatSeries(expense)
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const resumeRecurringExpense = async (req, res) => {
+    try {
+        const expense = await findSeriesForUpdate(req, res);
+        if (!expense) {
+            return;
+        }
+
+        if (expense.recurrence.status !== "paused") {
+            return res.status(400).json({ message: `Only paused series can be resumed (this series is ${expense.recurrence.status})` });
+        }
+
+        // Occurrences that fell while the series was paused are skipped
+        const now = new Date();
+        if (expense.recurrence.nextOccurrence <= now) {
+            const { index, date } = findNextOccurrence(expense.recurrence.anchorDate, expense.recurringFrequency, now);
+            expense.set("recurrence.occurrenceIndex", index);
+            expense.set("recurrence.nextOccurrence", date);
+        }
+
+        expense.set("recurrence.status", "active");
+        expense.set("recurrence.pausedAt", undefined);
+        await expense.save();
+
+        return res.status(200).json({
+            message: "Recurring expense resumed successfully",
+            series: formatSeries(expense)
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const endRecurringExpense = async (req, res) => {
+    try {
+        const expense = await findSeriesForUpdate(req, res);
+        if (!expense) {
+            return;
+        }
+
+        if (expense.recurrence.status === "ended") {
+            return res.status(400).json({ message: "This series has already ended" });
+        }
+
+        // Occurrences created so far are kept
+        expense.set("recurrence.status", "ended");
+        expense.set("recurrence.endedAt", new Date());
+        await expense.save();
+
+        return res.status(200).json({
+            message: "Recurring expense ended successfully",
+            series: formatSeries(expense)
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
 export const deleteExpense = async (req, res) => {
     try {
         const userId = req.user._id;
@@ -124,7 +716,7 @@ export const deleteExpense = async (req, res) => {
             return res.status(400).json({ message: "Invalid expense ID" });
         }
         
-        const expense = await Expense.findById(id).select('paidBy').lean();
+        const expense = await Expense.findById(id).select('paidBy group attachments').lean();
         
         if (!expense) {
             return res.status(404).json({ message: "Expense not found" });
@@ -134,7 +726,16 @@ export const deleteExpense = async (req, res) => {
             return res.status(403).json({ message: "You are not authorized to delete this expense" });
         }
         
-        await Expense.findByIdAndDelete(id);
+        if (expense.group && await Group.exists({ _id: expense.group, archivedAt: { $ne: null } })) {
+            return res.status(403).json({ message: "This group is archived and read-only" });
+        }
+        
+        await Promise.all([
+            Expense.findByIdAndDelete(id),
+            ExpenseRevision.deleteMany({ expense: id })
+        ]);
+        
+        await removeStoredAttachments(expense.attachments);
         
         return res.status(200).json({ 
             message: "Expense deleted successfully",
@@ -210,8 +811,11 @@ export const getExpenseById = async (req, res) => {
                 tags: expense.tags,
                 isRecurring: expense.isRecurring,
                 recurringFrequency: expense.recurringFrequency,
+                recurrence: expense.isRecurring ? expense.recurrence : undefined,
+                recurringSource: expense.recurringSource || null,
+                occurrenceDate: expense.occurrenceDate || null,
                 notes: expense.notes,
-                attachments: expense.attachments,
+                attachments: (expense.attachments || []).map(formatAttachment),
                 createdAt: expense.createdAt,
                 updatedAt: expense.updatedAt
             }
@@ -230,12 +834,20 @@ export const getGroupExpenses = async (req, res) => {
             return res.status(400).json({ message: "Invalid group ID" });
         }
         
-        const [group, expenses] = await Promise.all([
+        let listQuery;
+        try {
+            listQuery = buildExpenseListQuery(req.query, { allowedFilters: GROUP_EXPENSE_FILTERS });
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        
+        const [group, { expenses, pagination }] = await Promise.all([
             Group.findById(groupId).select('_id name description members').lean(),
-            Expense.find({ group: groupId })
-                .populate('paidBy', '_id name email')
-                .select('-__v')
-                .lean()
+            findExpensePage(
+                { group: new mongoose.Types.ObjectId(groupId) },
+                listQuery,
+                { populate: { path: 'paidBy', select: '_id name email' } }
+            )
         ]);
         
         if (!group) {
@@ -255,6 +867,7 @@ export const getGroupExpenses = async (req, res) => {
         
         return res.status(200).json({
             message: "Expenses retrieved successfully",
+            pagination,
             expenses: expenses.map(expense => ({
                 id: expense._id,
                 title: expense.title,
@@ -276,7 +889,7 @@ export const getGroupExpenses = async (req, res) => {
                 isRecurring: expense.isRecurring,
                 recurringFrequency: expense.recurringFrequency,
                 notes: expense.notes,
-                attachments: expense.attachments,
+                attachments: (expense.attachments || []).map(formatAttachment),
                 createdAt: expense.createdAt,
                 updatedAt: expense.updatedAt
             }))
@@ -289,29 +902,53 @@ export const getGroupExpenses = async (req, res) => {
 export const getUserExpenses = async (req, res) => {
     try {
         const userId = req.user._id;
+        const involvement = req.query.involvement || "all";
+        
+        if (!Object.prototype.hasOwnProperty.call(INVOLVEMENT_FILTERS, involvement)) {
+            return res.status(400).json({ message: `Involvement must be one of: ${Object.keys(INVOLVEMENT_FILTERS).join(", ")}` });
+        }
         
-        const [user, expenses] = await Promise.all([
-            User.findById(userId).select('_id name email').lean(),
-            Expense.find({ paidBy: userId })
-                .populate('group', '_id name description members')
-                .select('-__v')
-                .lean()
+        let listQuery;
+        try {
+            listQuery = buildExpenseListQuery(req.query, { allowedFilters: USER_EXPENSE_FILTERS });
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        
+        const [user, { expenses, pagination }] = await Promise.all([
+            User.findById(userId).select('_id name email preferredCurrency').lean(),
+            findExpensePage(
+                INVOLVEMENT_FILTERS[involvement](new mongoose.Types.ObjectId(userId)),
+                listQuery,
+                {
+                    populate: [
+                        { path: 'paidBy', select: '_id name email' },
+                        { path: 'group', select: '_id name description' }
+                    ]
+                }
+            )
         ]);
         
         if (!user) {
             return res.status(404).json({ message: "User not found" });
         }
         
-        const userData = {
-            id: user._id,
-            name: user.name,
-            email: user.email
-        };
+        // Shares in the preferred currency are valued the same way as group balances:
+        // at the rate locked in for the expense's date, then reported at today's rate
+        const preferredCurrency = user.preferredCurrency || "USD";
+        const usdToPreferredCurrency = getConversionRate("USD", preferredCurrency);
+        const [expenseRatesToUSD, groupBalancesCents] = await Promise.all([
+            Promise.all(expenses.map(getExpenseRateToUSD)),
+            getUserBalancesInGroups(userId, expenses.filter(expense => expense.group).map(expense => expense.group._id))
+        ]);
         
         return res.status(200).json({
             message: "Expenses retrieved successfully",
             count: expenses.length,
-            expenses: expenses.map(expense => ({
+            involvement,
+            preferredCurrency,
+            pagination,
+            expenses: expenses.map((expense, index) => ({
                 id: expense._id,
                 title: expense.title,
                 description: expense.description,
@@ -319,7 +956,11 @@ export const getUserExpenses = async (req, res) => {
                 currency: expense.currency,
                 category: expense.category,
                 date: expense.date,
-                paidBy: userData,
+                paidBy: {
+                    id: expense.paidBy._id,
+                    name: expense.paidBy.name,
+                    email: expense.paidBy.email
+                },
                 group: expense.group ? {
                     id: expense.group._id,
                     name: expense.group.name,
@@ -332,7 +973,14 @@ export const getUserExpenses = async (req, res) => {
                 isRecurring: expense.isRecurring,
                 recurringFrequency: expense.recurringFrequency,
                 notes: expense.notes,
-                attachments: expense.attachments,
+                attachments: (expense.attachments || []).map(formatAttachment),
+                myShare: getUserShare(
+                    expense,
+                    userId.toString(),
+                    preferredCurrency,
+                    expenseRatesToUSD[index] * usdToPreferredCurrency,
+                    groupBalancesCents
+                ),
                 createdAt: expense.createdAt,
                 updatedAt: expense.updatedAt
             }))
@@ -351,9 +999,15 @@ export const calculateGroupBalance = async (req, res) => {
             return res.status(400).json({ message: "Invalid group ID" });
         }
         
-        const [group, expenses] = await Promise.all([
+        if (req.query.currency && !isSupportedCurrency(req.query.currency)) {
+            return res.status(400).json({ message: `Unsupported currency: ${normalizeCurrencyCode(req.query.currency)}` });
+        }
+        
+        const [group, expenses, repayments, requestingUser] = await Promise.all([
             Group.findById(groupId).populate('members', '_id name email').lean(),
-            Expense.find({ group: groupId }).populate('paidBy', '_id name email').lean()
+            Expense.find({ group: groupId }).populate('paidBy', '_id name email').lean(),
+            getGroupRepayments(groupId, { includeVerified: parseIncludeVerified(req.query) }),
+            User.findById(userId).select('preferredCurrency').lean()
         ]);
         
         if (!group) {
@@ -376,35 +1030,112 @@ export const calculateGroupBalance = async (req, res) => {
             }))
         };
         
+        const reportingCurrency = normalizeCurrencyCode(
+            req.query.currency || (requestingUser && requestingUser.preferredCurrency) || "USD"
+        );
+        
+        // Expenses are valued at the rate locked in for their date, then reported at today's rate.
+        // Everything is added up in minor units of the reporting currency, so balances add up to exactly zero.
+        const usdToReportingCurrency = getConversionRate("USD", reportingCurrency);
+        const expenseRatesToUSD = await Promise.all(expenses.map(getExpenseRateToUSD));
+        
         const balanceMap = new Map();
+        const originalTotals = new Map();
+        
+        const addMemberBalance = (memberId, user = {}, isGroupMember = false) => {
+            if (!balanceMap.has(memberId)) {
+                balanceMap.set(memberId, {
+                    userId: memberId,
+                    name: user.name || null,
+                    email: user.email || null,
+                    isMember: isGroupMember,
+                    totalPaid: 0,
+                    totalOwed: 0,
+                    totalRepaid: 0,
+                    totalReceived: 0,
+                    balance: 0,
+                    paidByCurrency: {}
+                });
+            }
+            return balanceMap.get(memberId);
+        };
         
         group.members.forEach(member => {
-            balanceMap.set(member._id.toString(), {
-                userId: member._id.toString(),
-                name: member.name,
-                email: member.email,
-                totalPaid: 0,
-                totalOwed: 0,
-                balance: 0
+            addMemberBalance(member._id.toString(), member, true);
+        });
+        
+        // Shares come from each expense's split details, so members who joined later
+        // and former members are only charged for the expenses they were part of
+        expenses.forEach((expense, index) => {
+            const { total, shares } = convertExpenseShares(
+                expense,
+                reportingCurrency,
+                expenseRatesToUSD[index] * usdToReportingCurrency
+            );
+            const originalAmount = toMinorUnits(expense.amount, expense.currency);
+            
+            const payerBalance = addMemberBalance(expense.paidBy._id.toString(), expense.paidBy);
+            payerBalance.totalPaid += total;
+            payerBalance.paidByCurrency[expense.currency] = (payerBalance.paidByCurrency[expense.currency] || 0) + originalAmount;
+            
+            const currencyTotal = originalTotals.get(expense.currency) || { amount: 0, convertedAmount: 0 };
+            currencyTotal.amount += originalAmount;
+            currencyTotal.convertedAmount += total;
+            originalTotals.set(expense.currency, currencyTotal);
+            
+            shares.forEach((share, shareUserId) => {
+                addMemberBalance(shareUserId).totalOwed += share;
             });
         });
         
-        expenses.forEach(expense => {
-            const payerId = expense.paidBy._id.toString();
-            if (balanceMap.has(payerId)) {
-                const memberBalance = balanceMap.get(payerId);
-                memberBalance.totalPaid += expense.amount;
-            }
+        // Repayments were valued in USD when they were recorded
+        const toRepaymentReportingCurrency = (repayment) => convertMinorUnits(
+            toMinorUnits(repayment.amountUSD, "USD"),
+            "USD",
+            reportingCurrency,
+            usdToReportingCurrency
+        );
+        
+        let totalRepaid = 0;
+        
+        repayments.forEach(repayment => {
+            const amountConverted = toRepaymentReportingCurrency(repayment);
+            addMemberBalance(repayment.from.toString()).totalRepaid += amountConverted;
+            addMemberBalance(repayment.to.toString()).totalReceived += amountConverted;
+            totalRepaid += amountConverted;
         });
         
-        const totalAmount = expenses.reduce((sum, expense) => sum + expense.amount, 0);
-        const perPersonShare = group.members.length > 0 ? totalAmount / group.members.length : 0;
+        const unknownUserIds = Array.from(balanceMap.values())
+            .filter(memberBalance => !memberBalance.name)
+            .map(memberBalance => memberBalance.userId);
+        
+        if (unknownUserIds.length > 0) {
+            const formerMembers = await User.find({ _id: { $in: unknownUserIds } }).select('_id name email').lean();
+            formerMembers.forEach(user => {
+                const memberBalance = balanceMap.get(user._id.toString());
+                memberBalance.name = user.name;
+                memberBalance.email = user.email;
+            });
+        }
+        
+        const toReportingDecimal = (minorUnits) => fromMinorUnits(minorUnits, reportingCurrency);
         
-        balanceMap.forEach((memberBalance, userId) => {
-            memberBalance.totalOwed = perPersonShare;
-            memberBalance.balance = memberBalance.totalPaid - memberBalance.totalOwed;
+        balanceMap.forEach(memberBalance => {
+            const balance = memberBalance.totalPaid - memberBalance.totalOwed
+                + memberBalance.totalRepaid - memberBalance.totalReceived;
+            
+            memberBalance.totalPaid = toReportingDecimal(memberBalance.totalPaid);
+            memberBalance.totalOwed = toReportingDecimal(memberBalance.totalOwed);
+            memberBalance.totalRepaid = toReportingDecimal(memberBalance.totalRepaid);
+            memberBalance.totalReceived = toReportingDecimal(memberBalance.totalReceived);
+            memberBalance.balance = toReportingDecimal(balance);
+            Object.keys(memberBalance.paidByCurrency).forEach(currency => {
+                memberBalance.paidByCurrency[currency] = fromMinorUnits(memberBalance.paidByCurrency[currency], currency);
+            });
         });
         
+        const totalAmount = Array.from(originalTotals.values()).reduce((sum, total) => sum + total.convertedAmount, 0);
+        
         const balances = Array.from(balanceMap.values());
         
         return res.status(200).json({
@@ -412,8 +1143,16 @@ export const calculateGroupBalance = async (req, res) => {
             group: groupData,
             summary: {
                 totalExpenses: expenses.length,
-                totalAmount: totalAmount,
-                perPersonShare: perPersonShare
+                currency: reportingCurrency,
+                totalAmount: toReportingDecimal(totalAmount),
+                originalTotals: Array.from(originalTotals.entries()).map(([currency, total]) => ({
+                    currency,
+                    amount: fromMinorUnits(total.amount, currency),
+                    convertedAmount: toReportingDecimal(total.convertedAmount)
+                })),
+                sharedExpenses: expenses.filter(expense => expense.splitType !== "none").length,
+                repaymentsApplied: repayments.length,
+                totalRepaid: toReportingDecimal(totalRepaid)
             },
             balances: balances
         });
@@ -1,9 +1,28 @@
 import Group from "../models/group.model.js";
 import User from "../models/user.model.js";
+import Invitation from "../models/invitation.model.js";
+import Expense from "../models/expense.model.js";
+import Settlement from "../models/settlement.model.js";
+import { ASSIGNABLE_GROUP_ROLES, getMemberRole, isGroupArchived, outranks } from "../config/groupRoles.js";
+import { buildInvitationLink, createInvitationToken, formatInvitation, getInvitationTtlMs } from "../services/invitation.service.js";
+import { fromMinorUnits } from "../services/money.service.js";
+import { deleteGroupWithHistory, takeMemberOut } from "../services/groupRemoval.service.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const parseFlag = (value) => value === true || value === "true";
+
+// Set GROUP_NAMES_UNIQUE_PER_USER=false to let one user create several groups with the same name
+const requiresUniqueGroupNames = () => process.env.GROUP_NAMES_UNIQUE_PER_USER !== "false";
+
+const describeBalance = (balanceCents) => {
+    const amount = fromMinorUnits(Math.abs(balanceCents), "USD").toFixed(2);
+    return balanceCents < 0 ? `owe ${amount} USD` : `are owed ${amount} USD`;
+};
+
 export const createGroup = async (req, res) => {
     try {
 
@@ -22,16 +41,22 @@ export const createGroup = async (req, res) => {
             return res.status(400).json({ message: "Description must be at least 10 characters" });
         }
         
-        const groupExists = await Group.findOne({ name: name.toLowerCase() });
-        if (groupExists) {
-            return res.status(400).json({ message: "Group already exists" });
+        // Other users may use the same name, groups are told apart by their ID
+        const uniqueName = requiresUniqueGroupNames();
+        if (uniqueName) {
+            const groupExists = await Group.exists({ createdBy: userId, name: name.trim().toLowerCase() });
+            if (groupExists) {
+                return res.status(400).json({ message: "Group already exists" });
+            }
         }
         
         const group = await Group.create({ 
             name, 
             description, 
             createdBy: userId,
-            members: [userId]
+            members: [userId],
+            memberRoles: [{ user: userId, role: "owner" }],
+            uniqueName: uniqueName || undefined
         });
         
         return res.status(201).json({
@@ -41,58 +66,92 @@ export const createGroup = async (req, res) => {
                 name: group.name,
                 description: group.description,
                 createdBy: userId,
-                members: group.members
+                members: group.members,
+                memberRoles: group.memberRoles
             }
         });
     } catch (error) {
+        // The same name was created at the same time, the unique index let only one through
+        if (error.code === 11000) {
+            return res.status(409).json({ message: "Group already exists" });
+        }
         return res.status(500).json({ message: error.message });
     }
 };
 
+/**
+ * Invite a user by ID or email. They join once they accept the invitation (see invitation.controller.js).
+ * Emails without an account are kept on the invitation, which shows up once someone signs up with that email.
+ */
 export const inviteUserToGroup = async (req, res) => {
     try {
         const { groupId } = req.params;
-        const { userId } = req.body;
+        const { userId, role = "member" } = req.body;
+        const email = typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : "";
         const requestingUserId = req.user._id;
         
-        if (!userId) {
-            return res.status(400).json({ message: "User ID is required" });
+        if (!userId && !email) {
+            return res.status(400).json({ message: "User ID or email is required" });
+        }
+        
+        if (!userId && !EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ message: "Email is not valid" });
+        }
+        
+        if (!ASSIGNABLE_GROUP_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${ASSIGNABLE_GROUP_ROLES.join(", ")}` });
         }
         
         const [group, user] = await Promise.all([
             Group.findById(groupId).lean(),
-            User.findById(userId).select('_id').lean()
+            userId
+                ? User.findOne({ _id: userId, deletedAt: null }).select('_id email').lean()
+                : User.findOne({ email, deletedAt: null }).collation({ locale: "en", strength: 2 }).select('_id email').lean()
         ]);
         
         if (!group) {
             return res.status(404).json({ message: "Group not found" });
         }
         
-        if (group.createdBy.toString() !== requestingUserId.toString()) {
-            return res.status(403).json({ message: "Only group creator can invite users" });
+        if (!outranks(getMemberRole(group, requestingUserId), role)) {
+            return res.status(403).json({ message: `You cannot invite users as ${role}` });
         }
         
-        if (!user) {
+        if (userId && !user) {
             return res.status(404).json({ message: "User not found" });
         }
         
-        if (group.members.some(memberId => memberId.toString() === userId)) {
+        if (user && getMemberRole(group, user._id)) {
             return res.status(400).json({ message: "User is already a member of this group" });
         }
         
-        const updatedGroup = await Group.findByIdAndUpdate(
-            groupId,
-            { $addToSet: { members: userId } },
-            { new: true, select: '_id name members' }
-        ).lean();
+        const inviteeEmail = user ? user.email.toLowerCase() : email;
+        const pendingInvitation = await Invitation.findOne({
+            group: groupId,
+            status: "pending",
+            expiresAt: { $gt: new Date() },
+            $or: [{ email: inviteeEmail }, ...(user ? [{ invitee: user._id }] : [])]
+        }).select('_id').lean();
         
-        return res.status(200).json({ 
-            message: "User invited to group successfully",
-            group: {
-                id: updatedGroup._id,
-                name: updatedGroup.name,
-                members: updatedGroup.members
-            }
+        if (pendingInvitation) {
+            return res.status(400).json({ message: "User already has a pending invitation to this group" });
+        }
+        
+        const invitation = await Invitation.create({
+            group: groupId,
+            invitedBy: requestingUserId,
+            invitee: user ? user._id : undefined,
+            email: inviteeEmail,
+            role,
+            expiresAt: new Date(Date.now() + getInvitationTtlMs())
+        });
+        const token = createInvitationToken(invitation);
+        
+        return res.status(201).json({ 
+            message: "Invitation sent successfully",
+            invitation: formatInvitation(invitation),
+            token,
+            link: buildInvitationLink(token)
         });
     } catch (error) {
         return res.status(500).json({ message: error.message });
@@ -104,7 +163,7 @@ export const getGroupMembers = async (req, res) => {
         const { groupId } = req.params;
         const requestingUserId = req.user._id;
         
-        const group = await Group.findById(groupId).select('members').lean();
+        const group = await Group.findById(groupId).select('createdBy members memberRoles').lean();
         
         if (!group) {
             return res.status(404).json({ message: "Group not found" });
@@ -115,7 +174,7 @@ export const getGroupMembers = async (req, res) => {
             return res.status(403).json({ message: "You are not authorized to view this group" });
         }
         
-        const members = await User.find({ _id: { $in: group.members } })
+        const members = await User.find({ _id: { $in: group.members }, deletedAt: null })
             .select('_id name email')
             .lean();
         
@@ -126,7 +185,8 @@ export const getGroupMembers = async (req, res) => {
         return res.status(200).json({ 
             message: "Group members retrieved successfully",
             count: members.length,
-            members: members
+            members: members,
+            roles: Object.fromEntries(members.map(member => [member._id.toString(), getMemberRole(group, member._id)]))
         });
     } catch (error) {
         return res.status(500).json({ message: error.message });
@@ -144,7 +204,7 @@ export const removeUserFromGroup = async (req, res) => {
         }
         
         const [group, user] = await Promise.all([
-            Group.findById(groupId).select('createdBy members').lean(),
+            Group.findById(groupId).select('_id createdBy members memberRoles').lean(),
             User.findById(userId).select('_id').lean()
         ]);
         
@@ -152,32 +212,83 @@ export const removeUserFromGroup = async (req, res) => {
             return res.status(404).json({ message: "Group not found" });
         }
         
-        if (group.createdBy.toString() !== requestingUserId.toString()) {
-            return res.status(403).json({ message: "Only group creator can remove users" });
-        }
-        
         if (!user) {
             return res.status(404).json({ message: "User not found" });
         }
         
-        const isUserMember = group.members.some(memberId => memberId.toString() === userId);
-        if (!isUserMember) {
+        const targetRole = getMemberRole(group, userId);
+        if (!targetRole) {
             return res.status(400).json({ message: "User is not a member of this group" });
         }
         
-        const updatedGroup = await Group.findByIdAndUpdate(
-            groupId,
-            { $pull: { members: userId } },
-            { new: true, select: '_id name members' }
-        ).lean();
+        if (targetRole === "owner") {
+            return res.status(403).json({ message: "The group owner cannot be removed, transfer ownership first" });
+        }
+        
+        if (!outranks(getMemberRole(group, requestingUserId), targetRole)) {
+            return res.status(403).json({ message: `You cannot remove a group ${targetRole}` });
+        }
+        
+        const result = await takeMemberOut(group, user._id, { force: parseFlag(req.body.force), recordedBy: requestingUserId });
+        
+        if (!result.removed) {
+            return res.status(400).json({
+                message: `This member still needs to settle up, they ${describeBalance(result.balanceCents)} in this group. Remove them with force to write it off`,
+                balanceUSD: fromMinorUnits(result.balanceCents, "USD")
+            });
+        }
         
         return res.status(200).json({ 
             message: "User removed from group successfully",
             group: {
-                id: updatedGroup._id,
-                name: updatedGroup.name,
-                members: updatedGroup.members
-            }
+                id: result.updatedGroup._id,
+                name: result.updatedGroup.name,
+                members: result.updatedGroup.members
+            },
+            writeOffs: result.writeOffs
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const leaveGroup = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const requestingUserId = req.user._id;
+        
+        const group = await Group.findById(groupId).select('_id createdBy members memberRoles archivedAt').lean();
+        
+        if (!group) {
+            return res.status(404).json({ message: "Group not found" });
+        }
+        
+        const role = getMemberRole(group, requestingUserId);
+        if (!role) {
+            return res.status(400).json({ message: "You are not a member of this group" });
+        }
+        
+        if (isGroupArchived(group)) {
+            return res.status(403).json({ message: "This group is archived and read-only" });
+        }
+        
+        if (role === "owner") {
+            return res.status(403).json({ message: "The group owner cannot leave, transfer ownership first" });
+        }
+        
+        const result = await takeMemberOut(group, requestingUserId, { force: parseFlag((req.body || {}).force), recordedBy: requestingUserId });
+        
+        if (!result.removed) {
+            return res.status(400).json({
+                message: `You still ${describeBalance(result.balanceCents)} in this group. Settle up first, or leave with force to write it off`,
+                balanceUSD: fromMinorUnits(result.balanceCents, "USD")
+            });
+        }
+        
+        return res.status(200).json({
+            message: "You left the group successfully",
+            groupId: group._id,
+            writeOffs: result.writeOffs
         });
     } catch (error) {
         return res.status(500).json({ message: error.message });
@@ -189,7 +300,7 @@ export const listAllGroupsUserPresents = async (req, res) => {
         const requestingUserId = req.user._id;
         
         const groups = await Group.find({ members: requestingUserId })
-            .select('_id name description createdBy members createdAt')
+            .select('_id name description createdBy members memberRoles archivedAt createdAt')
             .lean();
         
         const groupsWithMemberCount = groups.map(group => ({
@@ -199,6 +310,9 @@ export const listAllGroupsUserPresents = async (req, res) => {
             createdBy: group.createdBy,
             memberCount: group.members.length,
             isCreator: group.createdBy.toString() === requestingUserId.toString(),
+            role: getMemberRole(group, requestingUserId),
+            isArchived: isGroupArchived(group),
+            archivedAt: group.archivedAt || null,
             createdAt: group.createdAt
         }));
         
@@ -216,27 +330,248 @@ export const deleteGroup = async (req, res) => {
     try {
         const { groupId } = req.params;
         const requestingUserId = req.user._id;
+        const cascade = parseFlag((req.body || {}).cascade ?? req.query.cascade);
         
-        const group = await Group.findById(groupId).select('createdBy members').lean();
+        const group = await Group.findById(groupId).select('createdBy members memberRoles').lean();
         
         if (!group) {
             return res.status(404).json({ message: "Group not found" });
         }
         
-        if (group.createdBy.toString() !== requestingUserId.toString()) {
-            return res.status(403).json({ message: "Only group creator can delete groups" });
+        if (getMemberRole(group, requestingUserId) !== "owner") {
+            return res.status(403).json({ message: "Only the group owner can delete the group" });
         }
 
-        if (group.members.length > 1) {
+        // Without cascade the group has to be emptied first; cascade deletes it for everyone
+        if (group.members.length > 1 && !cascade) {
             return res.status(400).json({ message: "Group cannot be deleted as it has members" });
         }
         
-        await Group.findByIdAndDelete(groupId);
+        const [expenseCount, settlementCount] = await Promise.all([
+            Expense.countDocuments({ group: groupId }),
+            Settlement.countDocuments({ group: groupId })
+        ]);
+        
+        // Expenses and settlements are the group's history, they only go away when asked for explicitly
+        if ((expenseCount > 0 || settlementCount > 0) && !cascade) {
+            return res.status(400).json({
+                message: `Group still has ${expenseCount} expense(s) and ${settlementCount} settlement(s). Archive it to keep its history, or delete it with cascade to remove them`,
+                expenses: expenseCount,
+                settlements: settlementCount
+            });
+        }
+        
+        const removed = await deleteGroupWithHistory(groupId);
+        if (!removed) {
+            return res.status(404).json({ message: "Group not found" });
+        }
         
         return res.status(200).json({ 
-            message: "Group deleted successfully"
+            message: "Group deleted successfully",
+            removed
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const archiveGroup = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const now = new Date();
+        
+        const group = await Group.findOneAndUpdate(
+            { _id: groupId, archivedAt: null },
+            { $set: { archivedAt: now, archivedBy: req.user._id } },
+            { new: true, select: '_id name archivedAt archivedBy' }
+        ).lean();
+        
+        if (!group) {
+            const exists = await Group.exists({ _id: groupId });
+            return exists
+                ? res.status(400).json({ message: "Group is already archived" })
+                : res.status(404).json({ message: "Group not found" });
+        }
+        
+        // Recurring expenses would keep adding to a read-only group, they stay paused once it is unarchived
+        const { modifiedCount } = await Expense.updateMany(
+            { group: groupId, isRecurring: true, "recurrence.status": "active" },
+            { $set: { "recurrence.status": "paused", "recurrence.pausedAt": now } }
+        );
+        
+        return res.status(200).json({
+            message: "Group archived successfully",
+            group: {
+                id: group._id,
+                name: group.name,
+                archivedAt: group.archivedAt,
+                archivedBy: group.archivedBy
+            },
+            pausedRecurringExpenses: modifiedCount
         });
     } catch (error) {
         return res.status(500).json({ message: error.message });
     }
-};
\ No newline at end of file
+};
+
+export const unarchiveGroup = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        
+        const group = await Group.findOneAndUpdate(
+            { _id: groupId, archivedAt: { $ne: null } },
+            { $set: { archivedAt: null, archivedBy: null } },
+            { new: true, select: '_id name archivedAt' }
+        ).lean();
+        
+        if (!group) {
+            const exists = await Group.exists({ _id: groupId });
+            return exists
+                ? res.status(400).json({ message: "Group is not archived" })
+                : res.status(404).json({ message: "Group not found" });
+        }
+        
+        return res.status(200).json({
+            message: "Group unarchived successfully",
+            group: {
+                id: group._id,
+                name: group.name,
+                archivedAt: group.archivedAt
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Write a group's roles back as a whole, only if nobody changed the group since it was read.
+ * Groups from before roles existed get every member's role written out on the first change.
+ * Returns null when the group was changed concurrently.
+ */
+const saveMemberRoles = (group, roles) => {
+    const memberRoles = group.members.map(memberId => ({
+        user: memberId,
+        role: roles[memberId.toString()] || getMemberRole(group, memberId)
+    }));
+
+    return Group.findOneAndUpdate(
+        { _id: group._id, updatedAt: group.updatedAt },
+        { $set: { memberRoles } },
+        { new: true, select: '_id name members memberRoles' }
+    ).lean();
+};
+
+export const changeMemberRole = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { userId, role } = req.body;
+        const requestingUserId = req.user._id;
+
+        if (!userId) {
+            return res.status(400).json({ message: "User ID is required" });
+        }
+
+        if (!ASSIGNABLE_GROUP_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${ASSIGNABLE_GROUP_ROLES.join(", ")}` });
+        }
+
+        if (userId === requestingUserId.toString()) {
+            return res.status(400).json({ message: "You cannot change your own role" });
+        }
+
+        const group = await Group.findById(groupId).lean();
+
+        if (!group) {
+            return res.status(404).json({ message: "Group not found" });
+        }
+
+        const requesterRole = getMemberRole(group, requestingUserId);
+        const targetRole = getMemberRole(group, userId);
+
+        if (!targetRole) {
+            return res.status(400).json({ message: "User is not a member of this group" });
+        }
+
+        if (targetRole === "owner") {
+            return res.status(403).json({ message: "The group owner's role can only change through an ownership transfer" });
+        }
+
+        // Admins manage members and viewers, only the owner can make or unmake admins
+        if (!outranks(requesterRole, targetRole) || !outranks(requesterRole, role)) {
+            return res.status(403).json({ message: `You cannot change a group ${targetRole} to ${role}` });
+        }
+
+        if (targetRole === role) {
+            return res.status(400).json({ message: `User is already a group ${role}` });
+        }
+
+        const updatedGroup = await saveMemberRoles(group, { [userId]: role });
+
+        if (!updatedGroup) {
+            return res.status(409).json({ message: "The group was changed meanwhile, please try again" });
+        }
+
+        return res.status(200).json({
+            message: "Member role updated successfully",
+            group: {
+                id: updatedGroup._id,
+                name: updatedGroup.name,
+                memberRoles: updatedGroup.memberRoles
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const transferOwnership = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { userId } = req.body;
+        const requestingUserId = req.user._id;
+
+        if (!userId) {
+            return res.status(400).json({ message: "User ID is required" });
+        }
+
+        const group = await Group.findById(groupId).lean();
+
+        if (!group) {
+            return res.status(404).json({ message: "Group not found" });
+        }
+
+        if (getMemberRole(group, requestingUserId) !== "owner") {
+            return res.status(403).json({ message: "Only the group owner can transfer ownership" });
+        }
+
+        if (userId === requestingUserId.toString()) {
+            return res.status(400).json({ message: "You already own this group" });
+        }
+
+        if (!getMemberRole(group, userId)) {
+            return res.status(400).json({ message: "User is not a member of this group" });
+        }
+
+        // The previous owner stays on as an admin
+        const updatedGroup = await saveMemberRoles(group, {
+            [userId]: "owner",
+            [requestingUserId.toString()]: "admin"
+        });
+
+        if (!updatedGroup) {
+            return res.status(409).json({ message: "The group was changed meanwhile, please try again" });
+        }
+
+        return res.status(200).json({
+            message: "Group ownership transferred successfully",
+            group: {
+                id: updatedGroup._id,
+                name: updatedGroup.name,
+                memberRoles: updatedGroup.memberRoles
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
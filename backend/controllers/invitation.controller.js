@@ -0,0 +1,299 @@
+import Group from "../models/group.model.js";
+import User from "../models/user.model.js";
+import Invitation from "../models/invitation.model.js";
+import { ASSIGNABLE_GROUP_ROLES, getMemberRole, isGroupArchived, outranks } from "../config/groupRoles.js";
+import {
+    buildInvitationLink,
+    createInvitationToken,
+    formatInvitation,
+    getInvitationIdFromToken,
+    getInvitationTtlMs,
+    isInvitationExpired,
+    verifyInvitationToken
+} from "../services/invitation.service.js";
+
+/**
+ * Whether an invitation is addressed to this user, by account or by email.
+ * Invite links are addressed to nobody and can be used by whoever holds them.
+ */
+const isAddressedTo = (invitation, user) => {
+    if (invitation.invitee) {
+        return invitation.invitee.toString() === user._id.toString();
+    }
+    if (invitation.email) {
+        return invitation.email === user.email.toLowerCase();
+    }
+    return false;
+};
+
+/**
+ * Load a pending invitation the requesting user can answer.
+ * Sends the error response and returns null when they cannot.
+ */
+const findInvitationToAnswer = async (req, res, { invitationId, token }) => {
+    const user = await User.findById(req.user._id).select('_id email emailVerifiedAt').lean();
+    if (!user) {
+        res.status(404).json({ message: "User not found" });
+        return null;
+    }
+
+    const invitation = await Invitation.findById(invitationId).lean();
+
+    if (!invitation || (token && !verifyInvitationToken(token, invitation))) {
+        res.status(404).json({ message: "Invitation not found" });
+        return null;
+    }
+
+    // Invite links are for anyone, everything else only for the person it was sent to
+    const isLink = !invitation.invitee && !invitation.email;
+    if (!isAddressedTo(invitation, user) && !(token && isLink)) {
+        res.status(403).json({ message: "This invitation is not addressed to you" });
+        return null;
+    }
+
+    // Anyone can sign up with an address, only its owner can open the verification link
+    if (!invitation.invitee && invitation.email && !user.emailVerifiedAt) {
+        res.status(403).json({ message: "Verify your email address to answer this invitation" });
+        return null;
+    }
+
+    if (invitation.status !== "pending") {
+        res.status(400).json({ message: `This invitation has already been ${invitation.status}` });
+        return null;
+    }
+
+    if (isInvitationExpired(invitation)) {
+        res.status(400).json({ message: "This invitation has expired" });
+        return null;
+    }
+
+    return { invitation, user };
+};
+
+/**
+ * Add the user to the invitation's group with the invited role and close the invitation
+ */
+const joinGroup = async (res, invitation, user) => {
+    const group = await Group.findById(invitation.group).select('_id createdBy members memberRoles archivedAt').lean();
+    if (!group) {
+        return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (isGroupArchived(group)) {
+        return res.status(403).json({ message: "This group is archived and read-only" });
+    }
+
+    if (getMemberRole(group, user._id)) {
+        return res.status(400).json({ message: "You are already a member of this group" });
+    }
+
+    // Claiming the invitation first means two requests with the same invitation cannot both join
+    const claimed = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, status: "pending" },
+        { $set: { status: "accepted", invitee: user._id, respondedAt: new Date() } },
+        { new: true }
+    ).lean();
+
+    if (!claimed) {
+        return res.status(409).json({ message: "This invitation was answered meanwhile" });
+    }
+
+    const updatedGroup = await Group.findOneAndUpdate(
+        { _id: group._id, members: { $ne: user._id } },
+        {
+            $addToSet: { members: user._id },
+            $push: { memberRoles: { user: user._id, role: invitation.role } }
+        },
+        { new: true, select: '_id name members' }
+    ).lean();
+
+    if (!updatedGroup) {
+        return res.status(400).json({ message: "You are already a member of this group" });
+    }
+
+    return res.status(200).json({
+        message: "Invitation accepted successfully",
+        invitation: formatInvitation(claimed),
+        group: {
+            id: updatedGroup._id,
+            name: updatedGroup.name,
+            members: updatedGroup.members
+        }
+    });
+};
+
+export const createInviteLink = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { role = "member" } = req.body || {};
+        const requestingUserId = req.user._id;
+
+        if (!ASSIGNABLE_GROUP_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${ASSIGNABLE_GROUP_ROLES.join(", ")}` });
+        }
+
+        const group = await Group.findById(groupId).select('_id createdBy members memberRoles').lean();
+
+        if (!group) {
+            return res.status(404).json({ message: "Group not found" });
+        }
+
+        if (!outranks(getMemberRole(group, requestingUserId), role)) {
+            return res.status(403).json({ message: `You cannot invite users as ${role}` });
+        }
+
+        const invitation = await Invitation.create({
+            group: groupId,
+            invitedBy: requestingUserId,
+            role,
+            expiresAt: new Date(Date.now() + getInvitationTtlMs())
+        });
+        const token = createInvitationToken(invitation);
+
+        return res.status(201).json({
+            message: "Invite link created successfully",
+            invitation: formatInvitation(invitation),
+            token,
+            link: buildInvitationLink(token)
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const getGroupInvitations = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+
+        const invitations = await Invitation.find({ group: groupId, status: "pending", expiresAt: { $gt: new Date() } })
+            .sort({ createdAt: -1 })
+            .populate('invitee', '_id name email')
+            .populate('invitedBy', '_id name email')
+            .lean();
+
+        return res.status(200).json({
+            message: "Group invitations retrieved successfully",
+            count: invitations.length,
+            invitations: invitations.map(formatInvitation)
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const revokeInvitation = async (req, res) => {
+    try {
+        const { groupId, invitationId } = req.params;
+
+        const invitation = await Invitation.findOneAndUpdate(
+            { _id: invitationId, group: groupId, status: "pending" },
+            { $set: { status: "revoked", revokedBy: req.user._id, respondedAt: new Date() } },
+            { new: true }
+        ).lean();
+
+        if (!invitation) {
+            const exists = await Invitation.findOne({ _id: invitationId, group: groupId }).select('status').lean();
+            if (!exists) {
+                return res.status(404).json({ message: "Invitation not found" });
+            }
+            return res.status(400).json({ message: `This invitation has already been ${exists.status}` });
+        }
+
+        return res.status(200).json({
+            message: "Invitation revoked successfully",
+            invitation: formatInvitation(invitation)
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const getMyInvitations = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('_id email emailVerifiedAt').lean();
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const invitations = await Invitation.find({
+            status: "pending",
+            expiresAt: { $gt: new Date() },
+            $or: [
+                { invitee: user._id },
+                // Invitations sent to the address only show up once the user proved it is theirs
+                ...(user.emailVerifiedAt ? [{ invitee: { $exists: false }, email: user.email.toLowerCase() }] : [])
+            ]
+        })
+            .sort({ createdAt: -1 })
+            .populate('group', '_id name description')
+            .populate('invitedBy', '_id name email')
+            .lean();
+
+        return res.status(200).json({
+            message: "Invitations retrieved successfully",
+            count: invitations.length,
+            invitations: invitations.map(formatInvitation)
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const acceptInvitation = async (req, res) => {
+    try {
+        const found = await findInvitationToAnswer(req, res, { invitationId: req.params.invitationId });
+        if (!found) {
+            return;
+        }
+
+        return await joinGroup(res, found.invitation, found.user);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const acceptInvitationLink = async (req, res) => {
+    try {
+        const { token } = req.body || {};
+
+        const invitationId = getInvitationIdFromToken(token);
+        if (!invitationId) {
+            return res.status(400).json({ message: "A valid invite token is required" });
+        }
+
+        const found = await findInvitationToAnswer(req, res, { invitationId, token });
+        if (!found) {
+            return;
+        }
+
+        return await joinGroup(res, found.invitation, found.user);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+export const declineInvitation = async (req, res) => {
+    try {
+        const found = await findInvitationToAnswer(req, res, { invitationId: req.params.invitationId });
+        if (!found) {
+            return;
+        }
+
+        const invitation = await Invitation.findOneAndUpdate(
+            { _id: found.invitation._id, status: "pending" },
+            { $set: { status: "declined", invitee: found.user._id, respondedAt: new Date() } },
+            { new: true }
+        ).lean();
+
+        if (!invitation) {
+            return res.status(409).json({ message: "This invitation was answered meanwhile" });
+        }
+
+        return res.status(200).json({
+            message: "Invitation declined successfully",
+            invitation: formatInvitation(invitation)
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
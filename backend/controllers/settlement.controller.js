@@ -1,43 +1,131 @@
+import crypto from "crypto";
 import Group from "../models/group.model.js";
-import Expense from "../models/expense.model.js";
 import User from "../models/user.model.js";
-import { convertToUSD, convertCurrency } from "../services/currency.service.js";
+import { convertCurrency } from "../services/currency.service.js";
 import Settlement from "../models/settlement.model.js";
+import { calculateMinimumTransactions, getGroupBalancesInCents, parseIncludeVerified } from "../services/balance.service.js";
+import { fromMinorUnits } from "../services/money.service.js";
+import { getMemberRole, hasGroupPermission, isGroupArchived } from "../config/groupRoles.js";
+
+const hashSettlementPlan = (groupId, settlements) => {
+    const transfers = settlements
+        .map(settlement => `${settlement.from.user.id}:${settlement.to.user.id}:${settlement.amountUSD.toFixed(2)}`)
+        .sort();
+
+    return crypto
+        .createHash("sha256")
+        .update(`${groupId}|${transfers.join("|")}`)
+        .digest("hex");
+};
 
-const calculateMinimumTransactions = (balances) => {
-    const transactions = [];
-    const balanceArray = Object.entries(balances).map(([userId, amount]) => ({
-        userId,
-        amount
-    }));
-
-    const creditors = balanceArray.filter(b => b.amount > 0).sort((a, b) => b.amount - a.amount);
-    const debtors = balanceArray.filter(b => b.amount < 0).sort((a, b) => a.amount - b.amount);
-
-    let i = 0, j = 0;
-
-    while (i < creditors.length && j < debtors.length) {
-        const creditor = creditors[i];
-        const debtor = debtors[j];
-
-        const settleAmount = Math.min(creditor.amount, Math.abs(debtor.amount));
+const buildSettlementPlan = async (groupData, { includeVerified = false } = {}) => {
+    const { expenses, repayments, balancesUSD, totalExpenseCents, totalRepaidCents } =
+        await getGroupBalancesInCents(groupData, { includeVerified });
+
+    if (expenses.length === 0) {
+        return {
+            expenses,
+            repayments,
+            balances: {},
+            settlements: [],
+            totalExpenseUSD: 0,
+            totalRepaidUSD: 0
+        };
+    }
 
-        if (settleAmount > 0.01) {
-            transactions.push({
-                from: debtor.userId,
-                to: creditor.userId,
-                amountUSD: parseFloat(settleAmount.toFixed(2))
-            });
+    // Former members can still be part of older expenses, so every user with a balance is loaded
+    const users = await User.find({ 
+        _id: { $in: Object.keys(balancesUSD) } 
+    }).select('_id name email preferredCurrency').lean();
+
+    const userMap = {};
+    users.forEach(user => {
+        userMap[user._id.toString()] = {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            preferredCurrency: user.preferredCurrency || "USD"
+        };
+    });
+
+    const settlementsUSD = calculateMinimumTransactions(balancesUSD);
+
+    const enrichedSettlements = settlementsUSD.map(settlement => {
+        const fromUser = userMap[settlement.from];
+        const toUser = userMap[settlement.to];
+
+        // Safety check - skip if users not found
+        if (!fromUser || !toUser) {
+            return null;
         }
 
-        creditor.amount -= settleAmount;
-        debtor.amount += settleAmount;
-
-        if (creditor.amount < 0.01) i++;
-        if (Math.abs(debtor.amount) < 0.01) j++;
-    }
+        const amountInFromCurrency = convertCurrency(
+            settlement.amountUSD, 
+            'USD', 
+            fromUser.preferredCurrency || 'USD'
+        );
+        const amountInToCurrency = convertCurrency(
+            settlement.amountUSD, 
+            'USD', 
+            toUser.preferredCurrency || 'USD'
+        );
 
-    return transactions;
+        return {
+            from: {
+                user: {
+                    id: fromUser.id,
+                    name: fromUser.name,
+                    email: fromUser.email
+                },
+                amount: amountInFromCurrency,
+                currency: fromUser.preferredCurrency || 'USD'
+            },
+            to: {
+                user: {
+                    id: toUser.id,
+                    name: toUser.name,
+                    email: toUser.email
+                },
+                amount: amountInToCurrency,
+                currency: toUser.preferredCurrency || 'USD'
+            },
+            amountUSD: settlement.amountUSD,
+            description: `${fromUser.name} pays ${toUser.name}`
+        };
+    }).filter(Boolean); // Remove null entries
+
+    const balanceSummary = {};
+    
+    Object.entries(balancesUSD).forEach(([userId, balanceCents]) => {
+        if (balanceCents !== 0) {
+            const user = userMap[userId];
+            if (user) {
+                const balanceUSD = fromMinorUnits(balanceCents, "USD");
+                const balanceInPreferredCurrency = convertCurrency(
+                    Math.abs(balanceUSD),
+                    'USD',
+                    user.preferredCurrency
+                );
+
+                balanceSummary[userId] = {
+                    user: user,
+                    balanceUSD: balanceUSD,
+                    balance: balanceInPreferredCurrency,
+                    currency: user.preferredCurrency,
+                    status: balanceUSD > 0 ? "owed" : "owes"
+                };
+            }
+        }
+    });
+
+    return {
+        expenses,
+        repayments,
+        balances: balanceSummary,
+        settlements: enrichedSettlements,
+        totalExpenseUSD: fromMinorUnits(totalExpenseCents, "USD"),
+        totalRepaidUSD: fromMinorUnits(totalRepaidCents, "USD")
+    };
 };
 
 export const generateSettlementPlan = async (req, res) => {
@@ -59,12 +147,11 @@ export const generateSettlementPlan = async (req, res) => {
             });
         }
 
-        const expenses = await Expense.find({ 
-            group: groupId,
-            splitType: { $ne: "none" }
-        }).lean();
+        const plan = await buildSettlementPlan(groupData, {
+            includeVerified: parseIncludeVerified(req.query)
+        });
 
-        if (expenses.length === 0) {
+        if (plan.expenses.length === 0) {
             return res.status(200).json({
                 message: "No expenses to settle",
                 groupId: groupId,
@@ -75,131 +162,134 @@ export const generateSettlementPlan = async (req, res) => {
             });
         }
 
-        const users = await User.find({ 
-            _id: { $in: groupData.members } 
-        }).select('_id name email preferredCurrency').lean();
-
-        const userMap = {};
-        users.forEach(user => {
-            userMap[user._id.toString()] = {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                preferredCurrency: user.preferredCurrency || "USD"
-            };
+        return res.status(200).json({
+            message: "Settlement plan generated successfully",
+            groupId: groupId,
+            groupName: groupData.name,
+            totalExpenses: plan.expenses.length,
+            totalAmountUSD: plan.totalExpenseUSD,
+            totalRepaidUSD: plan.totalRepaidUSD,
+            repaymentsApplied: plan.repayments.length,
+            baseCurrency: "USD",
+            balances: plan.balances,
+            settlements: plan.settlements,
+            transactionCount: plan.settlements.length,
+            note: "All calculations are done in USD after deducting recorded repayments, but amounts are shown in each user's preferred currency"
         });
 
-        const balancesUSD = {};
+    } catch (error) {
+        console.error("Error generating settlement plan:", error);
+        return res.status(500).json({ message: error.message });
+    }
+};
 
-        groupData.members.forEach(memberId => {
-            balancesUSD[memberId.toString()] = 0;
-        });
+export const commitSettlementPlan = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user._id;
 
-        expenses.forEach(expense => {
-            const paidById = expense.paidBy.toString();
-            
-            const amountInUSD = convertToUSD(expense.amount, expense.currency);
-            
-            balancesUSD[paidById] = (balancesUSD[paidById] || 0) + amountInUSD;
-
-            if (expense.splitDetails && expense.splitDetails.length > 0) {
-                expense.splitDetails.forEach(split => {
-                    const splitUserId = split.user.toString();
-                    const shareAmount = split.amount || 0;
-                    const shareInUSD = convertToUSD(shareAmount, expense.currency);
-                    balancesUSD[splitUserId] = (balancesUSD[splitUserId] || 0) - shareInUSD;
-                });
-            }
-        });
+        const groupData = await Group.findById(groupId).lean();
+        if (!groupData) {
+            return res.status(404).json({ message: "Group not found" });
+        }
+
+        const isMember = groupData.members.some(
+            memberId => memberId.toString() === userId.toString()
+        );
+        if (!isMember) {
+            return res.status(403).json({ 
+                message: "You are not authorized to commit this group's settlement plan" 
+            });
+        }
 
-        const settlementsUSD = calculateMinimumTransactions(balancesUSD);
+        if (isGroupArchived(groupData)) {
+            return res.status(403).json({ message: "This group is archived and read-only" });
+        }
 
-        const enrichedSettlements = settlementsUSD.map(settlement => {
-            const fromUser = userMap[settlement.from];
-            const toUser = userMap[settlement.to];
+        // Viewers still verify and complete transfers they are part of, they just cannot start new ones
+        if (!hasGroupPermission(getMemberRole(groupData, userId), "settlements:write")) {
+            return res.status(403).json({ message: "Viewers cannot record settlements in this group" });
+        }
 
-            // Safety check - skip if users not found
-            if (!fromUser || !toUser) {
-                return null;
-            }
+        // Verified transfers are already on their way, so they are not asked for again
+        const plan = await buildSettlementPlan(groupData, { includeVerified: true });
 
-            const amountInFromCurrency = convertCurrency(
-                settlement.amountUSD, 
-                'USD', 
-                fromUser.preferredCurrency || 'USD'
-            );
-            const amountInToCurrency = convertCurrency(
-                settlement.amountUSD, 
-                'USD', 
-                toUser.preferredCurrency || 'USD'
-            );
-
-            return {
-                from: {
-                    user: {
-                        id: fromUser.id,
-                        name: fromUser.name,
-                        email: fromUser.email
-                    },
-                    amount: amountInFromCurrency,
-                    currency: fromUser.preferredCurrency || 'USD'
-                },
-                to: {
-                    user: {
-                        id: toUser.id,
-                        name: toUser.name,
-                        email: toUser.email
-                    },
-                    amount: amountInToCurrency,
-                    currency: toUser.preferredCurrency || 'USD'
-                },
+        if (plan.settlements.length === 0) {
+            const { deletedCount } = await Settlement.deleteMany({
+                group: groupId,
+                status: "pending",
+                planHash: { $exists: true }
+            });
+
+            return res.status(200).json({
+                message: "No settlements to commit",
+                groupId: groupId,
+                groupName: groupData.name,
+                replacedCount: deletedCount,
+                settlements: []
+            });
+        }
+
+        const planHash = hashSettlementPlan(groupId, plan.settlements);
+
+        // The same plan was already committed - hand back the existing records
+        const committedSettlements = await Settlement.find({ 
+            group: groupId, 
+            planHash 
+        }).lean();
+
+        if (committedSettlements.length > 0) {
+            return res.status(200).json({
+                message: "Settlement plan already committed",
+                groupId: groupId,
+                groupName: groupData.name,
+                planHash,
+                replacedCount: 0,
+                settlements: committedSettlements
+            });
+        }
+
+        // Pending records from an outdated plan are replaced, verified and completed ones are kept
+        const { deletedCount } = await Settlement.deleteMany({
+            group: groupId,
+            status: "pending",
+            planHash: { $exists: true, $ne: planHash }
+        });
+
+        try {
+            await Settlement.insertMany(plan.settlements.map(settlement => ({
+                group: groupId,
+                from: settlement.from.user.id,
+                to: settlement.to.user.id,
+                amount: settlement.from.amount,
+                currency: settlement.from.currency,
                 amountUSD: settlement.amountUSD,
-                description: `${fromUser.name} pays ${toUser.name}`
-            };
-        }).filter(Boolean); // Remove null entries
-
-        const balanceSummary = {};
-        
-        Object.entries(balancesUSD).forEach(([userId, balanceUSD]) => {
-            if (Math.abs(balanceUSD) > 0.01) {
-                const user = userMap[userId];
-                if (user) {
-                    const balanceInPreferredCurrency = convertCurrency(
-                        Math.abs(balanceUSD),
-                        'USD',
-                        user.preferredCurrency
-                    );
-
-                    balanceSummary[userId] = {
-                        user: user,
-                        balanceUSD: parseFloat(balanceUSD.toFixed(2)),
-                        balance: balanceInPreferredCurrency,
-                        currency: user.preferredCurrency,
-                        status: balanceUSD > 0 ? "owed" : "owes"
-                    };
-                }
+                status: "pending",
+                planHash,
+                notes: settlement.description
+            })), { ordered: false });
+        } catch (error) {
+            // A concurrent commit of the same plan already inserted these records
+            if (error.code !== 11000) {
+                throw error;
             }
-        });
+        }
 
-        const totalExpenseUSD = expenses.reduce((sum, exp) => {
-            return sum + convertToUSD(exp.amount, exp.currency);
-        }, 0);
+        const settlements = await Settlement.find({ 
+            group: groupId, 
+            planHash 
+        }).lean();
 
-        return res.status(200).json({
-            message: "Settlement plan generated successfully",
+        return res.status(201).json({
+            message: "Settlement plan committed successfully",
             groupId: groupId,
             groupName: groupData.name,
-            totalExpenses: expenses.length,
-            totalAmountUSD: parseFloat(totalExpenseUSD.toFixed(2)),
-            baseCurrency: "USD",
-            balances: balanceSummary,
-            settlements: enrichedSettlements,
-            transactionCount: enrichedSettlements.length,
-            note: "All calculations are done in USD, but amounts are shown in each user's preferred currency"
+            planHash,
+            replacedCount: deletedCount,
+            settlements: settlements
         });
-
     } catch (error) {
-        console.error("Error generating settlement plan:", error);
+        console.error("Error committing settlement plan:", error);
         return res.status(500).json({ message: error.message });
     }
 };
@@ -259,6 +349,10 @@ export const verifySettlement = async (req, res) => {
             });
         }
 
+        if (isGroupArchived(groupData)) {
+            return res.status(403).json({ message: "This group is archived and read-only" });
+        }
+
         const settlement = await Settlement.findById(settlementId);
         if (!settlement) {
             return res.status(404).json({ message: "Settlement not found" });
@@ -333,6 +427,10 @@ export const recordSettlement = async (req, res) => {
             });
         }
 
+        if (isGroupArchived(groupData)) {
+            return res.status(403).json({ message: "This group is archived and read-only" });
+        }
+
         const settlement = await Settlement.findById(settlementId);
         if (!settlement) {
             return res.status(404).json({ message: "Settlement not found" });
@@ -0,0 +1,191 @@
+import bcrypt from "bcrypt";
+import User from "../models/user.model.js";
+import {
+    buildOtpauthUri,
+    consumeSecondFactor,
+    decryptTotpSecret,
+    encryptTotpSecret,
+    generateRecoveryCodes,
+    generateTotpSecret,
+    hashRecoveryCode,
+    verifyTotp
+} from "../services/twoFactor.service.js";
+
+const toRecoveryCodeRecords = (codes) => codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }));
+
+/**
+ * Start enrolling in two-factor authentication: a new secret to add to an authenticator app.
+ * Nothing changes for the login until the enrollment is confirmed with a code.
+ */
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('_id email twoFactor');
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+        }
+
+        const secret = generateTotpSecret();
+        user.twoFactor.pendingSecret = encryptTotpSecret(secret);
+        await user.save();
+
+        return res.status(200).json({
+            message: "Add the account to your authenticator app, then confirm with a code from it",
+            secret,
+            otpauthUri: buildOtpauthUri({ secret, accountName: user.email })
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Confirm the enrollment with a first code, turning two-factor authentication on.
+ * The recovery codes are only ever shown in this response.
+ */
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body || {};
+        if (!code) {
+            return res.status(400).json({ message: "Code is required" });
+        }
+
+        const user = await User.findById(req.user._id).select('_id twoFactor').lean();
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const twoFactor = user.twoFactor || {};
+        if (twoFactor.enabled) {
+            return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+        }
+        if (!twoFactor.pendingSecret) {
+            return res.status(400).json({ message: "Start the two-factor setup first" });
+        }
+
+        const step = verifyTotp(decryptTotpSecret(twoFactor.pendingSecret), code);
+        if (step === null) {
+            return res.status(400).json({ message: "Invalid two-factor code" });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+
+        // Only the secret the code was checked against is enabled, a setup started meanwhile wins
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, "twoFactor.enabled": { $ne: true }, "twoFactor.pendingSecret": twoFactor.pendingSecret },
+            {
+                $set: {
+                    "twoFactor.enabled": true,
+                    "twoFactor.secret": twoFactor.pendingSecret,
+                    "twoFactor.pendingSecret": null,
+                    "twoFactor.enabledAt": new Date(),
+                    "twoFactor.lastUsedStep": step,
+                    "twoFactor.recoveryCodes": toRecoveryCodeRecords(recoveryCodes)
+                }
+            },
+            { new: true }
+        ).lean();
+
+        if (!updated) {
+            return res.status(409).json({ message: "Two-factor setup changed meanwhile, please try again" });
+        }
+
+        return res.status(200).json({
+            message: "Two-factor authentication enabled, keep your recovery codes somewhere safe",
+            recoveryCodes
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Turn two-factor authentication off, with the password and a code or recovery code
+ */
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body || {};
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({ message: "Password and a two-factor or recovery code are required" });
+        }
+
+        const user = await User.findById(req.user._id).select('_id password twoFactor').lean();
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({ message: "Password is incorrect" });
+        }
+
+        const accepted = await consumeSecondFactor(user, { code, recoveryCode });
+        if (!accepted) {
+            return res.status(400).json({ message: "Invalid two-factor code" });
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    "twoFactor.enabled": false,
+                    "twoFactor.secret": null,
+                    "twoFactor.pendingSecret": null,
+                    "twoFactor.enabledAt": null,
+                    "twoFactor.lastUsedStep": null,
+                    "twoFactor.recoveryCodes": []
+                }
+            }
+        );
+
+        return res.status(200).json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Replace all recovery codes, e.g. when most are used up or the old ones may have leaked
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const { code } = req.body || {};
+        if (!code) {
+            return res.status(400).json({ message: "Code is required" });
+        }
+
+        const user = await User.findById(req.user._id).select('_id twoFactor').lean();
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+        }
+
+        const accepted = await consumeSecondFactor(user, { code });
+        if (!accepted) {
+            return res.status(400).json({ message: "Invalid two-factor code" });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { "twoFactor.recoveryCodes": toRecoveryCodeRecords(recoveryCodes) } }
+        );
+
+        return res.status(200).json({
+            message: "Recovery codes regenerated, the previous ones no longer work",
+            recoveryCodes
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
@@ -1,6 +1,7 @@
 import jwt from "jsonwebtoken";
+import User from "../models/user.model.js";
 
-export const auth = (req, res, next) => {
+export const auth = async (req, res, next) => {
     try {
         const authHeader = req.header("Authorization");
         if (!authHeader) {
@@ -14,6 +15,12 @@ export const auth = (req, res, next) => {
         if (!decoded) {
             return res.status(401).json({ message: "Unauthorized - Invalid token" });
         }
+
+        // Access tokens outlive account deletion, so the account is checked on every request
+        const deleted = await User.exists({ _id: decoded.id, deletedAt: { $ne: null } });
+        if (deleted) {
+            return res.status(401).json({ message: "Unauthorized - Account has been deleted" });
+        }
         req.user = { _id: decoded.id };
         next();
     } catch (error) {
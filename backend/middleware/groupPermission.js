@@ -0,0 +1,48 @@
+import Group from "../models/group.model.js";
+import { ARCHIVED_GROUP_PERMISSIONS, getMemberRole, hasGroupPermission, isGroupArchived } from "../config/groupRoles.js";
+
+const PERMISSION_DENIED_MESSAGES = {
+    "expenses:write": "Viewers cannot change expenses in this group",
+    "settlements:write": "Viewers cannot record settlements in this group",
+    "members:invite": "Only group owners and admins can invite users",
+    "members:remove": "Only group owners and admins can remove users",
+    "members:changeRole": "Only group owners and admins can change member roles",
+    "group:archive": "Only group owners and admins can archive the group",
+    "group:delete": "Only the group owner can delete the group",
+    "group:transferOwnership": "Only the group owner can transfer ownership"
+};
+
+/**
+ * Allow the request only when the authenticated user's role in the group from req.params.groupId
+ * grants the given permission (see config/groupRoles.js), and the group is not archived
+ * unless the permission still applies to archived groups.
+ * The group and the user's role are kept on req.group and req.groupRole for the controller.
+ */
+export const requireGroupPermission = (permission) => async (req, res, next) => {
+    try {
+        const group = await Group.findById(req.params.groupId).lean();
+
+        if (!group) {
+            return res.status(404).json({ message: "Group not found" });
+        }
+
+        const role = getMemberRole(group, req.user._id);
+        if (!role) {
+            return res.status(403).json({ message: "You are not a member of this group" });
+        }
+
+        if (!hasGroupPermission(role, permission)) {
+            return res.status(403).json({ message: PERMISSION_DENIED_MESSAGES[permission] || "You do not have permission to do this" });
+        }
+
+        if (isGroupArchived(group) && !ARCHIVED_GROUP_PERMISSIONS.includes(permission)) {
+            return res.status(403).json({ message: "This group is archived and read-only" });
+        }
+
+        req.group = group;
+        req.groupRole = role;
+        next();
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
@@ -0,0 +1,21 @@
+import { consumeRateLimit, getRateLimit, toRetryAfterSeconds } from "../services/rateLimit.service.js";
+
+/**
+ * Limit how often one IP can call a route, with the limit named in DEFAULT_RATE_LIMITS
+ * (see services/rateLimit.service.js). Requests over the limit get a 429 with a Retry-After header.
+ */
+export const rateLimitByIp = (name) => async (req, res, next) => {
+    try {
+        const { allowed, retryAfterMs } = await consumeRateLimit(`${name}:ip:${req.ip}`, getRateLimit(name));
+
+        if (!allowed) {
+            const retryAfter = toRetryAfterSeconds(retryAfterMs);
+            res.set("Retry-After", String(retryAfter));
+            return res.status(429).json({ message: "Too many requests, please try again later", retryAfter });
+        }
+
+        next();
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
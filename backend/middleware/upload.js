@@ -0,0 +1,43 @@
+import multer from "multer";
+import { ALLOWED_RECEIPT_MIME_TYPES, getMaxReceiptSizeBytes, isAllowedReceiptType } from "../services/receiptStorage.service.js";
+
+/**
+ * Parse a single receipt file sent as multipart form data under the "receipt" field.
+ * The file is kept in memory (bounded by the size limit) so its content can be checked before it is stored.
+ */
+export const uploadReceipt = (req, res, next) => {
+    const maxSize = getMaxReceiptSizeBytes();
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxSize, files: 1 },
+        fileFilter: (req, file, cb) => {
+            if (!isAllowedReceiptType(file.mimetype)) {
+                const error = new Error("Unsupported receipt type");
+                error.code = "UNSUPPORTED_RECEIPT_TYPE";
+                return cb(error);
+            }
+            cb(null, true);
+        }
+    }).single("receipt");
+
+    upload(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+
+        if (error.code === "LIMIT_FILE_SIZE") {
+            return res.status(413).json({ message: `Receipt must be at most ${maxSize} bytes` });
+        }
+        if (error.code === "UNSUPPORTED_RECEIPT_TYPE") {
+            return res.status(415).json({ message: `Receipt must be one of: ${ALLOWED_RECEIPT_MIME_TYPES.join(", ")}` });
+        }
+        if (error.code === "LIMIT_UNEXPECTED_FILE" || error.code === "LIMIT_FILE_COUNT") {
+            return res.status(400).json({ message: "Upload a single file in the \"receipt\" field" });
+        }
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({ message: error.message });
+        }
+        return res.status(400).json({ message: "Invalid multipart upload" });
+    });
+};
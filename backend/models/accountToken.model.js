@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+export const ACCOUNT_TOKEN_PURPOSES = Object.freeze(["password-reset", "email-verification"]);
+
+// Single-use tokens sent by email. Only a hash is stored, the token itself is only in the email.
+const accountTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ACCOUNT_TOKEN_PURPOSES,
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Email the token was sent to, a verification token only verifies this address
+    email: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+accountTokenSchema.index({ user: 1, purpose: 1 });
+// Expired tokens are removed by MongoDB
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+
+export default AccountToken;
@@ -6,6 +6,10 @@ const currencyRateSchema = new mongoose.Schema({
         required: true,
         default: "USD"
     },
+    source: {
+        type: String,
+        default: "static"
+    },
     rates: {
         type: Map,
         of: {
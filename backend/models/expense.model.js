@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { CURRENCY_CODES } from "../config/currencies.js";
 
 const expenseSchema = new mongoose.Schema({
     title: {
@@ -20,6 +21,11 @@ const expenseSchema = new mongoose.Schema({
         type: String,
         required: true,
         uppercase: true,
+        trim: true,
+        enum: {
+            values: CURRENCY_CODES,
+            message: "Unsupported currency: {VALUE}"
+        },
         default: "USD"
     },
     category: {
@@ -45,6 +51,15 @@ const expenseSchema = new mongoose.Schema({
         required: true,
         default: Date.now
     },
+    // Rate locked in when the expense was recorded, so later rate changes do not revalue it
+    exchangeRate: {
+        rateToUSD: {
+            type: Number,
+            min: 0
+        },
+        source: String,
+        ratesFetchedAt: Date
+    },
     paidBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
@@ -87,6 +102,14 @@ const expenseSchema = new mongoose.Schema({
     attachments: [{
         filename: String,
         url: String,
+        // Set for files uploaded to the app, pasted URLs have no stored file
+        storageKey: String,
+        mimeType: String,
+        size: Number,
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
         uploadedAt: {
             type: Date,
             default: Date.now
@@ -105,6 +128,27 @@ const expenseSchema = new mongoose.Schema({
         enum: ["daily", "weekly", "monthly", "yearly"],
         default: null
     },
+    // Schedule of a recurring series, kept on the series' first expense
+    recurrence: {
+        status: {
+            type: String,
+            enum: ["active", "paused", "ended"]
+        },
+        anchorDate: Date,
+        occurrenceIndex: Number,
+        nextOccurrence: Date,
+        endDate: Date,
+        pausedAt: Date,
+        endedAt: Date
+    },
+    // Set on expenses created by the recurring expense scheduler
+    recurringSource: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Expense"
+    },
+    occurrenceDate: {
+        type: Date
+    },
     notes: {
         type: String,
         trim: true,
@@ -120,9 +164,20 @@ expenseSchema.index({ category: 1 });
 expenseSchema.index({ "splitDetails.user": 1 });
 expenseSchema.index({ createdAt: -1 });
 
-// Compound indexes
-expenseSchema.index({ paidBy: 1, date: -1 });
-expenseSchema.index({ group: 1, date: -1 });
+// Compound indexes, _id is the tie-breaker of the paginated listings
+expenseSchema.index({ paidBy: 1, date: -1, _id: -1 });
+expenseSchema.index({ group: 1, date: -1, _id: -1 });
+expenseSchema.index({ paidBy: 1, amount: -1, _id: -1 });
+expenseSchema.index({ group: 1, amount: -1, _id: -1 });
+expenseSchema.index({ "splitDetails.user": 1, date: -1, _id: -1 });
+expenseSchema.index({ "splitDetails.user": 1, amount: -1, _id: -1 });
+
+// Recurring series that are due, and one occurrence per date of a series
+expenseSchema.index({ isRecurring: 1, "recurrence.status": 1, "recurrence.nextOccurrence": 1 });
+expenseSchema.index(
+    { recurringSource: 1, occurrenceDate: 1 },
+    { unique: true, partialFilterExpression: { recurringSource: { $type: "objectId" } } }
+);
 
 const Expense = mongoose.model("Expense", expenseSchema);
 
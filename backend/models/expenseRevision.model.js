@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const expenseRevisionSchema = new mongoose.Schema({
+    expense: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Expense",
+        required: true
+    },
+    revision: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    changes: [{
+        field: {
+            type: String,
+            required: true
+        },
+        previousValue: mongoose.Schema.Types.Mixed,
+        newValue: mongoose.Schema.Types.Mixed
+    }]
+}, { timestamps: true });
+
+expenseRevisionSchema.index({ expense: 1, revision: -1 }, { unique: true });
+
+const ExpenseRevision = mongoose.model("ExpenseRevision", expenseRevisionSchema);
+
+export default ExpenseRevision;
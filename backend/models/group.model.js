@@ -1,12 +1,12 @@
 import mongoose from "mongoose";
+import { GROUP_ROLES } from "../config/groupRoles.js";
 
 const groupSchema = new mongoose.Schema({
     name: {
         type: String,
         required: true,
         trim: true,
-        lowercase: true,
-        unique: true
+        lowercase: true
     },
     description: {
         type: String,
@@ -21,10 +21,44 @@ const groupSchema = new mongoose.Schema({
     members: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: "User"
-    }]
+    }],
+    // Role of each member, see config/groupRoles.js. Groups created before roles existed have no entries.
+    memberRoles: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        role: {
+            type: String,
+            enum: GROUP_ROLES,
+            required: true
+        }
+    }],
+    // Set while the group is archived: its history stays visible but nothing can change
+    archivedAt: {
+        type: Date,
+        default: null
+    },
+    archivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+    // Set on groups created while names have to be unique per user, so the unique index below covers them
+    uniqueName: {
+        type: Boolean
+    }
 }, { timestamps: true });
 
-groupSchema.index({ createdBy: 1 });
+// Names are only unique among the groups one user created (see GROUP_NAMES_UNIQUE_PER_USER), groups are identified by ID.
+// Databases created with the old global unique index on name need scripts/migrateGroupNameIndex.js.
+groupSchema.index({ createdBy: 1, name: 1 });
+groupSchema.index(
+    { createdBy: 1, name: 1 },
+    { unique: true, partialFilterExpression: { uniqueName: true }, name: "createdBy_1_name_1_unique" }
+);
 groupSchema.index({ members: 1 });
 
 const Group = mongoose.model("Group", groupSchema);
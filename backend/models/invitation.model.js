@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import { ASSIGNABLE_GROUP_ROLES } from "../config/groupRoles.js";
+
+const invitationSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Group",
+        required: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // Who the invitation is for. Invitations by email to someone without an account only have
+    // an email, and invite links have neither until someone accepts them.
+    invitee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    role: {
+        type: String,
+        enum: ASSIGNABLE_GROUP_ROLES,
+        default: "member"
+    },
+    status: {
+        type: String,
+        enum: ["pending", "accepted", "declined", "revoked"],
+        default: "pending"
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    respondedAt: {
+        type: Date
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, { timestamps: true });
+
+invitationSchema.index({ group: 1, status: 1 });
+invitationSchema.index({ invitee: 1, status: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+export default Invitation;
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+export const LOGIN_EVENT_TYPES = Object.freeze(["login-failed", "two-factor-failed", "account-locked"]);
+
+// How long login events are kept before MongoDB removes them
+const LOGIN_EVENT_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Failed logins and lockouts on an account, shown to its owner
+const loginEventSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    type: {
+        type: String,
+        enum: LOGIN_EVENT_TYPES,
+        required: true
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    // Set on lockouts, logins are refused until then
+    lockedUntil: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_EVENT_TTL_SECONDS });
+
+const LoginEvent = mongoose.model("LoginEvent", loginEventSchema);
+
+export default LoginEvent;
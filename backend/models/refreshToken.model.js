@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Why a refresh token stopped working before it expired
+export const REFRESH_TOKEN_REVOKE_REASONS = Object.freeze(["logout", "reuse", "password-reset", "password-change"]);
+
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // Every token rotated from the same login shares a family, revoking a session revokes the family
+    family: {
+        type: String,
+        required: true
+    },
+    // Only a hash of the token is stored, the token itself lives in the user's cookie
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Set once the token was exchanged for a new one, using it again means it was stolen
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "RefreshToken",
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: REFRESH_TOKEN_REVOKE_REASONS
+    }
+}, { timestamps: true });
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { CURRENCY_CODES } from "../config/currencies.js";
 
 const settlementSchema = new mongoose.Schema({
     group: {
@@ -25,6 +26,11 @@ const settlementSchema = new mongoose.Schema({
         type: String,
         required: true,
         uppercase: true,
+        trim: true,
+        enum: {
+            values: CURRENCY_CODES,
+            message: "Unsupported currency: {VALUE}"
+        },
         default: "USD"
     },
     amountUSD: {
@@ -37,6 +43,12 @@ const settlementSchema = new mongoose.Schema({
         enum: ["pending", "verified", "completed"],
         default: "pending"
     },
+    // Write-offs record a balance that was forgiven when a member left the group instead of money changing hands
+    kind: {
+        type: String,
+        enum: ["payment", "write-off"],
+        default: "payment"
+    },
     verifiedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User"
@@ -50,6 +62,9 @@ const settlementSchema = new mongoose.Schema({
     notes: {
         type: String,
         trim: true
+    },
+    planHash: {
+        type: String
     }
 }, { timestamps: true });
 
@@ -59,6 +74,12 @@ settlementSchema.index({ to: 1 });
 settlementSchema.index({ status: 1 });
 settlementSchema.index({ createdAt: -1 });
 
+// Prevents the same committed plan from producing duplicate pending transfers
+settlementSchema.index(
+    { group: 1, planHash: 1, from: 1, to: 1 },
+    { unique: true, partialFilterExpression: { status: "pending", planHash: { $exists: true } } }
+);
+
 const Settlement = mongoose.model("Settlement", settlementSchema);
 
 export default Settlement;
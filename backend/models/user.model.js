@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { CURRENCY_CODES } from "../config/currencies.js";
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -16,8 +17,78 @@ const userSchema = new mongoose.Schema({
     },
     preferredCurrency: {
         type: String,
-        enum: ["USD", "INR", "EUR", "CAD", "GBP"],
+        uppercase: true,
+        trim: true,
+        enum: {
+            values: CURRENCY_CODES,
+            message: "Unsupported currency: {VALUE}"
+        },
         default: "USD"
+    },
+    // BCP 47 language tag, e.g. "en-IN", used to format amounts and dates
+    locale: {
+        type: String,
+        trim: true,
+        default: "en-US"
+    },
+    // IANA time zone, e.g. "Asia/Kolkata"
+    timezone: {
+        type: String,
+        trim: true,
+        default: "UTC"
+    },
+    // Set once the user opened the link from the verification email
+    emailVerifiedAt: {
+        type: Date,
+        default: null
+    },
+    // New email address waiting for verification, it replaces email once verified
+    pendingEmail: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    // Set when the user deleted their account, the document stays anonymized so their expenses and settlements still add up
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // TOTP two-factor authentication, see services/twoFactor.service.js
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // Encrypted secret, only set while two-factor authentication is on
+        secret: {
+            type: String,
+            default: null
+        },
+        // Encrypted secret waiting for its first code to confirm the enrollment
+        pendingSecret: {
+            type: String,
+            default: null
+        },
+        enabledAt: {
+            type: Date,
+            default: null
+        },
+        // Time step of the last accepted code, a code is never accepted twice
+        lastUsedStep: {
+            type: Number,
+            default: null
+        },
+        recoveryCodes: [{
+            _id: false,
+            hash: {
+                type: String,
+                required: true
+            },
+            usedAt: {
+                type: Date,
+                default: null
+            }
+        }]
     }
 });
 
@@ -1,18 +1,47 @@
 import { Router } from "express";
-import { signup, login, logout, refreshToken, getUserProfile } from "../controllers/auth.controller.js";
+import { signup, login, verifyTwoFactorLogin, logout, refreshToken, getUserProfile, getLoginActivity, forgotPassword, resetPassword, verifyEmail, resendVerificationEmail, updateUserProfile, changePassword } from "../controllers/auth.controller.js";
+import { setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes } from "../controllers/twoFactor.controller.js";
+import { exportAccountData, deleteAccount } from "../controllers/account.controller.js";
 import { auth } from "../middleware/auth.js";
+import { rateLimitByIp } from "../middleware/rateLimit.js";
 
 
 const router = Router();
 
-router.route("/signup").post(signup);
+router.route("/signup").post(rateLimitByIp("signup"), signup);
 
-router.route("/login").post(login);
+router.route("/login").post(rateLimitByIp("login"), login);
+
+router.route("/2fa/verify").post(rateLimitByIp("login"), verifyTwoFactorLogin);
+
+router.route("/2fa/setup").post(auth, setupTwoFactor);
+
+router.route("/2fa/enable").post(auth, enableTwoFactor);
+
+router.route("/2fa/disable").post(auth, disableTwoFactor);
+
+router.route("/2fa/recovery-codes").post(auth, regenerateRecoveryCodes);
 
 router.route("/logout").post(logout);
 
 router.route("/refresh-token").post(refreshToken);
 
-router.route("/profile").get(auth, getUserProfile);
+router.route("/profile").get(auth, getUserProfile).patch(auth, updateUserProfile);
+
+router.route("/login-activity").get(auth, getLoginActivity);
+
+router.route("/export").get(auth, exportAccountData);
+
+router.route("/account").delete(auth, deleteAccount);
+
+router.route("/change-password").post(auth, changePassword);
+
+router.route("/forgot-password").post(forgotPassword);
+
+router.route("/reset-password").post(resetPassword);
+
+router.route("/verify-email").post(verifyEmail);
+
+router.route("/resend-verification").post(auth, resendVerificationEmail);
 
 export default router;
@@ -1,6 +1,8 @@
 import { Router } from "express";
-import { addExpenseInAnyCurrency, deleteExpense, getExpenseById, getGroupExpenses, getUserExpenses, calculateGroupBalance } from "../controllers/expense.controller.js";
+import { addExpenseInAnyCurrency, updateExpense, getExpenseRevisions, pauseRecurringExpense, resumeRecurringExpense, endRecurringExpense, deleteExpense, getExpenseById, getGroupExpenses, getUserExpenses, calculateGroupBalance } from "../controllers/expense.controller.js";
+import { uploadExpenseAttachment, downloadExpenseAttachment, deleteExpenseAttachment } from "../controllers/attachment.controller.js";
 import { auth } from "../middleware/auth.js";
+import { uploadReceipt } from "../middleware/upload.js";
 
 
 const router = Router();
@@ -17,4 +19,18 @@ router.route("/get-user-expenses").get(auth, getUserExpenses);
 
 router.route("/calculate-group-balance/:groupId").get(auth, calculateGroupBalance);
 
+router.route("/:id/revisions").get(auth, getExpenseRevisions);
+
+router.route("/:id/recurrence/pause").post(auth, pauseRecurringExpense);
+
+router.route("/:id/recurrence/resume").post(auth, resumeRecurringExpense);
+
+router.route("/:id/recurrence/end").post(auth, endRecurringExpense);
+
+router.route("/:id/attachments").post(auth, uploadReceipt, uploadExpenseAttachment);
+
+router.route("/:id/attachments/:attachmentId").get(auth, downloadExpenseAttachment).delete(auth, deleteExpenseAttachment);
+
+router.route("/:id").patch(auth, updateExpense);
+
 export default router;
\ No newline at end of file
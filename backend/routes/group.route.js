@@ -1,19 +1,37 @@
 import { Router } from "express";
-import { createGroup, inviteUserToGroup, getGroupMembers, removeUserFromGroup, listAllGroupsUserPresents, deleteGroup } from "../controllers/group.controller.js";
+import { createGroup, inviteUserToGroup, getGroupMembers, removeUserFromGroup, listAllGroupsUserPresents, deleteGroup, changeMemberRole, transferOwnership, leaveGroup, archiveGroup, unarchiveGroup } from "../controllers/group.controller.js";
+import { createInviteLink, getGroupInvitations, revokeInvitation } from "../controllers/invitation.controller.js";
 import { auth } from "../middleware/auth.js";
+import { requireGroupPermission } from "../middleware/groupPermission.js";
 
 const router = Router();
 
 router.route("/create-group").post(auth, createGroup);
 
-router.route("/invite-user-to-group/:groupId").post(auth, inviteUserToGroup);
+router.route("/invite-user-to-group/:groupId").post(auth, requireGroupPermission("members:invite"), inviteUserToGroup);
+
+router.route("/create-invite-link/:groupId").post(auth, requireGroupPermission("members:invite"), createInviteLink);
+
+router.route("/get-group-invitations/:groupId").get(auth, requireGroupPermission("members:invite"), getGroupInvitations);
+
+router.route("/revoke-invitation/:groupId/:invitationId").post(auth, requireGroupPermission("members:invite"), revokeInvitation);
 
 router.route("/get-group-members/:groupId").get(auth, getGroupMembers);
 
-router.route("/remove-user-from-group/:groupId").post(auth, removeUserFromGroup);
+router.route("/remove-user-from-group/:groupId").post(auth, requireGroupPermission("members:remove"), removeUserFromGroup);
+
+router.route("/:groupId/leave").post(auth, requireGroupPermission("group:view"), leaveGroup);
+
+router.route("/change-member-role/:groupId").post(auth, requireGroupPermission("members:changeRole"), changeMemberRole);
+
+router.route("/transfer-ownership/:groupId").post(auth, requireGroupPermission("group:transferOwnership"), transferOwnership);
 
 router.route("/list-all-groups-user-presents").get(auth, listAllGroupsUserPresents);
 
-router.route("/delete-group/:groupId").post(auth, deleteGroup);
+router.route("/archive-group/:groupId").post(auth, requireGroupPermission("group:archive"), archiveGroup);
+
+router.route("/unarchive-group/:groupId").post(auth, requireGroupPermission("group:archive"), unarchiveGroup);
+
+router.route("/delete-group/:groupId").post(auth, requireGroupPermission("group:delete"), deleteGroup);
 
 export default router;
@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { getMyInvitations, acceptInvitation, acceptInvitationLink, declineInvitation } from "../controllers/invitation.controller.js";
+import { auth } from "../middleware/auth.js";
+
+const router = Router();
+
+router.route("/my-invitations").get(auth, getMyInvitations);
+
+router.route("/accept-invite-link").post(auth, acceptInvitationLink);
+
+router.route("/accept-invitation/:invitationId").post(auth, acceptInvitation);
+
+router.route("/decline-invitation/:invitationId").post(auth, declineInvitation);
+
+export default router;
@@ -1,11 +1,13 @@
 import { Router } from "express";
-import { generateSettlementPlan, getSettlementHistory, verifySettlement, recordSettlement } from "../controllers/settlement.controller.js";
+import { generateSettlementPlan, commitSettlementPlan, getSettlementHistory, verifySettlement, recordSettlement } from "../controllers/settlement.controller.js";
 import { auth } from "../middleware/auth.js";
 
 const router = Router();
 
 router.get("/:groupId/plan", auth, generateSettlementPlan);
 
+router.post("/:groupId/plan/commit", auth, commitSettlementPlan);
+
 router.get("/:groupId/history", auth, getSettlementHistory);
 
 router.patch("/:groupId/verify/:settlementId", auth, verifySettlement);
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { pathToFileURL } from "url";
+import Group from "../models/group.model.js";
+
+dotenv.config();
+
+/**
+ * Bring the groups collection's indexes in line with the Group model.
+ * Drops the old global unique index on name, so different users can have groups with the same name,
+ * and builds the per-user { createdBy, name } indexes in its place. The unique one only covers groups
+ * created while GROUP_NAMES_UNIQUE_PER_USER is on, so groups that already share a name are left alone.
+ * Safe to run more than once. Returns the names of the dropped indexes.
+ */
+export const migrateGroupNameIndex = async () => {
+    const indexes = await Group.collection.indexes().catch(() => []);
+    const hadUniqueName = indexes.some(index => index.name === "name_1" && index.unique);
+
+    const dropped = await Group.syncIndexes();
+
+    return { hadUniqueName, dropped };
+};
+
+const run = async () => {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGO_URL);
+        console.log("✅ Connected to MongoDB");
+
+        const { hadUniqueName, dropped } = await migrateGroupNameIndex();
+
+        if (hadUniqueName) {
+            console.log("✅ Dropped the unique index on group names");
+        } else {
+            console.log("ℹ️  No unique index on group names found");
+        }
+        if (dropped.length > 0) {
+            console.log(`🗑️  Dropped indexes: ${dropped.join(", ")}`);
+        }
+        console.log("✅ Group indexes are up to date");
+
+        // Close connection
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error("❌ Error migrating group indexes:", error.message);
+        await mongoose.connection.close();
+        process.exit(1);
+    }
+};
+
+// Run the script when called directly, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    run();
+}
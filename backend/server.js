@@ -8,11 +8,21 @@ import groupRouter from "./routes/group.route.js";
 import expenseRouter from "./routes/expense.route.js";
 import currencyRouter from "./routes/currency.routes.js";
 import settlementRouter from "./routes/settlement.route.js";
+import invitationRouter from "./routes/invitation.route.js";
+import { startRateRefreshScheduler } from "./services/currency.service.js";
+import { createRateProviderFromEnv } from "./services/rateProvider.service.js";
+import { startRecurringExpenseScheduler } from "./services/recurringExpense.service.js";
+import { getMailTransport } from "./services/mailer.service.js";
 
 dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy, trust this many hops so req.ip (used for rate limits) is the client's address
+if (process.env.TRUST_PROXY_HOPS) {
+    app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS));
+}
+
 app.use(express.json());
 app.use(cookieParser());
 
@@ -26,6 +36,7 @@ app.use("/api/group", groupRouter);
 app.use("/api/expense", expenseRouter);
 app.use("/api/currency", currencyRouter);
 app.use("/api/settlement", settlementRouter);
+app.use("/api/invitation", invitationRouter);
 
 app.get("/health", (req, res) => {
     res.status(200).json({ 
@@ -39,7 +50,16 @@ app.get("/health", (req, res) => {
 
 const start = async () => {
     try {
+        // Fails right away on a missing or broken mail setup, instead of on the first email
+        getMailTransport();
         await connectDB();
+        startRateRefreshScheduler({
+            provider: createRateProviderFromEnv(),
+            intervalMs: Number(process.env.RATE_REFRESH_INTERVAL_MS) || undefined
+        });
+        startRecurringExpenseScheduler({
+            intervalMs: Number(process.env.RECURRING_EXPENSE_INTERVAL_MS) || undefined
+        });
         app.listen(process.env.PORT, () => {
             console.log(`Server is running on port http://localhost:${process.env.PORT}`);
         });
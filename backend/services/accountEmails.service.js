@@ -0,0 +1,58 @@
+/**
+ * Account Emails Service
+ * Content of the emails sent about a user's account, kept apart from how they are delivered (see mailer.service.js).
+ */
+
+import { buildFrontendLink, sendMail } from "./mailer.service.js";
+
+const formatDuration = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 120) {
+        return `${minutes} minutes`;
+    }
+    return `${Math.round(minutes / 60)} hours`;
+};
+
+export const buildPasswordResetEmail = ({ name, token, validForMs }) => {
+    const link = buildFrontendLink("/reset-password", { token });
+    return {
+        subject: "Reset your FinterHub password",
+        text: [
+            `Hi ${name},`,
+            "",
+            "Someone asked to reset the password of your FinterHub account. Open this link to choose a new one:",
+            link,
+            "",
+            `The link works once and expires in ${formatDuration(validForMs)}. If you did not ask for it, you can ignore this email.`
+        ].join("\n")
+    };
+};
+
+export const buildEmailVerificationEmail = ({ name, token, validForMs }) => {
+    const link = buildFrontendLink("/verify-email", { token });
+    return {
+        subject: "Confirm your email for FinterHub",
+        text: [
+            `Hi ${name},`,
+            "",
+            "Please confirm this is your email address by opening this link:",
+            link,
+            "",
+            `The link expires in ${formatDuration(validForMs)}.`
+        ].join("\n")
+    };
+};
+
+export const sendPasswordResetEmail = (user, { token, expiresAt }) => {
+    return sendMail({
+        to: user.email,
+        ...buildPasswordResetEmail({ name: user.name, token, validForMs: expiresAt - Date.now() })
+    });
+};
+
+export const sendEmailVerificationEmail = (user, { token, expiresAt }) => {
+    return sendMail({
+        to: user.email,
+        ...buildEmailVerificationEmail({ name: user.name, token, validForMs: expiresAt - Date.now() })
+    });
+};
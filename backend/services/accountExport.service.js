@@ -0,0 +1,130 @@
+/**
+ * Account Export Service
+ * Everything stored about a user, for them to download: profile, groups, expenses and their
+ * splits, settlements, invitations and login activity.
+ *
+ * Secrets (password hash, two-factor secret, recovery codes) are never part of an export.
+ * Other users only appear by ID, or by name where the app already shows it to this user.
+ */
+
+import User from "../models/user.model.js";
+import Group from "../models/group.model.js";
+import Expense from "../models/expense.model.js";
+import Settlement from "../models/settlement.model.js";
+import Invitation from "../models/invitation.model.js";
+import LoginEvent from "../models/loginEvent.model.js";
+import { getMemberRole } from "../config/groupRoles.js";
+import { getUserBalancesInGroups, isShareSettled } from "./balance.service.js";
+import { formatAttachment } from "./receiptStorage.service.js";
+import { createZipArchive } from "./zipArchive.service.js";
+
+export const ACCOUNT_EXPORT_FORMATS = Object.freeze(["json", "zip"]);
+
+const withoutVersion = ({ __v, ...document }) => document;
+
+// Groups are loaded with their members populated
+const formatGroup = (group, userId) => {
+    const members = group.members.filter(Boolean);
+    return {
+        id: group._id,
+        name: group.name,
+        description: group.description,
+        role: getMemberRole({ ...group, members: members.map(member => member._id) }, userId),
+        createdBy: group.createdBy,
+        members: members.map(member => ({ id: member._id, name: member.name })),
+        archivedAt: group.archivedAt || null,
+        createdAt: group.createdAt
+    };
+};
+
+const formatExpense = (expense) => ({
+    ...withoutVersion(expense),
+    attachments: (expense.attachments || []).map(formatAttachment)
+});
+
+/**
+ * The user's own share of each expense they are part of, whether it is settled and whether they paid for it
+ */
+const toSplits = (expenses, userId, groupBalancesCents) => {
+    const id = userId.toString();
+    return expenses.flatMap(expense => (expense.splitDetails || [])
+        .filter(split => split.user && split.user.toString() === id)
+        .map(split => ({
+            expense: expense._id,
+            title: expense.title,
+            group: expense.group,
+            date: expense.date,
+            currency: expense.currency,
+            amount: split.amount,
+            percentage: split.percentage ?? null,
+            settled: isShareSettled(expense, userId, groupBalancesCents),
+            paidByMe: expense.paidBy.toString() === id
+        })));
+};
+
+/**
+ * Export of a user's data, or null when there is no such user
+ */
+export const buildAccountExport = async (userId, { now = new Date() } = {}) => {
+    const user = await User.findById(userId)
+        .select('-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -twoFactor.lastUsedStep')
+        .lean();
+    if (!user) {
+        return null;
+    }
+    const twoFactor = user.twoFactor || {};
+
+    const [groups, expenses, settlements, invitations, loginEvents] = await Promise.all([
+        Group.find({ members: userId }).populate('members', '_id name').sort({ createdAt: 1 }).lean(),
+        Expense.find({ $or: [{ paidBy: userId }, { "splitDetails.user": userId }] }).sort({ date: -1, _id: -1 }).lean(),
+        Settlement.find({ $or: [{ from: userId }, { to: userId }] }).sort({ createdAt: -1 }).lean(),
+        // Invitations sent to the address only count as theirs once it is verified, as in the invitation endpoints
+        Invitation.find({
+            $or: [
+                { invitee: userId },
+                { invitedBy: userId },
+                ...(user.emailVerifiedAt ? [{ email: user.email.toLowerCase() }] : [])
+            ]
+        }).sort({ createdAt: -1 }).lean(),
+        LoginEvent.find({ user: userId }).sort({ createdAt: -1 }).lean()
+    ]);
+    const groupBalancesCents = await getUserBalancesInGroups(userId, expenses.filter(expense => expense.group).map(expense => expense.group));
+
+    return {
+        exportedAt: now,
+        profile: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            preferredCurrency: user.preferredCurrency,
+            locale: user.locale,
+            timezone: user.timezone,
+            emailVerifiedAt: user.emailVerifiedAt || null,
+            pendingEmail: user.pendingEmail || null,
+            twoFactorEnabled: Boolean(twoFactor.enabled),
+            twoFactorEnabledAt: twoFactor.enabledAt || null
+        },
+        groups: groups.map(group => formatGroup(group, userId)),
+        expenses: expenses.map(formatExpense),
+        splits: toSplits(expenses, userId, groupBalancesCents),
+        settlements: settlements.map(withoutVersion),
+        invitations: invitations.map(withoutVersion),
+        loginActivity: loginEvents.map(withoutVersion)
+    };
+};
+
+/**
+ * ZIP archive of an export, one JSON file per section
+ */
+export const createAccountExportZip = (data) => {
+    const { exportedAt, ...sections } = data;
+    const files = Object.entries(sections).map(([section, content]) => ({
+        name: `${section.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}.json`,
+        content: JSON.stringify(content, null, 2)
+    }));
+
+    return createZipArchive([
+        { name: "export.json", content: JSON.stringify({ exportedAt, files: files.map(file => file.name) }, null, 2) },
+        ...files
+    ], { date: new Date(exportedAt) });
+};
@@ -0,0 +1,94 @@
+/**
+ * Account Lockout Service
+ * Locks an account for a while after repeated failed logins.
+ *
+ * Failed logins are counted per email address, whether or not an account uses it, so lockouts
+ * do not reveal which emails are registered. Once LOGIN_MAX_FAILURES failures happen within the
+ * failure window the account is locked. Each further lockout within a day doubles its length,
+ * up to LOGIN_LOCKOUT_MAX_MINUTES. A successful login starts over from scratch.
+ *
+ * Counters live in the rate limit store (see services/rateLimit.service.js).
+ */
+
+import { getRateLimitStore } from "./rateLimit.service.js";
+
+export const DEFAULT_LOGIN_MAX_FAILURES = 5;
+export const DEFAULT_LOGIN_FAILURE_WINDOW_MINUTES = 15;
+export const DEFAULT_LOGIN_LOCKOUT_MINUTES = 1;
+export const DEFAULT_LOGIN_LOCKOUT_MAX_MINUTES = 60;
+
+// How long earlier lockouts count towards making the next one longer
+const LOCKOUT_HISTORY_MS = 24 * 60 * 60 * 1000;
+
+const readPositiveNumber = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+export const getLoginMaxFailures = () => Math.floor(readPositiveNumber("LOGIN_MAX_FAILURES", DEFAULT_LOGIN_MAX_FAILURES));
+
+export const getLoginFailureWindowMs = () => {
+    return readPositiveNumber("LOGIN_FAILURE_WINDOW_MINUTES", DEFAULT_LOGIN_FAILURE_WINDOW_MINUTES) * 60 * 1000;
+};
+
+/**
+ * Length of the nth lockout in a row: the base length, doubled for every earlier one, capped
+ */
+export const getLockoutDurationMs = (lockoutCount) => {
+    const baseMs = readPositiveNumber("LOGIN_LOCKOUT_MINUTES", DEFAULT_LOGIN_LOCKOUT_MINUTES) * 60 * 1000;
+    const maxMs = readPositiveNumber("LOGIN_LOCKOUT_MAX_MINUTES", DEFAULT_LOGIN_LOCKOUT_MAX_MINUTES) * 60 * 1000;
+    return Math.min(baseMs * 2 ** Math.max(lockoutCount - 1, 0), maxMs);
+};
+
+const toAccountKey = (email) => String(email || "").trim().toLowerCase();
+
+const keys = (email) => {
+    const account = toAccountKey(email);
+    return {
+        failures: `login:failures:${account}`,
+        lockouts: `login:lockouts:${account}`,
+        locked: `login:locked:${account}`
+    };
+};
+
+/**
+ * Whether logins to an account are refused right now, and for how much longer
+ */
+export const getAccountLockout = async (email) => {
+    const locked = await getRateLimitStore().get(keys(email).locked);
+    return locked && locked.ttlMs > 0
+        ? { locked: true, retryAfterMs: locked.ttlMs }
+        : { locked: false, retryAfterMs: 0 };
+};
+
+/**
+ * Count a failed login. Resolves to { locked, retryAfterMs, failures, lockoutCount },
+ * locked being true when this failure locked the account.
+ */
+export const recordFailedLogin = async (email) => {
+    const store = getRateLimitStore();
+    const accountKeys = keys(email);
+
+    const { count: failures } = await store.increment(accountKeys.failures, getLoginFailureWindowMs());
+    if (failures < getLoginMaxFailures()) {
+        return { locked: false, retryAfterMs: 0, failures, lockoutCount: 0 };
+    }
+
+    const { count: lockoutCount } = await store.increment(accountKeys.lockouts, LOCKOUT_HISTORY_MS);
+    const retryAfterMs = getLockoutDurationMs(lockoutCount);
+
+    await store.set(accountKeys.locked, lockoutCount, retryAfterMs);
+    await store.delete(accountKeys.failures);
+
+    return { locked: true, retryAfterMs, failures, lockoutCount };
+};
+
+/**
+ * Forget failed logins and earlier lockouts after a successful login
+ */
+export const clearFailedLogins = async (email) => {
+    const store = getRateLimitStore();
+    const accountKeys = keys(email);
+    await store.delete(accountKeys.failures);
+    await store.delete(accountKeys.lockouts);
+};
@@ -0,0 +1,69 @@
+/**
+ * Account Token Service
+ * Single-use tokens emailed to users to reset their password or verify their email address.
+ *
+ * Tokens are random values and only their SHA-256 hash is stored. Sending a new token of the same
+ * kind invalidates the ones sent before, and using a token marks it used in the same update that
+ * finds it, so a token never works twice.
+ */
+
+import crypto from "crypto";
+import AccountToken from "../models/accountToken.model.js";
+
+export const DEFAULT_PASSWORD_RESET_TTL_MINUTES = 60;
+export const DEFAULT_EMAIL_VERIFICATION_TTL_HOURS = 24;
+
+const readPositiveNumber = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * How long a token stays valid, from PASSWORD_RESET_TTL_MINUTES or EMAIL_VERIFICATION_TTL_HOURS
+ */
+export const getAccountTokenTtlMs = (purpose) => {
+    if (purpose === "password-reset") {
+        return readPositiveNumber(process.env.PASSWORD_RESET_TTL_MINUTES, DEFAULT_PASSWORD_RESET_TTL_MINUTES) * 60 * 1000;
+    }
+    return readPositiveNumber(process.env.EMAIL_VERIFICATION_TTL_HOURS, DEFAULT_EMAIL_VERIFICATION_TTL_HOURS) * 60 * 60 * 1000;
+};
+
+export const hashAccountToken = (token) => {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Create a token for a user and invalidate the unused ones sent before for the same purpose.
+ * Returns the token to put in the email and when it expires.
+ */
+export const issueAccountToken = async (user, purpose, now = new Date()) => {
+    await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = new Date(now.getTime() + getAccountTokenTtlMs(purpose));
+
+    await AccountToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashAccountToken(token),
+        email: user.email,
+        expiresAt
+    });
+
+    return { token, expiresAt };
+};
+
+/**
+ * Use a token. Returns its record, or null when it is unknown, used, expired or for another purpose.
+ */
+export const consumeAccountToken = async (token, purpose, now = new Date()) => {
+    if (!token || typeof token !== "string") {
+        return null;
+    }
+
+    return AccountToken.findOneAndUpdate(
+        { tokenHash: hashAccountToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true }
+    ).lean();
+};
@@ -0,0 +1,233 @@
+/**
+ * Balance Service
+ * Shared helpers for working out what group members still owe each other
+ */
+
+import Group from "../models/group.model.js";
+import Expense from "../models/expense.model.js";
+import Settlement from "../models/settlement.model.js";
+import { getExpenseRateToUSD } from "./currency.service.js";
+import { allocateMinorUnits, convertMinorUnits, fromMinorUnits, toMinorUnits } from "./money.service.js";
+
+/**
+ * Settlement statuses that count as money already paid back.
+ * Verified settlements are only counted when explicitly requested.
+ */
+export const getRepaymentStatuses = (includeVerified = false) => {
+    return includeVerified ? ["completed", "verified"] : ["completed"];
+};
+
+/**
+ * Read the includeVerified flag from a request query
+ */
+export const parseIncludeVerified = (query = {}) => {
+    return query.includeVerified === "true" || query.includeVerified === true;
+};
+
+/**
+ * Get settlements of a group that reduce its members' balances
+ */
+export const getGroupRepayments = async (groupId, { includeVerified = false } = {}) => {
+    return Settlement.find({
+        group: groupId,
+        status: { $in: getRepaymentStatuses(includeVerified) }
+    }).lean();
+};
+
+/**
+ * Work out how much of an expense each participant is responsible for, in minor units
+ * of the expense currency. Returns a Map of userId -> share, and the shares always add up
+ * to the expense amount. Expenses that are not split, and any part the split details
+ * leave unassigned, stay with the payer.
+ */
+export const getExpenseSharesInMinorUnits = (expense) => {
+    const payerId = (expense.paidBy._id || expense.paidBy).toString();
+    const splitDetails = expense.splitType === "none" ? [] : (expense.splitDetails || []);
+    const totalUnits = toMinorUnits(expense.amount, expense.currency);
+
+    const userIds = [];
+    const weights = [];
+
+    splitDetails.forEach(split => {
+        let share = 0;
+
+        if (split.amount !== undefined && split.amount !== null) {
+            share = split.amount;
+        } else if (expense.splitType === "percentage" && split.percentage !== undefined && split.percentage !== null) {
+            share = expense.amount * split.percentage / 100;
+        } else if (expense.splitType === "equal") {
+            share = expense.amount / splitDetails.length;
+        }
+
+        userIds.push((split.user._id || split.user).toString());
+        weights.push(toMinorUnits(share, expense.currency));
+    });
+
+    const assignedUnits = weights.reduce((sum, weight) => sum + weight, 0);
+
+    // Older split details can add up to more than the expense, in which case they are scaled down
+    const shareUnits = assignedUnits > totalUnits ? allocateMinorUnits(totalUnits, weights) : weights;
+
+    const shares = new Map();
+    const addShare = (userId, units) => {
+        if (units > 0) {
+            shares.set(userId, (shares.get(userId) || 0) + units);
+        }
+    };
+
+    userIds.forEach((userId, i) => addShare(userId, shareUnits[i]));
+    addShare(payerId, totalUnits - Math.min(assignedUnits, totalUnits));
+
+    return shares;
+};
+
+/**
+ * Convert an expense and its shares into another currency, in minor units.
+ * The total is converted once and then divided in proportion to the original shares,
+ * so what the payer is owed always matches what the participants owe.
+ */
+export const convertExpenseShares = (expense, toCurrency, rate) => {
+    const total = convertMinorUnits(
+        toMinorUnits(expense.amount, expense.currency),
+        expense.currency,
+        toCurrency,
+        rate
+    );
+
+    const sharesInExpenseCurrency = getExpenseSharesInMinorUnits(expense);
+    const userIds = Array.from(sharesInExpenseCurrency.keys());
+    const parts = userIds.length > 0
+        ? allocateMinorUnits(total, Array.from(sharesInExpenseCurrency.values()))
+        : [];
+
+    const shares = new Map();
+    userIds.forEach((userId, i) => shares.set(userId, parts[i]));
+
+    return { total, shares };
+};
+
+/**
+ * Net balance of every user in a group, in US cents: positive when they are owed money,
+ * negative when they owe. Current members always have an entry, former members only
+ * while older expenses or repayments still involve them. Balances add up to exactly zero.
+ */
+export const getGroupBalancesInCents = async (groupData, { includeVerified = false } = {}) => {
+    const [expenses, repayments] = await Promise.all([
+        Expense.find({ 
+            group: groupData._id,
+            splitType: { $ne: "none" }
+        }).lean(),
+        getGroupRepayments(groupData._id, { includeVerified })
+    ]);
+
+    const balancesUSD = {};
+
+    groupData.members.forEach(memberId => {
+        balancesUSD[memberId.toString()] = 0;
+    });
+
+    // Each expense is valued at the rate locked in for its date, not today's rate
+    const expenseRatesToUSD = await Promise.all(expenses.map(getExpenseRateToUSD));
+    let totalExpenseCents = 0;
+
+    expenses.forEach((expense, index) => {
+        const paidById = expense.paidBy.toString();
+        const { total, shares } = convertExpenseShares(expense, "USD", expenseRatesToUSD[index]);
+        
+        balancesUSD[paidById] = (balancesUSD[paidById] || 0) + total;
+        totalExpenseCents += total;
+
+        shares.forEach((shareCents, splitUserId) => {
+            balancesUSD[splitUserId] = (balancesUSD[splitUserId] || 0) - shareCents;
+        });
+    });
+
+    // Money already paid back moves the payer towards zero and the receiver away from it
+    let totalRepaidCents = 0;
+
+    repayments.forEach(repayment => {
+        const fromId = repayment.from.toString();
+        const toId = repayment.to.toString();
+        const repaidCents = toMinorUnits(repayment.amountUSD, "USD");
+        balancesUSD[fromId] = (balancesUSD[fromId] || 0) + repaidCents;
+        balancesUSD[toId] = (balancesUSD[toId] || 0) - repaidCents;
+        totalRepaidCents += repaidCents;
+    });
+
+    return { expenses, repayments, balancesUSD, totalExpenseCents, totalRepaidCents };
+};
+
+/**
+ * A user's net balance in each of the given groups, in US cents, keyed by group ID.
+ * Verified repayments count, since the receiver confirmed them. Groups that no longer exist are left out.
+ */
+export const getUserBalancesInGroups = async (userId, groupIds) => {
+    const ids = [...new Set(groupIds.map(id => id.toString()))];
+    if (ids.length === 0) {
+        return new Map();
+    }
+
+    const groups = await Group.find({ _id: { $in: ids } }).select('_id members').lean();
+    const results = await Promise.all(groups.map(group => getGroupBalancesInCents(group, { includeVerified: true })));
+
+    return new Map(groups.map((group, index) => [
+        group._id.toString(),
+        results[index].balancesUSD[userId.toString()] || 0
+    ]));
+};
+
+/**
+ * Whether a user's share of an expense is settled, worked out from expenses and confirmed
+ * settlements only. The payer's own share always is; other shares are once the user owes
+ * nothing in the expense's group any more. Expenses outside groups cannot be settled up,
+ * so there only the payer's share counts as settled.
+ */
+export const isShareSettled = (expense, userId, groupBalancesCents) => {
+    if ((expense.paidBy._id || expense.paidBy).toString() === userId.toString()) {
+        return true;
+    }
+    if (!expense.group) {
+        return false;
+    }
+
+    const balanceCents = groupBalancesCents.get((expense.group._id || expense.group).toString());
+    return balanceCents !== undefined && balanceCents >= 0;
+};
+
+/**
+ * Work out the fewest transfers that settle every balance.
+ * Balances are integer US cents and add up to zero, so every balance is settled exactly.
+ */
+export const calculateMinimumTransactions = (balances) => {
+    const transactions = [];
+    const balanceArray = Object.entries(balances).map(([userId, amount]) => ({
+        userId,
+        amount
+    }));
+
+    const creditors = balanceArray.filter(b => b.amount > 0).sort((a, b) => b.amount - a.amount);
+    const debtors = balanceArray.filter(b => b.amount < 0).sort((a, b) => a.amount - b.amount);
+
+    let i = 0, j = 0;
+
+    while (i < creditors.length && j < debtors.length) {
+        const creditor = creditors[i];
+        const debtor = debtors[j];
+
+        const settleAmount = Math.min(creditor.amount, -debtor.amount);
+
+        transactions.push({
+            from: debtor.userId,
+            to: creditor.userId,
+            amountUSD: fromMinorUnits(settleAmount, "USD")
+        });
+
+        creditor.amount -= settleAmount;
+        debtor.amount += settleAmount;
+
+        if (creditor.amount === 0) i++;
+        if (debtor.amount === 0) j++;
+    }
+
+    return transactions;
+};
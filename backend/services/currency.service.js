@@ -3,62 +3,191 @@
  * Handles all currency-related business logic including conversion and formatting
  */
 
+import mongoose from "mongoose";
+import CurrencyRate from "../models/currency.model.js";
+import { STATIC_RATES_TO_USD } from "./rateProvider.service.js";
+import { CURRENCIES } from "../config/currencies.js";
+import { convertMoney, createMoney, toDecimal } from "./money.service.js";
+
+const STATIC_RATES_DATE = new Date("2026-01-10");
+
+const DEFAULT_REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+const getStaleAfterMs = () => Number(process.env.RATE_STALE_AFTER_MS) || 24 * 60 * 60 * 1000;
+
+/**
+ * Build a rate table keyed by currency code from rates to USD.
+ * Currencies the source does not report keep their previous rate.
+ */
+const buildRateTable = (ratesToUSD, fetchedAt, previous = {}) => {
+    const table = { ...previous };
+
+    Object.entries(ratesToUSD).forEach(([code, rate]) => {
+        const metadata = CURRENCIES[code];
+        if (!metadata) {
+            return;
+        }
+
+        table[code] = {
+            code,
+            name: metadata.name,
+            symbol: metadata.symbol,
+            minorUnits: metadata.minorUnits,
+            rate,
+            lastUpdated: fetchedAt
+        };
+    });
+
+    return table;
+};
+
+/**
+ * Currency exchange rates to USD currently used for conversions.
+ * Starts from the static table and is replaced whenever rates are refreshed.
+ */
+let exchangeRates = buildRateTable(STATIC_RATES_TO_USD, STATIC_RATES_DATE);
+let ratesSource = "static";
+let ratesFetchedAt = STATIC_RATES_DATE;
+
+/**
+ * Convert a decimal amount at a given rate, working in minor units of both currencies
+ * (0 decimals for JPY, 3 for KWD) and rounding only once
+ */
+const convertAtRate = (amount, from, to, rate) => {
+    return toDecimal(convertMoney(createMoney(amount, from), to, rate));
+};
+
+const isStale = (fetchedAt) => Date.now() - new Date(fetchedAt).getTime() > getStaleAfterMs();
+
+const isDatabaseConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Use a persisted snapshot for conversions if it is newer than what is in memory
+ */
+const applyRateSnapshot = (snapshot) => {
+    if (new Date(snapshot.fetchedAt) <= ratesFetchedAt) {
+        return;
+    }
+
+    const ratesToUSD = {};
+    Object.entries(snapshot.rates || {}).forEach(([code, details]) => {
+        ratesToUSD[code] = details.rate;
+    });
+
+    exchangeRates = buildRateTable(ratesToUSD, new Date(snapshot.fetchedAt), exchangeRates);
+    ratesSource = snapshot.source || ratesSource;
+    ratesFetchedAt = new Date(snapshot.fetchedAt);
+};
+
+/**
+ * Get the most recent persisted rate snapshot, if the database is available
+ */
+export const getLatestRateSnapshot = async () => {
+    if (!isDatabaseConnected()) {
+        return null;
+    }
+
+    return CurrencyRate.findOne().sort({ fetchedAt: -1 }).lean();
+};
+
+/**
+ * Whether a saved snapshot holds exactly these rates from this source
+ */
+const hasSameRates = (snapshot, source, table) => {
+    const saved = snapshot.rates || {};
+    const codes = Object.keys(table);
+
+    return (snapshot.source || "static") === source
+        && Object.keys(saved).length === codes.length
+        && codes.every(code => saved[code] && saved[code].rate === table[code].rate);
+};
+
 /**
- * Currency exchange rates to USD
- * In production, these should be fetched from a live API
- */
-const EXCHANGE_RATES = {
-    USD: {
-        code: "USD",
-        name: "US Dollar",
-        symbol: "$",
-        rate: 1.0,
-        lastUpdated: new Date("2026-01-10")
-    },
-    INR: {
-        code: "INR",
-        name: "Indian Rupee",
-        symbol: "₹",
-        rate: 0.012,  // 1 INR = 0.012 USD (approx 83 INR = 1 USD)
-        lastUpdated: new Date("2026-01-10")
-    },
-    EUR: {
-        code: "EUR",
-        name: "Euro",
-        symbol: "€",
-        rate: 1.09,   // 1 EUR = 1.09 USD
-        lastUpdated: new Date("2026-01-10")
-    },
-    CAD: {
-        code: "CAD",
-        name: "Canadian Dollar",
-        symbol: "C$",
-        rate: 0.74,   // 1 CAD = 0.74 USD
-        lastUpdated: new Date("2026-01-10")
-    },
-    GBP: {
-        code: "GBP",
-        name: "British Pound",
-        symbol: "£",
-        rate: 1.27,   // 1 GBP = 1.27 USD
-        lastUpdated: new Date("2026-01-10")
-    }
-};
-
-/**
- * Get all exchange rates
+ * Fetch rates from a provider, start using them and save them as a snapshot.
+ * Nothing is saved when the rates are the same as in the latest snapshot, which is what
+ * every refresh of the static provider returns, so snapshots only record actual changes.
+ */
+export const refreshExchangeRates = async (provider) => {
+    const { rates } = await provider.fetchRates();
+    const fetchedAt = new Date();
+    const table = buildRateTable(rates, fetchedAt, exchangeRates);
+
+    exchangeRates = table;
+    ratesSource = provider.name;
+    ratesFetchedAt = fetchedAt;
+
+    let snapshot = null;
+    let unchanged = false;
+    if (isDatabaseConnected()) {
+        const latest = await getLatestRateSnapshot();
+        unchanged = Boolean(latest) && hasSameRates(latest, provider.name, table);
+        snapshot = unchanged ? latest : await CurrencyRate.create({
+            baseCurrency: "USD",
+            source: provider.name,
+            fetchedAt,
+            rates: Object.fromEntries(Object.entries(table).map(([code, currency]) => [code, {
+                code: currency.code,
+                name: currency.name,
+                symbol: currency.symbol,
+                rate: currency.rate
+            }]))
+        });
+    }
+
+    return {
+        source: provider.name,
+        fetchedAt,
+        updatedCurrencies: Object.keys(rates).filter(code => CURRENCIES[code]).length,
+        snapshotId: snapshot ? snapshot._id : null,
+        unchanged
+    };
+};
+
+/**
+ * Refresh rates right away and then on a fixed interval.
+ * Returns a function that stops the schedule.
+ */
+export const startRateRefreshScheduler = ({ provider, intervalMs = DEFAULT_REFRESH_INTERVAL_MS }) => {
+    let isRunning = false;
+
+    const run = async () => {
+        if (isRunning) {
+            return;
+        }
+        isRunning = true;
+        try {
+            await refreshExchangeRates(provider);
+        } catch (error) {
+            console.error("Error refreshing exchange rates:", error.message);
+        } finally {
+            isRunning = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+
+    return () => clearInterval(timer);
+};
+
+/**
+ * Get all exchange rates from the latest snapshot
  */
 export const getExchangeRates = async () => {
     try {
-        // In production, fetch from external API
-        // const response = await fetch('https://api.exchangerate-api.com/v4/latest/USD');
-        // const data = await response.json();
-        // return data.rates;
+        const snapshot = await getLatestRateSnapshot();
+        if (snapshot) {
+            applyRateSnapshot(snapshot);
+        }
 
         return {
             success: true,
             base: "USD",
-            rates: EXCHANGE_RATES,
+            rates: exchangeRates,
+            source: ratesSource,
+            fetchedAt: ratesFetchedAt.toISOString(),
+            stale: isStale(ratesFetchedAt),
             timestamp: new Date().toISOString()
         };
     } catch (error) {
@@ -66,6 +195,106 @@ export const getExchangeRates = async () => {
     }
 };
 
+const snapshotToRatesMap = (snapshot) => {
+    const rates = {};
+    Object.entries(snapshot.rates || {}).forEach(([code, details]) => {
+        rates[code] = details.rate;
+    });
+    return rates;
+};
+
+/**
+ * Get the rates that applied on a given date.
+ * Uses the snapshot fetched closest to that date, or the current rates when there are no snapshots.
+ */
+export const getRatesAt = async (date) => {
+    const currentRates = {
+        rates: Object.fromEntries(Object.entries(exchangeRates).map(([code, currency]) => [code, currency.rate])),
+        source: ratesSource,
+        fetchedAt: ratesFetchedAt
+    };
+
+    if (!isDatabaseConnected()) {
+        return currentRates;
+    }
+
+    const target = new Date(date);
+    const [before, after] = await Promise.all([
+        CurrencyRate.findOne({ fetchedAt: { $lte: target } }).sort({ fetchedAt: -1 }).lean(),
+        CurrencyRate.findOne({ fetchedAt: { $gt: target } }).sort({ fetchedAt: 1 }).lean()
+    ]);
+
+    let closest = before || after;
+    if (before && after && after.fetchedAt - target < target - before.fetchedAt) {
+        closest = after;
+    }
+
+    if (!closest) {
+        return currentRates;
+    }
+
+    return {
+        rates: { ...currentRates.rates, ...snapshotToRatesMap(closest) },
+        source: closest.source || "static",
+        fetchedAt: closest.fetchedAt
+    };
+};
+
+/**
+ * Get the rate to USD of a currency on a given date, along with where it came from.
+ * This is what gets locked onto an expense when it is recorded.
+ */
+export const getRateToUSDAt = async (currencyCode, date) => {
+    const code = currencyCode.toUpperCase();
+
+    if (!exchangeRates[code]) {
+        throw new Error(`Unsupported currency: ${code}`);
+    }
+
+    const { rates, source, fetchedAt } = await getRatesAt(date);
+
+    return {
+        rateToUSD: rates[code],
+        source,
+        ratesFetchedAt: fetchedAt
+    };
+};
+
+/**
+ * Get the rate to USD an expense should be valued at.
+ * Expenses recorded before rates were locked fall back to the snapshot closest to their date.
+ */
+export const getExpenseRateToUSD = async (expense) => {
+    if (expense.exchangeRate && expense.exchangeRate.rateToUSD) {
+        return expense.exchangeRate.rateToUSD;
+    }
+
+    const { rateToUSD } = await getRateToUSDAt(expense.currency, expense.date);
+    return rateToUSD;
+};
+
+/**
+ * Convert amount from one currency to another using the rates of a given date
+ */
+export const convertCurrencyAt = async (amount, fromCurrency, toCurrency, date) => {
+    const from = fromCurrency.toUpperCase();
+    const to = toCurrency.toUpperCase();
+
+    const [fromRate, toRate] = await Promise.all([
+        getRateToUSDAt(from, date),
+        getRateToUSDAt(to, date)
+    ]);
+
+    const rate = from === to ? 1 : fromRate.rateToUSD / toRate.rateToUSD;
+
+    return {
+        convertedAmount: convertAtRate(amount, from, to, rate),
+        rate,
+        source: fromRate.source,
+        ratesFetchedAt: fromRate.ratesFetchedAt
+    };
+};
+
 /**
  * Convert amount from one currency to another
  */
@@ -74,33 +303,49 @@ export const convertCurrency = (amount, fromCurrency, toCurrency) => {
     const to = toCurrency.toUpperCase();
 
     // Validate currencies
-    if (!EXCHANGE_RATES[from]) {
+    if (!exchangeRates[from]) {
         throw new Error(`Unsupported currency: ${from}`);
     }
-    if (!EXCHANGE_RATES[to]) {
+    if (!exchangeRates[to]) {
         throw new Error(`Unsupported currency: ${to}`);
     }
 
     // If same currency, return original amount
     if (from === to) {
-        return parseFloat(amount.toFixed(2));
+        return toDecimal(createMoney(amount, to));
     }
 
-    // Convert to USD first, then to target currency
-    const amountInUSD = amount * EXCHANGE_RATES[from].rate;
-    const convertedAmount = amountInUSD / EXCHANGE_RATES[to].rate;
+    // Rates are to USD, so the rate between the two goes through USD
+    return convertAtRate(amount, from, to, exchangeRates[from].rate / exchangeRates[to].rate);
+};
+
+/**
+ * Get the unrounded rate for converting one unit of fromCurrency into toCurrency.
+ * Useful when many amounts are added up before rounding the total.
+ */
+export const getConversionRate = (fromCurrency, toCurrency) => {
+    const from = fromCurrency.toUpperCase();
+    const to = toCurrency.toUpperCase();
+
+    if (!exchangeRates[from]) {
+        throw new Error(`Unsupported currency: ${from}`);
+    }
+    if (!exchangeRates[to]) {
+        throw new Error(`Unsupported currency: ${to}`);
+    }
 
-    return parseFloat(convertedAmount.toFixed(2));
+    return exchangeRates[from].rate / exchangeRates[to].rate;
 };
 
 /**
  * Get list of supported currencies
  */
 export const getSupportedCurrencies = () => {
-    return Object.values(EXCHANGE_RATES).map(currency => ({
+    return Object.values(exchangeRates).map(currency => ({
         code: currency.code,
         name: currency.name,
         symbol: currency.symbol,
+        minorUnits: currency.minorUnits,
         rateToUSD: currency.rate
     }));
 };
@@ -110,7 +355,7 @@ export const getSupportedCurrencies = () => {
  */
 export const getCurrencyDetails = (currencyCode) => {
     const code = currencyCode.toUpperCase();
-    const currency = EXCHANGE_RATES[code];
+    const currency = exchangeRates[code];
     
     if (!currency) {
         throw new Error(`Currency not found: ${code}`);
@@ -131,11 +376,11 @@ export const convertToUSD = (amount, currency) => {
  */
 export const formatCurrency = (amount, currencyCode) => {
     const code = currencyCode.toUpperCase();
-    const currency = EXCHANGE_RATES[code];
+    const currency = exchangeRates[code];
     
     if (!currency) {
         return `${amount.toFixed(2)} ${code}`;
     }
     
-    return `${currency.symbol}${amount.toFixed(2)}`;
+    return `${currency.symbol}${amount.toFixed(currency.minorUnits)}`;
 };
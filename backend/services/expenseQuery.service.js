@@ -0,0 +1,257 @@
+/**
+ * Expense Query Service
+ * Turns the query string of the expense listing endpoints into a MongoDB filter, sort and page.
+ *
+ * Pages are cursor-based: each page returns an opaque nextCursor, and passing it back as
+ * ?cursor= continues right after the last expense seen. Unlike skip/offset this stays fast
+ * on large groups and never repeats or skips expenses when new ones are added meanwhile.
+ */
+
+import mongoose from "mongoose";
+import Expense from "../models/expense.model.js";
+import { isSupportedCurrency, normalizeCurrencyCode } from "../config/currencies.js";
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+export const MAX_PAGE_SIZE = 100;
+
+// Sort keys clients can use, prefix with "-" for descending.
+// Each has a compound index with group and with paidBy (see expense.model.js).
+const SORT_FIELDS = ["date", "amount"];
+
+export const DEFAULT_SORT = "-date";
+
+const isObjectId = (id) => typeof id === "string" && /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Read a filter that can hold several values, either repeated (?tags=a&tags=b) or comma-separated (?tags=a,b)
+ */
+const parseList = (value) => {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(item => String(item).split(","))
+        .map(item => item.trim())
+        .filter(Boolean);
+};
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`${name} must be a valid date`);
+    }
+    return date;
+};
+
+const parseAmount = (value, name) => {
+    const amount = Number(value);
+    if (value === "" || !Number.isFinite(amount) || amount < 0) {
+        throw new Error(`${name} must be a non-negative number`);
+    }
+    return amount;
+};
+
+const parseSort = (value = DEFAULT_SORT) => {
+    const sort = String(value).trim();
+    const field = sort.replace(/^[-+]/, "");
+    if (!SORT_FIELDS.includes(field)) {
+        throw new Error(`Sort must be one of: ${SORT_FIELDS.flatMap(name => [name, `-${name}`]).join(", ")}`);
+    }
+    return { sort: `${sort.startsWith("-") ? "-" : ""}${field}`, field, order: sort.startsWith("-") ? -1 : 1 };
+};
+
+const parseLimit = (value) => {
+    if (value === undefined) {
+        return DEFAULT_PAGE_SIZE;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new Error(`Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return limit;
+};
+
+/**
+ * Cursors hold the sort they were made for and the position of the last expense of the page
+ */
+export const encodeCursor = (expense, { sort, field }) => {
+    const value = expense[field] instanceof Date ? expense[field].toISOString() : expense[field];
+    return Buffer.from(JSON.stringify({ s: sort, v: value, id: expense._id.toString() })).toString("base64url");
+};
+
+export const decodeCursor = (cursor, { sort, field }) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    } catch (error) {
+        throw new Error("Invalid cursor");
+    }
+
+    if (!decoded || !isObjectId(decoded.id) || decoded.v === undefined || decoded.v === null) {
+        throw new Error("Invalid cursor");
+    }
+    if (decoded.s !== sort) {
+        throw new Error("Cursor was created with a different sort, start again without a cursor");
+    }
+
+    const value = field === "amount" ? Number(decoded.v) : new Date(decoded.v);
+    if (field === "amount" ? !Number.isFinite(value) : isNaN(value.getTime())) {
+        throw new Error("Invalid cursor");
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(decoded.id) };
+};
+
+/**
+ * Build the filter, sort and page size for a listing request.
+ * Throws with a client-facing message when the query is invalid.
+ *
+ * Supported query parameters:
+ * - from, to: date range (inclusive)
+ * - category, tags, currency, paymentMethod: one or more values, matching any of them
+ * - paidBy: one or more user IDs
+ * - group: one or more group IDs, or "none" for personal expenses
+ * - minAmount, maxAmount: amount range in each expense's own currency
+ * - sort: date or amount, "-" prefix for descending (default -date)
+ * - limit: page size (default 50, at most 100)
+ * - cursor: nextCursor of the previous page
+ */
+export const buildExpenseListQuery = (query = {}, { allowedFilters = [] } = {}) => {
+    const conditions = [];
+    const isAllowed = (name) => allowedFilters.includes(name) && query[name] !== undefined;
+
+    if (isAllowed("from") || isAllowed("to")) {
+        const range = {};
+        if (isAllowed("from")) {
+            range.$gte = parseDate(query.from, "From");
+        }
+        if (isAllowed("to")) {
+            range.$lte = parseDate(query.to, "To");
+            // A plain day such as 2026-01-31 includes everything on that day
+            if (/^\d{4}-\d{2}-\d{2}$/.test(String(query.to).trim())) {
+                range.$lte = new Date(range.$lte.getTime() + 24 * 60 * 60 * 1000 - 1);
+            }
+        }
+        if (range.$gte && range.$lte && range.$gte > range.$lte) {
+            throw new Error("From cannot be after to");
+        }
+        conditions.push({ date: range });
+    }
+
+    if (isAllowed("category")) {
+        const categories = parseList(query.category);
+        const allowed = Expense.schema.path("category").enumValues;
+        const invalid = categories.find(category => !allowed.includes(category));
+        if (invalid) {
+            throw new Error(`Unknown category: ${invalid}`);
+        }
+        conditions.push({ category: { $in: categories } });
+    }
+
+    if (isAllowed("tags")) {
+        conditions.push({ tags: { $in: parseList(query.tags) } });
+    }
+
+    if (isAllowed("paidBy")) {
+        const payers = parseList(query.paidBy);
+        if (!payers.every(isObjectId)) {
+            throw new Error("paidBy must be a valid user ID");
+        }
+        conditions.push({ paidBy: { $in: payers.map(id => new mongoose.Types.ObjectId(id)) } });
+    }
+
+    if (isAllowed("group")) {
+        const groups = parseList(query.group);
+        if (!groups.every(id => id === "none" || isObjectId(id))) {
+            throw new Error("group must be a valid group ID or \"none\"");
+        }
+        conditions.push({ group: { $in: groups.map(id => id === "none" ? null : new mongoose.Types.ObjectId(id)) } });
+    }
+
+    if (isAllowed("currency")) {
+        const currencies = parseList(query.currency);
+        const invalid = currencies.find(code => !isSupportedCurrency(code));
+        if (invalid) {
+            throw new Error(`Unsupported currency: ${normalizeCurrencyCode(invalid)}`);
+        }
+        conditions.push({ currency: { $in: currencies.map(normalizeCurrencyCode) } });
+    }
+
+    if (isAllowed("minAmount") || isAllowed("maxAmount")) {
+        const range = {};
+        if (isAllowed("minAmount")) {
+            range.$gte = parseAmount(query.minAmount, "minAmount");
+        }
+        if (isAllowed("maxAmount")) {
+            range.$lte = parseAmount(query.maxAmount, "maxAmount");
+        }
+        if (range.$gte !== undefined && range.$lte !== undefined && range.$gte > range.$lte) {
+            throw new Error("minAmount cannot be greater than maxAmount");
+        }
+        conditions.push({ amount: range });
+    }
+
+    if (isAllowed("paymentMethod")) {
+        const methods = parseList(query.paymentMethod);
+        const allowed = Expense.schema.path("paymentMethod").enumValues;
+        const invalid = methods.find(method => !allowed.includes(method));
+        if (invalid) {
+            throw new Error(`Unknown payment method: ${invalid}`);
+        }
+        conditions.push({ paymentMethod: { $in: methods } });
+    }
+
+    const sortOptions = parseSort(query.sort);
+    const limit = parseLimit(query.limit);
+
+    if (query.cursor) {
+        const { value, id } = decodeCursor(query.cursor, sortOptions);
+        const comparison = sortOptions.order === -1 ? "$lt" : "$gt";
+        conditions.push({
+            $or: [
+                { [sortOptions.field]: { [comparison]: value } },
+                { [sortOptions.field]: value, _id: { [comparison]: id } }
+            ]
+        });
+    }
+
+    return {
+        conditions,
+        // _id breaks ties so expenses with the same date or amount are never split across pages unpredictably
+        sort: { [sortOptions.field]: sortOptions.order, _id: sortOptions.order },
+        limit,
+        sortOptions
+    };
+};
+
+/**
+ * Run a listing query and return one page of expenses plus how to get the next one
+ */
+export const findExpensePage = async (baseFilter, listQuery, { populate } = {}) => {
+    const { conditions, sort, limit, sortOptions } = listQuery;
+    const filter = conditions.length > 0 ? { $and: [baseFilter, ...conditions] } : baseFilter;
+
+    let query = Expense.find(filter)
+        .sort(sort)
+        // One extra expense tells whether there is another page without a separate count query
+        .limit(limit + 1)
+        .select('-__v');
+
+    // One or more { path, select } to populate
+    for (const { path, select } of [].concat(populate || [])) {
+        query = query.populate(path, select);
+    }
+
+    const expenses = await query.lean();
+    const hasMore = expenses.length > limit;
+    const page = hasMore ? expenses.slice(0, limit) : expenses;
+
+    return {
+        expenses: page,
+        pagination: {
+            limit,
+            sort: sortOptions.sort,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortOptions) : null
+        }
+    };
+};
@@ -0,0 +1,114 @@
+/**
+ * Group Removal Service
+ * Taking members out of groups and deleting groups together with their history.
+ * Shared by the group endpoints and account deletion.
+ */
+
+import Group from "../models/group.model.js";
+import Invitation from "../models/invitation.model.js";
+import Expense from "../models/expense.model.js";
+import Settlement from "../models/settlement.model.js";
+import ExpenseRevision from "../models/expenseRevision.model.js";
+import { calculateMinimumTransactions, getGroupBalancesInCents } from "./balance.service.js";
+import { removeStoredAttachments } from "./receiptStorage.service.js";
+
+/**
+ * Take a member out of a group, as long as nothing is left to settle with them.
+ * Payments the receiver already confirmed (verified) count as paid.
+ * With force, whatever they still owe or are owed is written off against the members it would
+ * have been settled with, recorded as completed write-off settlements so every balance stays whole.
+ * Past expenses keep referring to the member either way.
+ * Returns { balanceCents } without changing anything when the balance is open and force is not set.
+ */
+export const takeMemberOut = async (group, memberId, { force, recordedBy, notes = "Written off when the member left the group" }) => {
+    const memberKey = memberId.toString();
+    const { balancesUSD } = await getGroupBalancesInCents(group, { includeVerified: true });
+    const balanceCents = balancesUSD[memberKey] || 0;
+
+    if (balanceCents !== 0 && !force) {
+        return { balanceCents, removed: false };
+    }
+
+    let writeOffs = [];
+    if (balanceCents !== 0) {
+        const now = new Date();
+        const transfers = calculateMinimumTransactions(balancesUSD)
+            .filter(transfer => transfer.from === memberKey || transfer.to === memberKey);
+
+        writeOffs = await Settlement.insertMany(transfers.map(transfer => ({
+            group: group._id,
+            from: transfer.from,
+            to: transfer.to,
+            amount: transfer.amountUSD,
+            currency: "USD",
+            amountUSD: transfer.amountUSD,
+            status: "completed",
+            kind: "write-off",
+            verifiedBy: recordedBy,
+            verifiedAt: now,
+            completedAt: now,
+            notes
+        })));
+    }
+
+    await Promise.all([
+        // Transfers not paid yet are replaced by the write-off, or were not needed any more.
+        // Verified ones record money that changed hands, so they are kept
+        Settlement.deleteMany({
+            group: group._id,
+            status: "pending",
+            $or: [{ from: memberId }, { to: memberId }]
+        }),
+        // Recurring expenses they pay for or are split into would otherwise keep charging the group,
+        // or them, after they left, since every occurrence copies the series' payer and splits
+        Expense.updateMany(
+            {
+                group: group._id,
+                isRecurring: true,
+                "recurrence.status": { $in: ["active", "paused"] },
+                $or: [{ paidBy: memberId }, { "splitDetails.user": memberId }]
+            },
+            { $set: { "recurrence.status": "ended", "recurrence.endedAt": new Date() } }
+        )
+    ]);
+
+    const updatedGroup = await Group.findByIdAndUpdate(
+        group._id,
+        { $pull: { members: memberId, memberRoles: { user: memberId } } },
+        { new: true, select: '_id name members' }
+    ).lean();
+
+    return { balanceCents, removed: true, writeOffs, updatedGroup };
+};
+
+/**
+ * Delete a group with its expenses, their revisions and files, settlements and invitations.
+ * Resolves to the number of records removed of each kind, or null when the group was already gone.
+ */
+export const deleteGroupWithHistory = async (groupId) => {
+    const expenses = await Expense.find({ group: groupId }).select('_id attachments').lean();
+
+    // Deleting the group first means nothing new can be added to it while its history is removed
+    const deleted = await Group.findByIdAndDelete(groupId);
+    if (!deleted) {
+        return null;
+    }
+
+    const expenseIds = expenses.map(expense => expense._id);
+    const [expenseResult, revisionResult, settlementResult, invitationResult] = await Promise.all([
+        Expense.deleteMany({ group: groupId }),
+        ExpenseRevision.deleteMany({ expense: { $in: expenseIds } }),
+        Settlement.deleteMany({ group: groupId }),
+        Invitation.deleteMany({ group: groupId })
+    ]);
+
+    const attachmentsRemoved = await removeStoredAttachments(expenses.flatMap(expense => expense.attachments || []));
+
+    return {
+        expenses: expenseResult.deletedCount,
+        expenseRevisions: revisionResult.deletedCount,
+        attachments: attachmentsRemoved,
+        settlements: settlementResult.deletedCount,
+        invitations: invitationResult.deletedCount
+    };
+};
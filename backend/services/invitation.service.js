@@ -0,0 +1,80 @@
+/**
+ * Invitation Service
+ * Tokens, links and expiry for group invitations.
+ *
+ * An invite token is the invitation ID plus an HMAC signature over that ID and the invitation's
+ * expiry. Tokens cannot be forged or extended without the secret, and since the invitation is
+ * looked up on every use, revoking or answering it invalidates its link as well.
+ */
+
+import crypto from "crypto";
+
+// How long invitations stay open unless INVITATION_TTL_HOURS says otherwise
+export const DEFAULT_INVITATION_TTL_HOURS = 7 * 24;
+
+export const getInvitationTtlMs = () => {
+    const hours = Number(process.env.INVITATION_TTL_HOURS);
+    return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_INVITATION_TTL_HOURS) * 60 * 60 * 1000;
+};
+
+const getSecret = () => {
+    const secret = process.env.INVITATION_TOKEN_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error("INVITATION_TOKEN_SECRET or JWT_SECRET must be set to sign invitations");
+    }
+    return secret;
+};
+
+const sign = (invitationId, expiresAt) => {
+    return crypto
+        .createHmac("sha256", getSecret())
+        .update(`group-invitation:${invitationId}:${new Date(expiresAt).getTime()}`)
+        .digest("base64url");
+};
+
+export const createInvitationToken = (invitation) => {
+    return `${invitation._id}.${sign(invitation._id, invitation.expiresAt)}`;
+};
+
+/**
+ * Invitation ID a token claims to be for, or null when it is not shaped like an invite token.
+ * The claim still has to be checked with verifyInvitationToken once the invitation is loaded.
+ */
+export const getInvitationIdFromToken = (token) => {
+    const [id, signature] = String(token || "").split(".");
+    return /^[0-9a-fA-F]{24}$/.test(id) && signature ? id : null;
+};
+
+export const verifyInvitationToken = (token, invitation) => {
+    const signature = Buffer.from(String(token || "").split(".")[1] || "");
+    const expected = Buffer.from(sign(invitation._id, invitation.expiresAt));
+    return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+};
+
+export const isInvitationExpired = (invitation, now = new Date()) => {
+    return new Date(invitation.expiresAt) <= now;
+};
+
+/**
+ * Link to share with the invitee, opening the invitation page of the frontend
+ */
+export const buildInvitationLink = (token) => {
+    const base = (process.env.FRONTEND_URL || "").replace(/\/+$/, "");
+    return `${base}/invitations/accept?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Invitation as returned by the API. Pending invitations past their expiry show as expired.
+ */
+export const formatInvitation = (invitation) => ({
+    id: invitation._id,
+    group: invitation.group,
+    invitedBy: invitation.invitedBy,
+    invitee: invitation.invitee || null,
+    email: invitation.email || null,
+    role: invitation.role,
+    status: invitation.status === "pending" && isInvitationExpired(invitation) ? "expired" : invitation.status,
+    expiresAt: invitation.expiresAt,
+    respondedAt: invitation.respondedAt || null,
+    createdAt: invitation.createdAt
+});
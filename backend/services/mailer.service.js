@@ -0,0 +1,149 @@
+/**
+ * Mailer Service
+ * Sends the emails the app needs (password resets, email verification).
+ *
+ * A mail transport is an object with:
+ * - name: short label
+ * - send({ from, to, subject, text, html }): delivers the message, resolving once it was handed over
+ *
+ * Transports picked with MAIL_TRANSPORT:
+ * - console (default outside production): prints messages to the log, for local development
+ * - file: writes each message as a JSON file to MAIL_OUTBOX_DIR (or backend/outbox)
+ * - smtp: delivers through the SMTP server in SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS and SMTP_SECURE
+ *
+ * In production MAIL_TRANSPORT has to be set: printed emails would put every reset and
+ * verification link into the logs.
+ */
+
+import crypto from "crypto";
+import fsPromises from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import nodemailer from "nodemailer";
+
+const DEFAULT_OUTBOX_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "outbox");
+
+export const DEFAULT_MAIL_FROM = "FinterHub <no-reply@finterhub.local>";
+
+export const MAIL_TRANSPORTS = Object.freeze(["console", "file", "smtp"]);
+
+export const createConsoleTransport = ({ log = console.log } = {}) => ({
+    name: "console",
+    send: async (message) => {
+        log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+});
+
+/**
+ * Transport that writes every message to its own file, handy to open links from emails locally
+ */
+export const createFileTransport = ({ directory = DEFAULT_OUTBOX_DIR } = {}) => {
+    const root = path.resolve(directory);
+
+    return {
+        name: "file",
+        send: async (message) => {
+            await fsPromises.mkdir(root, { recursive: true });
+            const filename = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+            await fsPromises.writeFile(
+                path.join(root, filename),
+                JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2),
+                { flag: "wx" }
+            );
+        }
+    };
+};
+
+/**
+ * Transport that keeps messages in memory, for tests
+ */
+export const createMemoryTransport = () => {
+    const sent = [];
+    return {
+        name: "memory",
+        sent,
+        send: async (message) => {
+            sent.push(message);
+        }
+    };
+};
+
+export const createSmtpTransport = ({ host, port = 587, secure = false, user, pass } = {}) => {
+    if (!host) {
+        throw new Error("SMTP_HOST must be set to send mail over SMTP");
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port: Number(port),
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: "smtp",
+        send: async (message) => {
+            await transporter.sendMail(message);
+        }
+    };
+};
+
+const createTransportFromEnv = () => {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production") {
+        throw new Error(`MAIL_TRANSPORT must be set in production, expected one of: ${MAIL_TRANSPORTS.join(", ")}`);
+    }
+
+    const transport = (process.env.MAIL_TRANSPORT || "console").toLowerCase();
+
+    switch (transport) {
+        case "console":
+            return createConsoleTransport();
+        case "file":
+            return createFileTransport({ directory: process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR });
+        case "smtp":
+            return createSmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: process.env.SMTP_PORT,
+                secure: process.env.SMTP_SECURE === "true",
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            });
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${transport}", expected one of: ${MAIL_TRANSPORTS.join(", ")}`);
+    }
+};
+
+let mailTransport = null;
+
+export const getMailTransport = () => {
+    if (!mailTransport) {
+        mailTransport = createTransportFromEnv();
+    }
+    return mailTransport;
+};
+
+/**
+ * Swap the mail transport, e.g. for a memory transport in tests
+ */
+export const setMailTransport = (transport) => {
+    mailTransport = transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+    await getMailTransport().send({
+        from: process.env.MAIL_FROM || DEFAULT_MAIL_FROM,
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+/**
+ * Link into the frontend, e.g. buildFrontendLink("/reset-password", { token })
+ */
+export const buildFrontendLink = (pathname, params = {}) => {
+    const base = (process.env.FRONTEND_URL || "").replace(/\/+$/, "");
+    const query = new URLSearchParams(params).toString();
+    return `${base}${pathname}${query ? `?${query}` : ""}`;
+};
@@ -0,0 +1,109 @@
+/**
+ * Money Service
+ * Amounts are kept as integer minor units (cents, paise, fils...) together with their currency,
+ * so adding, splitting and converting them never drifts by a fraction of a cent.
+ *
+ * A money value looks like { amount: 1234, currency: "USD" } for $12.34.
+ */
+
+import { getCurrencyInfo, normalizeCurrencyCode } from "../config/currencies.js";
+
+/**
+ * Round to the nearest integer, halves away from zero so -0.5 and 0.5 round the same way.
+ * toPrecision removes float noise such as 1.005 * 100 = 100.49999999999999 first.
+ */
+const roundHalfAwayFromZero = (value) => {
+    const cleaned = parseFloat(value.toPrecision(15));
+    return Math.sign(cleaned) * Math.round(Math.abs(cleaned));
+};
+
+/**
+ * Number of decimals used by a currency, e.g. 2 for USD, 0 for JPY, 3 for KWD
+ */
+export const getMinorUnits = (currency) => {
+    const info = getCurrencyInfo(currency);
+    if (!info) {
+        throw new Error(`Unsupported currency: ${normalizeCurrencyCode(currency)}`);
+    }
+    return info.minorUnits;
+};
+
+/**
+ * Turn a decimal amount into integer minor units, rounding to the currency's precision
+ */
+export const toMinorUnits = (amount, currency) => {
+    return roundHalfAwayFromZero(amount * 10 ** getMinorUnits(currency));
+};
+
+/**
+ * Turn integer minor units back into a decimal amount
+ */
+export const fromMinorUnits = (minorUnits, currency) => {
+    return minorUnits / 10 ** getMinorUnits(currency);
+};
+
+/**
+ * Check that an amount does not use more decimals than its currency allows
+ */
+export const hasValidPrecision = (amount, currency) => {
+    return fromMinorUnits(toMinorUnits(amount, currency), currency) === amount;
+};
+
+export const createMoney = (amount, currency) => {
+    const code = normalizeCurrencyCode(currency);
+    return { amount: toMinorUnits(amount, code), currency: code };
+};
+
+/**
+ * Decimal value of a money value, e.g. { amount: 1234, currency: "USD" } -> 12.34
+ */
+export const toDecimal = (money) => fromMinorUnits(money.amount, money.currency);
+
+/**
+ * Divide an integer total into parts proportional to non-negative integer weights.
+ * Parts are rounded down and the units left over are handed out one at a time
+ * in the order the weights were listed, so the parts always add up to the total.
+ */
+export const allocateMinorUnits = (total, weights) => {
+    if (!Number.isInteger(total) || total < 0) {
+        throw new Error("Total must be a non-negative integer");
+    }
+    if (weights.length === 0 || weights.some(weight => !Number.isInteger(weight) || weight < 0)) {
+        throw new Error("Weights must be non-negative integers");
+    }
+
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight === 0) {
+        throw new Error("At least one weight must be greater than 0");
+    }
+
+    // BigInt keeps total * weight exact even for very large amounts
+    const parts = weights.map(weight => Number(BigInt(total) * BigInt(weight) / BigInt(totalWeight)));
+
+    let remainder = total - parts.reduce((sum, part) => sum + part, 0);
+    for (let i = 0; remainder > 0; i = (i + 1) % parts.length) {
+        if (weights[i] > 0) {
+            parts[i] += 1;
+            remainder -= 1;
+        }
+    }
+
+    return parts;
+};
+
+/**
+ * Convert minor units between currencies, where rate is how many units of toCurrency
+ * one unit of fromCurrency is worth. The result is rounded once, to the target precision.
+ */
+export const convertMinorUnits = (minorUnits, fromCurrency, toCurrency, rate) => {
+    const scale = 10 ** (getMinorUnits(toCurrency) - getMinorUnits(fromCurrency));
+    return roundHalfAwayFromZero(minorUnits * rate * scale);
+};
+
+export const convertMoney = (money, toCurrency, rate) => {
+    const code = normalizeCurrencyCode(toCurrency);
+    return {
+        amount: convertMinorUnits(money.amount, money.currency, code, rate),
+        currency: code
+    };
+};
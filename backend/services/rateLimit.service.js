@@ -0,0 +1,167 @@
+/**
+ * Rate Limit Service
+ * Counters that expire, used to limit requests per IP and failed logins per account.
+ *
+ * A rate limit store is an object with:
+ * - name: short label
+ * - increment(key, ttlMs): adds one to the counter, starting it with the given lifetime when it does
+ *   not exist yet, and resolves to { count, ttlMs } with the time left before it expires
+ * - get(key): resolves to { count, ttlMs }, or null when there is no counter
+ * - set(key, count, ttlMs): replaces the counter
+ * - delete(key): removes the counter
+ *
+ * The in-memory store is the default and only works for a single server process. The same
+ * interface maps onto Redis (INCR, PEXPIRE, PTTL, SET PX, DEL), so createRedisRateLimitStore can share
+ * counters between instances: setRateLimitStore(createRedisRateLimitStore(redisClient)).
+ */
+
+// Expired counters are dropped from the in-memory store at most this often
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+export const createMemoryRateLimitStore = ({ now = () => Date.now() } = {}) => {
+    const counters = new Map();
+    let lastSweep = now();
+
+    const read = (key) => {
+        const counter = counters.get(key);
+        if (counter && counter.expiresAt <= now()) {
+            counters.delete(key);
+            return null;
+        }
+        return counter || null;
+    };
+
+    const sweep = () => {
+        const time = now();
+        if (time - lastSweep < MEMORY_SWEEP_INTERVAL_MS) {
+            return;
+        }
+        lastSweep = time;
+        for (const [key, counter] of counters) {
+            if (counter.expiresAt <= time) {
+                counters.delete(key);
+            }
+        }
+    };
+
+    const toResult = (counter) => ({ count: counter.count, ttlMs: Math.max(counter.expiresAt - now(), 0) });
+
+    return {
+        name: "memory",
+        increment: async (key, ttlMs) => {
+            sweep();
+            const counter = read(key) || { count: 0, expiresAt: now() + ttlMs };
+            counter.count += 1;
+            counters.set(key, counter);
+            return toResult(counter);
+        },
+        get: async (key) => {
+            const counter = read(key);
+            return counter ? toResult(counter) : null;
+        },
+        set: async (key, count, ttlMs) => {
+            counters.set(key, { count, expiresAt: now() + ttlMs });
+        },
+        delete: async (key) => {
+            counters.delete(key);
+        }
+    };
+};
+
+/**
+ * Store backed by Redis, for an ioredis-style client (incr, pexpire, pttl, get, set, del).
+ * Keys are prefixed so the counters do not collide with other data in the same database.
+ */
+export const createRedisRateLimitStore = (client, { prefix = "finterhub:ratelimit:" } = {}) => {
+    if (!client) {
+        throw new Error("A Redis client is required for the Redis rate limit store");
+    }
+
+    const toKey = (key) => `${prefix}${key}`;
+
+    return {
+        name: "redis",
+        increment: async (key, ttlMs) => {
+            const redisKey = toKey(key);
+            const count = Number(await client.incr(redisKey));
+            let remaining = count === 1 ? -1 : Number(await client.pttl(redisKey));
+
+            // A new counter, or one left without expiry when a previous expire call failed
+            if (remaining < 0) {
+                await client.pexpire(redisKey, ttlMs);
+                remaining = ttlMs;
+            }
+            return { count, ttlMs: remaining };
+        },
+        get: async (key) => {
+            const redisKey = toKey(key);
+            const value = await client.get(redisKey);
+            if (value === null || value === undefined) {
+                return null;
+            }
+            return { count: Number(value), ttlMs: Math.max(Number(await client.pttl(redisKey)), 0) };
+        },
+        set: async (key, count, ttlMs) => {
+            await client.set(toKey(key), String(count), "PX", ttlMs);
+        },
+        delete: async (key) => {
+            await client.del(toKey(key));
+        }
+    };
+};
+
+let rateLimitStore = null;
+
+export const getRateLimitStore = () => {
+    if (!rateLimitStore) {
+        rateLimitStore = createMemoryRateLimitStore();
+    }
+    return rateLimitStore;
+};
+
+/**
+ * Swap the rate limit store, e.g. for a Redis store in production or a fresh memory store in tests
+ */
+export const setRateLimitStore = (store) => {
+    rateLimitStore = store;
+};
+
+// Requests allowed per IP and window unless <NAME>_RATE_LIMIT_MAX and <NAME>_RATE_LIMIT_WINDOW_MINUTES say otherwise
+export const DEFAULT_RATE_LIMITS = Object.freeze({
+    login: Object.freeze({ max: 20, windowMinutes: 15 }),
+    signup: Object.freeze({ max: 5, windowMinutes: 60 })
+});
+
+export const getRateLimit = (name) => {
+    const defaults = DEFAULT_RATE_LIMITS[name];
+    if (!defaults) {
+        throw new Error(`Unknown rate limit "${name}"`);
+    }
+
+    const envPrefix = name.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+    const max = Number(process.env[`${envPrefix}_RATE_LIMIT_MAX`]);
+    const minutes = Number(process.env[`${envPrefix}_RATE_LIMIT_WINDOW_MINUTES`]);
+
+    return {
+        max: Number.isInteger(max) && max > 0 ? max : defaults.max,
+        windowMs: (Number.isFinite(minutes) && minutes > 0 ? minutes : defaults.windowMinutes) * 60 * 1000
+    };
+};
+
+/**
+ * Count one hit against a limit. Resolves to whether it is still allowed,
+ * and when it is not, how long until the window resets.
+ */
+export const consumeRateLimit = async (key, { max, windowMs }) => {
+    const { count, ttlMs } = await getRateLimitStore().increment(key, windowMs);
+    return {
+        allowed: count <= max,
+        count,
+        retryAfterMs: count <= max ? 0 : ttlMs
+    };
+};
+
+/**
+ * Seconds for a Retry-After header, never below one
+ */
+export const toRetryAfterSeconds = (ms) => Math.max(Math.ceil(ms / 1000), 1);
@@ -0,0 +1,162 @@
+/**
+ * Exchange Rate Providers
+ * Every provider exposes the same interface:
+ *
+ *   { name: String, fetchRates: async () => ({ base: "USD", rates: { CODE: rateToUSD } }) }
+ *
+ * where rateToUSD is how many US dollars one unit of the currency is worth.
+ */
+
+import { readFile } from "fs/promises";
+
+/**
+ * Rates used when no live source is configured.
+ * Covers every currency in the registry so each one can be converted from startup.
+ */
+export const STATIC_RATES_TO_USD = {
+    USD: 1.0,
+    INR: 0.012,   // 1 INR = 0.012 USD (approx 83 INR = 1 USD)
+    EUR: 1.09,    // 1 EUR = 1.09 USD
+    CAD: 0.74,    // 1 CAD = 0.74 USD
+    GBP: 1.27,    // 1 GBP = 1.27 USD
+    AUD: 0.66,
+    NZD: 0.59,
+    JPY: 0.0066,
+    CNY: 0.14,
+    KRW: 0.0007,
+    HKD: 0.128,
+    TWD: 0.031,
+    SGD: 0.75,
+    MYR: 0.23,
+    THB: 0.029,
+    IDR: 0.000062,
+    PHP: 0.017,
+    VND: 0.000039,
+    PKR: 0.0036,
+    BDT: 0.0082,
+    LKR: 0.0034,
+    NPR: 0.0075,
+    AED: 0.2723,
+    SAR: 0.2667,
+    QAR: 0.2747,
+    KWD: 3.25,
+    BHD: 2.66,
+    OMR: 2.6,
+    JOD: 1.41,
+    ILS: 0.28,
+    TRY: 0.028,
+    EGP: 0.02,
+    ZAR: 0.055,
+    NGN: 0.00065,
+    KES: 0.0077,
+    CHF: 1.13,
+    SEK: 0.095,
+    NOK: 0.092,
+    DKK: 0.146,
+    ISK: 0.0075,
+    PLN: 0.25,
+    CZK: 0.044,
+    HUF: 0.0028,
+    BRL: 0.18,
+    MXN: 0.054,
+    CLP: 0.0011
+};
+
+/**
+ * Turn a feed in the common "units per base" format, e.g.
+ *   { "base": "USD", "rates": { "INR": 83.3, "EUR": 0.92 } }
+ * into rates to USD.
+ */
+export const normalizeRatesFeed = (feed) => {
+    if (!feed || typeof feed !== "object" || !feed.rates || typeof feed.rates !== "object") {
+        throw new Error("Rate feed must contain a rates object");
+    }
+
+    const base = (feed.base || "USD").toUpperCase();
+    const unitsPerBase = { [base]: 1 };
+
+    Object.entries(feed.rates).forEach(([code, value]) => {
+        const units = typeof value === "object" && value !== null ? value.rate : value;
+        if (typeof units !== "number" || !Number.isFinite(units) || units <= 0) {
+            throw new Error(`Invalid rate for ${code}`);
+        }
+        unitsPerBase[code.toUpperCase()] = units;
+    });
+
+    if (!unitsPerBase.USD) {
+        throw new Error("Rate feed must include USD");
+    }
+
+    // 1 base = unitsPerBase.USD dollars, 1 unit of a currency = 1 / unitsPerBase[code] base
+    const usdPerBase = unitsPerBase.USD;
+    const rates = {};
+    Object.entries(unitsPerBase).forEach(([code, units]) => {
+        rates[code] = usdPerBase / units;
+    });
+
+    return { base: "USD", rates };
+};
+
+/**
+ * Provider serving the built-in rate table
+ */
+export const createStaticRateProvider = (rates = STATIC_RATES_TO_USD) => ({
+    name: "static",
+    fetchRates: async () => ({ base: "USD", rates: { ...rates } })
+});
+
+/**
+ * Provider reading a JSON feed from disk
+ */
+export const createFileRateProvider = (filePath) => {
+    if (!filePath) {
+        throw new Error("A file path is required for the file rate provider");
+    }
+
+    return {
+        name: "file",
+        fetchRates: async () => {
+            const contents = await readFile(filePath, "utf8");
+            return normalizeRatesFeed(JSON.parse(contents));
+        }
+    };
+};
+
+/**
+ * Provider fetching a JSON feed over HTTP.
+ * Works with any endpoint returning the "units per base" format, including a local mock.
+ */
+export const createHttpRateProvider = (url, { timeoutMs = 10000 } = {}) => {
+    if (!url) {
+        throw new Error("A URL is required for the HTTP rate provider");
+    }
+
+    return {
+        name: "http",
+        fetchRates: async () => {
+            const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+            if (!response.ok) {
+                throw new Error(`Rate provider responded with status ${response.status}`);
+            }
+            return normalizeRatesFeed(await response.json());
+        }
+    };
+};
+
+/**
+ * Build the provider selected through RATE_PROVIDER (static, file or http)
+ */
+export const createRateProviderFromEnv = (env = process.env) => {
+    const providerName = (env.RATE_PROVIDER || "static").toLowerCase();
+
+    switch (providerName) {
+        case "static":
+            return createStaticRateProvider();
+        case "file":
+            return createFileRateProvider(env.RATE_PROVIDER_FILE);
+        case "http":
+            return createHttpRateProvider(env.RATE_PROVIDER_URL);
+        default:
+            throw new Error(`Unknown rate provider: ${providerName}`);
+    }
+};
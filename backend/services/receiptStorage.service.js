@@ -0,0 +1,163 @@
+/**
+ * Receipt Storage Service
+ * Stores the files attached to expenses (receipts, invoices) and checks they are what they claim to be.
+ *
+ * A storage backend is an object with:
+ * - name: short label
+ * - save({ buffer, mimeType }): stores the file and resolves to the key it can be found under
+ * - read(key): resolves to a readable stream of the file
+ * - remove(key): deletes the file, resolving even if it was already gone
+ *
+ * Only the local-disk backend ships with the app. Other backends (S3, GCS...) can be plugged in
+ * by implementing the same three methods.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_UPLOAD_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "uploads", "receipts");
+
+export const DEFAULT_MAX_RECEIPT_SIZE_BYTES = 5 * 1024 * 1024;
+
+export const MAX_ATTACHMENTS_PER_EXPENSE = 10;
+
+/**
+ * File types accepted as receipts, with the bytes their files start with.
+ * The declared MIME type is not trusted on its own, the content has to match it.
+ */
+const RECEIPT_TYPES = {
+    "image/jpeg": { extension: ".jpg", matches: (buffer) => startsWith(buffer, [0xFF, 0xD8, 0xFF]) },
+    "image/png": { extension: ".png", matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+    "image/webp": {
+        extension: ".webp",
+        matches: (buffer) => buffer.length >= 12
+            && buffer.toString("ascii", 0, 4) === "RIFF"
+            && buffer.toString("ascii", 8, 12) === "WEBP"
+    },
+    "application/pdf": { extension: ".pdf", matches: (buffer) => buffer.toString("ascii", 0, 5) === "%PDF-" }
+};
+
+export const ALLOWED_RECEIPT_MIME_TYPES = Object.freeze(Object.keys(RECEIPT_TYPES));
+
+const startsWith = (buffer, bytes) => {
+    return buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte);
+};
+
+export const isAllowedReceiptType = (mimeType) => {
+    return Object.prototype.hasOwnProperty.call(RECEIPT_TYPES, mimeType);
+};
+
+/**
+ * Check that a file's content matches its declared type
+ */
+export const matchesReceiptType = (buffer, mimeType) => {
+    return isAllowedReceiptType(mimeType) && RECEIPT_TYPES[mimeType].matches(buffer);
+};
+
+/**
+ * Keep a client file name safe to echo back in a Content-Disposition header
+ */
+export const sanitizeFilename = (filename) => {
+    const base = path.basename(String(filename || "")).replace(/[^\w.\- ]+/g, "_").trim();
+    return base.slice(0, 255) || "receipt";
+};
+
+/**
+ * Storage backend that keeps files in a directory on the local disk.
+ * Keys are random names, so a key never points outside the directory.
+ */
+export const createLocalReceiptStorage = ({ directory = DEFAULT_UPLOAD_DIR } = {}) => {
+    const root = path.resolve(directory);
+
+    const resolveKey = (key) => {
+        if (typeof key !== "string" || !/^[a-f0-9]{32}\.[a-z]+$/.test(key)) {
+            throw new Error("Invalid storage key");
+        }
+        return path.join(root, key);
+    };
+
+    return {
+        name: "local",
+        save: async ({ buffer, mimeType }) => {
+            await fsPromises.mkdir(root, { recursive: true });
+            const key = `${crypto.randomBytes(16).toString("hex")}${RECEIPT_TYPES[mimeType]?.extension || ""}`;
+            await fsPromises.writeFile(resolveKey(key), buffer, { flag: "wx" });
+            return key;
+        },
+        read: async (key) => {
+            const filePath = resolveKey(key);
+            await fsPromises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+        remove: async (key) => {
+            try {
+                await fsPromises.unlink(resolveKey(key));
+            } catch (error) {
+                if (error.code !== "ENOENT") {
+                    throw error;
+                }
+            }
+        }
+    };
+};
+
+let receiptStorage = null;
+
+/**
+ * Storage backend used by the attachment endpoints.
+ * Defaults to local disk under RECEIPT_UPLOAD_DIR (or backend/uploads/receipts).
+ */
+export const getReceiptStorage = () => {
+    if (!receiptStorage) {
+        receiptStorage = createLocalReceiptStorage({
+            directory: process.env.RECEIPT_UPLOAD_DIR || DEFAULT_UPLOAD_DIR
+        });
+    }
+    return receiptStorage;
+};
+
+/**
+ * Swap the storage backend, e.g. for a cloud backend or a temporary directory in tests
+ */
+export const setReceiptStorage = (storage) => {
+    receiptStorage = storage;
+};
+
+export const getMaxReceiptSizeBytes = () => {
+    return Number(process.env.RECEIPT_MAX_SIZE_BYTES) || DEFAULT_MAX_RECEIPT_SIZE_BYTES;
+};
+
+/**
+ * Delete stored files for a list of attachments.
+ * Attachments that only hold a pasted URL have nothing stored and are skipped.
+ * Failures are logged rather than thrown so they never block deleting the expense itself.
+ */
+export const removeStoredAttachments = async (attachments = []) => {
+    const storage = getReceiptStorage();
+    const keys = attachments.map(attachment => attachment.storageKey).filter(Boolean);
+
+    const results = await Promise.allSettled(keys.map(key => storage.remove(key)));
+    results.forEach((result, i) => {
+        if (result.status === "rejected") {
+            console.error(`Error removing stored attachment ${keys[i]}:`, result.reason.message);
+        }
+    });
+
+    return results.filter(result => result.status === "fulfilled").length;
+};
+
+/**
+ * Attachment as returned by the API, without the internal storage key
+ */
+export const formatAttachment = (attachment) => ({
+    _id: attachment._id,
+    filename: attachment.filename,
+    url: attachment.url,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    uploadedBy: attachment.uploadedBy,
+    uploadedAt: attachment.uploadedAt
+});
@@ -0,0 +1,252 @@
+/**
+ * Recurring Expense Service
+ * Creates the occurrences of recurring expenses as they fall due.
+ *
+ * The expense marked isRecurring is the first expense of its series. Every occurrence is a copy
+ * of it (same amount, payer and split) that points back to it through recurringSource.
+ * Occurrence dates are always worked out from the first expense's date, so a series that
+ * starts on Jan 31 runs Feb 28, Mar 31, Apr 30... instead of drifting to the 28th.
+ */
+
+import Expense from "../models/expense.model.js";
+import { getRateToUSDAt } from "./currency.service.js";
+
+export const RECURRING_FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+// Upper bound on occurrences created for one series in a single run, the next run carries on
+const MAX_OCCURRENCES_PER_RUN = 100;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Date of the index-th occurrence after the first expense (index 0 is the first expense itself).
+ * Months and years keep the original day, clamped to the last day of shorter months.
+ */
+export const computeOccurrenceDate = (anchorDate, frequency, index) => {
+    const anchor = new Date(anchorDate);
+
+    if (frequency === "daily") {
+        return new Date(anchor.getTime() + index * DAY_MS);
+    }
+
+    if (frequency === "weekly") {
+        return new Date(anchor.getTime() + index * 7 * DAY_MS);
+    }
+
+    if (frequency !== "monthly" && frequency !== "yearly") {
+        throw new Error(`Recurring frequency must be one of: ${RECURRING_FREQUENCIES.join(", ")}`);
+    }
+
+    const monthOffset = frequency === "monthly" ? index : index * 12;
+    const totalMonths = anchor.getUTCMonth() + monthOffset;
+    const year = anchor.getUTCFullYear() + Math.floor(totalMonths / 12);
+    const month = ((totalMonths % 12) + 12) % 12;
+    const day = Math.min(anchor.getUTCDate(), daysInMonth(year, month));
+
+    return new Date(Date.UTC(
+        year,
+        month,
+        day,
+        anchor.getUTCHours(),
+        anchor.getUTCMinutes(),
+        anchor.getUTCSeconds(),
+        anchor.getUTCMilliseconds()
+    ));
+};
+
+/**
+ * First occurrence strictly after a given date
+ */
+export const findNextOccurrence = (anchorDate, frequency, after) => {
+    let index = 1;
+    let date = computeOccurrenceDate(anchorDate, frequency, index);
+
+    // Jump close to the target first so long-running daily series do not loop for years
+    const afterTime = new Date(after).getTime();
+    if (date.getTime() <= afterTime) {
+        const approximateSpan = { daily: DAY_MS, weekly: 7 * DAY_MS, monthly: 28 * DAY_MS, yearly: 365 * DAY_MS }[frequency];
+        index = Math.max(1, Math.floor((afterTime - new Date(anchorDate).getTime()) / approximateSpan) - 1);
+        date = computeOccurrenceDate(anchorDate, frequency, index);
+
+        while (date.getTime() > afterTime && index > 1) {
+            index -= 1;
+            date = computeOccurrenceDate(anchorDate, frequency, index);
+        }
+        while (date.getTime() <= afterTime) {
+            index += 1;
+            date = computeOccurrenceDate(anchorDate, frequency, index);
+        }
+    }
+
+    return { index, date };
+};
+
+/**
+ * Schedule of a new series, starting after its first expense
+ */
+export const buildRecurrence = ({ date, frequency, endDate = null }) => ({
+    status: "active",
+    anchorDate: new Date(date),
+    occurrenceIndex: 1,
+    nextOccurrence: computeOccurrenceDate(date, frequency, 1),
+    endDate: endDate ? new Date(endDate) : null
+});
+
+/**
+ * Copy of the first expense for one occurrence date
+ */
+const buildOccurrence = async (series, occurrenceDate) => ({
+    title: series.title,
+    description: series.description,
+    amount: series.amount,
+    currency: series.currency,
+    category: series.category,
+    date: occurrenceDate,
+    exchangeRate: await getRateToUSDAt(series.currency, occurrenceDate),
+    paidBy: series.paidBy,
+    group: series.group,
+    splitType: series.splitType,
+    splitDetails: (series.splitDetails || []).map(split => ({
+        user: split.user,
+        amount: split.amount,
+        percentage: split.percentage,
+        settled: false
+    })),
+    paymentMethod: series.paymentMethod,
+    tags: series.tags,
+    notes: series.notes,
+    isRecurring: false,
+    recurringFrequency: null,
+    recurringSource: series._id,
+    occurrenceDate
+});
+
+/**
+ * Give series created before the scheduler existed a schedule.
+ * They pick up from their next date instead of back-filling every missed occurrence.
+ */
+const scheduleUnscheduledSeries = async (now) => {
+    const series = await Expense.find({
+        isRecurring: true,
+        recurringFrequency: { $in: RECURRING_FREQUENCIES },
+        "recurrence.status": { $exists: false }
+    }).select('_id date recurringFrequency').lean();
+
+    for (const expense of series) {
+        const { index, date } = findNextOccurrence(expense.date, expense.recurringFrequency, now);
+        await Expense.updateOne(
+            { _id: expense._id, "recurrence.status": { $exists: false } },
+            {
+                $set: {
+                    recurrence: {
+                        status: "active",
+                        anchorDate: expense.date,
+                        occurrenceIndex: index,
+                        nextOccurrence: date,
+                        endDate: null
+                    }
+                }
+            }
+        );
+    }
+
+    return series.length;
+};
+
+/**
+ * Create every occurrence that is due.
+ * Safe to run any number of times, even concurrently: an occurrence date can only be created
+ * once per series, and the schedule only moves forward from the position it was read at.
+ */
+export const generateDueOccurrences = async ({ now = new Date() } = {}) => {
+    const summary = { scheduled: 0, seriesProcessed: 0, created: 0, skipped: 0, ended: 0, failed: 0 };
+
+    summary.scheduled = await scheduleUnscheduledSeries(now);
+
+    const dueSeries = await Expense.find({
+        isRecurring: true,
+        "recurrence.status": "active",
+        "recurrence.nextOccurrence": { $lte: now }
+    }).lean();
+
+    for (const series of dueSeries) {
+        const { anchorDate, endDate } = series.recurrence;
+        const startIndex = series.recurrence.occurrenceIndex;
+        let index = startIndex;
+        let nextOccurrence = new Date(series.recurrence.nextOccurrence);
+        let created = 0;
+
+        try {
+            while (nextOccurrence <= now && (!endDate || nextOccurrence <= endDate) && created < MAX_OCCURRENCES_PER_RUN) {
+                try {
+                    await Expense.create(await buildOccurrence(series, nextOccurrence));
+                    summary.created += 1;
+                } catch (error) {
+                    if (error.code !== 11000) {
+                        throw error;
+                    }
+                    // Already created by an earlier or concurrent run
+                    summary.skipped += 1;
+                }
+
+                created += 1;
+                index += 1;
+                nextOccurrence = computeOccurrenceDate(anchorDate, series.recurringFrequency, index);
+            }
+
+            const hasEnded = Boolean(endDate) && nextOccurrence > endDate;
+            const update = {
+                "recurrence.occurrenceIndex": index,
+                "recurrence.nextOccurrence": nextOccurrence
+            };
+            if (hasEnded) {
+                update["recurrence.status"] = "ended";
+                update["recurrence.endedAt"] = now;
+                summary.ended += 1;
+            }
+
+            await Expense.updateOne(
+                { _id: series._id, "recurrence.occurrenceIndex": startIndex },
+                { $set: update }
+            );
+            summary.seriesProcessed += 1;
+        } catch (error) {
+            console.error(`Error creating occurrences for recurring expense ${series._id}:`, error.message);
+            summary.failed += 1;
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Create due occurrences right away and then on a fixed interval.
+ * Returns a function that stops the schedule.
+ */
+export const startRecurringExpenseScheduler = ({ intervalMs = DEFAULT_SCHEDULER_INTERVAL_MS } = {}) => {
+    let isRunning = false;
+
+    const run = async () => {
+        if (isRunning) {
+            return;
+        }
+        isRunning = true;
+        try {
+            await generateDueOccurrences();
+        } catch (error) {
+            console.error("Error generating recurring expenses:", error.message);
+        } finally {
+            isRunning = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+
+    return () => clearInterval(timer);
+};
@@ -0,0 +1,114 @@
+/**
+ * Refresh Token Service
+ * Server-side refresh tokens, rotated on every use.
+ *
+ * Refresh tokens are random values, only their SHA-256 hash is stored. Each use exchanges the token
+ * for a new one from the same family. A token that is used a second time was copied by someone,
+ * so the whole family is revoked and both the thief and the user have to log in again.
+ */
+
+import crypto from "crypto";
+import RefreshToken from "../models/refreshToken.model.js";
+
+// How long a refresh token stays valid unless REFRESH_TOKEN_TTL_DAYS says otherwise
+export const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 7;
+
+// Options of the refreshToken cookie, the same ones have to be passed to clear it
+export const REFRESH_TOKEN_COOKIE_OPTIONS = Object.freeze({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+});
+
+export const getRefreshTokenTtlMs = () => {
+    const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+    return (Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+export const hashRefreshToken = (token) => {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Create a refresh token for a user, starting a new family unless one is given.
+ * Returns the token to hand to the client together with its stored record.
+ */
+export const issueRefreshToken = async (userId, { family = crypto.randomUUID(), now = new Date() } = {}) => {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const record = await RefreshToken.create({
+        user: userId,
+        family,
+        tokenHash: hashRefreshToken(token),
+        expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs())
+    });
+
+    return { token, record };
+};
+
+export const revokeRefreshTokenFamily = async (family, reason, now = new Date()) => {
+    const { modifiedCount } = await RefreshToken.updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: reason } }
+    );
+    return modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new one from the same family.
+ * Returns { token, record } on success, or { reason } with one of
+ * "invalid", "expired", "revoked" or "reused" when the token cannot be used.
+ */
+export const rotateRefreshToken = async (token, now = new Date()) => {
+    const current = await RefreshToken.findOne({ tokenHash: hashRefreshToken(token) }).lean();
+
+    if (!current) {
+        return { reason: "invalid" };
+    }
+
+    if (current.revokedAt) {
+        return { reason: "revoked" };
+    }
+
+    if (current.expiresAt <= now) {
+        return { reason: "expired" };
+    }
+
+    // Claiming the token first means two requests with the same token cannot both rotate it
+    const claimed = current.rotatedAt ? null : await RefreshToken.findOneAndUpdate(
+        { _id: current._id, rotatedAt: null, revokedAt: null },
+        { $set: { rotatedAt: now } },
+        { new: true }
+    ).lean();
+
+    if (!claimed) {
+        await revokeRefreshTokenFamily(current.family, "reuse", now);
+        return { reason: "reused" };
+    }
+
+    const next = await issueRefreshToken(current.user, { family: current.family, now });
+    await RefreshToken.updateOne({ _id: current._id }, { $set: { replacedBy: next.record._id } });
+
+    return next;
+};
+
+/**
+ * Revoke the session a refresh token belongs to. Unknown tokens are ignored.
+ */
+export const revokeRefreshToken = async (token, reason = "logout") => {
+    const current = await RefreshToken.findOne({ tokenHash: hashRefreshToken(token) }).select('family').lean();
+    if (!current) {
+        return 0;
+    }
+    return revokeRefreshTokenFamily(current.family, reason);
+};
+
+/**
+ * Sign a user out everywhere, e.g. after their password changed
+ */
+export const revokeUserRefreshTokens = async (userId, reason, now = new Date()) => {
+    const { modifiedCount } = await RefreshToken.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: reason } }
+    );
+    return modifiedCount;
+};
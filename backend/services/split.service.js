@@ -0,0 +1,103 @@
+/**
+ * Split Service
+ * Computes and validates how an expense amount is divided between participants
+ */
+
+import { allocateMinorUnits, fromMinorUnits, toMinorUnits } from "./money.service.js";
+
+const SPLIT_TYPES = ["equal", "percentage", "custom", "none"];
+
+// Percentages are turned into integer weights with up to four decimals of precision
+const PERCENTAGE_SCALE = 10000;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Validate split details sent by a client and work out each participant's share.
+ *
+ * - equal: the amount is divided evenly, any amounts sent by the client are ignored
+ * - percentage: percentages must add up to 100, shares are derived from them
+ * - custom: amounts must add up to the expense amount
+ *
+ * Shares are worked out in the currency's minor units. When an amount cannot be divided
+ * exactly, the units left over go to the participants in the order they were listed.
+ *
+ * Throws an Error with a client-facing message when the split is inconsistent.
+ */
+export const computeSplitDetails = ({ amount, currency = "USD", splitType = "none", splitDetails = [], memberIds = null }) => {
+    if (!SPLIT_TYPES.includes(splitType)) {
+        throw new Error(`Split type must be one of: ${SPLIT_TYPES.join(", ")}`);
+    }
+
+    if (splitType === "none") {
+        return [];
+    }
+
+    if (!Array.isArray(splitDetails) || splitDetails.length === 0) {
+        throw new Error("Split details are required when split type is not 'none'");
+    }
+
+    const seenUsers = new Set();
+
+    splitDetails.forEach(split => {
+        const splitUserId = split && split.user ? split.user.toString() : "";
+
+        if (!splitUserId.match(/^[0-9a-fA-F]{24}$/)) {
+            throw new Error("Each split entry must have a valid user ID");
+        }
+
+        if (seenUsers.has(splitUserId)) {
+            throw new Error("A user can only appear once in split details");
+        }
+        seenUsers.add(splitUserId);
+
+        if (memberIds && !memberIds.includes(splitUserId)) {
+            throw new Error("All users in split details must be members of the group");
+        }
+    });
+
+    const totalUnits = toMinorUnits(amount, currency);
+    const buildSplit = (split, units, extra = {}) => ({
+        user: split.user.toString(),
+        amount: fromMinorUnits(units, currency),
+        ...extra,
+        // Never taken from the client, who could otherwise mark their own share as paid
+        settled: false
+    });
+
+    if (splitType === "equal") {
+        const parts = allocateMinorUnits(totalUnits, splitDetails.map(() => 1));
+        return splitDetails.map((split, i) => buildSplit(split, parts[i]));
+    }
+
+    if (splitType === "percentage") {
+        splitDetails.forEach(split => {
+            if (!isNumber(split.percentage) || split.percentage <= 0 || split.percentage > 100) {
+                throw new Error("Each percentage must be a number greater than 0 and at most 100");
+            }
+        });
+
+        const totalPercentage = splitDetails.reduce((sum, split) => sum + split.percentage, 0);
+        if (Math.abs(totalPercentage - 100) > 0.01) {
+            throw new Error(`Percentages must add up to 100 (got ${parseFloat(totalPercentage.toFixed(2))})`);
+        }
+
+        const weights = splitDetails.map(split => Math.round(split.percentage * PERCENTAGE_SCALE));
+        const parts = allocateMinorUnits(totalUnits, weights);
+        return splitDetails.map((split, i) => buildSplit(split, parts[i], { percentage: split.percentage }));
+    }
+
+    splitDetails.forEach(split => {
+        if (!isNumber(split.amount) || split.amount < 0) {
+            throw new Error("Each custom split amount must be a number of at least 0");
+        }
+    });
+
+    const splitUnits = splitDetails.map(split => toMinorUnits(split.amount, currency));
+    const totalSplitUnits = splitUnits.reduce((sum, units) => sum + units, 0);
+    if (totalSplitUnits !== totalUnits) {
+        throw new Error(`Custom split amounts must add up to the expense amount (${fromMinorUnits(totalUnits, currency)}, got ${fromMinorUnits(totalSplitUnits, currency)})`);
+    }
+
+    return splitDetails.map((split, i) => buildSplit(split, splitUnits[i]));
+};
@@ -0,0 +1,242 @@
+/**
+ * Two-Factor Service
+ * Time-based one-time passwords (TOTP, RFC 6238), recovery codes and login challenges.
+ *
+ * Codes are computed with Node's crypto module, so they work offline and match any authenticator
+ * app (SHA-1, 6 digits, 30 second steps). Secrets are stored encrypted with AES-256-GCM under
+ * TWO_FACTOR_ENCRYPTION_KEY (or JWT_SECRET), recovery codes are stored as SHA-256 hashes.
+ *
+ * A login challenge is a short-lived JWT proving the password was right. It is signed with a key
+ * derived from JWT_SECRET, so it can never be used as an access token.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../models/user.model.js";
+
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+// Codes from this many steps before or after now are accepted, to allow for clock drift
+export const TOTP_DRIFT_STEPS = 1;
+
+export const RECOVERY_CODE_COUNT = 10;
+
+export const DEFAULT_TWO_FACTOR_ISSUER = "FinterHub";
+
+// How long the challenge from the first login step stays valid unless TWO_FACTOR_CHALLENGE_TTL_MINUTES says otherwise
+export const DEFAULT_TWO_FACTOR_CHALLENGE_TTL_MINUTES = 5;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export const encodeBase32 = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+export const decodeBase32 = (input) => {
+    const cleaned = String(input || "").toUpperCase().replace(/[\s=-]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 secret");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * New random secret, base32 encoded as authenticator apps expect
+ */
+export const generateTotpSecret = () => encodeBase32(crypto.randomBytes(20));
+
+export const getTotpStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Code for one time step (HOTP, RFC 4226, with the step as counter)
+ */
+export const generateTotp = (secret, { step = getTotpStep() } = {}) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const digest = crypto.createHmac("sha1", decodeBase32(secret)).update(counter).digest();
+    const offset = digest[digest.length - 1] & 15;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Time step a code belongs to when it is valid around the given time, otherwise null.
+ * Callers keep the step so the same code cannot be used twice.
+ */
+export const verifyTotp = (secret, code, { time = Date.now() } = {}) => {
+    const normalized = String(code || "").replace(/\s/g, "");
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const current = getTotpStep(time);
+    for (let step = current - TOTP_DRIFT_STEPS; step <= current + TOTP_DRIFT_STEPS; step++) {
+        const expected = Buffer.from(generateTotp(secret, { step }));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps, usually shown as a QR code
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer = process.env.TWO_FACTOR_ISSUER || DEFAULT_TWO_FACTOR_ISSUER }) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const getEncryptionKey = () => {
+    const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error("TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set to store two-factor secrets");
+    }
+    return crypto.createHash("sha256").update(`two-factor-secret:${secret}`).digest();
+};
+
+export const encryptTotpSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString("base64url")).join(".");
+};
+
+export const decryptTotpSecret = (stored) => {
+    const [iv, tag, encrypted] = String(stored || "").split(".").map(part => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+/**
+ * Recovery code as typed by the user, ignoring case, spaces and dashes
+ */
+const normalizeRecoveryCode = (code) => String(code || "").toLowerCase().replace(/[\s-]/g, "");
+
+export const hashRecoveryCode = (code) => {
+    return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+};
+
+/**
+ * Fresh one-time recovery codes such as "3f9a-c21b-7d04", to show to the user once
+ */
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+    return Array.from({ length: count }, () => crypto.randomBytes(6).toString("hex").match(/.{4}/g).join("-"));
+};
+
+export const getTwoFactorChallengeTtlMs = () => {
+    const minutes = Number(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TWO_FACTOR_CHALLENGE_TTL_MINUTES) * 60 * 1000;
+};
+
+const getChallengeSecret = () => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error("JWT_SECRET must be set to sign two-factor challenges");
+    }
+    return crypto.createHmac("sha256", process.env.JWT_SECRET).update("two-factor-challenge").digest("hex");
+};
+
+export const createTwoFactorChallenge = (userId) => {
+    return jwt.sign({ id: userId.toString(), purpose: "two-factor" }, getChallengeSecret(), {
+        expiresIn: Math.floor(getTwoFactorChallengeTtlMs() / 1000)
+    });
+};
+
+/**
+ * User ID from a challenge token, or null when it is invalid or expired
+ */
+export const verifyTwoFactorChallenge = (token) => {
+    try {
+        const decoded = jwt.verify(String(token || ""), getChallengeSecret());
+        return decoded.purpose === "two-factor" ? decoded.id : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Check a second factor of a user with two-factor authentication on, either a code from their
+ * authenticator app or one of their recovery codes, and use it up so it cannot be replayed.
+ * Resolves to { method, recoveryCodesRemaining } when it was accepted, otherwise null.
+ */
+export const consumeSecondFactor = async (user, { code, recoveryCode, time = Date.now() } = {}) => {
+    const twoFactor = user.twoFactor || {};
+    if (!twoFactor.enabled || !twoFactor.secret) {
+        return null;
+    }
+
+    if (code) {
+        const step = verifyTotp(decryptTotpSecret(twoFactor.secret), code, { time });
+        if (step === null) {
+            return null;
+        }
+
+        // Claiming the step means a code that was already used, or an older one, is refused
+        const { modifiedCount } = await User.updateOne(
+            { _id: user._id, "twoFactor.enabled": true, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+            { $set: { "twoFactor.lastUsedStep": step } }
+        );
+        return modifiedCount ? { method: "totp" } : null;
+    }
+
+    if (recoveryCode) {
+        const updated = await User.findOneAndUpdate(
+            {
+                _id: user._id,
+                "twoFactor.enabled": true,
+                "twoFactor.recoveryCodes": { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } }
+            },
+            { $set: { "twoFactor.recoveryCodes.$.usedAt": new Date(time) } },
+            { new: true, select: "twoFactor.recoveryCodes" }
+        ).lean();
+
+        if (!updated) {
+            return null;
+        }
+        return {
+            method: "recovery",
+            recoveryCodesRemaining: updated.twoFactor.recoveryCodes.filter(item => !item.usedAt).length
+        };
+    }
+
+    return null;
+};
@@ -0,0 +1,394 @@
+import request from "supertest";
+import express from "express";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
+import cookieParser from "cookie-parser";
+import zlib from "zlib";
+import authRouter from "../routes/auth.route.js";
+import groupRouter from "../routes/group.route.js";
+import { addExpenseInAnyCurrency, calculateGroupBalance, getExpenseById } from "../controllers/expense.controller.js";
+import { auth } from "../middleware/auth.js";
+import Group from "../models/group.model.js";
+import User from "../models/user.model.js";
+import Expense from "../models/expense.model.js";
+import Settlement from "../models/settlement.model.js";
+import Invitation from "../models/invitation.model.js";
+import RefreshToken from "../models/refreshToken.model.js";
+import LoginEvent from "../models/loginEvent.model.js";
+import { createMemoryTransport, setMailTransport } from "../services/mailer.service.js";
+import { createMemoryRateLimitStore, setRateLimitStore } from "../services/rateLimit.service.js";
+import { encryptTotpSecret, generateTotp, generateTotpSecret, getTotpStep } from "../services/twoFactor.service.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/auth", authRouter);
+app.use("/api/group", groupRouter);
+app.post("/api/expense/add-expense-in-any-currency", auth, addExpenseInAnyCurrency);
+app.get("/api/expense/get-expense/:id", auth, getExpenseById);
+app.get("/api/expense/calculate-group-balance/:groupId", auth, calculateGroupBalance);
+
+// Connect to in-memory database
+beforeAll(async () => {
+    setMailTransport(createMemoryTransport());
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    setMailTransport(null);
+    setRateLimitStore(null);
+    await closeDatabase();
+});
+
+beforeEach(() => {
+    setRateLimitStore(createMemoryRateLimitStore());
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+const createUserAndGetToken = async (emailSuffix) => {
+    const user = await User.create({
+        name: `Test User ${emailSuffix}`,
+        email: `testuser${emailSuffix}@test.com`,
+        password: await bcrypt.hash("password123", 1)
+    });
+
+    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+    return { user, token };
+};
+
+const createTestGroup = async (token, name = `Test Group ${Date.now()}`) => {
+    const response = await request(app)
+        .post("/api/group/create-group")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ name, description: "Test group description for testing" });
+
+    return response.body.group;
+};
+
+// The payer pays 100, split equally between the users
+const createSharedExpense = async (token, group, users) => {
+    const response = await request(app)
+        .post("/api/expense/add-expense-in-any-currency")
+        .set("Authorization", `Bearer ${token}`)
+        .send({
+            title: "Shared dinner",
+            amount: 100,
+            currency: "USD",
+            category: "Food & Dining",
+            group: group.id,
+            splitType: "equal",
+            splitDetails: users.map(user => ({ user: user._id.toString() }))
+        });
+
+    return response.body.expense;
+};
+
+const deleteAccount = (token, body = {}) => {
+    return request(app)
+        .delete("/api/auth/account")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ password: "password123", ...body });
+};
+
+describe("Account Export Tests", () => {
+
+    it("should export the profile, groups, expenses, splits and settlements", async () => {
+        const { user: owner, token } = await createUserAndGetToken(1);
+        const { user: member } = await createUserAndGetToken(2);
+        const group = await createTestGroup(token, "Trip");
+        await addGroupMember(group.id, member._id);
+        const expense = await createSharedExpense(token, group, [owner, member]);
+        await Settlement.create({ group: group.id, from: member._id, to: owner._id, amount: 50, currency: "USD", amountUSD: 50 });
+
+        const response = await request(app)
+            .get("/api/auth/export")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+
+        expect(response.headers["content-disposition"]).toMatch(/^attachment; filename="finterhub-export-\d{4}-\d{2}-\d{2}\.json"$/);
+        expect(response.body.profile).toMatchObject({ name: owner.name, email: owner.email, twoFactorEnabled: false });
+        expect(response.body.groups).toHaveLength(1);
+        expect(response.body.groups[0]).toMatchObject({ name: "trip", role: "owner" });
+        expect(response.body.groups[0].members.map(item => item.name).sort()).toEqual([member.name, owner.name].sort());
+        expect(response.body.expenses.map(item => item._id)).toEqual([expense.id]);
+        expect(response.body.splits).toEqual([expect.objectContaining({ expense: expense.id, amount: 50, settled: true, paidByMe: true })]);
+        expect(response.body.settlements).toHaveLength(1);
+    });
+
+    it("should never include secrets", async () => {
+        const { user, token } = await createUserAndGetToken(3);
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                "twoFactor.enabled": true,
+                "twoFactor.secret": encryptTotpSecret(generateTotpSecret()),
+                "twoFactor.recoveryCodes": [{ hash: "recovery-hash" }]
+            }
+        });
+
+        const response = await request(app)
+            .get("/api/auth/export")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+
+        expect(response.body.profile.twoFactorEnabled).toBe(true);
+        const text = JSON.stringify(response.body);
+        expect(text).not.toContain(user.password);
+        expect(text).not.toContain("recovery-hash");
+        expect(text).not.toContain("secret");
+    });
+
+    it("should export a ZIP archive on request", async () => {
+        const { token } = await createUserAndGetToken(4);
+
+        const response = await request(app)
+            .get("/api/auth/export?format=zip")
+            .set("Authorization", `Bearer ${token}`)
+            .buffer(true)
+            .parse((res, callback) => {
+                const chunks = [];
+                res.on("data", chunk => chunks.push(chunk));
+                res.on("end", () => callback(null, Buffer.concat(chunks)));
+            })
+            .expect(200);
+
+        expect(response.headers["content-type"]).toBe("application/zip");
+        expect(response.headers["content-disposition"]).toContain(".zip");
+
+        // The first entry is export.json, listing the other files
+        const archive = response.body;
+        expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+        const nameLength = archive.readUInt16LE(26);
+        expect(archive.toString("utf8", 30, 30 + nameLength)).toBe("export.json");
+        const manifest = JSON.parse(zlib.inflateRawSync(archive.subarray(30 + nameLength, 30 + nameLength + archive.readUInt32LE(18))));
+        expect(manifest.files).toEqual([
+            "profile.json", "groups.json", "expenses.json", "splits.json", "settlements.json", "invitations.json", "login-activity.json"
+        ]);
+    });
+
+    it("should only include invitations sent to the email once it is verified", async () => {
+        const { user: owner, token: ownerToken } = await createUserAndGetToken(6);
+        const { user, token } = await createUserAndGetToken(7);
+        const group = await createTestGroup(ownerToken);
+        await Invitation.create({
+            group: group.id,
+            invitedBy: owner._id,
+            email: user.email,
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+        });
+
+        const unverified = await request(app)
+            .get("/api/auth/export")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+        expect(unverified.body.invitations).toHaveLength(0);
+
+        await User.updateOne({ _id: user._id }, { $set: { emailVerifiedAt: new Date() } });
+
+        const verified = await request(app)
+            .get("/api/auth/export")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+        expect(verified.body.invitations).toHaveLength(1);
+    });
+
+    it("should reject unknown formats and unauthenticated requests", async () => {
+        const { token } = await createUserAndGetToken(5);
+
+        const response = await request(app)
+            .get("/api/auth/export?format=xml")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(400);
+        expect(response.body.message).toBe("Format must be one of: json, zip");
+
+        await request(app).get("/api/auth/export").expect(401);
+    });
+});
+
+describe("Account Deletion Tests", () => {
+
+    it("should anonymize the user and keep group ledgers consistent", async () => {
+        const { user: owner, token } = await createUserAndGetToken(10);
+        const { user: member, token: memberToken } = await createUserAndGetToken(11);
+        const group = await createTestGroup(token);
+        await addGroupMember(group.id, member._id);
+        const expense = await createSharedExpense(memberToken, group, [owner, member]);
+        await Settlement.create({ group: group.id, from: owner._id, to: member._id, amount: 50, currency: "USD", amountUSD: 50, status: "completed" });
+
+        const response = await deleteAccount(memberToken).expect(200);
+
+        expect(response.body.message).toBe("Your account has been deleted");
+        expect(response.body.removed).toMatchObject({ groupsLeft: 1, groupsDeleted: 0, writeOffs: 0 });
+
+        const stored = await User.findById(member._id).lean();
+        expect(stored.name).toBe("Deleted user");
+        expect(stored.email).toBe(`deleted-${member._id}@deleted.invalid`);
+        expect(stored.deletedAt).toBeTruthy();
+
+        const storedGroup = await Group.findById(group.id).lean();
+        expect(storedGroup.members.map(id => id.toString())).toEqual([owner._id.toString()]);
+
+        // The expense they paid still counts, now under the anonymized name
+        const retrieved = await request(app)
+            .get(`/api/expense/get-expense/${expense.id}`)
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+        expect(retrieved.body.expense.paidBy.name).toBe("Deleted user");
+
+        const balances = await request(app)
+            .get(`/api/expense/calculate-group-balance/${group.id}`)
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+        expect(balances.body.balances.reduce((sum, balance) => sum + balance.balance, 0)).toBe(0);
+    });
+
+    it("should make the old credentials and sessions useless", async () => {
+        const { user, token } = await createUserAndGetToken(12);
+        const login = await request(app).post("/api/auth/login").send({ email: user.email, password: "password123" }).expect(200);
+        const cookie = login.headers["set-cookie"];
+
+        await deleteAccount(token).expect(200);
+
+        await request(app).post("/api/auth/login").send({ email: user.email, password: "password123" }).expect(401);
+        await request(app).post("/api/auth/refresh-token").set("Cookie", cookie).expect(401);
+        expect(await RefreshToken.countDocuments({ user: user._id })).toBe(0);
+        expect(await LoginEvent.countDocuments({ user: user._id })).toBe(0);
+
+        // The email address is free for a new account
+        await request(app)
+            .post("/api/auth/signup")
+            .send({ name: "New Owner", email: user.email, password: "password123" })
+            .expect(201);
+    });
+
+    it("should reject the access token of a deleted account", async () => {
+        const { token } = await createUserAndGetToken(20);
+
+        await deleteAccount(token).expect(200);
+
+        const response = await request(app)
+            .post("/api/group/create-group")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ name: "After deletion", description: "Test group description for testing" })
+            .expect(401);
+        expect(response.body.message).toBe("Unauthorized - Account has been deleted");
+
+        await request(app).get("/api/auth/export").set("Authorization", `Bearer ${token}`).expect(401);
+        expect(await Group.countDocuments()).toBe(0);
+    });
+
+    it("should not let anyone invite a deleted account", async () => {
+        const { token } = await createUserAndGetToken(21);
+        const { user: deleted, token: deletedToken } = await createUserAndGetToken(22);
+        const group = await createTestGroup(token);
+        await deleteAccount(deletedToken).expect(200);
+
+        const response = await request(app)
+            .post(`/api/group/invite-user-to-group/${group.id}`)
+            .set("Authorization", `Bearer ${token}`)
+            .send({ userId: deleted._id.toString() })
+            .expect(404);
+
+        expect(response.body.message).toBe("User not found");
+    });
+
+    it("should block deletion while the user owes money, unless forced", async () => {
+        const { user: owner, token } = await createUserAndGetToken(13);
+        const { user: member, token: memberToken } = await createUserAndGetToken(14);
+        const group = await createTestGroup(token, "Flat");
+        await addGroupMember(group.id, member._id);
+        await createSharedExpense(token, group, [owner, member]);
+
+        const blocked = await deleteAccount(memberToken).expect(400);
+        expect(blocked.body.message).toBe("You still have open balances in 1 group(s). Settle up first, or delete your account with force to write them off");
+        expect(blocked.body.groups).toEqual([{ id: group.id, name: "flat", balanceUSD: -50 }]);
+        expect((await User.findById(member._id).lean()).deletedAt).toBeNull();
+
+        const forced = await deleteAccount(memberToken, { force: true }).expect(200);
+        expect(forced.body.removed.writeOffs).toBe(1);
+
+        const writeOff = await Settlement.findOne({ group: group.id, kind: "write-off" }).lean();
+        expect(writeOff.from.toString()).toBe(member._id.toString());
+        expect(writeOff.notes).toBe("Written off when the member deleted their account");
+
+        const balances = await request(app)
+            .get(`/api/expense/calculate-group-balance/${group.id}`)
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+        const ownerBalance = balances.body.balances.find(balance => balance.userId === owner._id.toString());
+        expect(ownerBalance.balance).toBe(0);
+    });
+
+    it("should block deletion while owning groups with other members", async () => {
+        const { token } = await createUserAndGetToken(15);
+        const { user: member } = await createUserAndGetToken(16);
+        const group = await createTestGroup(token, "Shared");
+        await addGroupMember(group.id, member._id);
+
+        const response = await deleteAccount(token).expect(400);
+
+        expect(response.body.message).toBe("Transfer ownership of the groups you share with others before deleting your account");
+        expect(response.body.groups).toEqual([{ id: group.id, name: "shared" }]);
+    });
+
+    it("should delete groups only the user belongs to and their personal expenses", async () => {
+        const { user, token } = await createUserAndGetToken(17);
+        const { user: friend } = await createUserAndGetToken(18);
+        const group = await createTestGroup(token);
+        await createSharedExpense(token, group, [user]);
+        const personal = await Expense.create({ title: "Coffee", amount: 4, category: "Food & Dining", paidBy: user._id });
+        const shared = await Expense.create({
+            title: "Taxi",
+            amount: 20,
+            category: "Transportation",
+            paidBy: user._id,
+            splitType: "equal",
+            splitDetails: [{ user: user._id, amount: 10 }, { user: friend._id, amount: 10 }]
+        });
+
+        const response = await deleteAccount(token).expect(200);
+
+        expect(response.body.removed).toMatchObject({ groupsDeleted: 1, personalExpenses: 1 });
+        expect(await Group.exists({ _id: group.id })).toBeNull();
+        expect(await Expense.exists({ group: group.id })).toBeNull();
+        expect(await Expense.exists({ _id: personal._id })).toBeNull();
+        expect(await Expense.exists({ _id: shared._id })).toBeTruthy();
+    });
+
+    it("should require the password, and a code when two-factor authentication is on", async () => {
+        const { user, token } = await createUserAndGetToken(19);
+
+        const missing = await request(app).delete("/api/auth/account").set("Authorization", `Bearer ${token}`).send({}).expect(400);
+        expect(missing.body.message).toBe("Password is required to delete your account");
+
+        const wrong = await deleteAccount(token, { password: "wrongpassword" }).expect(400);
+        expect(wrong.body.message).toBe("Password is incorrect");
+
+        const secret = generateTotpSecret();
+        await User.updateOne({ _id: user._id }, { $set: { "twoFactor.enabled": true, "twoFactor.secret": encryptTotpSecret(secret) } });
+
+        const withoutCode = await deleteAccount(token).expect(400);
+        expect(withoutCode.body.message).toBe("A two-factor or recovery code is required to delete your account");
+
+        const wrongCode = await deleteAccount(token, { code: generateTotp(secret, { step: getTotpStep() + 5 }) }).expect(400);
+        expect(wrongCode.body.message).toBe("Invalid two-factor code");
+
+        await deleteAccount(token, { code: generateTotp(secret) }).expect(200);
+        const stored = await User.findById(user._id).lean();
+        expect(stored.twoFactor.enabled).toBe(false);
+        expect(stored.twoFactor.secret).toBeNull();
+    });
+});
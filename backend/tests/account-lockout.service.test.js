@@ -0,0 +1,108 @@
+import {
+    DEFAULT_LOGIN_MAX_FAILURES,
+    clearFailedLogins,
+    getAccountLockout,
+    getLockoutDurationMs,
+    recordFailedLogin
+} from "../services/accountLockout.service.js";
+import { createMemoryRateLimitStore, setRateLimitStore } from "../services/rateLimit.service.js";
+
+const MINUTE = 60 * 1000;
+
+describe("Account Lockout Service Tests", () => {
+    const originalEnv = { ...process.env };
+    let clock;
+
+    beforeEach(() => {
+        for (const name of ["LOGIN_MAX_FAILURES", "LOGIN_FAILURE_WINDOW_MINUTES", "LOGIN_LOCKOUT_MINUTES", "LOGIN_LOCKOUT_MAX_MINUTES"]) {
+            delete process.env[name];
+        }
+        clock = { now: 1_000_000 };
+        setRateLimitStore(createMemoryRateLimitStore({ now: () => clock.now }));
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+        setRateLimitStore(null);
+    });
+
+    const failTimes = async (email, times) => {
+        let result;
+        for (let i = 0; i < times; i++) {
+            result = await recordFailedLogin(email);
+        }
+        return result;
+    };
+
+    it("should lock the account once the failures reach the limit", async () => {
+        const beforeLimit = await failTimes("user@test.com", DEFAULT_LOGIN_MAX_FAILURES - 1);
+        expect(beforeLimit.locked).toBe(false);
+        expect((await getAccountLockout("user@test.com")).locked).toBe(false);
+
+        const atLimit = await recordFailedLogin("user@test.com");
+        expect(atLimit).toEqual({ locked: true, retryAfterMs: MINUTE, failures: DEFAULT_LOGIN_MAX_FAILURES, lockoutCount: 1 });
+        expect(await getAccountLockout("user@test.com")).toEqual({ locked: true, retryAfterMs: MINUTE });
+    });
+
+    it("should treat emails case-insensitively", async () => {
+        await failTimes("User@Test.com ", DEFAULT_LOGIN_MAX_FAILURES);
+
+        expect((await getAccountLockout("user@test.com")).locked).toBe(true);
+    });
+
+    it("should unlock once the lockout is over", async () => {
+        await failTimes("user@test.com", DEFAULT_LOGIN_MAX_FAILURES);
+        clock.now += MINUTE;
+
+        expect((await getAccountLockout("user@test.com")).locked).toBe(false);
+    });
+
+    it("should forget failures outside the failure window", async () => {
+        await failTimes("user@test.com", DEFAULT_LOGIN_MAX_FAILURES - 1);
+        clock.now += 15 * MINUTE;
+
+        expect((await recordFailedLogin("user@test.com")).locked).toBe(false);
+    });
+
+    it("should double each further lockout", async () => {
+        await failTimes("user@test.com", DEFAULT_LOGIN_MAX_FAILURES);
+        clock.now += MINUTE;
+
+        const second = await failTimes("user@test.com", DEFAULT_LOGIN_MAX_FAILURES);
+        expect(second.lockoutCount).toBe(2);
+        expect(second.retryAfterMs).toBe(2 * MINUTE);
+        clock.now += 2 * MINUTE;
+
+        expect((await failTimes("user@test.com", DEFAULT_LOGIN_MAX_FAILURES)).retryAfterMs).toBe(4 * MINUTE);
+    });
+
+    it("should start over after a successful login", async () => {
+        await failTimes("user@test.com", DEFAULT_LOGIN_MAX_FAILURES);
+        clock.now += MINUTE;
+        await failTimes("user@test.com", 2);
+
+        await clearFailedLogins("user@test.com");
+
+        expect((await failTimes("user@test.com", DEFAULT_LOGIN_MAX_FAILURES - 1)).locked).toBe(false);
+        expect((await recordFailedLogin("user@test.com")).retryAfterMs).toBe(MINUTE);
+    });
+
+    it("should read the limits from the environment", async () => {
+        process.env.LOGIN_MAX_FAILURES = "2";
+        process.env.LOGIN_LOCKOUT_MINUTES = "5";
+
+        const result = await failTimes("user@test.com", 2);
+
+        expect(result.locked).toBe(true);
+        expect(result.retryAfterMs).toBe(5 * MINUTE);
+    });
+
+    it("should cap the lockout length", () => {
+        process.env.LOGIN_LOCKOUT_MAX_MINUTES = "30";
+
+        expect(getLockoutDurationMs(1)).toBe(MINUTE);
+        expect(getLockoutDurationMs(5)).toBe(16 * MINUTE);
+        expect(getLockoutDurationMs(6)).toBe(30 * MINUTE);
+        expect(getLockoutDurationMs(50)).toBe(30 * MINUTE);
+    });
+});
@@ -0,0 +1,278 @@
+import request from "supertest";
+import express from "express";
+import dotenv from "dotenv";
+import cookieParser from "cookie-parser";
+import authRouter from "../routes/auth.route.js";
+import User from "../models/user.model.js";
+import AccountToken from "../models/accountToken.model.js";
+import RefreshToken from "../models/refreshToken.model.js";
+import { createMemoryTransport, setMailTransport } from "../services/mailer.service.js";
+import { createMemoryRateLimitStore, setRateLimitStore } from "../services/rateLimit.service.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/auth", authRouter);
+
+let mailbox;
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    setMailTransport(null);
+    await closeDatabase();
+});
+
+// Fresh mailbox, and fresh rate limits so signups across tests do not add up
+beforeEach(() => {
+    mailbox = createMemoryTransport();
+    setMailTransport(mailbox);
+    setRateLimitStore(createMemoryRateLimitStore());
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+// Token from the link in the last email sent to an address
+const getTokenFromMail = (email) => {
+    const message = [...mailbox.sent].reverse().find(item => item.to === email);
+    return message ? new URL(message.text.match(/\S+\?token=\S+/)[0], "http://localhost").searchParams.get("token") : null;
+};
+
+const signup = async (suffix) => {
+    const userData = {
+        name: `Recovery User ${suffix}`,
+        email: `recovery${suffix}@test.com`,
+        password: "password123"
+    };
+    const response = await request(app).post("/api/auth/signup").send(userData);
+    return { ...userData, token: response.body.token, userId: response.body.user.id };
+};
+
+describe("Password Reset Tests", () => {
+
+    const forgotPassword = (email) => request(app).post("/api/auth/forgot-password").send({ email });
+
+    it("should email a reset link and store only its hash", async () => {
+        const { email } = await signup(1);
+
+        const response = await forgotPassword(email).expect(200);
+
+        expect(response.body.message).toBe("If an account exists for this email, a password reset link has been sent");
+        const token = getTokenFromMail(email);
+        expect(token).toBeTruthy();
+
+        const stored = await AccountToken.findOne({ purpose: "password-reset" }).lean();
+        expect(stored.tokenHash).not.toBe(token);
+        expect(stored.email).toBe(email);
+    });
+
+    it("should answer the same for unknown emails without sending anything", async () => {
+        const response = await forgotPassword("nobody@test.com").expect(200);
+
+        expect(response.body.message).toBe("If an account exists for this email, a password reset link has been sent");
+        expect(mailbox.sent).toHaveLength(0);
+    });
+
+    it("should return 400 without an email", async () => {
+        const response = await request(app).post("/api/auth/forgot-password").send({}).expect(400);
+
+        expect(response.body.message).toBe("Email is required");
+    });
+
+    it("should reset the password once and sign out every session", async () => {
+        const { email } = await signup(2);
+        await forgotPassword(email);
+        const token = getTokenFromMail(email);
+
+        const response = await request(app)
+            .post("/api/auth/reset-password")
+            .send({ token, password: "newpassword456" })
+            .expect(200);
+
+        expect(response.body.message).toBe("Password reset successfully, please log in with your new password");
+
+        await request(app).post("/api/auth/login").send({ email, password: "password123" }).expect(401);
+        await request(app).post("/api/auth/login").send({ email, password: "newpassword456" }).expect(200);
+
+        const revoked = await RefreshToken.find({ revokedReason: "password-reset" }).lean();
+        expect(revoked).toHaveLength(1);
+
+        const again = await request(app)
+            .post("/api/auth/reset-password")
+            .send({ token, password: "anotherpassword" })
+            .expect(400);
+        expect(again.body.message).toBe("Reset link is invalid or has expired");
+    });
+
+    it("should only accept the latest reset link", async () => {
+        const { email } = await signup(3);
+        await forgotPassword(email);
+        const firstToken = getTokenFromMail(email);
+        await forgotPassword(email);
+
+        const response = await request(app)
+            .post("/api/auth/reset-password")
+            .send({ token: firstToken, password: "newpassword456" })
+            .expect(400);
+
+        expect(response.body.message).toBe("Reset link is invalid or has expired");
+    });
+
+    it("should reject expired reset links", async () => {
+        const { email } = await signup(4);
+        await forgotPassword(email);
+        await AccountToken.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+        const response = await request(app)
+            .post("/api/auth/reset-password")
+            .send({ token: getTokenFromMail(email), password: "newpassword456" })
+            .expect(400);
+
+        expect(response.body.message).toBe("Reset link is invalid or has expired");
+    });
+
+    it("should not accept a verification link as a reset link", async () => {
+        const { email } = await signup(5);
+
+        const response = await request(app)
+            .post("/api/auth/reset-password")
+            .send({ token: getTokenFromMail(email), password: "newpassword456" })
+            .expect(400);
+
+        expect(response.body.message).toBe("Reset link is invalid or has expired");
+    });
+
+    it("should validate the new password", async () => {
+        const { email } = await signup(6);
+        await forgotPassword(email);
+
+        const missing = await request(app).post("/api/auth/reset-password").send({ password: "newpassword456" }).expect(400);
+        expect(missing.body.message).toBe("Token and new password are required");
+
+        const short = await request(app)
+            .post("/api/auth/reset-password")
+            .send({ token: getTokenFromMail(email), password: "12345" })
+            .expect(400);
+        expect(short.body.message).toBe("Password must be at least 6 characters");
+    });
+});
+
+describe("Email Verification Tests", () => {
+
+    it("should send a verification email at signup", async () => {
+        const { email } = await signup(10);
+
+        const message = mailbox.sent.find(item => item.to === email);
+        expect(message.subject).toBe("Confirm your email for FinterHub");
+
+        const user = await User.findOne({ email }).lean();
+        expect(user.emailVerifiedAt).toBeNull();
+    });
+
+    it("should still sign up when the email cannot be sent", async () => {
+        setMailTransport({ name: "broken", send: async () => { throw new Error("SMTP down"); } });
+        const consoleError = console.error;
+        console.error = () => {};
+
+        try {
+            const response = await request(app)
+                .post("/api/auth/signup")
+                .send({ name: "No Mail", email: "nomail@test.com", password: "password123" })
+                .expect(201);
+
+            expect(response.body.user.emailVerified).toBe(false);
+        } finally {
+            console.error = consoleError;
+        }
+    });
+
+    it("should verify the email with the link", async () => {
+        const { email, token: accessToken } = await signup(11);
+
+        const response = await request(app)
+            .post("/api/auth/verify-email")
+            .send({ token: getTokenFromMail(email) })
+            .expect(200);
+
+        expect(response.body.message).toBe("Email verified successfully");
+        expect(response.body.user.emailVerified).toBe(true);
+
+        const profile = await request(app)
+            .get("/api/auth/profile")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .expect(200);
+        expect(profile.body.user.emailVerified).toBe(true);
+    });
+
+    it("should reject used, unknown and missing verification tokens", async () => {
+        const { email } = await signup(12);
+        const token = getTokenFromMail(email);
+        await request(app).post("/api/auth/verify-email").send({ token }).expect(200);
+
+        const used = await request(app).post("/api/auth/verify-email").send({ token }).expect(400);
+        expect(used.body.message).toBe("Verification link is invalid or has expired");
+
+        const unknown = await request(app).post("/api/auth/verify-email").send({ token: "not-a-token" }).expect(400);
+        expect(unknown.body.message).toBe("Verification link is invalid or has expired");
+
+        const missing = await request(app).post("/api/auth/verify-email").send({}).expect(400);
+        expect(missing.body.message).toBe("Verification token is required");
+    });
+
+    it("should resend the verification email and invalidate the previous link", async () => {
+        const { email, token: accessToken } = await signup(13);
+        const firstToken = getTokenFromMail(email);
+
+        const response = await request(app)
+            .post("/api/auth/resend-verification")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .expect(200);
+
+        expect(response.body.message).toBe("Verification email sent");
+        expect(mailbox.sent.filter(item => item.to === email)).toHaveLength(2);
+
+        await request(app).post("/api/auth/verify-email").send({ token: firstToken }).expect(400);
+        await request(app).post("/api/auth/verify-email").send({ token: getTokenFromMail(email) }).expect(200);
+    });
+
+    it("should not resend once the email is verified", async () => {
+        const { email, token: accessToken } = await signup(14);
+        await request(app).post("/api/auth/verify-email").send({ token: getTokenFromMail(email) }).expect(200);
+
+        const response = await request(app)
+            .post("/api/auth/resend-verification")
+            .set("Authorization", `Bearer ${accessToken}`)
+            .expect(400);
+
+        expect(response.body.message).toBe("Email is already verified");
+    });
+
+    it("should require authentication to resend", async () => {
+        await request(app).post("/api/auth/resend-verification").expect(401);
+    });
+
+    it("should not verify an address the account no longer uses", async () => {
+        const { email, userId } = await signup(15);
+        const token = getTokenFromMail(email);
+        await User.updateOne({ _id: userId }, { $set: { email: "changed15@test.com" } });
+
+        const response = await request(app).post("/api/auth/verify-email").send({ token }).expect(400);
+
+        expect(response.body.message).toBe("Verification link is invalid or has expired");
+        const user = await User.findById(userId).lean();
+        expect(user.emailVerifiedAt).toBeNull();
+    });
+});
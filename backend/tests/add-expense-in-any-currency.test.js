@@ -9,6 +9,7 @@ import { auth } from "../middleware/auth.js";
 import Group from "../models/group.model.js";
 import User from "../models/user.model.js";
 import Expense from "../models/expense.model.js";
+import CurrencyRate from "../models/currency.model.js";
 import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
 
 
@@ -771,4 +772,190 @@ describe("Add Expense In Any Currency Controller Tests", () => {
             expect(savedExpense.updatedAt).toBeInstanceOf(Date);
         });
     });
+
+    describe("Split Details", () => {
+
+        const setupGroup = async (suffix) => {
+            const { user: payer, token } = await createUserAndGetToken(`${suffix}a`);
+            const { user: friend } = await createUserAndGetToken(`${suffix}b`);
+            const { user: outsider } = await createUserAndGetToken(`${suffix}c`);
+            const group = await createTestGroup(token, `Split Group ${suffix}`);
+            await Group.findByIdAndUpdate(group.id, { $addToSet: { members: friend._id } });
+
+            return { payer, friend, outsider, token, group };
+        };
+
+        const addExpense = (token, expenseData) => request(app)
+            .post("/api/expense/add-expense-in-any-currency")
+            .set("Authorization", `Bearer ${token}`)
+            .send({
+                title: "Split Dinner",
+                amount: 100,
+                currency: "USD",
+                category: "Food & Dining",
+                ...expenseData
+            });
+
+        it("should compute equal shares on the server", async () => {
+            const { payer, friend, token, group } = await setupGroup(32);
+
+            const response = await addExpense(token, {
+                group: group.id,
+                amount: 10.01,
+                splitType: "equal",
+                splitDetails: [{ user: payer._id.toString() }, { user: friend._id.toString() }]
+            }).expect(201);
+
+            const amounts = response.body.expense.splitDetails.map(split => split.amount);
+            expect(amounts).toEqual([5.01, 5.00]);
+        });
+
+        it("should compute percentage shares on the server", async () => {
+            const { payer, friend, token, group } = await setupGroup(33);
+
+            const response = await addExpense(token, {
+                group: group.id,
+                amount: 80,
+                splitType: "percentage",
+                splitDetails: [
+                    { user: payer._id.toString(), percentage: 25 },
+                    { user: friend._id.toString(), percentage: 75 }
+                ]
+            }).expect(201);
+
+            const saved = await Expense.findById(response.body.expense.id).lean();
+            expect(saved.splitDetails.map(split => split.amount)).toEqual([20, 60]);
+            expect(saved.splitDetails.map(split => split.percentage)).toEqual([25, 75]);
+        });
+
+        it("should return 400 when percentages do not add up to 100", async () => {
+            const { payer, friend, token, group } = await setupGroup(34);
+
+            const response = await addExpense(token, {
+                group: group.id,
+                splitType: "percentage",
+                splitDetails: [
+                    { user: payer._id.toString(), percentage: 60 },
+                    { user: friend._id.toString(), percentage: 60 }
+                ]
+            }).expect(400);
+
+            expect(response.body.message).toBe("Percentages must add up to 100 (got 120)");
+        });
+
+        it("should return 400 when custom amounts do not add up to the total", async () => {
+            const { payer, friend, token, group } = await setupGroup(35);
+
+            const response = await addExpense(token, {
+                group: group.id,
+                splitType: "custom",
+                splitDetails: [
+                    { user: payer._id.toString(), amount: 40 },
+                    { user: friend._id.toString(), amount: 50 }
+                ]
+            }).expect(400);
+
+            expect(response.body.message).toBe("Custom split amounts must add up to the expense amount (100, got 90)");
+            expect(await Expense.countDocuments()).toBe(0);
+        });
+
+        it("should return 400 when a split user is not a group member", async () => {
+            const { payer, outsider, token, group } = await setupGroup(36);
+
+            const response = await addExpense(token, {
+                group: group.id,
+                splitType: "equal",
+                splitDetails: [{ user: payer._id.toString() }, { user: outsider._id.toString() }]
+            }).expect(400);
+
+            expect(response.body.message).toBe("All users in split details must be members of the group");
+        });
+
+        it("should return 400 when a user appears twice", async () => {
+            const { payer, token, group } = await setupGroup(37);
+
+            const response = await addExpense(token, {
+                group: group.id,
+                splitType: "custom",
+                splitDetails: [
+                    { user: payer._id.toString(), amount: 50 },
+                    { user: payer._id.toString(), amount: 50 }
+                ]
+            }).expect(400);
+
+            expect(response.body.message).toBe("A user can only appear once in split details");
+        });
+    });
+
+    describe("Exchange Rate Lock", () => {
+
+        const addExpense = (token, expenseData) => request(app)
+            .post("/api/expense/add-expense-in-any-currency")
+            .set("Authorization", `Bearer ${token}`)
+            .send({
+                title: "Hotel Booking",
+                amount: 200,
+                currency: "EUR",
+                category: "Travel",
+                ...expenseData
+            });
+
+        it("should record the rate used when the expense is created", async () => {
+            const { token } = await createUserAndGetToken(40);
+
+            const response = await addExpense(token, {}).expect(201);
+
+            expect(response.body.expense.exchangeRate.rateToUSD).toBe(1.09);
+
+            const savedExpense = await Expense.findById(response.body.expense.id).lean();
+            expect(savedExpense.exchangeRate.rateToUSD).toBe(1.09);
+            expect(savedExpense.exchangeRate.source).toBe("static");
+        });
+
+        it("should lock the rate of the snapshot closest to the expense date", async () => {
+            const { token } = await createUserAndGetToken(41);
+            await CurrencyRate.create([
+                { source: "http", fetchedAt: new Date("2025-03-01"), rates: { EUR: { code: "EUR", rate: 1.05 } } },
+                { source: "http", fetchedAt: new Date("2025-12-01"), rates: { EUR: { code: "EUR", rate: 1.15 } } }
+            ]);
+
+            const response = await addExpense(token, { date: "2025-04-01" }).expect(201);
+
+            expect(response.body.expense.exchangeRate.rateToUSD).toBe(1.05);
+            expect(response.body.expense.exchangeRate.source).toBe("http");
+        });
+
+        it("should return 400 for an unsupported currency", async () => {
+            const { token } = await createUserAndGetToken(42);
+
+            const response = await addExpense(token, { currency: "XYZ" }).expect(400);
+
+            expect(response.body.message).toBe("Unsupported currency: XYZ");
+        });
+
+        it("should accept any currency from the registry", async () => {
+            const { token } = await createUserAndGetToken(44);
+
+            const response = await addExpense(token, { amount: 1500, currency: "jpy" }).expect(201);
+
+            expect(response.body.expense.currency).toBe("JPY");
+            expect(response.body.expense.exchangeRate.rateToUSD).toBe(0.0066);
+        });
+
+        it("should return 400 when the amount is more precise than the currency allows", async () => {
+            const { token } = await createUserAndGetToken(45);
+
+            const response = await addExpense(token, { amount: 1500.5, currency: "JPY" }).expect(400);
+
+            expect(response.body.message).toBe("Amount cannot have more than 0 decimal places in JPY");
+        });
+
+        it("should return 400 for an invalid date", async () => {
+            const { token } = await createUserAndGetToken(43);
+
+            const response = await addExpense(token, { date: "not-a-date" }).expect(400);
+
+            expect(response.body.message).toBe("Date must be a valid date");
+        });
+    });
 });
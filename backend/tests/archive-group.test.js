@@ -0,0 +1,281 @@
+import request from "supertest";
+import express from "express";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import groupRouter from "../routes/group.route.js";
+import expenseRouter from "../routes/expense.route.js";
+import settlementRouter from "../routes/settlement.route.js";
+import invitationRouter from "../routes/invitation.route.js";
+import Group from "../models/group.model.js";
+import User from "../models/user.model.js";
+import Expense from "../models/expense.model.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use("/api/group", groupRouter);
+app.use("/api/expense", expenseRouter);
+app.use("/api/settlement", settlementRouter);
+app.use("/api/invitation", invitationRouter);
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    await closeDatabase();
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+
+describe("Group Archival Tests", () => {
+
+    const createUserAndGetToken = async (emailSuffix = Date.now()) => {
+        const user = await User.create({
+            name: `Test User ${emailSuffix}`,
+            email: `testuser${emailSuffix}@test.com`,
+            password: "password123"
+        });
+
+        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+        return { user, token };
+    };
+
+    const createTestGroup = async (token) => {
+        const response = await request(app)
+            .post("/api/group/create-group")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ name: `Test Group ${Date.now()}`, description: "Test group description for testing" });
+
+        return response.body.group;
+    };
+
+    const createExpense = (token, group, users, expenseData = {}) => {
+        return request(app)
+            .post("/api/expense/add-expense-in-any-currency")
+            .set("Authorization", `Bearer ${token}`)
+            .send({
+                title: "Shared dinner",
+                amount: 100,
+                currency: "USD",
+                category: "Food & Dining",
+                group: group.id,
+                splitType: "equal",
+                splitDetails: users.map(user => ({ user: user._id.toString() })),
+                ...expenseData
+            });
+    };
+
+    const archive = (groupId, token) => {
+        return request(app)
+            .post(`/api/group/archive-group/${groupId}`)
+            .set("Authorization", `Bearer ${token}`);
+    };
+
+    // Owner and member share one expense, then the owner archives the group
+    const setupArchivedGroup = async (suffix) => {
+        const { user: owner, token } = await createUserAndGetToken(suffix);
+        const { user: member, token: memberToken } = await createUserAndGetToken(suffix + 1);
+        const group = await createTestGroup(token);
+        await addGroupMember(group.id, member._id);
+        const expense = (await createExpense(token, group, [owner, member])).body.expense;
+        await archive(group.id, token).expect(200);
+
+        return { owner, token, member, memberToken, group, expense };
+    };
+
+    describe("Archiving", () => {
+        it("should archive a group and show it in the group list", async () => {
+            const { user: owner, token } = await createUserAndGetToken(1);
+            const group = await createTestGroup(token);
+
+            const response = await archive(group.id, token);
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe("Group archived successfully");
+            expect(response.body.group.archivedBy).toBe(owner._id.toString());
+            expect(response.body.group.archivedAt).toBeTruthy();
+
+            const list = await request(app)
+                .get("/api/group/list-all-groups-user-presents")
+                .set("Authorization", `Bearer ${token}`);
+            expect(list.body.groups[0].isArchived).toBe(true);
+        });
+
+        it("should let admins archive but not members", async () => {
+            const { token } = await createUserAndGetToken(2);
+            const { user: admin, token: adminToken } = await createUserAndGetToken(3);
+            const { user: member, token: memberToken } = await createUserAndGetToken(4);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, admin._id, "admin");
+            await addGroupMember(group.id, member._id);
+
+            const denied = await archive(group.id, memberToken);
+            expect(denied.status).toBe(403);
+            expect(denied.body.message).toBe("Only group owners and admins can archive the group");
+
+            const response = await archive(group.id, adminToken);
+            expect(response.status).toBe(200);
+        });
+
+        it("should return 400 when the group is already archived", async () => {
+            const { token, group } = await setupArchivedGroup(5);
+
+            const response = await archive(group.id, token);
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe("Group is already archived");
+        });
+
+        it("should pause recurring expenses of the group", async () => {
+            const { user: owner, token } = await createUserAndGetToken(7);
+            const group = await createTestGroup(token);
+            const series = (await createExpense(token, group, [owner], {
+                isRecurring: true,
+                recurringFrequency: "monthly"
+            })).body.expense;
+
+            const response = await archive(group.id, token);
+
+            expect(response.body.pausedRecurringExpenses).toBe(1);
+            const stored = await Expense.findById(series.id).lean();
+            expect(stored.recurrence.status).toBe("paused");
+        });
+
+        it("should unarchive a group", async () => {
+            const { token, group } = await setupArchivedGroup(8);
+
+            const response = await request(app)
+                .post(`/api/group/unarchive-group/${group.id}`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.group.archivedAt).toBeNull();
+
+            const again = await request(app)
+                .post(`/api/group/unarchive-group/${group.id}`)
+                .set("Authorization", `Bearer ${token}`);
+            expect(again.status).toBe(400);
+            expect(again.body.message).toBe("Group is not archived");
+        });
+    });
+
+    describe("Archived groups are read-only", () => {
+        it("should keep expenses and balances readable", async () => {
+            const { memberToken, group, expense } = await setupArchivedGroup(10);
+
+            const expenses = await request(app)
+                .get(`/api/expense/get-group-expenses/${group.id}`)
+                .set("Authorization", `Bearer ${memberToken}`);
+            expect(expenses.status).toBe(200);
+
+            const retrieved = await request(app)
+                .get(`/api/expense/get-expense/${expense.id}`)
+                .set("Authorization", `Bearer ${memberToken}`);
+            expect(retrieved.status).toBe(200);
+
+            const balances = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}`)
+                .set("Authorization", `Bearer ${memberToken}`);
+            expect(balances.status).toBe(200);
+        });
+
+        it("should reject new, updated and deleted expenses", async () => {
+            const { owner, token, member, group, expense } = await setupArchivedGroup(12);
+
+            const created = await createExpense(token, group, [owner, member]);
+            expect(created.status).toBe(403);
+            expect(created.body.message).toBe("This group is archived and read-only");
+
+            const updated = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ title: "Changed" });
+            expect(updated.status).toBe(403);
+            expect(updated.body.message).toBe("This group is archived and read-only");
+
+            const deleted = await request(app)
+                .delete(`/api/expense/delete-expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`);
+            expect(deleted.status).toBe(403);
+            expect(deleted.body.message).toBe("This group is archived and read-only");
+            expect(await Expense.countDocuments({ group: group.id })).toBe(1);
+        });
+
+        it("should reject committing a settlement plan", async () => {
+            const { token, group } = await setupArchivedGroup(14);
+
+            const response = await request(app)
+                .post(`/api/settlement/${group.id}/plan/commit`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("This group is archived and read-only");
+        });
+
+        it("should reject membership changes", async () => {
+            const { token, member, memberToken, group } = await setupArchivedGroup(16);
+            const { token: outsiderToken } = await createUserAndGetToken(18);
+
+            const invited = await request(app)
+                .post(`/api/group/invite-user-to-group/${group.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ email: "testuser18@test.com" });
+            expect(invited.status).toBe(403);
+            expect(invited.body.message).toBe("This group is archived and read-only");
+
+            const removed = await request(app)
+                .post(`/api/group/remove-user-from-group/${group.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ userId: member._id.toString() });
+            expect(removed.status).toBe(403);
+
+            const left = await request(app)
+                .post(`/api/group/${group.id}/leave`)
+                .set("Authorization", `Bearer ${memberToken}`);
+            expect(left.status).toBe(403);
+            expect(left.body.message).toBe("This group is archived and read-only");
+
+            const outsider = await request(app)
+                .post(`/api/group/${group.id}/leave`)
+                .set("Authorization", `Bearer ${outsiderToken}`);
+            expect(outsider.status).toBe(403);
+            expect(outsider.body.message).toBe("You are not a member of this group");
+        });
+
+        it("should not let invitations sent before archiving be accepted", async () => {
+            const { user: owner, token } = await createUserAndGetToken(19);
+            const { user: invitee, token: inviteeToken } = await createUserAndGetToken(20);
+            const group = await createTestGroup(token);
+
+            const invited = await request(app)
+                .post(`/api/group/invite-user-to-group/${group.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ userId: invitee._id.toString() });
+            await archive(group.id, token).expect(200);
+
+            const response = await request(app)
+                .post(`/api/invitation/accept-invitation/${invited.body.invitation.id}`)
+                .set("Authorization", `Bearer ${inviteeToken}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("This group is archived and read-only");
+
+            const stored = await Group.findById(group.id).lean();
+            expect(stored.members.map(id => id.toString())).toEqual([owner._id.toString()]);
+        });
+    });
+});
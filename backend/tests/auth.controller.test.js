@@ -4,6 +4,10 @@ import mongoose from "mongoose";
 import dotenv from "dotenv";
 import { signup, login, logout, refreshToken, getUserProfile } from "../controllers/auth.controller.js";
 import User from "../models/user.model.js";
+import RefreshToken from "../models/refreshToken.model.js";
+import { hashRefreshToken } from "../services/refreshToken.service.js";
+import { createMemoryTransport, setMailTransport } from "../services/mailer.service.js";
+import { createMemoryRateLimitStore, setRateLimitStore } from "../services/rateLimit.service.js";
 import cookieParser from "cookie-parser";
 import jwt from "jsonwebtoken";
 import { auth } from "../middleware/auth.js";
@@ -25,8 +29,9 @@ app.post("/api/auth/logout", logout);
 app.post("/api/auth/refresh-token", refreshToken);
 app.get("/api/auth/profile", auth, getUserProfile);
 
-// Connect to in-memory database
+// Connect to in-memory database, keeping verification emails from signup out of the log
 beforeAll(async () => {
+    setMailTransport(createMemoryTransport());
     await connect();
 });
 
@@ -35,6 +40,11 @@ afterAll(async () => {
     await closeDatabase();
 });
 
+// Failed logins from one test must not lock accounts in the next
+beforeEach(() => {
+    setRateLimitStore(createMemoryRateLimitStore());
+});
+
 // Clear data between tests (optional but recommended for true isolation)
 afterEach(async () => {
     await clearDatabase();
@@ -127,6 +137,47 @@ describe("Signup Controller Tests", () => {
 
         expect(response.body.message).toBe("User already exists");
     });
+
+    it("should store a preferred currency from the registry", async () => {
+        const response = await request(app)
+            .post("/api/auth/signup")
+            .send({
+                name: "Yen User",
+                email: `yen${Date.now()}@test.com`,
+                password: "password123",
+                preferredCurrency: "jpy"
+            })
+            .expect(201);
+
+        expect(response.body.user.preferredCurrency).toBe("JPY");
+    });
+
+    it("should default the preferred currency to USD", async () => {
+        const response = await request(app)
+            .post("/api/auth/signup")
+            .send({
+                name: "Default User",
+                email: `default${Date.now()}@test.com`,
+                password: "password123"
+            })
+            .expect(201);
+
+        expect(response.body.user.preferredCurrency).toBe("USD");
+    });
+
+    it("should return 400 for an unsupported preferred currency", async () => {
+        const response = await request(app)
+            .post("/api/auth/signup")
+            .send({
+                name: "Bad Currency",
+                email: `badcurrency${Date.now()}@test.com`,
+                password: "password123",
+                preferredCurrency: "ABC"
+            })
+            .expect(400);
+
+        expect(response.body.message).toBe("Unsupported currency: ABC");
+    });
 });
 
 describe("Login Controller Tests", () => {
@@ -411,12 +462,19 @@ describe("Logout Controller Tests", () => {
 });
 
 describe("Refresh Token Controller Tests", () => {
+
+    // The refresh token cookie set by a response, or null when none was set
+    const getRefreshCookie = (response) => {
+        const cookies = response.headers['set-cookie'] || [];
+        const cookie = cookies.find(item => item.startsWith('refreshToken='));
+        return cookie ? cookie.split(';')[0].slice('refreshToken='.length) : null;
+    };
     
     // Helper function to create a test user and get tokens
     const createUserAndGetTokens = async () => {
         const userData = {
             name: "Refresh Token User",
-            email: `refreshuser${Date.now()}@test.com`,
+            email: `refreshuser${Date.now()}${Math.random()}@test.com`,
             password: "password123"
         };
 
@@ -429,217 +487,167 @@ describe("Refresh Token Controller Tests", () => {
             .send({ email: userData.email, password: userData.password });
 
         const accessToken = loginResponse.body.token;
-        
-        // Create a refresh token (long-lived)
+        const refreshToken = getRefreshCookie(loginResponse);
         const user = await User.findOne({ email: userData.email });
-        const refreshToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "7d" });
 
         return { user, accessToken, refreshToken };
     };
 
+    const refresh = (refreshToken) => {
+        return request(app)
+            .post("/api/auth/refresh-token")
+            .set('Cookie', [`refreshToken=${refreshToken}`]);
+    };
+
+    it("should store refresh tokens server-side, hashed", async () => {
+        const { user, refreshToken } = await createUserAndGetTokens();
+
+        const stored = await RefreshToken.find({ user: user._id }).lean();
+
+        // One from signup and one from login, each its own session
+        expect(stored).toHaveLength(2);
+        expect(new Set(stored.map(token => token.family)).size).toBe(2);
+        expect(stored.map(token => token.tokenHash)).not.toContain(refreshToken);
+    });
+
     it("should refresh token successfully with valid refresh token", async () => {
         const { refreshToken } = await createUserAndGetTokens();
 
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${refreshToken}`])
-            .expect(200);
+        const response = await refresh(refreshToken).expect(200);
 
         expect(response.body).toHaveProperty("token");
         expect(typeof response.body.token).toBe("string");
         expect(response.body.token.length).toBeGreaterThan(0);
     });
 
-    it("should return 400 if refresh token is missing", async () => {
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .expect(400);
-
-        expect(response.body.message).toBe("Refresh token not found");
-    });
-
-    it("should return 400 if refresh token is missing from cookies", async () => {
-        // Send request without any cookies
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .send({})
-            .expect(400);
+    it("should rotate the refresh token on every use", async () => {
+        const { refreshToken } = await createUserAndGetTokens();
 
-        expect(response.body.message).toBe("Refresh token not found");
-    });
+        const response = await refresh(refreshToken).expect(200);
+        const rotated = getRefreshCookie(response);
 
-    it("should return 500 if refresh token is invalid", async () => {
-        const invalidToken = "invalid.token.here";
+        expect(rotated).toBeTruthy();
+        expect(rotated).not.toBe(refreshToken);
 
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${invalidToken}`])
-            .expect(500);
+        const next = await refresh(rotated).expect(200);
+        expect(getRefreshCookie(next)).not.toBe(rotated);
 
-        expect(response.body).toHaveProperty("message");
+        const old = await RefreshToken.findOne({ tokenHash: hashRefreshToken(refreshToken) }).lean();
+        const replacement = await RefreshToken.findOne({ tokenHash: hashRefreshToken(rotated) }).lean();
+        expect(old.rotatedAt).toBeTruthy();
+        expect(old.replacedBy.toString()).toBe(replacement._id.toString());
+        expect(replacement.family).toBe(old.family);
     });
 
-    it("should return 500 if refresh token is malformed", async () => {
-        const malformedToken = "malformed-token-without-proper-structure";
-
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${malformedToken}`])
-            .expect(500);
-
-        expect(response.body).toHaveProperty("message");
-    });
+    it("should revoke the whole family when a rotated token is used again", async () => {
+        const { refreshToken } = await createUserAndGetTokens();
 
-    it("should return 500 if refresh token is expired", async () => {
-        const { user } = await createUserAndGetTokens();
+        const first = await refresh(refreshToken).expect(200);
+        const rotated = getRefreshCookie(first);
 
-        // Create an expired token (expired 1 second ago)
-        const expiredToken = jwt.sign(
-            { id: user._id }, 
-            process.env.JWT_SECRET, 
-            { expiresIn: "-1s" }
-        );
+        const reused = await refresh(refreshToken).expect(401);
+        expect(reused.body.message).toBe("Refresh token was already used, please log in again");
 
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${expiredToken}`])
-            .expect(500);
+        // The token the legitimate user holds stops working as well
+        const afterReuse = await refresh(rotated).expect(401);
+        expect(afterReuse.body.message).toBe("Refresh token has been revoked");
 
-        expect(response.body).toHaveProperty("message");
+        const { family } = await RefreshToken.findOne({ tokenHash: hashRefreshToken(rotated) }).lean();
+        const tokens = await RefreshToken.find({ family }).lean();
+        expect(tokens).toHaveLength(2);
+        tokens.forEach(token => {
+            expect(token.revokedReason).toBe("reuse");
+        });
     });
 
-    it("should return 400 if user does not exist", async () => {
-        // Create a token with non-existent user ID
-        const fakeUserId = new mongoose.Types.ObjectId();
-        const fakeToken = jwt.sign({ id: fakeUserId }, process.env.JWT_SECRET, { expiresIn: "7d" });
+    it("should not revoke other sessions of the user on reuse", async () => {
+        const { user, refreshToken } = await createUserAndGetTokens();
+        const otherLogin = await request(app)
+            .post("/api/auth/login")
+            .send({ email: user.email, password: "password123" });
+        const otherRefreshToken = getRefreshCookie(otherLogin);
 
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${fakeToken}`])
-            .expect(400);
+        await refresh(refreshToken).expect(200);
+        await refresh(refreshToken).expect(401);
 
-        expect(response.body.message).toBe("User not found");
+        await refresh(otherRefreshToken).expect(200);
     });
 
-    it("should generate a new access token different from refresh token", async () => {
+    it("should only let one of several concurrent requests rotate a token", async () => {
         const { refreshToken } = await createUserAndGetTokens();
 
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${refreshToken}`])
-            .expect(200);
-
-        const newAccessToken = response.body.token;
+        const responses = await Promise.all([
+            refresh(refreshToken),
+            refresh(refreshToken),
+            refresh(refreshToken)
+        ]);
 
-        // New access token should be different from refresh token
-        expect(newAccessToken).not.toBe(refreshToken);
+        const statuses = responses.map(response => response.status);
+        expect(statuses.filter(status => status === 200)).toHaveLength(1);
+        expect(statuses.filter(status => status === 401)).toHaveLength(2);
     });
 
-    it("should verify new access token has correct user ID", async () => {
-        const { user, refreshToken } = await createUserAndGetTokens();
-
+    it("should return 400 if refresh token is missing", async () => {
         const response = await request(app)
             .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${refreshToken}`])
-            .expect(200);
-
-        const newAccessToken = response.body.token;
+            .expect(400);
 
-        // Decode and verify the new token
-        const decoded = jwt.verify(newAccessToken, process.env.JWT_SECRET);
-        expect(decoded.id).toBe(user._id.toString());
+        expect(response.body.message).toBe("Refresh token not found");
     });
 
-    it("should verify new access token has 1 hour expiration", async () => {
-        const { refreshToken } = await createUserAndGetTokens();
-
+    it("should not accept empty refresh token cookie", async () => {
         const response = await request(app)
             .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${refreshToken}`])
-            .expect(200);
-
-        const newAccessToken = response.body.token;
-        const decoded = jwt.verify(newAccessToken, process.env.JWT_SECRET);
+            .set('Cookie', ['refreshToken='])
+            .expect(400);
 
-        // Check expiration is approximately 1 hour
-        const expiresIn = decoded.exp - decoded.iat;
-        expect(expiresIn).toBe(3600); // 1 hour in seconds
+        expect(response.body.message).toBe("Refresh token not found");
     });
 
-    it("should allow multiple token refreshes with same refresh token", async () => {
-        const { refreshToken } = await createUserAndGetTokens();
-
-        // First refresh
-        const response1 = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${refreshToken}`])
-            .expect(200);
-
-        expect(response1.body).toHaveProperty("token");
+    it("should return 401 for unknown refresh tokens", async () => {
+        const response = await refresh("invalid.token.here").expect(401);
 
-        // Wait a moment
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        // Second refresh with same refresh token
-        const response2 = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${refreshToken}`])
-            .expect(200);
-
-        expect(response2.body).toHaveProperty("token");
-
-        // Both should succeed but generate different access tokens
-        expect(response1.body.token).not.toBe(response2.body.token);
+        expect(response.body.message).toBe("Invalid refresh token");
     });
 
-    it("should handle refresh token with wrong secret gracefully", async () => {
+    it("should not accept self-signed JWTs as refresh tokens", async () => {
         const { user } = await createUserAndGetTokens();
+        const forged = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "7d" });
 
-        // Create token with wrong secret
-        const wrongSecretToken = jwt.sign({ id: user._id }, "wrong-secret-key", { expiresIn: "7d" });
+        const response = await refresh(forged).expect(401);
 
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${wrongSecretToken}`])
-            .expect(500);
-
-        expect(response.body).toHaveProperty("message");
+        expect(response.body.message).toBe("Invalid refresh token");
     });
 
-    it("should return proper JSON response format", async () => {
+    it("should return 401 if refresh token is expired", async () => {
         const { refreshToken } = await createUserAndGetTokens();
+        await RefreshToken.updateOne(
+            { tokenHash: hashRefreshToken(refreshToken) },
+            { $set: { expiresAt: new Date(Date.now() - 1000) } }
+        );
 
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${refreshToken}`])
-            .expect(200)
-            .expect('Content-Type', /json/);
+        const response = await refresh(refreshToken).expect(401);
 
-        expect(response.body).toHaveProperty("token");
-        expect(typeof response.body.token).toBe("string");
+        expect(response.body.message).toBe("Refresh token has expired");
     });
 
-    it("should not accept empty refresh token cookie", async () => {
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', ['refreshToken='])
-            .expect(400);
+    it("should return 400 if user does not exist", async () => {
+        const { user, refreshToken } = await createUserAndGetTokens();
+        await User.findByIdAndDelete(user._id);
 
-        expect(response.body.message).toBe("Refresh token not found");
-    });
+        const response = await refresh(refreshToken).expect(400);
 
-    it("should handle refresh token with tampered payload", async () => {
-        const { refreshToken } = await createUserAndGetTokens();
+        expect(response.body.message).toBe("User not found");
+    });
 
-        // Tamper with the token by modifying it
-        const tamperedToken = refreshToken.slice(0, -5) + "XXXXX";
+    it("should verify new access token has correct user ID and 1 hour expiration", async () => {
+        const { user, refreshToken } = await createUserAndGetTokens();
 
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${tamperedToken}`])
-            .expect(500);
+        const response = await refresh(refreshToken).expect(200);
 
-        expect(response.body).toHaveProperty("message");
+        const decoded = jwt.verify(response.body.token, process.env.JWT_SECRET);
+        expect(decoded.id).toBe(user._id.toString());
+        expect(decoded.exp - decoded.iat).toBe(3600);
     });
 
     it("should verify refresh token works after user data changes", async () => {
@@ -648,32 +656,36 @@ describe("Refresh Token Controller Tests", () => {
         // Update user's name (simulate user data change)
         await User.findByIdAndUpdate(user._id, { name: "Updated Name" });
 
-        // Refresh token should still work
-        const response = await request(app)
-            .post("/api/auth/refresh-token")
-            .set('Cookie', [`refreshToken=${refreshToken}`])
-            .expect(200);
+        const response = await refresh(refreshToken).expect(200);
 
         expect(response.body).toHaveProperty("token");
     });
 
-    it("should handle concurrent refresh token requests", async () => {
+    it("should invalidate the session on logout", async () => {
         const { refreshToken } = await createUserAndGetTokens();
+        const rotated = getRefreshCookie(await refresh(refreshToken).expect(200));
 
-        // Send multiple concurrent requests
-        const promises = [
-            request(app).post("/api/auth/refresh-token").set('Cookie', [`refreshToken=${refreshToken}`]),
-            request(app).post("/api/auth/refresh-token").set('Cookie', [`refreshToken=${refreshToken}`]),
-            request(app).post("/api/auth/refresh-token").set('Cookie', [`refreshToken=${refreshToken}`])
-        ];
+        await request(app)
+            .post("/api/auth/logout")
+            .set('Cookie', [`refreshToken=${rotated}`])
+            .expect(200);
 
-        const responses = await Promise.all(promises);
+        const response = await refresh(rotated).expect(401);
+        expect(response.body.message).toBe("Refresh token has been revoked");
 
-        // All should succeed
-        responses.forEach(response => {
-            expect(response.status).toBe(200);
-            expect(response.body).toHaveProperty("token");
-        });
+        const stored = await RefreshToken.findOne({ tokenHash: hashRefreshToken(rotated) }).lean();
+        expect(stored.revokedReason).toBe("logout");
+    });
+
+    it("should clear the refresh token cookie on logout", async () => {
+        const { refreshToken } = await createUserAndGetTokens();
+
+        const response = await request(app)
+            .post("/api/auth/logout")
+            .set('Cookie', [`refreshToken=${refreshToken}`])
+            .expect(200);
+
+        expect(getRefreshCookie(response)).toBe("");
     });
 });
 
@@ -4,12 +4,14 @@ import mongoose from "mongoose";
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
 import { calculateGroupBalance, addExpenseInAnyCurrency } from "../controllers/expense.controller.js";
-import { createGroup, inviteUserToGroup } from "../controllers/group.controller.js";
+import { createGroup } from "../controllers/group.controller.js";
 import { auth } from "../middleware/auth.js";
 import Group from "../models/group.model.js";
 import User from "../models/user.model.js";
 import Expense from "../models/expense.model.js";
+import Settlement from "../models/settlement.model.js";
 import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
 
 
 process.env.NODE_ENV = 'test';
@@ -19,7 +21,6 @@ dotenv.config();
 const app = express();
 app.use(express.json());
 app.post("/api/group/create-group", auth, createGroup);
-app.post("/api/group/:groupId/invite", auth, inviteUserToGroup);
 app.post("/api/expense/add-expense-in-any-currency", auth, addExpenseInAnyCurrency);
 app.get("/api/expense/calculate-group-balance/:groupId", auth, calculateGroupBalance);
 
@@ -91,6 +92,11 @@ describe("Calculate Group Balance Controller Tests", () => {
         return response.body.expense;
     };
 
+    const equalSplit = (users, amount) => ({
+        splitType: "equal",
+        splitDetails: users.map(user => ({ user: user._id.toString(), amount: amount / users.length }))
+    });
+
 
 
     describe("Success Cases", () => {
@@ -125,7 +131,7 @@ describe("Calculate Group Balance Controller Tests", () => {
 
             expect(response.body.summary.totalExpenses).toBe(0);
             expect(response.body.summary.totalAmount).toBe(0);
-            expect(response.body.summary.perPersonShare).toBe(0);
+            expect(response.body.summary.sharedExpenses).toBe(0);
             expect(response.body.balances.length).toBe(1);
             expect(response.body.balances[0].balance).toBe(0);
         });
@@ -136,14 +142,11 @@ describe("Calculate Group Balance Controller Tests", () => {
             
             const group = await createTestGroup(token1);
             
-            // Invite user2
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${token1}`)
-                .send({ userId: user2._id.toString() });
+            // Add user2
+            await addGroupMember(group.id, user2._id);
 
             // User1 pays 600
-            await createTestExpense(token1, { group: group.id, amount: 600 });
+            await createTestExpense(token1, { group: group.id, amount: 600, ...equalSplit([user1, user2], 600) });
 
             const response = await request(app)
                 .get(`/api/expense/calculate-group-balance/${group.id}`)
@@ -151,7 +154,7 @@ describe("Calculate Group Balance Controller Tests", () => {
                 .expect(200);
 
             expect(response.body.summary.totalAmount).toBe(600);
-            expect(response.body.summary.perPersonShare).toBe(300); // 600 / 2
+            expect(response.body.summary.sharedExpenses).toBe(1);
             
             // User1 paid 600, owes 300, balance = +300 (owed to them)
             const user1Balance = response.body.balances.find(b => b.userId === user1._id.toString());
@@ -173,20 +176,14 @@ describe("Calculate Group Balance Controller Tests", () => {
             
             const group = await createTestGroup(token1);
             
-            // Invite users
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${token1}`)
-                .send({ userId: user2._id.toString() });
+            // Add users
+            await addGroupMember(group.id, user2._id);
             
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${token1}`)
-                .send({ userId: user3._id.toString() });
+            await addGroupMember(group.id, user3._id);
 
             // User1 pays 300, User2 pays 600, User3 pays 0
-            await createTestExpense(token1, { group: group.id, amount: 300 });
-            await createTestExpense(token2, { group: group.id, amount: 600, paidBy: user2._id.toString() });
+            await createTestExpense(token1, { group: group.id, amount: 300, ...equalSplit([user1, user2, user3], 300) });
+            await createTestExpense(token2, { group: group.id, amount: 600, paidBy: user2._id.toString(), ...equalSplit([user1, user2, user3], 600) });
 
             const response = await request(app)
                 .get(`/api/expense/calculate-group-balance/${group.id}`)
@@ -194,7 +191,7 @@ describe("Calculate Group Balance Controller Tests", () => {
                 .expect(200);
 
             expect(response.body.summary.totalAmount).toBe(900);
-            expect(response.body.summary.perPersonShare).toBe(300); // 900 / 3
+            expect(response.body.summary.sharedExpenses).toBe(2);
             
             const user1Balance = response.body.balances.find(b => b.userId === user1._id.toString());
             expect(user1Balance.balance).toBe(0); // Paid 300, owes 300
@@ -258,7 +255,7 @@ describe("Calculate Group Balance Controller Tests", () => {
 
             expect(response.body.summary.totalExpenses).toBe(3);
             expect(response.body.summary.totalAmount).toBe(600);
-            expect(response.body.summary.perPersonShare).toBe(600);
+            expect(response.body.summary.sharedExpenses).toBe(0);
         });
     });
 
@@ -283,11 +280,8 @@ describe("Calculate Group Balance Controller Tests", () => {
             
             const group = await createTestGroup(creatorToken);
             
-            // Invite member
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: member._id.toString() });
+            // Add member
+            await addGroupMember(group.id, member._id);
 
             await createTestExpense(creatorToken, { group: group.id });
 
@@ -324,11 +318,8 @@ describe("Calculate Group Balance Controller Tests", () => {
             
             const group = await createTestGroup(creatorToken);
             
-            // Invite member
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: member._id.toString() });
+            // Add member
+            await addGroupMember(group.id, member._id);
 
             await createTestExpense(creatorToken, { group: group.id });
 
@@ -494,10 +485,10 @@ describe("Calculate Group Balance Controller Tests", () => {
 
             expect(response.body.summary).toHaveProperty("totalExpenses");
             expect(response.body.summary).toHaveProperty("totalAmount");
-            expect(response.body.summary).toHaveProperty("perPersonShare");
+            expect(response.body.summary).toHaveProperty("sharedExpenses");
             expect(typeof response.body.summary.totalExpenses).toBe("number");
             expect(typeof response.body.summary.totalAmount).toBe("number");
-            expect(typeof response.body.summary.perPersonShare).toBe("number");
+            expect(typeof response.body.summary.sharedExpenses).toBe("number");
         });
 
         it("should have correct balance structure for each member", async () => {
@@ -523,7 +514,7 @@ describe("Calculate Group Balance Controller Tests", () => {
     describe("Edge Cases", () => {
         
         it("should handle large group with many members", async () => {
-            const { token: creatorToken } = await createUserAndGetToken(30);
+            const { user: creator, token: creatorToken } = await createUserAndGetToken(30);
             const group = await createTestGroup(creatorToken);
             
             // Create 5 members
@@ -531,13 +522,10 @@ describe("Calculate Group Balance Controller Tests", () => {
             for (let i = 0; i < 5; i++) {
                 const { user } = await createUserAndGetToken(31 + i);
                 members.push(user);
-                await request(app)
-                    .post(`/api/group/${group.id}/invite`)
-                    .set("Authorization", `Bearer ${creatorToken}`)
-                    .send({ userId: user._id.toString() });
+                await addGroupMember(group.id, user._id);
             }
 
-            await createTestExpense(creatorToken, { group: group.id, amount: 600 });
+            await createTestExpense(creatorToken, { group: group.id, amount: 600, ...equalSplit([creator, ...members], 600) });
 
             const response = await request(app)
                 .get(`/api/expense/calculate-group-balance/${group.id}`)
@@ -545,7 +533,7 @@ describe("Calculate Group Balance Controller Tests", () => {
                 .expect(200);
 
             expect(response.body.balances.length).toBe(6); // Creator + 5 members
-            expect(response.body.summary.perPersonShare).toBe(100); // 600 / 6
+            response.body.balances.forEach(balance => expect(balance.totalOwed).toBe(100)); // 600 / 6
         });
 
         it("should handle expenses with decimal amounts", async () => {
@@ -577,7 +565,7 @@ describe("Calculate Group Balance Controller Tests", () => {
             expect(response.body.balances[0].balance).toBe(0);
         });
 
-        it("should handle expenses in different currencies (sum all)", async () => {
+        it("should handle expenses in different currencies (convert to reporting currency)", async () => {
             const { token } = await createUserAndGetToken(38);
             const group = await createTestGroup(token);
             
@@ -589,8 +577,9 @@ describe("Calculate Group Balance Controller Tests", () => {
                 .set("Authorization", `Bearer ${token}`)
                 .expect(200);
 
-            // Note: Currently sums all amounts regardless of currency
-            expect(response.body.summary.totalAmount).toBe(300);
+            // 100 USD + 200 EUR (1 EUR = 1.09 USD)
+            expect(response.body.summary.currency).toBe("USD");
+            expect(response.body.summary.totalAmount).toBe(318);
         });
     });
 
@@ -640,4 +629,356 @@ describe("Calculate Group Balance Controller Tests", () => {
             expect(response1.body.balances).toEqual(response2.body.balances);
         });
     });
+
+    describe("Repayments", () => {
+
+        const setupTwoMemberGroup = async (suffix) => {
+            const { user: user1, token: token1 } = await createUserAndGetToken(`${suffix}a`);
+            const { user: user2 } = await createUserAndGetToken(`${suffix}b`);
+            const group = await createTestGroup(token1);
+
+            await addGroupMember(group.id, user2._id);
+
+            // User1 pays 600, User2 owes 300
+            await createTestExpense(token1, { group: group.id, amount: 600, ...equalSplit([user1, user2], 600) });
+
+            return { user1, user2, token1, group };
+        };
+
+        const createRepayment = (group, from, to, amount, status) => Settlement.create({
+            group: group.id,
+            from: from._id,
+            to: to._id,
+            amount,
+            currency: "USD",
+            amountUSD: amount,
+            status
+        });
+
+        it("should reduce balances by completed settlements", async () => {
+            const { user1, user2, token1, group } = await setupTwoMemberGroup(41);
+            await createRepayment(group, user2, user1, 200, "completed");
+
+            const response = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.summary.repaymentsApplied).toBe(1);
+            expect(response.body.summary.totalRepaid).toBe(200);
+
+            const user1Balance = response.body.balances.find(b => b.userId === user1._id.toString());
+            expect(user1Balance.totalReceived).toBe(200);
+            expect(user1Balance.balance).toBe(100);
+
+            const user2Balance = response.body.balances.find(b => b.userId === user2._id.toString());
+            expect(user2Balance.totalRepaid).toBe(200);
+            expect(user2Balance.balance).toBe(-100);
+        });
+
+        it("should not count pending settlements", async () => {
+            const { user1, user2, token1, group } = await setupTwoMemberGroup(42);
+            await createRepayment(group, user2, user1, 300, "pending");
+
+            const response = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.summary.repaymentsApplied).toBe(0);
+            const user2Balance = response.body.balances.find(b => b.userId === user2._id.toString());
+            expect(user2Balance.balance).toBe(-300);
+        });
+
+        it("should count verified settlements only when requested", async () => {
+            const { user1, user2, token1, group } = await setupTwoMemberGroup(43);
+            await createRepayment(group, user2, user1, 300, "verified");
+
+            const withoutVerified = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            const withVerified = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}?includeVerified=true`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            const before = withoutVerified.body.balances.find(b => b.userId === user2._id.toString());
+            const after = withVerified.body.balances.find(b => b.userId === user2._id.toString());
+            expect(before.balance).toBe(-300);
+            expect(after.balance).toBe(0);
+        });
+    });
+
+    describe("Split-Aware Shares", () => {
+
+        const setupThreeMemberGroup = async (suffix) => {
+            const { user: user1, token: token1 } = await createUserAndGetToken(`${suffix}a`);
+            const { user: user2 } = await createUserAndGetToken(`${suffix}b`);
+            const { user: user3 } = await createUserAndGetToken(`${suffix}c`);
+            const group = await createTestGroup(token1);
+
+            for (const user of [user2, user3]) {
+                await addGroupMember(group.id, user._id);
+            }
+
+            return { user1, user2, user3, token1, group };
+        };
+
+        const getBalances = async (group, token) => {
+            const response = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .expect(200);
+
+            return (user) => response.body.balances.find(b => b.userId === user._id.toString());
+        };
+
+        it("should charge percentage splits by percentage", async () => {
+            const { user1, user2, user3, token1, group } = await setupThreeMemberGroup(44);
+
+            await Expense.create({
+                title: "Rent",
+                amount: 1000,
+                currency: "USD",
+                category: "Rent",
+                paidBy: user1._id,
+                group: group.id,
+                splitType: "percentage",
+                splitDetails: [
+                    { user: user1._id, percentage: 50 },
+                    { user: user2._id, percentage: 30 },
+                    { user: user3._id, percentage: 20 }
+                ]
+            });
+
+            const balanceOf = await getBalances(group, token1);
+
+            expect(balanceOf(user1).totalPaid).toBe(1000);
+            expect(balanceOf(user1).totalOwed).toBe(500);
+            expect(balanceOf(user1).balance).toBe(500);
+            expect(balanceOf(user2).balance).toBe(-300);
+            expect(balanceOf(user3).balance).toBe(-200);
+        });
+
+        it("should charge custom splits by amount", async () => {
+            const { user1, user2, user3, token1, group } = await setupThreeMemberGroup(45);
+
+            await createTestExpense(token1, {
+                group: group.id,
+                amount: 90,
+                splitType: "custom",
+                splitDetails: [
+                    { user: user2._id.toString(), amount: 60 },
+                    { user: user3._id.toString(), amount: 30 }
+                ]
+            });
+
+            const balanceOf = await getBalances(group, token1);
+
+            expect(balanceOf(user1).totalOwed).toBe(0);
+            expect(balanceOf(user1).balance).toBe(90);
+            expect(balanceOf(user2).balance).toBe(-60);
+            expect(balanceOf(user3).balance).toBe(-30);
+        });
+
+        it("should not charge members who were not part of an expense", async () => {
+            const { user: user1, token: token1 } = await createUserAndGetToken("46a");
+            const { user: user2 } = await createUserAndGetToken("46b");
+            const { user: lateUser } = await createUserAndGetToken("46c");
+            const group = await createTestGroup(token1);
+
+            await addGroupMember(group.id, user2._id);
+
+            await createTestExpense(token1, { group: group.id, amount: 100, ...equalSplit([user1, user2], 100) });
+
+            await addGroupMember(group.id, lateUser._id);
+
+            const balanceOf = await getBalances(group, token1);
+
+            expect(balanceOf(lateUser).totalOwed).toBe(0);
+            expect(balanceOf(lateUser).balance).toBe(0);
+            expect(balanceOf(user2).balance).toBe(-50);
+        });
+
+        it("should keep the payer's own cost for unsplit expenses", async () => {
+            const { user1, user2, token1, group } = await setupThreeMemberGroup(47);
+
+            await createTestExpense(token1, { group: group.id, amount: 75 });
+
+            const balanceOf = await getBalances(group, token1);
+
+            expect(balanceOf(user1).totalPaid).toBe(75);
+            expect(balanceOf(user1).totalOwed).toBe(75);
+            expect(balanceOf(user1).balance).toBe(0);
+            expect(balanceOf(user2).balance).toBe(0);
+        });
+
+        it("should keep former members that are part of past expenses", async () => {
+            const { user1, user2, user3, token1, group } = await setupThreeMemberGroup(48);
+
+            await createTestExpense(token1, { group: group.id, amount: 90, ...equalSplit([user1, user2, user3], 90) });
+            await Group.findByIdAndUpdate(group.id, { $pull: { members: user3._id } });
+
+            const balanceOf = await getBalances(group, token1);
+
+            expect(balanceOf(user3)).toBeDefined();
+            expect(balanceOf(user3).isMember).toBe(false);
+            expect(balanceOf(user3).name).toBe(user3.name);
+            expect(balanceOf(user3).balance).toBe(-30);
+            expect(balanceOf(user1).isMember).toBe(true);
+        });
+
+        it("should have balances that add up to zero", async () => {
+            const { user1, user2, user3, token1, group } = await setupThreeMemberGroup(49);
+
+            await createTestExpense(token1, { group: group.id, amount: 100, ...equalSplit([user1, user2, user3], 100) });
+            await createTestExpense(token1, {
+                group: group.id,
+                amount: 45,
+                paidBy: user2._id.toString(),
+                ...equalSplit([user2, user3], 45)
+            });
+
+            const response = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            const totalCents = response.body.balances.reduce((sum, b) => sum + Math.round(b.balance * 100), 0);
+            expect(totalCents).toBe(0);
+        });
+
+        it("should add up to exactly zero across currencies and reporting currencies", async () => {
+            const { user1, user2, user3, token1, group } = await setupThreeMemberGroup(55);
+
+            await createTestExpense(token1, { group: group.id, amount: 10, currency: "EUR", ...equalSplit([user1, user2, user3], 10) });
+            await createTestExpense(token1, { group: group.id, amount: 1001, currency: "JPY", ...equalSplit([user1, user2, user3], 1001) });
+            await createTestExpense(token1, {
+                group: group.id,
+                amount: 77.77,
+                currency: "INR",
+                paidBy: user2._id.toString(),
+                ...equalSplit([user1, user2, user3], 77.77)
+            });
+
+            for (const currency of ["USD", "GBP", "JPY", "KWD"]) {
+                const response = await request(app)
+                    .get(`/api/expense/calculate-group-balance/${group.id}?currency=${currency}`)
+                    .set("Authorization", `Bearer ${token1}`)
+                    .expect(200);
+
+                const scale = currency === "JPY" ? 1 : currency === "KWD" ? 1000 : 100;
+                const total = response.body.balances.reduce((sum, b) => sum + Math.round(b.balance * scale), 0);
+                expect(total).toBe(0);
+            }
+        });
+    });
+
+    describe("Reporting Currency", () => {
+
+        it("should use the caller's preferred currency by default", async () => {
+            const { user, token } = await createUserAndGetToken(50);
+            await User.findByIdAndUpdate(user._id, { preferredCurrency: "EUR" });
+            const group = await createTestGroup(token);
+
+            await createTestExpense(token, { group: group.id, amount: 109, currency: "USD" });
+
+            const response = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .expect(200);
+
+            expect(response.body.summary.currency).toBe("EUR");
+            expect(response.body.summary.totalAmount).toBe(100);
+        });
+
+        it("should use the currency query parameter when given", async () => {
+            const { user: user1, token: token1 } = await createUserAndGetToken("51a");
+            const { user: user2 } = await createUserAndGetToken("51b");
+            const group = await createTestGroup(token1);
+
+            await addGroupMember(group.id, user2._id);
+
+            await createTestExpense(token1, {
+                group: group.id,
+                amount: 1000,
+                currency: "INR",
+                ...equalSplit([user1, user2], 1000)
+            });
+
+            const response = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}?currency=usd`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.summary.currency).toBe("USD");
+            expect(response.body.summary.totalAmount).toBe(12);
+
+            const user2Balance = response.body.balances.find(b => b.userId === user2._id.toString());
+            expect(user2Balance.totalOwed).toBe(6);
+            expect(user2Balance.balance).toBe(-6);
+        });
+
+        it("should not treat amounts in different currencies as equal", async () => {
+            const { user: user1, token: token1 } = await createUserAndGetToken("52a");
+            const { user: user2 } = await createUserAndGetToken("52b");
+            const group = await createTestGroup(token1);
+
+            await addGroupMember(group.id, user2._id);
+
+            await createTestExpense(token1, { group: group.id, amount: 100, currency: "EUR", ...equalSplit([user1, user2], 100) });
+            await createTestExpense(token1, {
+                group: group.id,
+                amount: 100,
+                currency: "INR",
+                paidBy: user2._id.toString(),
+                ...equalSplit([user1, user2], 100)
+            });
+
+            const response = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}?currency=USD`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            // 100 EUR = 109 USD, 100 INR = 1.20 USD
+            const user1Balance = response.body.balances.find(b => b.userId === user1._id.toString());
+            expect(user1Balance.balance).toBe(53.9);
+        });
+
+        it("should show original-currency totals next to converted ones", async () => {
+            const { user, token } = await createUserAndGetToken(53);
+            const group = await createTestGroup(token);
+
+            await createTestExpense(token, { group: group.id, amount: 50, currency: "GBP" });
+            await createTestExpense(token, { group: group.id, amount: 50, currency: "GBP" });
+            await createTestExpense(token, { group: group.id, amount: 20, currency: "USD" });
+
+            const response = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}?currency=USD`)
+                .set("Authorization", `Bearer ${token}`)
+                .expect(200);
+
+            const gbpTotal = response.body.summary.originalTotals.find(total => total.currency === "GBP");
+            expect(gbpTotal.amount).toBe(100);
+            expect(gbpTotal.convertedAmount).toBe(127);
+
+            const balance = response.body.balances.find(b => b.userId === user._id.toString());
+            expect(balance.paidByCurrency).toEqual({ GBP: 100, USD: 20 });
+            expect(balance.totalPaid).toBe(147);
+        });
+
+        it("should return 400 for an unsupported reporting currency", async () => {
+            const { token } = await createUserAndGetToken(54);
+            const group = await createTestGroup(token);
+
+            const response = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}?currency=XYZ`)
+                .set("Authorization", `Bearer ${token}`)
+                .expect(400);
+
+            expect(response.body.message).toBe("Unsupported currency: XYZ");
+        });
+    });
 });
@@ -0,0 +1,240 @@
+import request from "supertest";
+import express from "express";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import User from "../models/user.model.js";
+import Group from "../models/group.model.js";
+import Expense from "../models/expense.model.js";
+import Settlement from "../models/settlement.model.js";
+import settlementRouter from "../routes/settlement.route.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+
+
+dotenv.config();
+process.env.NODE_ENV = 'test';
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use("/api/settlement", settlementRouter);
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    await closeDatabase();
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+
+describe("Commit Settlement Plan Tests", () => {
+    let user1, user2, outsider;
+    let token1, token2, outsiderToken;
+    let group;
+
+    const createSplitExpense = (amount, overrides = {}) => Expense.create({
+        title: "Shared Dinner",
+        amount,
+        currency: "USD",
+        category: "Food & Dining",
+        paidBy: user1._id,
+        group: group._id,
+        splitType: "equal",
+        splitDetails: [
+            { user: user1._id, amount: amount / 2 },
+            { user: user2._id, amount: amount / 2 }
+        ],
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        user1 = await User.create({
+            name: "Alice",
+            email: `alice${Date.now()}@commitplantest.com`,
+            password: "password123",
+            preferredCurrency: "USD"
+        });
+
+        user2 = await User.create({
+            name: "Bob",
+            email: `bob${Date.now()}@commitplantest.com`,
+            password: "password123",
+            preferredCurrency: "EUR"
+        });
+
+        outsider = await User.create({
+            name: "Outsider",
+            email: `outsider${Date.now()}@commitplantest.com`,
+            password: "password123",
+            preferredCurrency: "USD"
+        });
+
+        token1 = jwt.sign({ id: user1._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+        token2 = jwt.sign({ id: user2._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+        outsiderToken = jwt.sign({ id: outsider._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+        group = await Group.create({
+            name: `Test Commit Plan Group ${Date.now()}`,
+            description: "Test group for committing plans",
+            createdBy: user1._id,
+            members: [user1._id, user2._id]
+        });
+    });
+
+
+    describe("POST /api/settlement/:groupId/plan/commit", () => {
+
+        it("should return 401 if no token provided", async () => {
+            const response = await request(app)
+                .post(`/api/settlement/${group._id}/plan/commit`)
+                .expect(401);
+
+            expect(response.body.message).toContain("Unauthorized");
+        });
+
+        it("should return 404 if group not found", async () => {
+            const fakeGroupId = new mongoose.Types.ObjectId();
+
+            const response = await request(app)
+                .post(`/api/settlement/${fakeGroupId}/plan/commit`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(404);
+
+            expect(response.body.message).toBe("Group not found");
+        });
+
+        it("should return 403 if user is not group member", async () => {
+            const response = await request(app)
+                .post(`/api/settlement/${group._id}/plan/commit`)
+                .set("Authorization", `Bearer ${outsiderToken}`)
+                .expect(403);
+
+            expect(response.body.message).toContain("not authorized");
+        });
+
+        it("should return empty list when there is nothing to settle", async () => {
+            const response = await request(app)
+                .post(`/api/settlement/${group._id}/plan/commit`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.message).toBe("No settlements to commit");
+            expect(response.body.settlements).toEqual([]);
+            expect(await Settlement.countDocuments()).toBe(0);
+        });
+
+        it("should persist the plan as pending settlements", async () => {
+            await createSplitExpense(100);
+
+            const response = await request(app)
+                .post(`/api/settlement/${group._id}/plan/commit`)
+                .set("Authorization", `Bearer ${token2}`)
+                .expect(201);
+
+            expect(response.body.message).toBe("Settlement plan committed successfully");
+            expect(response.body.planHash).toBeDefined();
+            expect(response.body.settlements.length).toBe(1);
+
+            const settlement = response.body.settlements[0];
+            expect(settlement.from).toBe(user2._id.toString());
+            expect(settlement.to).toBe(user1._id.toString());
+            expect(settlement.status).toBe("pending");
+            expect(settlement.amountUSD).toBe(50);
+            expect(settlement.currency).toBe("EUR");
+            expect(settlement.amount).toBeCloseTo(45.87, 2);
+        });
+
+        it("should not create duplicates when the same plan is committed twice", async () => {
+            await createSplitExpense(100);
+
+            const first = await request(app)
+                .post(`/api/settlement/${group._id}/plan/commit`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(201);
+
+            const second = await request(app)
+                .post(`/api/settlement/${group._id}/plan/commit`)
+                .set("Authorization", `Bearer ${token2}`)
+                .expect(200);
+
+            expect(second.body.message).toBe("Settlement plan already committed");
+            expect(second.body.planHash).toBe(first.body.planHash);
+            expect(second.body.settlements[0]._id).toBe(first.body.settlements[0]._id);
+            expect(await Settlement.countDocuments({ group: group._id })).toBe(1);
+        });
+
+        it("should not recreate a committed transfer after it was verified", async () => {
+            await createSplitExpense(100);
+
+            const first = await request(app)
+                .post(`/api/settlement/${group._id}/plan/commit`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(201);
+
+            await request(app)
+                .patch(`/api/settlement/${group._id}/verify/${first.body.settlements[0]._id}`)
+                .set("Authorization", `Bearer ${token2}`)
+                .expect(200);
+
+            await request(app)
+                .post(`/api/settlement/${group._id}/plan/commit`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            expect(await Settlement.countDocuments({ group: group._id })).toBe(1);
+        });
+
+        it("should replace pending settlements of an outdated plan", async () => {
+            await createSplitExpense(100);
+
+            const first = await request(app)
+                .post(`/api/settlement/${group._id}/plan/commit`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(201);
+
+            await createSplitExpense(40);
+
+            const second = await request(app)
+                .post(`/api/settlement/${group._id}/plan/commit`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(201);
+
+            expect(second.body.planHash).not.toBe(first.body.planHash);
+            expect(second.body.replacedCount).toBe(1);
+
+            const settlements = await Settlement.find({ group: group._id }).lean();
+            expect(settlements.length).toBe(1);
+            expect(settlements[0].amountUSD).toBe(70);
+            expect(settlements[0].planHash).toBe(second.body.planHash);
+        });
+
+        it("should keep manually recorded settlements when replacing a plan", async () => {
+            await Settlement.create({
+                group: group._id,
+                from: user2._id,
+                to: user1._id,
+                amount: 10,
+                currency: "USD",
+                amountUSD: 10,
+                status: "pending"
+            });
+
+            await createSplitExpense(100);
+
+            await request(app)
+                .post(`/api/settlement/${group._id}/plan/commit`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(201);
+
+            expect(await Settlement.countDocuments({ group: group._id })).toBe(2);
+        });
+    });
+});
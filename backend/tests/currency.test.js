@@ -11,6 +11,7 @@ import {
     convertToUSD,
     formatCurrency 
 } from "../services/currency.service.js";
+import { CURRENCY_CODES, isSupportedCurrency, getCurrencyInfo } from "../config/currencies.js";
 
 dotenv.config();
 
@@ -102,7 +103,7 @@ describe("Currency Service Tests", () => {
             const currencies = getSupportedCurrencies();
             
             expect(Array.isArray(currencies)).toBe(true);
-            expect(currencies.length).toBe(5);
+            expect(currencies.length).toBe(CURRENCY_CODES.length);
         });
 
         it("should include required fields", () => {
@@ -198,6 +199,44 @@ describe("Currency Service Tests", () => {
             const formatted = formatCurrency(100, "XYZ");
             expect(formatted).toBe("100.00 XYZ");
         });
+
+        it("should use the precision of the currency", () => {
+            expect(formatCurrency(1500, "JPY")).toBe("¥1500");
+            expect(formatCurrency(12.5, "KWD")).toBe("KD12.500");
+        });
+    });
+
+    describe("Currency Registry", () => {
+        it("should know the minor units of each currency", () => {
+            expect(getCurrencyInfo("USD").minorUnits).toBe(2);
+            expect(getCurrencyInfo("JPY").minorUnits).toBe(0);
+            expect(getCurrencyInfo("KWD").minorUnits).toBe(3);
+        });
+
+        it("should only contain ISO 4217 style codes", () => {
+            CURRENCY_CODES.forEach(code => {
+                expect(code).toMatch(/^[A-Z]{3}$/);
+            });
+        });
+
+        it("should check codes case-insensitively", () => {
+            expect(isSupportedCurrency("jpy")).toBe(true);
+            expect(isSupportedCurrency("XYZ")).toBe(false);
+            expect(isSupportedCurrency(undefined)).toBe(false);
+        });
+
+        it("should have an exchange rate for every registered currency", async () => {
+            const rates = await getExchangeRates();
+
+            CURRENCY_CODES.forEach(code => {
+                expect(rates.rates[code].rate).toBeGreaterThan(0);
+            });
+        });
+
+        it("should round conversions to the precision of the target currency", () => {
+            expect(convertCurrency(100, "USD", "JPY")).toBe(15152);
+            expect(convertCurrency(100, "USD", "KWD")).toBe(30.769);
+        });
     });
 });
 
@@ -243,6 +282,36 @@ describe("Currency Controller API Tests", () => {
             expect(response.body.converted.currency).toBe("USD");
         });
 
+        it("should accept currency codes with surrounding spaces and any case", async () => {
+            const response = await request(app)
+                .post("/api/currency/convert")
+                .send({
+                    amount: 100,
+                    from: " inr",
+                    to: "usd "
+                })
+                .expect(200);
+
+            expect(response.body.original.currency).toBe("INR");
+            expect(response.body.converted.amount).toBe(1.20);
+            expect(response.body.converted.currency).toBe("USD");
+        });
+
+        it("should accept padded currency codes with a date", async () => {
+            const response = await request(app)
+                .post("/api/currency/convert")
+                .send({
+                    amount: 100,
+                    from: " inr",
+                    to: "usd ",
+                    date: "2026-01-10"
+                })
+                .expect(200);
+
+            expect(response.body.converted.amount).toBe(1.20);
+            expect(response.body.converted.currency).toBe("USD");
+        });
+
         it("should return 400 if amount is missing", async () => {
             const response = await request(app)
                 .post("/api/currency/convert")
@@ -318,6 +387,32 @@ describe("Currency Controller API Tests", () => {
             expect(response.body.message).toContain("Unsupported currency");
         });
 
+        it("should return 400 for an unknown currency code", async () => {
+            const response = await request(app)
+                .post("/api/currency/convert")
+                .send({
+                    amount: 100,
+                    from: "USD",
+                    to: "ABC"
+                })
+                .expect(400);
+
+            expect(response.body.message).toBe("Unsupported currency: ABC");
+        });
+
+        it("should convert to zero-decimal currencies", async () => {
+            const response = await request(app)
+                .post("/api/currency/convert")
+                .send({
+                    amount: 10,
+                    from: "USD",
+                    to: "JPY"
+                })
+                .expect(200);
+
+            expect(response.body.converted.amount).toBe(1515);
+        });
+
         it("should handle large amounts", async () => {
             const response = await request(app)
                 .post("/api/currency/convert")
@@ -330,6 +425,51 @@ describe("Currency Controller API Tests", () => {
 
             expect(response.body.converted.amount).toBe(12000.00);
         });
+
+        it("should convert using the rates of a given date", async () => {
+            const response = await request(app)
+                .post("/api/currency/convert")
+                .send({
+                    amount: 100,
+                    from: "INR",
+                    to: "USD",
+                    date: "2026-01-10"
+                })
+                .expect(200);
+
+            expect(response.body.converted.amount).toBe(1.20);
+            expect(response.body.date).toBe("2026-01-10T00:00:00.000Z");
+            expect(response.body).toHaveProperty("ratesSource");
+            expect(response.body).toHaveProperty("ratesFetchedAt");
+        });
+
+        it("should return 400 for an invalid date", async () => {
+            const response = await request(app)
+                .post("/api/currency/convert")
+                .send({
+                    amount: 100,
+                    from: "INR",
+                    to: "USD",
+                    date: "not-a-date"
+                })
+                .expect(400);
+
+            expect(response.body.message).toBe("Date must be a valid date");
+        });
+
+        it("should return 400 for an invalid currency with a date", async () => {
+            const response = await request(app)
+                .post("/api/currency/convert")
+                .send({
+                    amount: 100,
+                    from: "XYZ",
+                    to: "USD",
+                    date: "2026-01-10"
+                })
+                .expect(400);
+
+            expect(response.body.message).toContain("Unsupported currency");
+        });
     });
 
     describe("GET /api/currency/supported", () => {
@@ -339,7 +479,7 @@ describe("Currency Controller API Tests", () => {
                 .expect(200);
 
             expect(response.body).toHaveProperty("success", true);
-            expect(response.body).toHaveProperty("count", 5);
+            expect(response.body).toHaveProperty("count", CURRENCY_CODES.length);
             expect(Array.isArray(response.body.currencies)).toBe(true);
         });
 
@@ -7,6 +7,10 @@ import { deleteGroup } from '../controllers/group.controller.js';
 import { auth } from '../middleware/auth.js';
 import User from '../models/user.model.js';
 import Group from '../models/group.model.js';
+import Expense from '../models/expense.model.js';
+import ExpenseRevision from '../models/expenseRevision.model.js';
+import Settlement from '../models/settlement.model.js';
+import Invitation from '../models/invitation.model.js';
 import { connect, closeDatabase, clearDatabase } from './setup/db.js';
 
 
@@ -141,7 +145,7 @@ describe('DELETE /api/groups/:groupId - Delete Group', () => {
                 .set('Authorization', `Bearer ${memberToken}`)
                 .expect(403);
 
-            expect(response.body).toHaveProperty('message', 'Only group creator can delete groups');
+            expect(response.body).toHaveProperty('message', 'Only the group owner can delete the group');
             
             // Cleanup
             await Group.findByIdAndDelete(group._id);
@@ -161,7 +165,7 @@ describe('DELETE /api/groups/:groupId - Delete Group', () => {
                 .set('Authorization', `Bearer ${nonMemberToken}`)
                 .expect(403);
 
-            expect(response.body).toHaveProperty('message', 'Only group creator can delete groups');
+            expect(response.body).toHaveProperty('message', 'Only the group owner can delete the group');
             
             // Cleanup
             await Group.findByIdAndDelete(group._id);
@@ -358,6 +362,132 @@ describe('DELETE /api/groups/:groupId - Delete Group', () => {
         });
     });
 
+    describe('Groups With History', () => {
+        const createGroupWithHistory = async (name, members = [creatorUser._id]) => {
+            const group = await Group.create({
+                name,
+                description: 'Group with expenses and settlements',
+                createdBy: creatorUser._id,
+                members,
+            });
+
+            const expense = await Expense.create({
+                title: 'Old dinner',
+                amount: 60,
+                currency: 'USD',
+                category: 'Food & Dining',
+                paidBy: creatorUser._id,
+                group: group._id,
+                splitType: 'equal',
+                splitDetails: [{ user: creatorUser._id }, { user: memberUser._id }],
+                attachments: [{ filename: 'receipt.pdf', url: 'https://example.com/receipt.pdf' }]
+            });
+            await ExpenseRevision.create({
+                expense: expense._id,
+                revision: 1,
+                editedBy: creatorUser._id,
+                changes: []
+            });
+            await Settlement.create({
+                group: group._id,
+                from: memberUser._id,
+                to: creatorUser._id,
+                amount: 30,
+                currency: 'USD',
+                amountUSD: 30,
+                status: 'completed'
+            });
+            await Invitation.create({
+                group: group._id,
+                invitedBy: creatorUser._id,
+                email: 'someone@test.com',
+                expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+            });
+
+            return { group, expense };
+        };
+
+        it('should refuse to delete a group with expenses or settlements without cascade', async () => {
+            const { group } = await createGroupWithHistory('delete test group history 1');
+
+            const response = await request(app)
+                .delete(`/api/groups/${group._id}`)
+                .set('Authorization', `Bearer ${creatorToken}`)
+                .expect(400);
+
+            expect(response.body.message).toBe('Group still has 1 expense(s) and 1 settlement(s). Archive it to keep its history, or delete it with cascade to remove them');
+            expect(response.body.expenses).toBe(1);
+            expect(response.body.settlements).toBe(1);
+            expect(await Group.findById(group._id)).not.toBeNull();
+            expect(await Expense.countDocuments({ group: group._id })).toBe(1);
+
+            await Group.findByIdAndDelete(group._id);
+        });
+
+        it('should delete the group and its history with cascade and report what was removed', async () => {
+            const { group, expense } = await createGroupWithHistory('delete test group history 2');
+
+            const response = await request(app)
+                .delete(`/api/groups/${group._id}?cascade=true`)
+                .set('Authorization', `Bearer ${creatorToken}`)
+                .expect(200);
+
+            expect(response.body.message).toBe('Group deleted successfully');
+            expect(response.body.removed).toEqual({
+                expenses: 1,
+                expenseRevisions: 1,
+                attachments: 0,
+                settlements: 1,
+                invitations: 1
+            });
+            expect(await Group.findById(group._id)).toBeNull();
+            expect(await Expense.countDocuments({ group: group._id })).toBe(0);
+            expect(await ExpenseRevision.countDocuments({ expense: expense._id })).toBe(0);
+            expect(await Settlement.countDocuments({ group: group._id })).toBe(0);
+            expect(await Invitation.countDocuments({ group: group._id })).toBe(0);
+        });
+
+        it('should delete a group that still has members with cascade', async () => {
+            const { group } = await createGroupWithHistory(
+                'delete test group history 4',
+                [creatorUser._id, memberUser._id, nonMemberUser._id]
+            );
+
+            const response = await request(app)
+                .delete(`/api/groups/${group._id}?cascade=true`)
+                .set('Authorization', `Bearer ${creatorToken}`)
+                .expect(200);
+
+            expect(response.body.removed.expenses).toBe(1);
+            expect(response.body.removed.settlements).toBe(1);
+            expect(await Group.findById(group._id)).toBeNull();
+            expect(await Expense.countDocuments({ group: group._id })).toBe(0);
+        });
+
+        it('should remove pending invitations of a group without history', async () => {
+            const group = await Group.create({
+                name: 'delete test group history 3',
+                description: 'Group with only an invitation',
+                createdBy: creatorUser._id,
+                members: [creatorUser._id],
+            });
+            await Invitation.create({
+                group: group._id,
+                invitedBy: creatorUser._id,
+                email: 'someone@test.com',
+                expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+            });
+
+            const response = await request(app)
+                .delete(`/api/groups/${group._id}`)
+                .set('Authorization', `Bearer ${creatorToken}`)
+                .expect(200);
+
+            expect(response.body.removed.invitations).toBe(1);
+            expect(response.body.removed.expenses).toBe(0);
+        });
+    });
+
     describe('Response Format', () => {
         it('should return JSON response', async () => {
             const group = await Group.create({
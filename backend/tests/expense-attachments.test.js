@@ -0,0 +1,315 @@
+import request from "supertest";
+import express from "express";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { addExpenseInAnyCurrency, deleteExpense, getExpenseById } from "../controllers/expense.controller.js";
+import { uploadExpenseAttachment, downloadExpenseAttachment, deleteExpenseAttachment } from "../controllers/attachment.controller.js";
+import { createGroup } from "../controllers/group.controller.js";
+import { auth } from "../middleware/auth.js";
+import { uploadReceipt } from "../middleware/upload.js";
+import User from "../models/user.model.js";
+import Group from "../models/group.model.js";
+import Expense from "../models/expense.model.js";
+import { createLocalReceiptStorage, setReceiptStorage } from "../services/receiptStorage.service.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.post("/api/group/create-group", auth, createGroup);
+app.post("/api/expense/add-expense-in-any-currency", auth, addExpenseInAnyCurrency);
+app.get("/api/expense/get-expense/:id", auth, getExpenseById);
+app.delete("/api/expense/delete-expense/:id", auth, deleteExpense);
+app.post("/api/expense/:id/attachments", auth, uploadReceipt, uploadExpenseAttachment);
+app.get("/api/expense/:id/attachments/:attachmentId", auth, downloadExpenseAttachment);
+app.delete("/api/expense/:id/attachments/:attachmentId", auth, deleteExpenseAttachment);
+
+const PDF_BYTES = Buffer.from("%PDF-1.7\n%test receipt");
+
+let directory;
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    await closeDatabase();
+});
+
+beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "receipts-"));
+    setReceiptStorage(createLocalReceiptStorage({ directory }));
+});
+
+// Clear database and stored files after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+    setReceiptStorage(null);
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+
+describe("Expense Attachment Tests", () => {
+
+    const createUserAndGetToken = async (emailSuffix = Date.now()) => {
+        const user = await User.create({
+            name: `Test User ${emailSuffix}`,
+            email: `testuser${emailSuffix}@test.com`,
+            password: "password123"
+        });
+
+        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+        return { user, token };
+    };
+
+    const createGroupWithMember = async (token, member, role = "member") => {
+        const response = await request(app)
+            .post("/api/group/create-group")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ name: `Test Group ${Date.now()}`, description: "Test group description for testing" });
+
+        await addGroupMember(response.body.group.id, member._id, role);
+
+        return response.body.group;
+    };
+
+    const createTestExpense = async (token, expenseData = {}) => {
+        const response = await request(app)
+            .post("/api/expense/add-expense-in-any-currency")
+            .set("Authorization", `Bearer ${token}`)
+            .send({
+                title: "Test Expense",
+                amount: 100.00,
+                currency: "USD",
+                category: "Food & Dining",
+                ...expenseData
+            });
+
+        return response.body.expense;
+    };
+
+    const uploadPdf = (token, expenseId, buffer = PDF_BYTES) => {
+        return request(app)
+            .post(`/api/expense/${expenseId}/attachments`)
+            .set("Authorization", `Bearer ${token}`)
+            .attach("receipt", buffer, { filename: "dinner receipt.pdf", contentType: "application/pdf" });
+    };
+
+    describe("Uploading", () => {
+        it("should store a receipt and list it on the expense", async () => {
+            const { token } = await createUserAndGetToken(1);
+            const expense = await createTestExpense(token);
+
+            const response = await uploadPdf(token, expense.id);
+
+            expect(response.status).toBe(201);
+            expect(response.body.attachment.filename).toBe("dinner receipt.pdf");
+            expect(response.body.attachment.mimeType).toBe("application/pdf");
+            expect(response.body.attachment.size).toBe(PDF_BYTES.length);
+            expect(response.body.attachment.url).toBe(`/api/expense/${expense.id}/attachments/${response.body.attachment._id}`);
+            expect(response.body.attachment).not.toHaveProperty("storageKey");
+            expect(await fs.readdir(directory)).toHaveLength(1);
+
+            const retrieved = await request(app)
+                .get(`/api/expense/get-expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`);
+            expect(retrieved.body.expense.attachments).toHaveLength(1);
+            expect(retrieved.body.expense.attachments[0]).not.toHaveProperty("storageKey");
+        });
+
+        it("should let any group member upload", async () => {
+            const { token } = await createUserAndGetToken(2);
+            const { user: member, token: memberToken } = await createUserAndGetToken(3);
+            const group = await createGroupWithMember(token, member);
+            const expense = await createTestExpense(token, { group: group.id });
+
+            const response = await uploadPdf(memberToken, expense.id);
+
+            expect(response.status).toBe(201);
+        });
+
+        it("should reject files whose content does not match their type", async () => {
+            const { token } = await createUserAndGetToken(4);
+            const expense = await createTestExpense(token);
+
+            const response = await uploadPdf(token, expense.id, Buffer.from("<script>alert(1)</script>"));
+
+            expect(response.status).toBe(415);
+            expect(await fs.readdir(directory)).toHaveLength(0);
+        });
+
+        it("should require a file", async () => {
+            const { token } = await createUserAndGetToken(5);
+            const expense = await createTestExpense(token);
+
+            const response = await request(app)
+                .post(`/api/expense/${expense.id}/attachments`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe("A receipt file is required in the \"receipt\" field");
+        });
+
+        it("should not let non-members upload", async () => {
+            const { token } = await createUserAndGetToken(6);
+            const { user: member } = await createUserAndGetToken(7);
+            const { token: outsiderToken } = await createUserAndGetToken(8);
+            const group = await createGroupWithMember(token, member);
+            const expense = await createTestExpense(token, { group: group.id });
+
+            const response = await uploadPdf(outsiderToken, expense.id);
+
+            expect(response.status).toBe(403);
+            expect(await fs.readdir(directory)).toHaveLength(0);
+        });
+
+        it("should not let viewers upload", async () => {
+            const { token } = await createUserAndGetToken(30);
+            const { user: viewer, token: viewerToken } = await createUserAndGetToken(31);
+            const group = await createGroupWithMember(token, viewer, "viewer");
+            const expense = await createTestExpense(token, { group: group.id });
+
+            const response = await uploadPdf(viewerToken, expense.id);
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("Viewers cannot change expenses in this group");
+            expect(await fs.readdir(directory)).toHaveLength(0);
+        });
+
+        it("should not accept a storage key pasted into a new expense", async () => {
+            const { token } = await createUserAndGetToken(9);
+
+            const expense = await createTestExpense(token, {
+                attachments: [{ filename: "x.pdf", url: "http://example.com/x.pdf", storageKey: "0123456789abcdef0123456789abcdef.pdf" }]
+            });
+
+            const stored = await Expense.findById(expense.id).lean();
+            expect(stored.attachments[0].storageKey).toBeUndefined();
+        });
+    });
+
+    describe("Downloading", () => {
+        it("should return the stored file to group members", async () => {
+            const { token } = await createUserAndGetToken(10);
+            const { user: member, token: memberToken } = await createUserAndGetToken(11);
+            const group = await createGroupWithMember(token, member);
+            const expense = await createTestExpense(token, { group: group.id });
+            const upload = await uploadPdf(token, expense.id);
+
+            const response = await request(app)
+                .get(upload.body.attachment.url)
+                .set("Authorization", `Bearer ${memberToken}`)
+                .buffer(true)
+                .parse((res, callback) => {
+                    const chunks = [];
+                    res.on("data", chunk => chunks.push(chunk));
+                    res.on("end", () => callback(null, Buffer.concat(chunks)));
+                });
+
+            expect(response.status).toBe(200);
+            expect(response.headers["content-type"]).toBe("application/pdf");
+            expect(response.headers["content-disposition"]).toBe("attachment; filename=\"dinner receipt.pdf\"");
+            expect(response.body).toEqual(PDF_BYTES);
+        });
+
+        it("should not return files to non-members", async () => {
+            const { token } = await createUserAndGetToken(12);
+            const { token: outsiderToken } = await createUserAndGetToken(13);
+            const expense = await createTestExpense(token);
+            const upload = await uploadPdf(token, expense.id);
+
+            const response = await request(app)
+                .get(upload.body.attachment.url)
+                .set("Authorization", `Bearer ${outsiderToken}`);
+
+            expect(response.status).toBe(403);
+        });
+
+        it("should return 404 for an unknown attachment", async () => {
+            const { token } = await createUserAndGetToken(14);
+            const expense = await createTestExpense(token);
+
+            const response = await request(app)
+                .get(`/api/expense/${expense.id}/attachments/507f1f77bcf86cd799439011`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(404);
+            expect(response.body.message).toBe("Attachment not found");
+        });
+    });
+
+    describe("Deleting", () => {
+        it("should delete an attachment and its file", async () => {
+            const { token } = await createUserAndGetToken(15);
+            const expense = await createTestExpense(token);
+            const upload = await uploadPdf(token, expense.id);
+
+            const response = await request(app)
+                .delete(upload.body.attachment.url)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(await fs.readdir(directory)).toHaveLength(0);
+            const stored = await Expense.findById(expense.id).lean();
+            expect(stored.attachments).toHaveLength(0);
+        });
+
+        it("should only let the payer or the uploader delete an attachment", async () => {
+            const { token } = await createUserAndGetToken(16);
+            const { user: member, token: memberToken } = await createUserAndGetToken(17);
+            const group = await createGroupWithMember(token, member);
+            const expense = await createTestExpense(token, { group: group.id });
+            const upload = await uploadPdf(token, expense.id);
+
+            const response = await request(app)
+                .delete(upload.body.attachment.url)
+                .set("Authorization", `Bearer ${memberToken}`);
+
+            expect(response.status).toBe(403);
+            expect(await fs.readdir(directory)).toHaveLength(1);
+        });
+
+        it("should not let an uploader delete once they are a viewer", async () => {
+            const { token } = await createUserAndGetToken(32);
+            const { user: member, token: memberToken } = await createUserAndGetToken(33);
+            const group = await createGroupWithMember(token, member);
+            const expense = await createTestExpense(token, { group: group.id });
+            const upload = await uploadPdf(memberToken, expense.id);
+            await Group.updateOne({ _id: group.id, "memberRoles.user": member._id }, { $set: { "memberRoles.$.role": "viewer" } });
+
+            const response = await request(app)
+                .delete(upload.body.attachment.url)
+                .set("Authorization", `Bearer ${memberToken}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("Viewers cannot change expenses in this group");
+            expect(await fs.readdir(directory)).toHaveLength(1);
+        });
+
+        it("should remove stored files when the expense is deleted", async () => {
+            const { token } = await createUserAndGetToken(18);
+            const expense = await createTestExpense(token);
+            await uploadPdf(token, expense.id);
+            await uploadPdf(token, expense.id);
+            expect(await fs.readdir(directory)).toHaveLength(2);
+
+            const response = await request(app)
+                .delete(`/api/expense/delete-expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(await fs.readdir(directory)).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+import mongoose from "mongoose";
+import { buildExpenseListQuery, encodeCursor, decodeCursor } from "../services/expenseQuery.service.js";
+
+const ALL_FILTERS = ["from", "to", "category", "tags", "paidBy", "group", "currency", "minAmount", "maxAmount", "paymentMethod"];
+
+describe("Expense Query Service Tests", () => {
+
+    describe("Defaults", () => {
+        it("should sort by newest date with a page of 50", () => {
+            const { conditions, sort, limit } = buildExpenseListQuery({});
+
+            expect(conditions).toEqual([]);
+            expect(sort).toEqual({ date: -1, _id: -1 });
+            expect(limit).toBe(50);
+        });
+
+        it("should ignore filters that are not allowed", () => {
+            const { conditions } = buildExpenseListQuery({ category: "Travel" }, { allowedFilters: ["from"] });
+
+            expect(conditions).toEqual([]);
+        });
+    });
+
+    describe("Filters", () => {
+        it("should accept comma-separated and repeated values", () => {
+            const { conditions } = buildExpenseListQuery(
+                { tags: ["trip, food", "work"], currency: "usd,eur" },
+                { allowedFilters: ALL_FILTERS }
+            );
+
+            expect(conditions).toContainEqual({ tags: { $in: ["trip", "food", "work"] } });
+            expect(conditions).toContainEqual({ currency: { $in: ["USD", "EUR"] } });
+        });
+
+        it("should build date and amount ranges", () => {
+            const { conditions } = buildExpenseListQuery(
+                { from: "2026-01-01", to: "2026-01-31", minAmount: "5", maxAmount: "10.5" },
+                { allowedFilters: ALL_FILTERS }
+            );
+
+            expect(conditions).toContainEqual({
+                date: { $gte: new Date("2026-01-01T00:00:00.000Z"), $lte: new Date("2026-01-31T23:59:59.999Z") }
+            });
+            expect(conditions).toContainEqual({ amount: { $gte: 5, $lte: 10.5 } });
+        });
+
+        it("should match personal expenses with group=none", () => {
+            const groupId = new mongoose.Types.ObjectId().toString();
+            const { conditions } = buildExpenseListQuery({ group: `none,${groupId}` }, { allowedFilters: ALL_FILTERS });
+
+            expect(conditions[0].group.$in[0]).toBeNull();
+            expect(conditions[0].group.$in[1].toString()).toBe(groupId);
+        });
+
+        it("should reject reversed ranges", () => {
+            expect(() => buildExpenseListQuery({ from: "2026-02-01", to: "2026-01-01" }, { allowedFilters: ALL_FILTERS }))
+                .toThrow("From cannot be after to");
+            expect(() => buildExpenseListQuery({ minAmount: "-1" }, { allowedFilters: ALL_FILTERS }))
+                .toThrow("minAmount must be a non-negative number");
+        });
+    });
+
+    describe("Cursors", () => {
+        const sortOptions = { sort: "-date", field: "date", order: -1 };
+
+        it("should round-trip the position of the last expense", () => {
+            const expense = { _id: new mongoose.Types.ObjectId(), date: new Date("2026-01-15T10:00:00.000Z") };
+
+            const { value, id } = decodeCursor(encodeCursor(expense, sortOptions), sortOptions);
+
+            expect(value).toEqual(expense.date);
+            expect(id.toString()).toBe(expense._id.toString());
+        });
+
+        it("should continue after the cursor position", () => {
+            const expense = { _id: new mongoose.Types.ObjectId(), date: new Date("2026-01-15T10:00:00.000Z") };
+            const cursor = encodeCursor(expense, sortOptions);
+
+            const { conditions } = buildExpenseListQuery({ cursor });
+
+            expect(conditions).toEqual([{
+                $or: [
+                    { date: { $lt: expense.date } },
+                    { date: expense.date, _id: { $lt: expense._id } }
+                ]
+            }]);
+        });
+
+        it("should use greater-than comparisons for ascending sorts", () => {
+            const expense = { _id: new mongoose.Types.ObjectId(), amount: 12.5 };
+            const cursor = encodeCursor(expense, { sort: "amount", field: "amount", order: 1 });
+
+            const { conditions, sort } = buildExpenseListQuery({ sort: "amount", cursor });
+
+            expect(sort).toEqual({ amount: 1, _id: 1 });
+            expect(conditions[0].$or[0]).toEqual({ amount: { $gt: 12.5 } });
+        });
+
+        it("should reject tampered cursors", () => {
+            const tampered = Buffer.from(JSON.stringify({ s: "-date", v: "2026-01-01", id: "nope" })).toString("base64url");
+
+            expect(() => decodeCursor(tampered, sortOptions)).toThrow("Invalid cursor");
+            expect(() => decodeCursor("%%%", sortOptions)).toThrow("Invalid cursor");
+        });
+    });
+});
@@ -4,12 +4,13 @@ import mongoose from "mongoose";
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
 import { getExpenseById, addExpenseInAnyCurrency } from "../controllers/expense.controller.js";
-import { createGroup, inviteUserToGroup } from "../controllers/group.controller.js";
+import { createGroup } from "../controllers/group.controller.js";
 import { auth } from "../middleware/auth.js";
 import Group from "../models/group.model.js";
 import User from "../models/user.model.js";
 import Expense from "../models/expense.model.js";
 import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
 
 
 process.env.NODE_ENV = 'test';
@@ -19,7 +20,6 @@ dotenv.config();
 const app = express();
 app.use(express.json());
 app.post("/api/group/create-group", auth, createGroup);
-app.post("/api/group/:groupId/invite", auth, inviteUserToGroup);
 app.post("/api/expense/add-expense-in-any-currency", auth, addExpenseInAnyCurrency);
 app.get("/api/expense/get-expense/:id", auth, getExpenseById);
 
@@ -213,9 +213,10 @@ describe("Get Expense By ID Controller Tests", () => {
 
         it("should return splitDetails if present", async () => {
             const { user, token } = await createUserAndGetToken(7);
+            const { user: friend } = await createUserAndGetToken("7b");
             const splitDetails = [
-                { userId: user._id.toString(), amount: 50.00, settled: false },
-                { userId: user._id.toString(), amount: 50.00, settled: true }
+                { user: user._id.toString(), amount: 50.00, settled: false },
+                { user: friend._id.toString(), amount: 50.00, settled: true }
             ];
             
             const expense = await createTestExpense(token, {
@@ -271,11 +272,8 @@ describe("Get Expense By ID Controller Tests", () => {
             
             const group = await createTestGroup(creatorToken);
             
-            // Invite member to group
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: member._id.toString() });
+            // Add member to group
+            await addGroupMember(group.id, member._id);
 
             const expense = await createTestExpense(creatorToken, { group: group.id });
 
@@ -295,16 +293,10 @@ describe("Get Expense By ID Controller Tests", () => {
             
             const group = await createTestGroup(creatorToken);
             
-            // Invite both members
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: member1._id.toString() });
+            // Add both members
+            await addGroupMember(group.id, member1._id);
             
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: member2._id.toString() });
+            await addGroupMember(group.id, member2._id);
 
             // Member1 creates expense
             const expense = await createTestExpense(member1Token, { 
@@ -360,11 +352,8 @@ describe("Get Expense By ID Controller Tests", () => {
             
             const group = await createTestGroup(creatorToken);
             
-            // Invite member
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: member._id.toString() });
+            // Add member
+            await addGroupMember(group.id, member._id);
 
             const expense = await createTestExpense(creatorToken, { group: group.id });
 
@@ -705,10 +694,12 @@ describe("Get Expense By ID Controller Tests", () => {
 
         it("should handle expense with complex split details", async () => {
             const { user, token } = await createUserAndGetToken(40);
+            const { user: friend1 } = await createUserAndGetToken("40b");
+            const { user: friend2 } = await createUserAndGetToken("40c");
             const splitDetails = [
-                { userId: user._id.toString(), amount: 33.33, settled: false },
-                { userId: user._id.toString(), amount: 33.33, settled: false },
-                { userId: user._id.toString(), amount: 33.34, settled: true }
+                { user: user._id.toString(), amount: 33.33, settled: false },
+                { user: friend1._id.toString(), amount: 33.33, settled: false },
+                { user: friend2._id.toString(), amount: 33.34, settled: true }
             ];
             
             const expense = await createTestExpense(token, {
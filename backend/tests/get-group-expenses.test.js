@@ -4,12 +4,13 @@ import mongoose from "mongoose";
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
 import { getGroupExpenses, addExpenseInAnyCurrency } from "../controllers/expense.controller.js";
-import { createGroup, inviteUserToGroup } from "../controllers/group.controller.js";
+import { createGroup } from "../controllers/group.controller.js";
 import { auth } from "../middleware/auth.js";
 import Group from "../models/group.model.js";
 import User from "../models/user.model.js";
 import Expense from "../models/expense.model.js";
 import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
 
 
 process.env.NODE_ENV = 'test';
@@ -19,7 +20,6 @@ dotenv.config();
 const app = express();
 app.use(express.json());
 app.post("/api/group/create-group", auth, createGroup);
-app.post("/api/group/:groupId/invite", auth, inviteUserToGroup);
 app.post("/api/expense/add-expense-in-any-currency", auth, addExpenseInAnyCurrency);
 app.get("/api/expense/get-group-expenses/:groupId", auth, getGroupExpenses);
 
@@ -265,11 +265,8 @@ describe("Get Group Expenses Controller Tests", () => {
             
             const group = await createTestGroup(creatorToken);
             
-            // Invite member to group
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: member._id.toString() });
+            // Add member to group
+            await addGroupMember(group.id, member._id);
 
             await createTestExpense(creatorToken, { group: group.id });
 
@@ -289,16 +286,10 @@ describe("Get Group Expenses Controller Tests", () => {
             
             const group = await createTestGroup(creatorToken);
             
-            // Invite both members
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: member1._id.toString() });
+            // Add both members
+            await addGroupMember(group.id, member1._id);
             
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: member2._id.toString() });
+            await addGroupMember(group.id, member2._id);
 
             // Each member creates an expense
             await createTestExpense(creatorToken, { group: group.id, title: "Creator Expense" });
@@ -342,11 +333,8 @@ describe("Get Group Expenses Controller Tests", () => {
             
             const group = await createTestGroup(creatorToken);
             
-            // Invite member
-            await request(app)
-                .post(`/api/group/${group.id}/invite`)
-                .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: member._id.toString() });
+            // Add member
+            await addGroupMember(group.id, member._id);
 
             await createTestExpense(creatorToken, { group: group.id });
 
@@ -627,8 +615,7 @@ describe("Get Group Expenses Controller Tests", () => {
             const group = await createTestGroup(token);
             
             const splitDetails = [
-                { userId: user._id.toString(), amount: 50.00, settled: false },
-                { userId: user._id.toString(), amount: 50.00, settled: true }
+                { user: user._id.toString(), amount: 100.00, settled: true }
             ];
 
             await createTestExpense(token, {
@@ -786,4 +773,172 @@ describe("Get Group Expenses Controller Tests", () => {
             expect(response.body.expenses.length).toBe(2);
         });
     });
+
+    describe("Pagination, Filters and Sorting", () => {
+
+        const getExpenses = (token, groupId, query = {}) => {
+            return request(app)
+                .get(`/api/expense/get-group-expenses/${groupId}`)
+                .query(query)
+                .set("Authorization", `Bearer ${token}`);
+        };
+
+        it("should page through expenses with a cursor without repeating or skipping any", async () => {
+            const { token } = await createUserAndGetToken(40);
+            const group = await createTestGroup(token);
+            for (let i = 1; i <= 5; i++) {
+                // Two expenses share each date so the tie-breaker is exercised
+                await createTestExpense(token, { group: group.id, title: `Expense ${i}`, date: `2026-01-0${Math.ceil(i / 2)}` });
+            }
+
+            const first = await getExpenses(token, group.id, { limit: 2 }).expect(200);
+            expect(first.body.expenses.length).toBe(2);
+            expect(first.body.pagination.hasMore).toBe(true);
+
+            const second = await getExpenses(token, group.id, { limit: 2, cursor: first.body.pagination.nextCursor }).expect(200);
+            const third = await getExpenses(token, group.id, { limit: 2, cursor: second.body.pagination.nextCursor }).expect(200);
+            expect(third.body.expenses.length).toBe(1);
+            expect(third.body.pagination.hasMore).toBe(false);
+            expect(third.body.pagination.nextCursor).toBeNull();
+
+            const titles = [...first.body.expenses, ...second.body.expenses, ...third.body.expenses].map(expense => expense.title);
+            expect(new Set(titles).size).toBe(5);
+            const dates = [...first.body.expenses, ...second.body.expenses, ...third.body.expenses].map(expense => expense.date);
+            expect(dates).toEqual([...dates].sort().reverse());
+        });
+
+        it("should limit pages to 50 expenses by default", async () => {
+            const { token } = await createUserAndGetToken(41);
+            const group = await createTestGroup(token);
+            await Expense.insertMany(Array.from({ length: 55 }, (_, i) => ({
+                title: `Bulk Expense ${i}`,
+                amount: 10,
+                currency: "USD",
+                paidBy: group.createdBy,
+                group: group.id
+            })));
+
+            const response = await getExpenses(token, group.id).expect(200);
+
+            expect(response.body.expenses.length).toBe(50);
+            expect(response.body.pagination.limit).toBe(50);
+            expect(response.body.pagination.hasMore).toBe(true);
+        });
+
+        it("should sort by amount", async () => {
+            const { token } = await createUserAndGetToken(42);
+            const group = await createTestGroup(token);
+            await createTestExpense(token, { group: group.id, amount: 30 });
+            await createTestExpense(token, { group: group.id, amount: 10 });
+            await createTestExpense(token, { group: group.id, amount: 20 });
+
+            const response = await getExpenses(token, group.id, { sort: "amount" }).expect(200);
+
+            expect(response.body.expenses.map(expense => expense.amount)).toEqual([10, 20, 30]);
+            expect(response.body.pagination.sort).toBe("amount");
+        });
+
+        it("should filter by date range, category, tags, currency, amount and payment method", async () => {
+            const { token } = await createUserAndGetToken(43);
+            const group = await createTestGroup(token);
+            await createTestExpense(token, {
+                group: group.id,
+                title: "Match",
+                date: "2026-02-10",
+                category: "Travel",
+                tags: ["trip"],
+                currency: "EUR",
+                amount: 50,
+                paymentMethod: "Credit Card"
+            });
+            await createTestExpense(token, { group: group.id, title: "Wrong date", date: "2026-03-10", category: "Travel", tags: ["trip"], currency: "EUR", amount: 50, paymentMethod: "Credit Card" });
+            await createTestExpense(token, { group: group.id, title: "Wrong category", date: "2026-02-10", category: "Shopping", tags: ["trip"], currency: "EUR", amount: 50, paymentMethod: "Credit Card" });
+            await createTestExpense(token, { group: group.id, title: "Wrong amount", date: "2026-02-10", category: "Travel", tags: ["trip"], currency: "EUR", amount: 500, paymentMethod: "Credit Card" });
+
+            const response = await getExpenses(token, group.id, {
+                from: "2026-02-01",
+                to: "2026-02-28",
+                category: "Travel,Food & Dining",
+                tags: "trip",
+                currency: "eur",
+                minAmount: 10,
+                maxAmount: 100,
+                paymentMethod: "Credit Card"
+            }).expect(200);
+
+            expect(response.body.expenses.map(expense => expense.title)).toEqual(["Match"]);
+        });
+
+        it("should include the whole last day of a date range", async () => {
+            const { token } = await createUserAndGetToken(44);
+            const group = await createTestGroup(token);
+            await createTestExpense(token, { group: group.id, date: "2026-02-28T18:30:00.000Z" });
+
+            const response = await getExpenses(token, group.id, { to: "2026-02-28" }).expect(200);
+
+            expect(response.body.expenses.length).toBe(1);
+        });
+
+        it("should filter by payer", async () => {
+            const { token } = await createUserAndGetToken(45);
+            const { user: member, token: memberToken } = await createUserAndGetToken(46);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+            await createTestExpense(token, { group: group.id, title: "Owner paid" });
+            await createTestExpense(memberToken, { group: group.id, title: "Member paid" });
+
+            const response = await getExpenses(token, group.id, { paidBy: member._id.toString() }).expect(200);
+
+            expect(response.body.expenses.map(expense => expense.title)).toEqual(["Member paid"]);
+        });
+
+        it("should reject invalid query parameters", async () => {
+            const { token } = await createUserAndGetToken(47);
+            const group = await createTestGroup(token);
+
+            const cases = [
+                [{ limit: 0 }, "Limit must be a whole number between 1 and 100"],
+                [{ limit: 101 }, "Limit must be a whole number between 1 and 100"],
+                [{ sort: "title" }, "Sort must be one of: date, -date, amount, -amount"],
+                [{ from: "yesterday" }, "From must be a valid date"],
+                [{ category: "Pets" }, "Unknown category: Pets"],
+                [{ currency: "XYZ" }, "Unsupported currency: XYZ"],
+                [{ paymentMethod: "Cheque" }, "Unknown payment method: Cheque"],
+                [{ paidBy: "abc" }, "paidBy must be a valid user ID"],
+                [{ minAmount: 10, maxAmount: 5 }, "minAmount cannot be greater than maxAmount"],
+                [{ cursor: "not-a-cursor" }, "Invalid cursor"]
+            ];
+
+            for (const [query, message] of cases) {
+                const response = await getExpenses(token, group.id, query).expect(400);
+                expect(response.body.message).toBe(message);
+            }
+        });
+
+        it("should reject a cursor created with another sort", async () => {
+            const { token } = await createUserAndGetToken(48);
+            const group = await createTestGroup(token);
+            await createTestExpense(token, { group: group.id });
+            await createTestExpense(token, { group: group.id });
+
+            const first = await getExpenses(token, group.id, { limit: 1 }).expect(200);
+            const response = await getExpenses(token, group.id, { sort: "amount", cursor: first.body.pagination.nextCursor }).expect(400);
+
+            expect(response.body.message).toBe("Cursor was created with a different sort, start again without a cursor");
+        });
+
+        it("should use the group and date compound index", async () => {
+            const { token } = await createUserAndGetToken(49);
+            const group = await createTestGroup(token);
+            await Expense.syncIndexes();
+
+            const explain = await Expense.find({ group: new mongoose.Types.ObjectId(group.id) })
+                .sort({ date: -1, _id: -1 })
+                .limit(51)
+                .explain("queryPlanner");
+
+            expect(JSON.stringify(explain.queryPlanner.winningPlan)).toContain("group_1_date_-1__id_-1");
+            expect(JSON.stringify(explain.queryPlanner.winningPlan)).not.toContain("\"stage\":\"SORT\"");
+        });
+    });
 });
@@ -3,11 +3,12 @@ import express from "express";
 import mongoose from "mongoose";
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
-import { getGroupMembers, createGroup, inviteUserToGroup } from "../controllers/group.controller.js";
+import { getGroupMembers, createGroup } from "../controllers/group.controller.js";
 import { auth } from "../middleware/auth.js";
 import Group from "../models/group.model.js";
 import User from "../models/user.model.js";
 import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
 
 
 process.env.NODE_ENV = 'test';
@@ -17,7 +18,6 @@ dotenv.config();
 const app = express();
 app.use(express.json());
 app.post("/api/group/create-group", auth, createGroup);
-app.post("/api/group/invite-user-to-group/:groupId", auth, inviteUserToGroup);
 app.get("/api/group/get-group-members/:groupId", auth, getGroupMembers);
 
 // Connect to in-memory database
@@ -70,13 +70,6 @@ describe("Get Group Members Controller Tests", () => {
         return response.body.group;
     };
 
-    const inviteUserToTestGroup = async (groupId, userId, creatorToken) => {
-        await request(app)
-            .post(`/api/group/invite-user-to-group/${groupId}`)
-            .set("Authorization", `Bearer ${creatorToken}`)
-            .send({ userId: userId.toString() });
-    };
-
 
 
     describe("Success Cases", () => {
@@ -104,8 +97,8 @@ describe("Get Group Members Controller Tests", () => {
             const { user: member2 } = await createUserAndGetToken(4);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member1._id, creatorToken);
-            await inviteUserToTestGroup(group.id, member2._id, creatorToken);
+            await addGroupMember(group.id, member1._id);
+            await addGroupMember(group.id, member2._id);
 
             const response = await request(app)
                 .get(`/api/group/get-group-members/${group.id}`)
@@ -128,7 +121,7 @@ describe("Get Group Members Controller Tests", () => {
             const { user: member, token: memberToken } = await createUserAndGetToken(6);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .get(`/api/group/get-group-members/${group.id}`)
@@ -146,9 +139,9 @@ describe("Get Group Members Controller Tests", () => {
             const { user: member3 } = await createUserAndGetToken(10);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member1._id, creatorToken);
-            await inviteUserToTestGroup(group.id, member2._id, creatorToken);
-            await inviteUserToTestGroup(group.id, member3._id, creatorToken);
+            await addGroupMember(group.id, member1._id);
+            await addGroupMember(group.id, member2._id);
+            await addGroupMember(group.id, member3._id);
 
             const response = await request(app)
                 .get(`/api/group/get-group-members/${group.id}`)
@@ -165,8 +158,8 @@ describe("Get Group Members Controller Tests", () => {
             const { user: member2 } = await createUserAndGetToken(13);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member1._id, creatorToken);
-            await inviteUserToTestGroup(group.id, member2._id, creatorToken);
+            await addGroupMember(group.id, member1._id);
+            await addGroupMember(group.id, member2._id);
 
             const response = await request(app)
                 .get(`/api/group/get-group-members/${group.id}`)
@@ -242,7 +235,7 @@ describe("Get Group Members Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(21);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .get(`/api/group/get-group-members/${group.id}`)
@@ -257,7 +250,7 @@ describe("Get Group Members Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(23);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .get(`/api/group/get-group-members/${group.id}`)
@@ -331,7 +324,7 @@ describe("Get Group Members Controller Tests", () => {
             // Add 10 members
             for (let i = 0; i < 10; i++) {
                 const { user } = await createUserAndGetToken(100 + i);
-                await inviteUserToTestGroup(group.id, user._id, creatorToken);
+                await addGroupMember(group.id, user._id);
             }
 
             const response = await request(app)
@@ -363,7 +356,7 @@ describe("Get Group Members Controller Tests", () => {
             const { user: member1, token: member1Token } = await createUserAndGetToken(31);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member1._id, creatorToken);
+            await addGroupMember(group.id, member1._id);
 
             const [response1, response2] = await Promise.all([
                 request(app)
@@ -384,7 +377,7 @@ describe("Get Group Members Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(33);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             // Delete the member user
             await User.findByIdAndDelete(member._id);
@@ -434,7 +427,7 @@ describe("Get Group Members Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(37);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .get(`/api/group/get-group-members/${group.id}`)
@@ -456,8 +449,8 @@ describe("Get Group Members Controller Tests", () => {
             const { user: member2 } = await createUserAndGetToken(40);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member1._id, creatorToken);
-            await inviteUserToTestGroup(group.id, member2._id, creatorToken);
+            await addGroupMember(group.id, member1._id);
+            await addGroupMember(group.id, member2._id);
 
             const response = await request(app)
                 .get(`/api/group/get-group-members/${group.id}`)
@@ -9,7 +9,9 @@ import { auth } from "../middleware/auth.js";
 import Group from "../models/group.model.js";
 import User from "../models/user.model.js";
 import Expense from "../models/expense.model.js";
+import Settlement from "../models/settlement.model.js";
 import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
 
 
 process.env.NODE_ENV = 'test';
@@ -467,7 +469,7 @@ describe("Get User Expenses Controller Tests", () => {
             const { user, token } = await createUserAndGetToken(19);
             
             const splitDetails = [
-                { userId: user._id.toString(), amount: 50.00, settled: false }
+                { user: user._id.toString(), amount: 100.00, settled: false }
             ];
 
             await createTestExpense(token, {
@@ -602,4 +604,240 @@ describe("Get User Expenses Controller Tests", () => {
             expect(response.body.count).toBe(2);
         });
     });
+
+    describe("Pagination, Filters and Sorting", () => {
+
+        const getExpenses = (token, query = {}) => {
+            return request(app)
+                .get("/api/expense/get-user-expenses")
+                .query(query)
+                .set("Authorization", `Bearer ${token}`);
+        };
+
+        it("should page through expenses with a cursor", async () => {
+            const { token } = await createUserAndGetToken(25);
+            for (let i = 1; i <= 3; i++) {
+                await createTestExpense(token, { title: `Expense ${i}`, date: `2026-01-0${i}` });
+            }
+
+            const first = await getExpenses(token, { limit: 2 }).expect(200);
+            expect(first.body.count).toBe(2);
+            expect(first.body.expenses.map(expense => expense.title)).toEqual(["Expense 3", "Expense 2"]);
+
+            const second = await getExpenses(token, { limit: 2, cursor: first.body.pagination.nextCursor }).expect(200);
+            expect(second.body.expenses.map(expense => expense.title)).toEqual(["Expense 1"]);
+            expect(second.body.pagination.hasMore).toBe(false);
+        });
+
+        it("should filter personal and group expenses", async () => {
+            const { token } = await createUserAndGetToken(26);
+            const group = await createTestGroup(token);
+            await createTestExpense(token, { title: "Personal" });
+            await createTestExpense(token, { title: "Shared", group: group.id });
+
+            const personal = await getExpenses(token, { group: "none" }).expect(200);
+            expect(personal.body.expenses.map(expense => expense.title)).toEqual(["Personal"]);
+
+            const shared = await getExpenses(token, { group: group.id }).expect(200);
+            expect(shared.body.expenses.map(expense => expense.title)).toEqual(["Shared"]);
+        });
+
+        it("should filter by several values of the same field", async () => {
+            const { token } = await createUserAndGetToken(27);
+            await createTestExpense(token, { title: "Euro", currency: "EUR" });
+            await createTestExpense(token, { title: "Pound", currency: "GBP" });
+            await createTestExpense(token, { title: "Dollar", currency: "USD" });
+
+            const response = await getExpenses(token, { currency: ["EUR", "GBP"], sort: "date" }).expect(200);
+
+            expect(response.body.expenses.map(expense => expense.title).sort()).toEqual(["Euro", "Pound"]);
+        });
+
+        it("should ignore filters the endpoint does not support", async () => {
+            const { token } = await createUserAndGetToken(28);
+            await createTestExpense(token);
+
+            const response = await getExpenses(token, { paidBy: new mongoose.Types.ObjectId().toString() }).expect(200);
+
+            expect(response.body.count).toBe(1);
+        });
+
+        it("should reject an invalid group filter", async () => {
+            const { token } = await createUserAndGetToken(29);
+
+            const response = await getExpenses(token, { group: "abc" }).expect(400);
+
+            expect(response.body.message).toBe("group must be a valid group ID or \"none\"");
+        });
+    });
+
+    describe("Involvement", () => {
+
+        const setupSharedExpense = async (payerSuffix, memberSuffix, expenseData = {}) => {
+            const { user: payer, token: payerToken } = await createUserAndGetToken(payerSuffix);
+            const { user: member, token: memberToken } = await createUserAndGetToken(memberSuffix);
+            const group = await createTestGroup(payerToken);
+            await addGroupMember(group.id, member._id);
+
+            await createTestExpense(payerToken, {
+                title: "Shared Dinner",
+                group: group.id,
+                amount: 100,
+                splitType: "equal",
+                splitDetails: [{ user: payer._id.toString() }, { user: member._id.toString() }],
+                ...expenseData
+            });
+
+            return { payer, payerToken, member, memberToken, group };
+        };
+
+        it("should include expenses split with the user that someone else paid", async () => {
+            const { payer, memberToken } = await setupSharedExpense(30, 31);
+
+            const response = await request(app)
+                .get("/api/expense/get-user-expenses")
+                .set("Authorization", `Bearer ${memberToken}`)
+                .expect(200);
+
+            expect(response.body.involvement).toBe("all");
+            expect(response.body.count).toBe(1);
+            expect(response.body.expenses[0].title).toBe("Shared Dinner");
+            expect(response.body.expenses[0].paidBy.id).toBe(payer._id.toString());
+        });
+
+        it("should show the user's share and whether it is settled", async () => {
+            const { memberToken, payerToken } = await setupSharedExpense(32, 33);
+
+            const memberView = await request(app)
+                .get("/api/expense/get-user-expenses")
+                .set("Authorization", `Bearer ${memberToken}`)
+                .expect(200);
+
+            expect(memberView.body.expenses[0].myShare).toEqual({
+                isPayer: false,
+                isInSplit: true,
+                amount: 50,
+                currency: "USD",
+                preferredCurrencyAmount: 50,
+                preferredCurrency: "USD",
+                settled: false
+            });
+
+            const payerView = await request(app)
+                .get("/api/expense/get-user-expenses")
+                .set("Authorization", `Bearer ${payerToken}`)
+                .expect(200);
+
+            expect(payerView.body.expenses[0].myShare.isPayer).toBe(true);
+            expect(payerView.body.expenses[0].myShare.amount).toBe(50);
+            expect(payerView.body.expenses[0].myShare.settled).toBe(true);
+        });
+
+        it("should convert the share into the user's preferred currency", async () => {
+            const { member, memberToken } = await setupSharedExpense(34, 35, { currency: "EUR" });
+            await User.updateOne({ _id: member._id }, { preferredCurrency: "JPY" });
+
+            const response = await request(app)
+                .get("/api/expense/get-user-expenses")
+                .set("Authorization", `Bearer ${memberToken}`)
+                .expect(200);
+
+            const { myShare } = response.body.expenses[0];
+            expect(response.body.preferredCurrency).toBe("JPY");
+            expect(myShare.amount).toBe(50);
+            expect(myShare.currency).toBe("EUR");
+            expect(myShare.preferredCurrency).toBe("JPY");
+            expect(Number.isInteger(myShare.preferredCurrencyAmount)).toBe(true);
+            expect(myShare.preferredCurrencyAmount).toBeGreaterThan(50);
+        });
+
+        it("should report a share as settled once a confirmed repayment covers it", async () => {
+            const { payer, member, memberToken, group } = await setupSharedExpense(36, 37);
+            const repayment = await Settlement.create({
+                group: group.id,
+                from: member._id,
+                to: payer._id,
+                amount: 50,
+                currency: "USD",
+                amountUSD: 50,
+                status: "pending"
+            });
+
+            const pending = await request(app)
+                .get("/api/expense/get-user-expenses")
+                .set("Authorization", `Bearer ${memberToken}`)
+                .expect(200);
+
+            expect(pending.body.expenses[0].myShare.settled).toBe(false);
+
+            await Settlement.updateOne({ _id: repayment._id }, { status: "completed", completedAt: new Date() });
+
+            const completed = await request(app)
+                .get("/api/expense/get-user-expenses")
+                .set("Authorization", `Bearer ${memberToken}`)
+                .expect(200);
+
+            expect(completed.body.expenses[0].myShare.settled).toBe(true);
+        });
+
+        it("should not take the settled flag from the client", async () => {
+            const { user: payer, token: payerToken } = await createUserAndGetToken(44);
+            const { user: member, token: memberToken } = await createUserAndGetToken(45);
+            const group = await createTestGroup(payerToken);
+            await addGroupMember(group.id, member._id);
+            await createTestExpense(payerToken, {
+                group: group.id,
+                amount: 100,
+                splitType: "equal",
+                splitDetails: [{ user: payer._id.toString() }, { user: member._id.toString(), settled: true }]
+            });
+
+            const response = await request(app)
+                .get("/api/expense/get-user-expenses")
+                .set("Authorization", `Bearer ${memberToken}`)
+                .expect(200);
+
+            expect(response.body.expenses[0].myShare.settled).toBe(false);
+        });
+
+        it("should list only paid or only split expenses on request", async () => {
+            const { memberToken } = await setupSharedExpense(38, 39);
+            await createTestExpense(memberToken, { title: "Own Lunch" });
+
+            const paid = await request(app)
+                .get("/api/expense/get-user-expenses?involvement=paid")
+                .set("Authorization", `Bearer ${memberToken}`)
+                .expect(200);
+            expect(paid.body.expenses.map(expense => expense.title)).toEqual(["Own Lunch"]);
+
+            const split = await request(app)
+                .get("/api/expense/get-user-expenses?involvement=split")
+                .set("Authorization", `Bearer ${memberToken}`)
+                .expect(200);
+            expect(split.body.expenses.map(expense => expense.title)).toEqual(["Shared Dinner"]);
+        });
+
+        it("should not list expenses the user is not part of", async () => {
+            await setupSharedExpense(40, 41);
+            const { token: outsiderToken } = await createUserAndGetToken(42);
+
+            const response = await request(app)
+                .get("/api/expense/get-user-expenses")
+                .set("Authorization", `Bearer ${outsiderToken}`)
+                .expect(200);
+
+            expect(response.body.count).toBe(0);
+        });
+
+        it("should reject an unknown involvement", async () => {
+            const { token } = await createUserAndGetToken(43);
+
+            const response = await request(app)
+                .get("/api/expense/get-user-expenses?involvement=owed")
+                .set("Authorization", `Bearer ${token}`)
+                .expect(400);
+
+            expect(response.body.message).toBe("Involvement must be one of: all, paid, split");
+        });
+    });
 });
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import { ARCHIVED_GROUP_PERMISSIONS, getMemberRole, hasGroupPermission, isGroupArchived, outranks } from "../config/groupRoles.js";
+
+describe("Group Roles Config Tests", () => {
+    const owner = new mongoose.Types.ObjectId();
+    const admin = new mongoose.Types.ObjectId();
+    const member = new mongoose.Types.ObjectId();
+    const outsider = new mongoose.Types.ObjectId();
+
+    describe("getMemberRole()", () => {
+        it("should read roles from the group's role entries", () => {
+            const group = {
+                createdBy: owner,
+                members: [owner, admin, member],
+                memberRoles: [{ user: owner, role: "owner" }, { user: admin, role: "admin" }, { user: member, role: "viewer" }]
+            };
+
+            expect(getMemberRole(group, owner)).toBe("owner");
+            expect(getMemberRole(group, admin.toString())).toBe("admin");
+            expect(getMemberRole(group, member)).toBe("viewer");
+        });
+
+        it("should treat the creator of a group without roles as its owner", () => {
+            const group = { createdBy: owner, members: [owner, member] };
+
+            expect(getMemberRole(group, owner)).toBe("owner");
+            expect(getMemberRole(group, member)).toBe("member");
+        });
+
+        it("should return null for non-members, even with a leftover role entry", () => {
+            const group = { createdBy: owner, members: [owner], memberRoles: [{ user: outsider, role: "admin" }] };
+
+            expect(getMemberRole(group, outsider)).toBeNull();
+            expect(getMemberRole(null, owner)).toBeNull();
+        });
+    });
+
+    describe("hasGroupPermission()", () => {
+        it("should keep viewers read-only", () => {
+            expect(hasGroupPermission("viewer", "group:view")).toBe(true);
+            expect(hasGroupPermission("viewer", "expenses:write")).toBe(false);
+            expect(hasGroupPermission("viewer", "settlements:write")).toBe(false);
+        });
+
+        it("should let admins manage members but not delete the group", () => {
+            expect(hasGroupPermission("admin", "members:invite")).toBe(true);
+            expect(hasGroupPermission("admin", "members:changeRole")).toBe(true);
+            expect(hasGroupPermission("admin", "group:delete")).toBe(false);
+            expect(hasGroupPermission("owner", "group:delete")).toBe(true);
+        });
+
+        it("should deny unknown roles and permissions", () => {
+            expect(hasGroupPermission(null, "group:view")).toBe(false);
+            expect(hasGroupPermission("owner", "group:unknown")).toBe(false);
+        });
+    });
+
+    describe("outranks()", () => {
+        it("should only be true for strictly higher roles", () => {
+            expect(outranks("owner", "admin")).toBe(true);
+            expect(outranks("admin", "member")).toBe(true);
+            expect(outranks("admin", "admin")).toBe(false);
+            expect(outranks("viewer", "member")).toBe(false);
+            expect(outranks(null, "viewer")).toBe(false);
+        });
+    });
+
+    describe("isGroupArchived()", () => {
+        it("should only be true while archivedAt is set", () => {
+            expect(isGroupArchived({ archivedAt: new Date() })).toBe(true);
+            expect(isGroupArchived({ archivedAt: null })).toBe(false);
+            expect(isGroupArchived({})).toBe(false);
+            expect(isGroupArchived(null)).toBe(false);
+        });
+
+        it("should keep archived groups readable but not writable", () => {
+            expect(ARCHIVED_GROUP_PERMISSIONS).toContain("group:view");
+            expect(ARCHIVED_GROUP_PERMISSIONS).toContain("group:archive");
+            expect(ARCHIVED_GROUP_PERMISSIONS).not.toContain("expenses:write");
+            expect(ARCHIVED_GROUP_PERMISSIONS).not.toContain("members:invite");
+        });
+    });
+});
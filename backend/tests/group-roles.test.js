@@ -0,0 +1,350 @@
+import request from "supertest";
+import express from "express";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import groupRouter from "../routes/group.route.js";
+import { addExpenseInAnyCurrency } from "../controllers/expense.controller.js";
+import { auth } from "../middleware/auth.js";
+import Group from "../models/group.model.js";
+import User from "../models/user.model.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use("/api/group", groupRouter);
+app.post("/api/expense/add-expense-in-any-currency", auth, addExpenseInAnyCurrency);
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    await closeDatabase();
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+
+describe("Group Roles Tests", () => {
+
+    const createUserAndGetToken = async (emailSuffix = Date.now()) => {
+        const user = await User.create({
+            name: `Test User ${emailSuffix}`,
+            email: `testuser${emailSuffix}@test.com`,
+            password: "password123"
+        });
+
+        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+        return { user, token };
+    };
+
+    const createTestGroup = async (token) => {
+        const response = await request(app)
+            .post("/api/group/create-group")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ name: `Test Group ${Date.now()}`, description: "Test group description for testing" });
+
+        return response.body.group;
+    };
+
+    const invite = (groupId, token, userId, role) => {
+        return request(app)
+            .post(`/api/group/invite-user-to-group/${groupId}`)
+            .set("Authorization", `Bearer ${token}`)
+            .send({ userId: userId.toString(), role });
+    };
+
+    const changeRole = (groupId, token, userId, role) => {
+        return request(app)
+            .post(`/api/group/change-member-role/${groupId}`)
+            .set("Authorization", `Bearer ${token}`)
+            .send({ userId: userId.toString(), role });
+    };
+
+    describe("Creating and listing", () => {
+        it("should make the creator the owner and others members", async () => {
+            const { user: owner, token } = await createUserAndGetToken(1);
+            const { user: member } = await createUserAndGetToken(2);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+
+            const response = await request(app)
+                .get(`/api/group/get-group-members/${group.id}`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.roles).toEqual({
+                [owner._id.toString()]: "owner",
+                [member._id.toString()]: "member"
+            });
+        });
+
+        it("should include the user's role when listing groups", async () => {
+            const { token } = await createUserAndGetToken(3);
+            const { user: viewer, token: viewerToken } = await createUserAndGetToken(4);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, viewer._id, "viewer");
+
+            const response = await request(app)
+                .get("/api/group/list-all-groups-user-presents")
+                .set("Authorization", `Bearer ${viewerToken}`);
+
+            expect(response.body.groups[0].role).toBe("viewer");
+        });
+
+        it("should treat the creator of a group without roles as its owner", async () => {
+            const { user: creator, token } = await createUserAndGetToken(5);
+            const { user: member } = await createUserAndGetToken(6);
+            const group = await Group.create({ name: "Legacy group", description: "Created before roles", createdBy: creator._id, members: [creator._id] });
+
+            const response = await invite(group._id, token, member._id);
+
+            expect(response.status).toBe(201);
+        });
+    });
+
+    describe("Admins", () => {
+        it("should let admins invite and remove members", async () => {
+            const { token } = await createUserAndGetToken(7);
+            const { user: admin, token: adminToken } = await createUserAndGetToken(8);
+            const { user: member } = await createUserAndGetToken(9);
+            const { user: invitee } = await createUserAndGetToken(38);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, admin._id, "admin");
+            await addGroupMember(group.id, member._id);
+
+            const invited = await invite(group.id, adminToken, invitee._id);
+            expect(invited.status).toBe(201);
+
+            const removed = await request(app)
+                .post(`/api/group/remove-user-from-group/${group.id}`)
+                .set("Authorization", `Bearer ${adminToken}`)
+                .send({ userId: member._id.toString() });
+            expect(removed.status).toBe(200);
+
+            const stored = await Group.findById(group.id).lean();
+            expect(stored.memberRoles.map(entry => entry.user.toString())).not.toContain(member._id.toString());
+        });
+
+        it("should not let admins make other admins or remove them", async () => {
+            const { token } = await createUserAndGetToken(10);
+            const { user: admin, token: adminToken } = await createUserAndGetToken(11);
+            const { user: otherAdmin } = await createUserAndGetToken(12);
+            const { user: invitee } = await createUserAndGetToken(13);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, admin._id, "admin");
+            await addGroupMember(group.id, otherAdmin._id, "admin");
+
+            const invited = await invite(group.id, adminToken, invitee._id, "admin");
+            expect(invited.status).toBe(403);
+            expect(invited.body.message).toBe("You cannot invite users as admin");
+
+            const removed = await request(app)
+                .post(`/api/group/remove-user-from-group/${group.id}`)
+                .set("Authorization", `Bearer ${adminToken}`)
+                .send({ userId: otherAdmin._id.toString() });
+            expect(removed.status).toBe(403);
+            expect(removed.body.message).toBe("You cannot remove a group admin");
+        });
+
+        it("should not let admins delete the group", async () => {
+            const { token } = await createUserAndGetToken(14);
+            const { user: admin, token: adminToken } = await createUserAndGetToken(15);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, admin._id, "admin");
+
+            const response = await request(app)
+                .post(`/api/group/delete-group/${group.id}`)
+                .set("Authorization", `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("Only the group owner can delete the group");
+        });
+
+        it("should never remove the owner", async () => {
+            const { user: owner, token } = await createUserAndGetToken(16);
+            const group = await createTestGroup(token);
+
+            const response = await request(app)
+                .post(`/api/group/remove-user-from-group/${group.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ userId: owner._id.toString() });
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("The group owner cannot be removed, transfer ownership first");
+        });
+    });
+
+    describe("Changing roles", () => {
+        it("should let the owner promote and demote members", async () => {
+            const { token } = await createUserAndGetToken(17);
+            const { user: member } = await createUserAndGetToken(18);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+
+            const promoted = await changeRole(group.id, token, member._id, "admin");
+            expect(promoted.status).toBe(200);
+            expect(promoted.body.group.memberRoles).toContainEqual({ user: member._id.toString(), role: "admin" });
+
+            const demoted = await changeRole(group.id, token, member._id, "viewer");
+            expect(demoted.status).toBe(200);
+            expect(demoted.body.group.memberRoles).toContainEqual({ user: member._id.toString(), role: "viewer" });
+        });
+
+        it("should write out roles of groups created before roles existed", async () => {
+            const { user: creator, token } = await createUserAndGetToken(19);
+            const { user: member } = await createUserAndGetToken(20);
+            const { user: other } = await createUserAndGetToken(21);
+            const group = await Group.create({
+                name: "Legacy group",
+                description: "Created before roles",
+                createdBy: creator._id,
+                members: [creator._id, member._id, other._id]
+            });
+
+            const response = await changeRole(group._id, token, member._id, "viewer");
+
+            expect(response.status).toBe(200);
+            expect(response.body.group.memberRoles).toEqual([
+                { user: creator._id.toString(), role: "owner" },
+                { user: member._id.toString(), role: "viewer" },
+                { user: other._id.toString(), role: "member" }
+            ]);
+        });
+
+        it("should reject invalid role changes", async () => {
+            const { user: owner, token } = await createUserAndGetToken(22);
+            const { user: member, token: memberToken } = await createUserAndGetToken(23);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+
+            const toOwner = await changeRole(group.id, token, member._id, "owner");
+            expect(toOwner.status).toBe(400);
+            expect(toOwner.body.message).toBe("Role must be one of: admin, member, viewer");
+
+            const same = await changeRole(group.id, token, member._id, "member");
+            expect(same.status).toBe(400);
+            expect(same.body.message).toBe("User is already a group member");
+
+            const byMember = await changeRole(group.id, memberToken, owner._id, "viewer");
+            expect(byMember.status).toBe(403);
+            expect(byMember.body.message).toBe("Only group owners and admins can change member roles");
+        });
+
+        it("should not let admins change admins", async () => {
+            const { token } = await createUserAndGetToken(24);
+            const { user: admin, token: adminToken } = await createUserAndGetToken(25);
+            const { user: otherAdmin } = await createUserAndGetToken(26);
+            const { user: member } = await createUserAndGetToken(27);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, admin._id, "admin");
+            await addGroupMember(group.id, otherAdmin._id, "admin");
+            await addGroupMember(group.id, member._id);
+
+            const demote = await changeRole(group.id, adminToken, otherAdmin._id, "member");
+            expect(demote.status).toBe(403);
+
+            const promote = await changeRole(group.id, adminToken, member._id, "admin");
+            expect(promote.status).toBe(403);
+            expect(promote.body.message).toBe("You cannot change a group member to admin");
+
+            const toViewer = await changeRole(group.id, adminToken, member._id, "viewer");
+            expect(toViewer.status).toBe(200);
+        });
+    });
+
+    describe("Transferring ownership", () => {
+        it("should hand the group over and keep the previous owner as admin", async () => {
+            const { user: owner, token } = await createUserAndGetToken(28);
+            const { user: member, token: memberToken } = await createUserAndGetToken(29);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+
+            const response = await request(app)
+                .post(`/api/group/transfer-ownership/${group.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ userId: member._id.toString() });
+
+            expect(response.status).toBe(200);
+            expect(response.body.group.memberRoles).toEqual([
+                { user: owner._id.toString(), role: "admin" },
+                { user: member._id.toString(), role: "owner" }
+            ]);
+
+            const deleted = await request(app)
+                .post(`/api/group/delete-group/${group.id}`)
+                .set("Authorization", `Bearer ${token}`);
+            expect(deleted.status).toBe(403);
+
+            const removed = await request(app)
+                .post(`/api/group/remove-user-from-group/${group.id}`)
+                .set("Authorization", `Bearer ${memberToken}`)
+                .send({ userId: owner._id.toString() });
+            expect(removed.status).toBe(200);
+        });
+
+        it("should only let the owner transfer to a member", async () => {
+            const { token } = await createUserAndGetToken(30);
+            const { user: admin, token: adminToken } = await createUserAndGetToken(31);
+            const { user: outsider } = await createUserAndGetToken(32);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, admin._id, "admin");
+
+            const byAdmin = await request(app)
+                .post(`/api/group/transfer-ownership/${group.id}`)
+                .set("Authorization", `Bearer ${adminToken}`)
+                .send({ userId: admin._id.toString() });
+            expect(byAdmin.status).toBe(403);
+            expect(byAdmin.body.message).toBe("Only the group owner can transfer ownership");
+
+            const toOutsider = await request(app)
+                .post(`/api/group/transfer-ownership/${group.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ userId: outsider._id.toString() });
+            expect(toOutsider.status).toBe(400);
+            expect(toOutsider.body.message).toBe("User is not a member of this group");
+        });
+    });
+
+    describe("Viewers", () => {
+        it("should not let viewers add group expenses", async () => {
+            const { token } = await createUserAndGetToken(33);
+            const { user: viewer, token: viewerToken } = await createUserAndGetToken(34);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, viewer._id, "viewer");
+
+            const response = await request(app)
+                .post("/api/expense/add-expense-in-any-currency")
+                .set("Authorization", `Bearer ${viewerToken}`)
+                .send({ title: "Lunch", amount: 20, currency: "USD", category: "Food & Dining", group: group.id });
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("Viewers cannot change expenses in this group");
+        });
+
+        it("should not let viewers invite users", async () => {
+            const { token } = await createUserAndGetToken(35);
+            const { user: viewer, token: viewerToken } = await createUserAndGetToken(36);
+            const { user: invitee } = await createUserAndGetToken(37);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, viewer._id, "viewer");
+
+            const response = await invite(group.id, viewerToken, invitee._id);
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("Only group owners and admins can invite users");
+        });
+    });
+});
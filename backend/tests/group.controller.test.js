@@ -469,9 +469,27 @@ describe("Create Group Controller Tests", () => {
             expect(response.body.message).toBe("Group already exists");
         });
 
+        it("should let only one of two simultaneous creates with the same name through", async () => {
+            const { token } = await createUserAndGetToken();
+            await Group.init();
+
+            const groupData = {
+                name: "Race Test Group",
+                description: "Testing simultaneous creates"
+            };
+
+            const responses = await Promise.all([1, 2].map(() => request(app)
+                .post("/api/group/create-group")
+                .set("Authorization", `Bearer ${token}`)
+                .send(groupData)));
+
+            const statuses = responses.map(response => response.status).sort();
+            expect(statuses[0]).toBe(201);
+            expect([400, 409]).toContain(statuses[1]);
+            expect(await Group.countDocuments({ name: "race test group" })).toBe(1);
+        });
+
         it("should allow different users to create groups with same name", async () => {
-            // Note: Current implementation doesn't allow this due to unique constraint
-            // This test documents the current behavior
             const { token: token1 } = await createUserAndGetToken();
             const { token: token2 } = await createUserAndGetToken();
 
@@ -481,20 +499,53 @@ describe("Create Group Controller Tests", () => {
             };
 
             // User 1 creates group
-            await request(app)
+            const first = await request(app)
                 .post("/api/group/create-group")
                 .set("Authorization", `Bearer ${token1}`)
                 .send(groupData)
                 .expect(201);
 
-            // User 2 tries to create group with same name
+            // User 2 creates a group with the same name, told apart by its ID
             const response = await request(app)
                 .post("/api/group/create-group")
                 .set("Authorization", `Bearer ${token2}`)
                 .send(groupData)
-                .expect(400);
+                .expect(201);
 
-            expect(response.body.message).toBe("Group already exists");
+            expect(response.body.group.name).toBe("shared name group");
+            expect(response.body.group.id).not.toBe(first.body.group.id);
+
+            const groups = await Group.find({ name: "shared name group" });
+            expect(groups).toHaveLength(2);
+        });
+
+        it("should allow one user to reuse a name when per-user uniqueness is turned off", async () => {
+            const { token } = await createUserAndGetToken();
+            process.env.GROUP_NAMES_UNIQUE_PER_USER = "false";
+
+            const groupData = {
+                name: "Weekend Trip",
+                description: "Testing duplicate names for one user"
+            };
+
+            try {
+                await request(app)
+                    .post("/api/group/create-group")
+                    .set("Authorization", `Bearer ${token}`)
+                    .send(groupData)
+                    .expect(201);
+
+                await request(app)
+                    .post("/api/group/create-group")
+                    .set("Authorization", `Bearer ${token}`)
+                    .send(groupData)
+                    .expect(201);
+            } finally {
+                delete process.env.GROUP_NAMES_UNIQUE_PER_USER;
+            }
+
+            const groups = await Group.find({ name: "weekend trip" });
+            expect(groups).toHaveLength(2);
         });
     });
 
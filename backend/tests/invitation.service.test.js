@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import {
+    DEFAULT_INVITATION_TTL_HOURS,
+    buildInvitationLink,
+    createInvitationToken,
+    formatInvitation,
+    getInvitationIdFromToken,
+    getInvitationTtlMs,
+    verifyInvitationToken
+} from "../services/invitation.service.js";
+
+describe("Invitation Service Tests", () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.JWT_SECRET = "test-secret";
+        delete process.env.INVITATION_TOKEN_SECRET;
+        delete process.env.INVITATION_TTL_HOURS;
+        delete process.env.FRONTEND_URL;
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    const createInvitation = (overrides = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        expiresAt: new Date("2026-01-08T00:00:00.000Z"),
+        status: "pending",
+        role: "member",
+        ...overrides
+    });
+
+    describe("Tokens", () => {
+        it("should verify tokens created for the same invitation", () => {
+            const invitation = createInvitation();
+            const token = createInvitationToken(invitation);
+
+            expect(getInvitationIdFromToken(token)).toBe(invitation._id.toString());
+            expect(verifyInvitationToken(token, invitation)).toBe(true);
+        });
+
+        it("should reject tokens for another invitation or expiry", () => {
+            const invitation = createInvitation();
+            const token = createInvitationToken(invitation);
+
+            expect(verifyInvitationToken(token, { ...invitation, _id: new mongoose.Types.ObjectId() })).toBe(false);
+            expect(verifyInvitationToken(token, { ...invitation, expiresAt: new Date("2026-02-01T00:00:00.000Z") })).toBe(false);
+            expect(verifyInvitationToken(`${invitation._id}.forged`, invitation)).toBe(false);
+        });
+
+        it("should reject tokens signed with another secret", () => {
+            const invitation = createInvitation();
+            const token = createInvitationToken(invitation);
+
+            process.env.INVITATION_TOKEN_SECRET = "another-secret";
+
+            expect(verifyInvitationToken(token, invitation)).toBe(false);
+        });
+
+        it("should only read IDs from token-shaped values", () => {
+            expect(getInvitationIdFromToken("not-a-token")).toBeNull();
+            expect(getInvitationIdFromToken("507f1f77bcf86cd799439011")).toBeNull();
+            expect(getInvitationIdFromToken(undefined)).toBeNull();
+        });
+    });
+
+    describe("Expiry and links", () => {
+        it("should default to a week and accept an override", () => {
+            expect(getInvitationTtlMs()).toBe(DEFAULT_INVITATION_TTL_HOURS * 60 * 60 * 1000);
+
+            process.env.INVITATION_TTL_HOURS = "48";
+            expect(getInvitationTtlMs()).toBe(48 * 60 * 60 * 1000);
+
+            process.env.INVITATION_TTL_HOURS = "soon";
+            expect(getInvitationTtlMs()).toBe(DEFAULT_INVITATION_TTL_HOURS * 60 * 60 * 1000);
+        });
+
+        it("should point links at the frontend", () => {
+            process.env.FRONTEND_URL = "https://app.example.com/";
+
+            expect(buildInvitationLink("abc.def")).toBe("https://app.example.com/invitations/accept?token=abc.def");
+        });
+
+        it("should show pending invitations past their expiry as expired", () => {
+            const expired = createInvitation({ expiresAt: new Date(Date.now() - 1000) });
+            const open = createInvitation({ expiresAt: new Date(Date.now() + 60 * 1000) });
+
+            expect(formatInvitation(expired).status).toBe("expired");
+            expect(formatInvitation(open).status).toBe("pending");
+            expect(formatInvitation({ ...expired, status: "accepted" }).status).toBe("accepted");
+        });
+    });
+});
@@ -0,0 +1,381 @@
+import request from "supertest";
+import express from "express";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import groupRouter from "../routes/group.route.js";
+import invitationRouter from "../routes/invitation.route.js";
+import Group from "../models/group.model.js";
+import User from "../models/user.model.js";
+import Invitation from "../models/invitation.model.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use("/api/group", groupRouter);
+app.use("/api/invitation", invitationRouter);
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    await closeDatabase();
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+
+describe("Invitation Workflow Tests", () => {
+
+    const createUserAndGetToken = async (emailSuffix = Date.now(), { emailVerified = true } = {}) => {
+        const user = await User.create({
+            name: `Test User ${emailSuffix}`,
+            email: `testuser${emailSuffix}@test.com`,
+            password: "password123",
+            emailVerifiedAt: emailVerified ? new Date() : null
+        });
+
+        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+        return { user, token };
+    };
+
+    const createTestGroup = async (token) => {
+        const response = await request(app)
+            .post("/api/group/create-group")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ name: `Test Group ${Date.now()}`, description: "Test group for invitation workflow tests" });
+
+        return response.body.group;
+    };
+
+    const invite = (groupId, token, body) => {
+        return request(app)
+            .post(`/api/group/invite-user-to-group/${groupId}`)
+            .set("Authorization", `Bearer ${token}`)
+            .send(body);
+    };
+
+    const answer = (invitationId, token, action) => {
+        return request(app)
+            .post(`/api/invitation/${action}-invitation/${invitationId}`)
+            .set("Authorization", `Bearer ${token}`);
+    };
+
+    const getMemberIds = async (groupId) => {
+        const group = await Group.findById(groupId).lean();
+        return group.members.map(memberId => memberId.toString());
+    };
+
+    describe("Listing my invitations", () => {
+        it("should list pending invitations sent to the user by account or email", async () => {
+            const { token } = await createUserAndGetToken(1);
+            const { user: invitee, token: inviteeToken } = await createUserAndGetToken(2);
+            const firstGroup = await createTestGroup(token);
+            const secondGroup = await createTestGroup(token);
+            await invite(firstGroup.id, token, { userId: invitee._id.toString() });
+            await invite(secondGroup.id, token, { email: invitee.email.toUpperCase() });
+
+            const response = await request(app)
+                .get("/api/invitation/my-invitations")
+                .set("Authorization", `Bearer ${inviteeToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.count).toBe(2);
+            expect(response.body.invitations[0].group).toHaveProperty("name");
+            expect(response.body.invitations[0].invitedBy).toHaveProperty("name");
+        });
+
+        it("should find invitations sent to an email before the account existed", async () => {
+            const { token } = await createUserAndGetToken(3);
+            const group = await createTestGroup(token);
+            await invite(group.id, token, { email: "testuser4@test.com" });
+            const { token: inviteeToken } = await createUserAndGetToken(4);
+
+            const response = await request(app)
+                .get("/api/invitation/my-invitations")
+                .set("Authorization", `Bearer ${inviteeToken}`);
+
+            expect(response.body.count).toBe(1);
+        });
+
+        it("should leave out expired and answered invitations", async () => {
+            const { token } = await createUserAndGetToken(5);
+            const { user: invitee, token: inviteeToken } = await createUserAndGetToken(6);
+            const firstGroup = await createTestGroup(token);
+            const secondGroup = await createTestGroup(token);
+            const expired = await invite(firstGroup.id, token, { userId: invitee._id.toString() });
+            const declined = await invite(secondGroup.id, token, { userId: invitee._id.toString() });
+            await Invitation.updateOne({ _id: expired.body.invitation.id }, { expiresAt: new Date(Date.now() - 1000) });
+            await answer(declined.body.invitation.id, inviteeToken, "decline");
+
+            const response = await request(app)
+                .get("/api/invitation/my-invitations")
+                .set("Authorization", `Bearer ${inviteeToken}`);
+
+            expect(response.body.count).toBe(0);
+        });
+    });
+
+    describe("Accepting and declining", () => {
+        it("should add the invitee with the invited role when they accept", async () => {
+            const { token } = await createUserAndGetToken(7);
+            const { user: invitee, token: inviteeToken } = await createUserAndGetToken(8);
+            const group = await createTestGroup(token);
+            const invited = await invite(group.id, token, { userId: invitee._id.toString(), role: "viewer" });
+
+            const response = await answer(invited.body.invitation.id, inviteeToken, "accept");
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe("Invitation accepted successfully");
+            expect(response.body.invitation.status).toBe("accepted");
+            expect(response.body.group.members).toContain(invitee._id.toString());
+
+            const stored = await Group.findById(group.id).lean();
+            expect(stored.memberRoles).toContainEqual({ user: invitee._id, role: "viewer" });
+        });
+
+        it("should not add the invitee when they decline", async () => {
+            const { token } = await createUserAndGetToken(9);
+            const { user: invitee, token: inviteeToken } = await createUserAndGetToken(10);
+            const group = await createTestGroup(token);
+            const invited = await invite(group.id, token, { userId: invitee._id.toString() });
+
+            const response = await answer(invited.body.invitation.id, inviteeToken, "decline");
+
+            expect(response.status).toBe(200);
+            expect(response.body.invitation.status).toBe("declined");
+            expect(await getMemberIds(group.id)).not.toContain(invitee._id.toString());
+
+            const again = await answer(invited.body.invitation.id, inviteeToken, "accept");
+            expect(again.status).toBe(400);
+            expect(again.body.message).toBe("This invitation has already been declined");
+        });
+
+        it("should only let the invitee answer", async () => {
+            const { token } = await createUserAndGetToken(11);
+            const { user: invitee } = await createUserAndGetToken(12);
+            const { token: otherToken } = await createUserAndGetToken(13);
+            const group = await createTestGroup(token);
+            const invited = await invite(group.id, token, { userId: invitee._id.toString() });
+
+            const response = await answer(invited.body.invitation.id, otherToken, "accept");
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("This invitation is not addressed to you");
+        });
+
+        it("should let someone who signed up with the invited email accept", async () => {
+            const { token } = await createUserAndGetToken(14);
+            const group = await createTestGroup(token);
+            const invited = await invite(group.id, token, { email: "testuser15@test.com" });
+            const { user: invitee, token: inviteeToken } = await createUserAndGetToken(15);
+
+            const response = await answer(invited.body.invitation.id, inviteeToken, "accept");
+
+            expect(response.status).toBe(200);
+            expect(response.body.invitation.invitee).toBe(invitee._id.toString());
+        });
+
+        it("should not let an unverified account with the invited email answer", async () => {
+            const { token } = await createUserAndGetToken(60);
+            const group = await createTestGroup(token);
+            const invited = await invite(group.id, token, { email: "testuser61@test.com" });
+            const { token: inviteeToken } = await createUserAndGetToken(61, { emailVerified: false });
+
+            const listed = await request(app)
+                .get("/api/invitation/my-invitations")
+                .set("Authorization", `Bearer ${inviteeToken}`);
+            expect(listed.body.count).toBe(0);
+
+            for (const action of ["accept", "decline"]) {
+                const response = await answer(invited.body.invitation.id, inviteeToken, action);
+
+                expect(response.status).toBe(403);
+                expect(response.body.message).toBe("Verify your email address to answer this invitation");
+            }
+
+            const stored = await Invitation.findById(invited.body.invitation.id).lean();
+            expect(stored.status).toBe("pending");
+            const storedGroup = await Group.findById(group.id).lean();
+            expect(storedGroup.members).toHaveLength(1);
+        });
+
+        it("should reject expired invitations", async () => {
+            const { token } = await createUserAndGetToken(16);
+            const { user: invitee, token: inviteeToken } = await createUserAndGetToken(17);
+            const group = await createTestGroup(token);
+            const invited = await invite(group.id, token, { userId: invitee._id.toString() });
+            await Invitation.updateOne({ _id: invited.body.invitation.id }, { expiresAt: new Date(Date.now() - 1000) });
+
+            const response = await answer(invited.body.invitation.id, inviteeToken, "accept");
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe("This invitation has expired");
+            expect(await getMemberIds(group.id)).not.toContain(invitee._id.toString());
+        });
+
+        it("should return 404 for an unknown invitation", async () => {
+            const { token } = await createUserAndGetToken(18);
+
+            const response = await answer("507f1f77bcf86cd799439011", token, "accept");
+
+            expect(response.status).toBe(404);
+            expect(response.body.message).toBe("Invitation not found");
+        });
+    });
+
+    describe("Revoking", () => {
+        it("should let admins list and revoke pending invitations", async () => {
+            const { token } = await createUserAndGetToken(19);
+            const { user: admin, token: adminToken } = await createUserAndGetToken(20);
+            const { user: invitee, token: inviteeToken } = await createUserAndGetToken(21);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, admin._id, "admin");
+            const invited = await invite(group.id, token, { userId: invitee._id.toString() });
+
+            const listed = await request(app)
+                .get(`/api/group/get-group-invitations/${group.id}`)
+                .set("Authorization", `Bearer ${adminToken}`);
+            expect(listed.status).toBe(200);
+            expect(listed.body.count).toBe(1);
+
+            const revoked = await request(app)
+                .post(`/api/group/revoke-invitation/${group.id}/${invited.body.invitation.id}`)
+                .set("Authorization", `Bearer ${adminToken}`);
+            expect(revoked.status).toBe(200);
+            expect(revoked.body.invitation.status).toBe("revoked");
+
+            const accepted = await answer(invited.body.invitation.id, inviteeToken, "accept");
+            expect(accepted.status).toBe(400);
+            expect(accepted.body.message).toBe("This invitation has already been revoked");
+        });
+
+        it("should not let plain members revoke invitations", async () => {
+            const { token } = await createUserAndGetToken(22);
+            const { user: member, token: memberToken } = await createUserAndGetToken(23);
+            const { user: invitee } = await createUserAndGetToken(24);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+            const invited = await invite(group.id, token, { userId: invitee._id.toString() });
+
+            const response = await request(app)
+                .post(`/api/group/revoke-invitation/${group.id}/${invited.body.invitation.id}`)
+                .set("Authorization", `Bearer ${memberToken}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("Only group owners and admins can invite users");
+        });
+
+        it("should only revoke invitations of the same group", async () => {
+            const { token } = await createUserAndGetToken(25);
+            const { user: invitee } = await createUserAndGetToken(26);
+            const group = await createTestGroup(token);
+            const otherGroup = await createTestGroup(token);
+            const invited = await invite(otherGroup.id, token, { userId: invitee._id.toString() });
+
+            const response = await request(app)
+                .post(`/api/group/revoke-invitation/${group.id}/${invited.body.invitation.id}`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(404);
+            expect(response.body.message).toBe("Invitation not found");
+        });
+    });
+
+    describe("Invite links", () => {
+        const createLink = (groupId, token, role) => {
+            return request(app)
+                .post(`/api/group/create-invite-link/${groupId}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ role });
+        };
+
+        const acceptLink = (token, inviteToken) => {
+            return request(app)
+                .post("/api/invitation/accept-invite-link")
+                .set("Authorization", `Bearer ${token}`)
+                .send({ token: inviteToken });
+        };
+
+        it("should let whoever holds the link join once", async () => {
+            const { token } = await createUserAndGetToken(27);
+            const { user: first, token: firstToken } = await createUserAndGetToken(28);
+            const { token: secondToken } = await createUserAndGetToken(29);
+            const group = await createTestGroup(token);
+
+            const link = await createLink(group.id, token);
+            expect(link.status).toBe(201);
+
+            const joined = await acceptLink(firstToken, link.body.token);
+            expect(joined.status).toBe(200);
+            expect(joined.body.group.members).toContain(first._id.toString());
+
+            const reused = await acceptLink(secondToken, link.body.token);
+            expect(reused.status).toBe(400);
+            expect(reused.body.message).toBe("This invitation has already been accepted");
+        });
+
+        it("should reject tampered tokens", async () => {
+            const { token } = await createUserAndGetToken(30);
+            const { token: joinerToken } = await createUserAndGetToken(31);
+            const group = await createTestGroup(token);
+            const link = await createLink(group.id, token);
+
+            const tampered = await acceptLink(joinerToken, `${link.body.invitation.id}.forged-signature`);
+            expect(tampered.status).toBe(404);
+
+            const malformed = await acceptLink(joinerToken, "not-a-token");
+            expect(malformed.status).toBe(400);
+            expect(malformed.body.message).toBe("A valid invite token is required");
+        });
+
+        it("should not accept links once their expiry was changed", async () => {
+            const { token } = await createUserAndGetToken(32);
+            const { token: joinerToken } = await createUserAndGetToken(33);
+            const group = await createTestGroup(token);
+            const link = await createLink(group.id, token);
+            const invitation = await Invitation.findById(link.body.invitation.id);
+
+            // The signature covers the expiry, so a link cannot be extended
+            invitation.expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+            await invitation.save();
+            expect((await acceptLink(joinerToken, link.body.token)).status).toBe(404);
+        });
+
+        it("should keep links addressed to someone for that person only", async () => {
+            const { token } = await createUserAndGetToken(34);
+            const { user: invitee } = await createUserAndGetToken(35);
+            const { token: otherToken } = await createUserAndGetToken(36);
+            const group = await createTestGroup(token);
+            const invited = await invite(group.id, token, { userId: invitee._id.toString() });
+
+            const response = await acceptLink(otherToken, invited.body.token);
+
+            expect(response.status).toBe(403);
+        });
+
+        it("should not let admins create admin links", async () => {
+            const { token } = await createUserAndGetToken(37);
+            const { user: admin, token: adminToken } = await createUserAndGetToken(38);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, admin._id, "admin");
+
+            const response = await createLink(group.id, adminToken, "admin");
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("You cannot invite users as admin");
+        });
+    });
+});
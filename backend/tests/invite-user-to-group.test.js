@@ -5,9 +5,12 @@ import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
 import { inviteUserToGroup, createGroup } from "../controllers/group.controller.js";
 import { auth } from "../middleware/auth.js";
+import { requireGroupPermission } from "../middleware/groupPermission.js";
 import Group from "../models/group.model.js";
 import User from "../models/user.model.js";
+import Invitation from "../models/invitation.model.js";
 import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
 
 
 process.env.NODE_ENV = 'test';
@@ -17,7 +20,7 @@ dotenv.config();
 const app = express();
 app.use(express.json());
 app.post("/api/group/create-group", auth, createGroup);
-app.post("/api/group/invite-user-to-group/:groupId", auth, inviteUserToGroup);
+app.post("/api/group/invite-user-to-group/:groupId", auth, requireGroupPermission("members:invite"), inviteUserToGroup);
 
 // Connect to in-memory database
 beforeAll(async () => {
@@ -73,7 +76,7 @@ describe("Invite User to Group Controller Tests", () => {
 
     describe("Success Cases", () => {
         
-        it("should successfully invite a user to a group", async () => {
+        it("should create a pending invitation for the user", async () => {
             const { user: creator, token: creatorToken } = await createUserAndGetToken(1);
             const { user: invitee } = await createUserAndGetToken(2);
             const group = await createTestGroup(creatorToken);
@@ -82,17 +85,18 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200);
-
-            expect(response.body.message).toBe("User invited to group successfully");
-            expect(response.body.group).toHaveProperty("id");
-            expect(response.body.group).toHaveProperty("name");
-            expect(response.body.group).toHaveProperty("members");
-            expect(response.body.group.members).toContain(invitee._id.toString());
-            expect(response.body.group.members.length).toBe(2); // Creator + invitee
+                .expect(201);
+
+            expect(response.body.message).toBe("Invitation sent successfully");
+            expect(response.body.invitation.group).toBe(group.id);
+            expect(response.body.invitation.invitedBy).toBe(creator._id.toString());
+            expect(response.body.invitation.invitee).toBe(invitee._id.toString());
+            expect(response.body.invitation.email).toBe(invitee.email);
+            expect(response.body.invitation.role).toBe("member");
+            expect(response.body.invitation.status).toBe("pending");
         });
 
-        it("should verify user is added to database", async () => {
+        it("should not add the user to the group before they accept", async () => {
             const { user: creator, token: creatorToken } = await createUserAndGetToken(3);
             const { user: invitee } = await createUserAndGetToken(4);
             const group = await createTestGroup(creatorToken);
@@ -101,58 +105,70 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200);
+                .expect(201);
 
             const updatedGroup = await Group.findById(group.id);
-            expect(updatedGroup.members).toHaveLength(2);
-            expect(updatedGroup.members.map(m => m.toString())).toContain(invitee._id.toString());
+            expect(updatedGroup.members).toHaveLength(1);
+            expect(updatedGroup.members.map(m => m.toString())).not.toContain(invitee._id.toString());
         });
 
-        it("should allow inviting multiple users to the same group", async () => {
+        it("should invite an existing user by email, ignoring case", async () => {
             const { user: creator, token: creatorToken } = await createUserAndGetToken(5);
-            const { user: invitee1 } = await createUserAndGetToken(6);
-            const { user: invitee2 } = await createUserAndGetToken(7);
-            const { user: invitee3 } = await createUserAndGetToken(8);
+            const { user: invitee } = await createUserAndGetToken(6);
             const group = await createTestGroup(creatorToken);
 
-            // Invite first user
-            await request(app)
+            const response = await request(app)
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: invitee1._id.toString() })
-                .expect(200);
+                .send({ email: `  ${invitee.email.toUpperCase()} ` })
+                .expect(201);
 
-            // Invite second user
-            await request(app)
+            expect(response.body.invitation.invitee).toBe(invitee._id.toString());
+            expect(response.body.invitation.email).toBe(invitee.email);
+        });
+
+        it("should invite an email without an account", async () => {
+            const { user: creator, token: creatorToken } = await createUserAndGetToken(7);
+            const group = await createTestGroup(creatorToken);
+
+            const response = await request(app)
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: invitee2._id.toString() })
-                .expect(200);
+                .send({ email: "Newcomer@Test.com", role: "viewer" })
+                .expect(201);
+
+            expect(response.body.invitation.invitee).toBeNull();
+            expect(response.body.invitation.email).toBe("newcomer@test.com");
+            expect(response.body.invitation.role).toBe("viewer");
+        });
+
+        it("should return a signed invite token and link", async () => {
+            const { user: creator, token: creatorToken } = await createUserAndGetToken(8);
+            const { user: invitee } = await createUserAndGetToken(9);
+            const group = await createTestGroup(creatorToken);
 
-            // Invite third user
             const response = await request(app)
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: invitee3._id.toString() })
-                .expect(200);
+                .send({ userId: invitee._id.toString() })
+                .expect(201);
 
-            expect(response.body.group.members.length).toBe(4); // Creator + 3 invitees
+            expect(response.body.token.startsWith(`${response.body.invitation.id}.`)).toBe(true);
+            expect(response.body.link).toContain(`token=${encodeURIComponent(response.body.token)}`);
         });
 
-        it("should return updated group information", async () => {
-            const { user: creator, token: creatorToken } = await createUserAndGetToken(9);
-            const { user: invitee } = await createUserAndGetToken(10);
-            const group = await createTestGroup(creatorToken, "Response Test Group");
+        it("should let the owner invite admins", async () => {
+            const { user: creator, token: creatorToken } = await createUserAndGetToken(10);
+            const { user: invitee } = await createUserAndGetToken(61);
+            const group = await createTestGroup(creatorToken);
 
             const response = await request(app)
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: invitee._id.toString() })
-                .expect(200);
+                .send({ userId: invitee._id.toString(), role: "admin" })
+                .expect(201);
 
-            expect(response.body.group.id).toBe(group.id);
-            expect(response.body.group.name).toBe("response test group");
-            expect(Array.isArray(response.body.group.members)).toBe(true);
+            expect(response.body.invitation.role).toBe("admin");
         });
     });
 
@@ -185,7 +201,7 @@ describe("Invite User to Group Controller Tests", () => {
             expect(response.body.message).toContain("Unauthorized");
         });
 
-        it("should return 403 if user is not the group creator", async () => {
+        it("should return 403 if user is not a member of the group", async () => {
             const { user: creator, token: creatorToken } = await createUserAndGetToken(15);
             const { user: nonCreator, token: nonCreatorToken } = await createUserAndGetToken(16);
             const { user: invitee } = await createUserAndGetToken(17);
@@ -197,21 +213,16 @@ describe("Invite User to Group Controller Tests", () => {
                 .send({ userId: invitee._id.toString() })
                 .expect(403);
 
-            expect(response.body.message).toBe("Only group creator can invite users");
+            expect(response.body.message).toBe("You are not a member of this group");
         });
 
-        it("should allow only the creator to invite users", async () => {
+        it("should not allow plain members to invite users", async () => {
             const { user: creator, token: creatorToken } = await createUserAndGetToken(18);
             const { user: member, token: memberToken } = await createUserAndGetToken(19);
             const { user: invitee } = await createUserAndGetToken(20);
             const group = await createTestGroup(creatorToken);
 
-            // Add member to group first
-            await request(app)
-                .post(`/api/group/invite-user-to-group/${group.id}`)
-                .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: member._id.toString() })
-                .expect(200);
+            await addGroupMember(group.id, member._id);
 
             // Member tries to invite another user (should fail)
             const response = await request(app)
@@ -220,7 +231,7 @@ describe("Invite User to Group Controller Tests", () => {
                 .send({ userId: invitee._id.toString() })
                 .expect(403);
 
-            expect(response.body.message).toBe("Only group creator can invite users");
+            expect(response.body.message).toBe("Only group owners and admins can invite users");
         });
 
         it("should return 401 if token is expired", async () => {
@@ -256,7 +267,7 @@ describe("Invite User to Group Controller Tests", () => {
                 .send({})
                 .expect(400);
 
-            expect(response.body.message).toBe("User ID is required");
+            expect(response.body.message).toBe("User ID or email is required");
         });
 
         it("should return 400 if userId is empty string", async () => {
@@ -269,7 +280,7 @@ describe("Invite User to Group Controller Tests", () => {
                 .send({ userId: "" })
                 .expect(400);
 
-            expect(response.body.message).toBe("User ID is required");
+            expect(response.body.message).toBe("User ID or email is required");
         });
 
         it("should return 400 if userId is null", async () => {
@@ -282,7 +293,34 @@ describe("Invite User to Group Controller Tests", () => {
                 .send({ userId: null })
                 .expect(400);
 
-            expect(response.body.message).toBe("User ID is required");
+            expect(response.body.message).toBe("User ID or email is required");
+        });
+
+        it("should return 400 if email is not valid", async () => {
+            const { user: creator, token: creatorToken } = await createUserAndGetToken(62);
+            const group = await createTestGroup(creatorToken);
+
+            const response = await request(app)
+                .post(`/api/group/invite-user-to-group/${group.id}`)
+                .set("Authorization", `Bearer ${creatorToken}`)
+                .send({ email: "not-an-email" })
+                .expect(400);
+
+            expect(response.body.message).toBe("Email is not valid");
+        });
+
+        it("should return 400 if role is not valid", async () => {
+            const { user: creator, token: creatorToken } = await createUserAndGetToken(63);
+            const { user: invitee } = await createUserAndGetToken(64);
+            const group = await createTestGroup(creatorToken);
+
+            const response = await request(app)
+                .post(`/api/group/invite-user-to-group/${group.id}`)
+                .set("Authorization", `Bearer ${creatorToken}`)
+                .send({ userId: invitee._id.toString(), role: "owner" })
+                .expect(400);
+
+            expect(response.body.message).toBe("Role must be one of: admin, member, viewer");
         });
 
         it("should return 404 if group does not exist", async () => {
@@ -340,9 +378,9 @@ describe("Invite User to Group Controller Tests", () => {
         });
     });
 
-    describe("Duplicate Member Handling", () => {
+    describe("Duplicate Invitation Handling", () => {
         
-        it("should return 400 if user is already a member", async () => {
+        it("should return 400 if user already has a pending invitation", async () => {
             const { user: creator, token: creatorToken } = await createUserAndGetToken(32);
             const { user: invitee } = await createUserAndGetToken(33);
             const group = await createTestGroup(creatorToken);
@@ -352,16 +390,16 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200);
+                .expect(201);
 
-            // Try to invite same user again
+            // Try to invite same user again, this time by email
             const response = await request(app)
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
-                .send({ userId: invitee._id.toString() })
+                .send({ email: invitee.email })
                 .expect(400);
 
-            expect(response.body.message).toBe("User is already a member of this group");
+            expect(response.body.message).toBe("User already has a pending invitation to this group");
         });
 
         it("should prevent creator from being invited again", async () => {
@@ -377,28 +415,25 @@ describe("Invite User to Group Controller Tests", () => {
             expect(response.body.message).toBe("User is already a member of this group");
         });
 
-        it("should not add duplicate members to database", async () => {
+        it("should allow inviting again once the previous invitation expired", async () => {
             const { user: creator, token: creatorToken } = await createUserAndGetToken(35);
             const { user: invitee } = await createUserAndGetToken(36);
             const group = await createTestGroup(creatorToken);
 
-            // Invite user
             await request(app)
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200);
+                .expect(201);
+            await Invitation.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
 
-            // Try to invite again
             await request(app)
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(400);
+                .expect(201);
 
-            // Verify only 2 members in database
-            const updatedGroup = await Group.findById(group.id);
-            expect(updatedGroup.members.length).toBe(2); // Creator + invitee (no duplicates)
+            expect(await Invitation.countDocuments({ group: group.id })).toBe(2);
         });
     });
 
@@ -413,9 +448,9 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200);
+                .expect(201);
 
-            expect(response.body.message).toBe("User invited to group successfully");
+            expect(response.body.message).toBe("Invitation sent successfully");
         });
 
         it("should handle rapid successive invitations", async () => {
@@ -436,11 +471,10 @@ describe("Invite User to Group Controller Tests", () => {
                     .send({ userId: invitee2._id.toString() })
             ]);
 
-            expect(response1.status).toBe(200);
-            expect(response2.status).toBe(200);
+            expect(response1.status).toBe(201);
+            expect(response2.status).toBe(201);
 
-            const updatedGroup = await Group.findById(group.id);
-            expect(updatedGroup.members.length).toBe(3); // Creator + 2 invitees
+            expect(await Invitation.countDocuments({ group: group.id, status: "pending" })).toBe(2);
         });
 
         it("should handle inviting user with extra whitespace in userId", async () => {
@@ -457,7 +491,7 @@ describe("Invite User to Group Controller Tests", () => {
             expect(response.body.message).toBeTruthy();
         });
 
-        it("should maintain member order in array", async () => {
+        it("should keep every invitation of the group separate", async () => {
             const { user: creator, token: creatorToken } = await createUserAndGetToken(44);
             const { user: invitee1 } = await createUserAndGetToken(45);
             const { user: invitee2 } = await createUserAndGetToken(46);
@@ -467,18 +501,17 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee1._id.toString() })
-                .expect(200);
+                .expect(201);
 
             await request(app)
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee2._id.toString() })
-                .expect(200);
+                .expect(201);
 
-            const updatedGroup = await Group.findById(group.id);
-            expect(updatedGroup.members[0].toString()).toBe(creator._id.toString());
-            expect(updatedGroup.members[1].toString()).toBe(invitee1._id.toString());
-            expect(updatedGroup.members[2].toString()).toBe(invitee2._id.toString());
+            const invitations = await Invitation.find({ group: group.id }).sort({ createdAt: 1 });
+            expect(invitations.map(invitation => invitation.invitee.toString()))
+                .toEqual([invitee1._id.toString(), invitee2._id.toString()]);
         });
     });
 
@@ -493,13 +526,14 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200);
+                .expect(201);
 
             expect(response.body).toHaveProperty("message");
-            expect(response.body).toHaveProperty("group");
-            expect(response.body.group).toHaveProperty("id");
-            expect(response.body.group).toHaveProperty("name");
-            expect(response.body.group).toHaveProperty("members");
+            expect(response.body).toHaveProperty("invitation");
+            expect(response.body).toHaveProperty("token");
+            expect(response.body).toHaveProperty("link");
+            expect(response.body.invitation).toHaveProperty("id");
+            expect(response.body.invitation).toHaveProperty("expiresAt");
         });
 
         it("should return JSON content type", async () => {
@@ -511,11 +545,11 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200)
+                .expect(201)
                 .expect("Content-Type", /json/);
         });
 
-        it("should return members as array of ObjectIds", async () => {
+        it("should expire invitations after a week by default", async () => {
             const { user: creator, token: creatorToken } = await createUserAndGetToken(51);
             const { user: invitee } = await createUserAndGetToken(52);
             const group = await createTestGroup(creatorToken);
@@ -524,10 +558,11 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200);
+                .expect(201);
 
-            expect(Array.isArray(response.body.group.members)).toBe(true);
-            expect(response.body.group.members.length).toBeGreaterThan(0);
+            const expiresIn = new Date(response.body.invitation.expiresAt).getTime() - Date.now();
+            expect(expiresIn).toBeGreaterThan(6.9 * 24 * 60 * 60 * 1000);
+            expect(expiresIn).toBeLessThanOrEqual(7 * 24 * 60 * 60 * 1000);
         });
     });
 
@@ -542,13 +577,15 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200);
+                .expect(201);
 
-            const dbGroup = await Group.findById(group.id);
-            expect(dbGroup.members.map(m => m.toString())).toContain(invitee._id.toString());
+            const invitation = await Invitation.findOne({ group: group.id });
+            expect(invitation.invitee.toString()).toBe(invitee._id.toString());
+            expect(invitation.invitedBy.toString()).toBe(creator._id.toString());
+            expect(invitation.status).toBe("pending");
         });
 
-        it("should update updatedAt timestamp", async () => {
+        it("should not update the group's updatedAt timestamp", async () => {
             const { user: creator, token: creatorToken } = await createUserAndGetToken(55);
             const { user: invitee } = await createUserAndGetToken(56);
             const group = await createTestGroup(creatorToken);
@@ -563,10 +600,10 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200);
+                .expect(201);
 
             const groupAfter = await Group.findById(group.id);
-            expect(groupAfter.updatedAt.getTime()).toBeGreaterThan(updatedAtBefore.getTime());
+            expect(groupAfter.updatedAt.getTime()).toBe(updatedAtBefore.getTime());
         });
 
         it("should not modify createdAt timestamp", async () => {
@@ -581,7 +618,7 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200);
+                .expect(201);
 
             const groupAfter = await Group.findById(group.id);
             expect(groupAfter.createdAt.getTime()).toBe(createdAtBefore.getTime());
@@ -598,7 +635,7 @@ describe("Invite User to Group Controller Tests", () => {
                 .post(`/api/group/invite-user-to-group/${group.id}`)
                 .set("Authorization", `Bearer ${creatorToken}`)
                 .send({ userId: invitee._id.toString() })
-                .expect(200);
+                .expect(201);
 
             const groupAfter = await Group.findById(group.id);
             expect(groupAfter.name).toBe(groupBefore.name);
@@ -0,0 +1,333 @@
+import request from "supertest";
+import express from "express";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import groupRouter from "../routes/group.route.js";
+import { addExpenseInAnyCurrency, calculateGroupBalance, getExpenseById } from "../controllers/expense.controller.js";
+import { auth } from "../middleware/auth.js";
+import Group from "../models/group.model.js";
+import User from "../models/user.model.js";
+import Expense from "../models/expense.model.js";
+import Settlement from "../models/settlement.model.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use("/api/group", groupRouter);
+app.post("/api/expense/add-expense-in-any-currency", auth, addExpenseInAnyCurrency);
+app.get("/api/expense/get-expense/:id", auth, getExpenseById);
+app.get("/api/expense/calculate-group-balance/:groupId", auth, calculateGroupBalance);
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    await closeDatabase();
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+
+describe("Leave Group Tests", () => {
+
+    const createUserAndGetToken = async (emailSuffix = Date.now()) => {
+        const user = await User.create({
+            name: `Test User ${emailSuffix}`,
+            email: `testuser${emailSuffix}@test.com`,
+            password: "password123"
+        });
+
+        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+        return { user, token };
+    };
+
+    const createTestGroup = async (token) => {
+        const response = await request(app)
+            .post("/api/group/create-group")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ name: `Test Group ${Date.now()}`, description: "Test group description for testing" });
+
+        return response.body.group;
+    };
+
+    // The owner pays 100, split equally with the member, so the member owes 50
+    const createSharedExpense = async (token, group, users, expenseData = {}) => {
+        const response = await request(app)
+            .post("/api/expense/add-expense-in-any-currency")
+            .set("Authorization", `Bearer ${token}`)
+            .send({
+                title: "Shared dinner",
+                amount: 100,
+                currency: "USD",
+                category: "Food & Dining",
+                group: group.id,
+                splitType: "equal",
+                splitDetails: users.map(user => ({ user: user._id.toString() })),
+                ...expenseData
+            });
+
+        return response.body.expense;
+    };
+
+    const leave = (groupId, token, body = {}) => {
+        return request(app)
+            .post(`/api/group/${groupId}/leave`)
+            .set("Authorization", `Bearer ${token}`)
+            .send(body);
+    };
+
+    const remove = (groupId, token, userId, body = {}) => {
+        return request(app)
+            .post(`/api/group/remove-user-from-group/${groupId}`)
+            .set("Authorization", `Bearer ${token}`)
+            .send({ userId: userId.toString(), ...body });
+    };
+
+    describe("Leaving", () => {
+        it("should let a member without a balance leave", async () => {
+            const { token } = await createUserAndGetToken(1);
+            const { user: member, token: memberToken } = await createUserAndGetToken(2);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id, "viewer");
+
+            const response = await leave(group.id, memberToken);
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe("You left the group successfully");
+            expect(response.body.writeOffs).toEqual([]);
+
+            const stored = await Group.findById(group.id).lean();
+            expect(stored.members.map(id => id.toString())).not.toContain(member._id.toString());
+            expect(stored.memberRoles.map(entry => entry.user.toString())).not.toContain(member._id.toString());
+        });
+
+        it("should block leaving while the member owes money", async () => {
+            const { user: owner, token } = await createUserAndGetToken(3);
+            const { user: member, token: memberToken } = await createUserAndGetToken(4);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+            await createSharedExpense(token, group, [owner, member]);
+
+            const response = await leave(group.id, memberToken);
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe("You still owe 50.00 USD in this group. Settle up first, or leave with force to write it off");
+            expect(response.body.balanceUSD).toBe(-50);
+
+            const stored = await Group.findById(group.id).lean();
+            expect(stored.members.map(id => id.toString())).toContain(member._id.toString());
+        });
+
+        it("should block leaving while the member is owed money", async () => {
+            const { user: owner, token } = await createUserAndGetToken(5);
+            const { user: member, token: memberToken } = await createUserAndGetToken(6);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+            await createSharedExpense(memberToken, group, [owner, member]);
+
+            const response = await leave(group.id, memberToken);
+
+            expect(response.status).toBe(400);
+            expect(response.body.balanceUSD).toBe(50);
+        });
+
+        it("should let a member leave once their debt is repaid", async () => {
+            const { user: owner, token } = await createUserAndGetToken(7);
+            const { user: member, token: memberToken } = await createUserAndGetToken(8);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+            await createSharedExpense(token, group, [owner, member]);
+            await Settlement.create({
+                group: group.id,
+                from: member._id,
+                to: owner._id,
+                amount: 50,
+                currency: "USD",
+                amountUSD: 50,
+                status: "completed"
+            });
+
+            const response = await leave(group.id, memberToken);
+
+            expect(response.status).toBe(200);
+        });
+
+        it("should write off the balance when forced and keep past expenses working", async () => {
+            const { user: owner, token } = await createUserAndGetToken(9);
+            const { user: member, token: memberToken } = await createUserAndGetToken(10);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+            const expense = await createSharedExpense(token, group, [owner, member]);
+
+            const response = await leave(group.id, memberToken, { force: true });
+
+            expect(response.status).toBe(200);
+            expect(response.body.writeOffs).toHaveLength(1);
+            expect(response.body.writeOffs[0]).toMatchObject({
+                from: member._id.toString(),
+                to: owner._id.toString(),
+                amountUSD: 50,
+                status: "completed",
+                kind: "write-off"
+            });
+
+            const balances = await request(app)
+                .get(`/api/expense/calculate-group-balance/${group.id}`)
+                .set("Authorization", `Bearer ${token}`);
+            expect(balances.status).toBe(200);
+            const formerMember = balances.body.balances.find(balance => balance.userId === member._id.toString());
+            expect(formerMember.isMember).toBe(false);
+            expect(formerMember.name).toBe(member.name);
+            expect(formerMember.balance).toBe(0);
+            expect(balances.body.balances.reduce((sum, balance) => sum + balance.balance, 0)).toBe(0);
+
+            const retrieved = await request(app)
+                .get(`/api/expense/get-expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`);
+            expect(retrieved.status).toBe(200);
+            expect(retrieved.body.expense.splitDetails).toHaveLength(2);
+        });
+
+        it("should drop transfers in flight and end recurring expenses the member pays for", async () => {
+            const { user: owner, token } = await createUserAndGetToken(11);
+            const { user: member, token: memberToken } = await createUserAndGetToken(12);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+            const series = await createSharedExpense(memberToken, group, [owner, member], {
+                isRecurring: true,
+                recurringFrequency: "monthly"
+            });
+            await Settlement.create({
+                group: group.id,
+                from: owner._id,
+                to: member._id,
+                amount: 50,
+                currency: "USD",
+                amountUSD: 50,
+                status: "pending"
+            });
+
+            const response = await leave(group.id, memberToken, { force: "true" });
+
+            expect(response.status).toBe(200);
+            expect(await Settlement.countDocuments({ group: group.id, status: "pending" })).toBe(0);
+            const stored = await Expense.findById(series.id).lean();
+            expect(stored.recurrence.status).toBe("ended");
+        });
+
+        it("should end recurring expenses the member is split into but does not pay for", async () => {
+            const { user: owner, token } = await createUserAndGetToken(42);
+            const { user: member, token: memberToken } = await createUserAndGetToken(43);
+            const { user: other } = await createUserAndGetToken(44);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+            await addGroupMember(group.id, other._id);
+            const sharedSeries = await createSharedExpense(token, group, [owner, member], {
+                isRecurring: true,
+                recurringFrequency: "monthly"
+            });
+            const otherSeries = await createSharedExpense(token, group, [owner, other], {
+                isRecurring: true,
+                recurringFrequency: "monthly"
+            });
+
+            const response = await leave(group.id, memberToken, { force: "true" });
+
+            expect(response.status).toBe(200);
+            expect((await Expense.findById(sharedSeries.id).lean()).recurrence.status).toBe("ended");
+            expect((await Expense.findById(otherSeries.id).lean()).recurrence.status).toBe("active");
+        });
+
+        it("should count verified payments as paid and keep their records", async () => {
+            const { user: owner, token } = await createUserAndGetToken(40);
+            const { user: member, token: memberToken } = await createUserAndGetToken(41);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+            await createSharedExpense(token, group, [owner, member]);
+            const payment = await Settlement.create({
+                group: group.id,
+                from: member._id,
+                to: owner._id,
+                amount: 50,
+                currency: "USD",
+                amountUSD: 50,
+                status: "verified",
+                verifiedBy: owner._id,
+                verifiedAt: new Date()
+            });
+
+            const response = await leave(group.id, memberToken);
+
+            expect(response.status).toBe(200);
+            expect(response.body.writeOffs).toHaveLength(0);
+            expect(await Settlement.exists({ _id: payment._id, status: "verified" })).toBeTruthy();
+            expect(await Settlement.countDocuments({ group: group.id, kind: "write-off" })).toBe(0);
+        });
+
+        it("should not let the owner leave", async () => {
+            const { token } = await createUserAndGetToken(13);
+            const group = await createTestGroup(token);
+
+            const response = await leave(group.id, token);
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("The group owner cannot leave, transfer ownership first");
+        });
+
+        it("should return 403 for non-members", async () => {
+            const { token } = await createUserAndGetToken(14);
+            const { token: outsiderToken } = await createUserAndGetToken(15);
+            const group = await createTestGroup(token);
+
+            const response = await leave(group.id, outsiderToken);
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe("You are not a member of this group");
+        });
+    });
+
+    describe("Removal by an admin", () => {
+        it("should block removing a member with an open balance", async () => {
+            const { user: owner, token } = await createUserAndGetToken(16);
+            const { user: member } = await createUserAndGetToken(17);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+            await createSharedExpense(token, group, [owner, member]);
+
+            const response = await remove(group.id, token, member._id);
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe("This member still needs to settle up, they owe 50.00 USD in this group. Remove them with force to write it off");
+        });
+
+        it("should write off the balance when removing with force", async () => {
+            const { user: owner, token } = await createUserAndGetToken(18);
+            const { user: member } = await createUserAndGetToken(19);
+            const group = await createTestGroup(token);
+            await addGroupMember(group.id, member._id);
+            await createSharedExpense(token, group, [owner, member]);
+
+            const response = await remove(group.id, token, member._id, { force: true });
+
+            expect(response.status).toBe(200);
+            expect(response.body.group.members).not.toContain(member._id.toString());
+
+            const writeOff = await Settlement.findOne({ group: group.id, kind: "write-off" }).lean();
+            expect(writeOff.verifiedBy.toString()).toBe(owner._id.toString());
+            expect(writeOff.amountUSD).toBe(50);
+        });
+    });
+});
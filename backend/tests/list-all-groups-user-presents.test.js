@@ -3,11 +3,12 @@ import express from "express";
 import mongoose from "mongoose";
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
-import { listAllGroupsUserPresents, createGroup, inviteUserToGroup } from "../controllers/group.controller.js";
+import { listAllGroupsUserPresents, createGroup } from "../controllers/group.controller.js";
 import { auth } from "../middleware/auth.js";
 import Group from "../models/group.model.js";
 import User from "../models/user.model.js";
 import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
 
 
 process.env.NODE_ENV = 'test';
@@ -17,7 +18,6 @@ dotenv.config();
 const app = express();
 app.use(express.json());
 app.post("/api/group/create-group", auth, createGroup);
-app.post("/api/group/invite-user-to-group/:groupId", auth, inviteUserToGroup);
 app.get("/api/group/list-all-groups-user-presents", auth, listAllGroupsUserPresents);
 
 // Connect to in-memory database
@@ -70,13 +70,6 @@ describe("List All Groups User Presents Controller Tests", () => {
         return response.body.group;
     };
 
-    const inviteUserToTestGroup = async (groupId, userId, creatorToken) => {
-        await request(app)
-            .post(`/api/group/invite-user-to-group/${groupId}`)
-            .set("Authorization", `Bearer ${creatorToken}`)
-            .send({ userId: userId.toString() });
-    };
-
 
 
     describe("Success Cases", () => {
@@ -131,7 +124,7 @@ describe("List All Groups User Presents Controller Tests", () => {
             const { user: member, token: memberToken } = await createUserAndGetToken(5);
             const group = await createTestGroup(creatorToken, "Invited Group");
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .get("/api/group/list-all-groups-user-presents")
@@ -153,7 +146,7 @@ describe("List All Groups User Presents Controller Tests", () => {
             
             // User1 creates 1 group and invites User2
             const user1Group = await createTestGroup(user1Token, "User1 Group");
-            await inviteUserToTestGroup(user1Group.id, user2._id, user1Token);
+            await addGroupMember(user1Group.id, user2._id);
 
             const response = await request(app)
                 .get("/api/group/list-all-groups-user-presents")
@@ -205,8 +198,8 @@ describe("List All Groups User Presents Controller Tests", () => {
             const { user: member2 } = await createUserAndGetToken(12);
             const group = await createTestGroup(creatorToken, "Count Test Group");
 
-            await inviteUserToTestGroup(group.id, member1._id, creatorToken);
-            await inviteUserToTestGroup(group.id, member2._id, creatorToken);
+            await addGroupMember(group.id, member1._id);
+            await addGroupMember(group.id, member2._id);
 
             const response = await request(app)
                 .get("/api/group/list-all-groups-user-presents")
@@ -233,7 +226,7 @@ describe("List All Groups User Presents Controller Tests", () => {
             const { user: member, token: memberToken } = await createUserAndGetToken(15);
             const group = await createTestGroup(creatorToken, "Non-Creator Flag Test");
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .get("/api/group/list-all-groups-user-presents")
@@ -349,8 +342,8 @@ describe("List All Groups User Presents Controller Tests", () => {
             const group2 = await createTestGroup(creatorToken, "Member Group 2");
 
             // Invite member to both groups
-            await inviteUserToTestGroup(group1.id, member._id, creatorToken);
-            await inviteUserToTestGroup(group2.id, member._id, creatorToken);
+            await addGroupMember(group1.id, member._id);
+            await addGroupMember(group2.id, member._id);
 
             // Remove member from group1
             await Group.findByIdAndUpdate(group1.id, { $pull: { members: member._id } });
@@ -397,7 +390,7 @@ describe("List All Groups User Presents Controller Tests", () => {
 
             // Invite user1 to user2's group
             const user1Data = await User.findOne({ email: `testuser25@test.com` });
-            await inviteUserToTestGroup(group2.id, user1Data._id, user2Token);
+            await addGroupMember(group2.id, user1Data._id);
 
             const response = await request(app)
                 .get("/api/group/list-all-groups-user-presents")
@@ -432,7 +425,7 @@ describe("List All Groups User Presents Controller Tests", () => {
 
             // User2 creates a group and invites User1
             const user2Group = await createTestGroup(user2Token, "User2 Created");
-            await inviteUserToTestGroup(user2Group.id, user1._id, user2Token);
+            await addGroupMember(user2Group.id, user1._id);
 
             const response = await request(app)
                 .get("/api/group/list-all-groups-user-presents")
@@ -458,12 +451,12 @@ describe("List All Groups User Presents Controller Tests", () => {
 
             // Group 2: Creator + 1 member
             const group2 = await createTestGroup(creatorToken, "Duo Group");
-            await inviteUserToTestGroup(group2.id, member1._id, creatorToken);
+            await addGroupMember(group2.id, member1._id);
 
             // Group 3: Creator + 2 members
             const group3 = await createTestGroup(creatorToken, "Trio Group");
-            await inviteUserToTestGroup(group3.id, member1._id, creatorToken);
-            await inviteUserToTestGroup(group3.id, member2._id, creatorToken);
+            await addGroupMember(group3.id, member1._id);
+            await addGroupMember(group3.id, member2._id);
 
             const response = await request(app)
                 .get("/api/group/list-all-groups-user-presents")
@@ -640,7 +633,7 @@ describe("List All Groups User Presents Controller Tests", () => {
             // User2 creates a group and invites User1
             const user2Group = await createTestGroup(user2Token, "User2 Group");
             const user1Data = await User.findOne({ email: `testuser42@test.com` });
-            await inviteUserToTestGroup(user2Group.id, user1Data._id, user2Token);
+            await addGroupMember(user2Group.id, user1Data._id);
 
             // User3 creates a group (User1 not invited)
             await createTestGroup(user3Token, "User3 Group");
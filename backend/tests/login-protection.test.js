@@ -0,0 +1,199 @@
+import request from "supertest";
+import express from "express";
+import dotenv from "dotenv";
+import cookieParser from "cookie-parser";
+import authRouter from "../routes/auth.route.js";
+import User from "../models/user.model.js";
+import LoginEvent from "../models/loginEvent.model.js";
+import { createMemoryTransport, setMailTransport } from "../services/mailer.service.js";
+import { createMemoryRateLimitStore, setRateLimitStore } from "../services/rateLimit.service.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/auth", authRouter);
+
+const originalEnv = { ...process.env };
+
+// Connect to in-memory database, keeping verification emails from signup out of the log
+beforeAll(async () => {
+    setMailTransport(createMemoryTransport());
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    setMailTransport(null);
+    setRateLimitStore(null);
+    await closeDatabase();
+});
+
+beforeEach(() => {
+    setRateLimitStore(createMemoryRateLimitStore());
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    process.env = { ...originalEnv };
+    await clearDatabase();
+});
+
+const signup = async (suffix) => {
+    const userData = {
+        name: `Locked User ${suffix}`,
+        email: `locked${suffix}@test.com`,
+        password: "password123"
+    };
+    const response = await request(app).post("/api/auth/signup").send(userData);
+    return { ...userData, token: response.body.token, userId: response.body.user.id };
+};
+
+const login = (email, password) => request(app).post("/api/auth/login").send({ email, password });
+
+const failLogins = async (email, times) => {
+    let response;
+    for (let i = 0; i < times; i++) {
+        response = await login(email, "wrongpassword");
+    }
+    return response;
+};
+
+describe("Account Lockout Tests", () => {
+
+    it("should lock the account after repeated failed logins", async () => {
+        const { email } = await signup(1);
+
+        const beforeLimit = await failLogins(email, 4);
+        expect(beforeLimit.status).toBe(401);
+
+        const response = await login(email, "wrongpassword").expect(429);
+
+        expect(response.body.message).toBe("Too many failed login attempts, please try again later");
+        expect(response.body.retryAfter).toBe(60);
+        expect(response.headers["retry-after"]).toBe("60");
+    });
+
+    it("should refuse the right password while locked", async () => {
+        const { email } = await signup(2);
+        await failLogins(email, 5);
+
+        const response = await login(email, "password123").expect(429);
+
+        expect(Number(response.headers["retry-after"])).toBeGreaterThan(0);
+    });
+
+    it("should make each further lockout longer", async () => {
+        process.env.LOGIN_LOCKOUT_MINUTES = "0.0005";
+        const { email } = await signup(3);
+
+        const first = await failLogins(email, 5);
+        expect(first.status).toBe(429);
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        await failLogins(email, 4);
+        const second = await login(email, "wrongpassword").expect(429);
+
+        const events = await LoginEvent.find({ type: "account-locked" }).sort({ createdAt: 1 }).lean();
+        expect(events).toHaveLength(2);
+        expect(events[1].lockedUntil - events[1].createdAt).toBeGreaterThan(events[0].lockedUntil - events[0].createdAt);
+        expect(second.body.retryAfter).toBe(1);
+    });
+
+    it("should reset the failure count after a successful login", async () => {
+        const { email } = await signup(4);
+        await failLogins(email, 4);
+
+        await login(email, "password123").expect(200);
+
+        const response = await failLogins(email, 4);
+        expect(response.status).toBe(401);
+    });
+
+    it("should lock unknown emails the same way", async () => {
+        const response = await failLogins("nobody@test.com", 5);
+
+        expect(response.status).toBe(429);
+        expect(await LoginEvent.countDocuments()).toBe(0);
+    });
+});
+
+describe("Login Activity Tests", () => {
+
+    it("should show failed logins and lockouts to the account owner", async () => {
+        const { email, token, userId } = await signup(10);
+        await request(app)
+            .post("/api/auth/login")
+            .set("User-Agent", "test-browser")
+            .send({ email, password: "wrongpassword" })
+            .expect(401);
+        await failLogins(email, 4);
+
+        const response = await request(app)
+            .get("/api/auth/login-activity")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+
+        expect(response.body.count).toBe(6);
+        expect(response.body.events[0].type).toBe("account-locked");
+        expect(response.body.events[0].lockedUntil).toBeTruthy();
+        expect(response.body.events.filter(event => event.type === "login-failed")).toHaveLength(5);
+        expect(response.body.events.some(event => event.userAgent === "test-browser")).toBe(true);
+
+        const stored = await LoginEvent.find({ user: userId }).lean();
+        expect(stored.every(event => event.ip)).toBe(true);
+    });
+
+    it("should only show events of the signed-in user", async () => {
+        const first = await signup(11);
+        const second = await signup(12);
+        await failLogins(first.email, 2);
+
+        const response = await request(app)
+            .get("/api/auth/login-activity")
+            .set("Authorization", `Bearer ${second.token}`)
+            .expect(200);
+
+        expect(response.body.count).toBe(0);
+    });
+
+    it("should require authentication", async () => {
+        await request(app).get("/api/auth/login-activity").expect(401);
+    });
+});
+
+describe("Rate Limit Tests", () => {
+
+    it("should limit signups per IP", async () => {
+        process.env.SIGNUP_RATE_LIMIT_MAX = "2";
+        await signup(20);
+        await signup(21);
+
+        const response = await request(app)
+            .post("/api/auth/signup")
+            .send({ name: "Third", email: "third@test.com", password: "password123" })
+            .expect(429);
+
+        expect(response.body.message).toBe("Too many requests, please try again later");
+        expect(response.headers["retry-after"]).toBe("3600");
+        expect(await User.exists({ email: "third@test.com" })).toBeNull();
+    });
+
+    it("should limit logins per IP across accounts", async () => {
+        process.env.LOGIN_RATE_LIMIT_MAX = "3";
+        const { email, password } = await signup(22);
+        await login("someone@test.com", "wrongpassword").expect(401);
+        await login("someoneelse@test.com", "wrongpassword").expect(401);
+        await login(email, password).expect(200);
+
+        const response = await login(email, password).expect(429);
+
+        expect(response.body.message).toBe("Too many requests, please try again later");
+        expect(Number(response.headers["retry-after"])).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,137 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+    DEFAULT_MAIL_FROM,
+    buildFrontendLink,
+    createConsoleTransport,
+    createFileTransport,
+    createMemoryTransport,
+    getMailTransport,
+    sendMail,
+    setMailTransport
+} from "../services/mailer.service.js";
+import { buildEmailVerificationEmail, buildPasswordResetEmail } from "../services/accountEmails.service.js";
+
+describe("Mailer Service Tests", () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.NODE_ENV = originalEnv.NODE_ENV;
+        delete process.env.MAIL_TRANSPORT;
+        delete process.env.MAIL_FROM;
+        delete process.env.FRONTEND_URL;
+        setMailTransport(null);
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+        setMailTransport(null);
+    });
+
+    describe("Transports", () => {
+        it("should default to the console transport", () => {
+            expect(getMailTransport().name).toBe("console");
+        });
+
+        it("should require MAIL_TRANSPORT in production", () => {
+            process.env.NODE_ENV = "production";
+
+            expect(() => getMailTransport()).toThrow("MAIL_TRANSPORT must be set in production, expected one of: console, file, smtp");
+
+            process.env.MAIL_TRANSPORT = "file";
+            expect(getMailTransport().name).toBe("file");
+        });
+
+        it("should pick the transport from MAIL_TRANSPORT", () => {
+            process.env.MAIL_TRANSPORT = "file";
+
+            expect(getMailTransport().name).toBe("file");
+        });
+
+        it("should reject unknown transports", () => {
+            process.env.MAIL_TRANSPORT = "pigeon";
+
+            expect(() => getMailTransport()).toThrow('Unknown MAIL_TRANSPORT "pigeon", expected one of: console, file, smtp');
+        });
+
+        it("should require a host for SMTP", () => {
+            process.env.MAIL_TRANSPORT = "smtp";
+            delete process.env.SMTP_HOST;
+
+            expect(() => getMailTransport()).toThrow("SMTP_HOST must be set to send mail over SMTP");
+        });
+
+        it("should print messages with the console transport", async () => {
+            const lines = [];
+            const transport = createConsoleTransport({ log: (line) => lines.push(line) });
+
+            await transport.send({ to: "a@test.com", subject: "Hello", text: "Body" });
+
+            expect(lines[0]).toContain("a@test.com");
+            expect(lines[0]).toContain("Hello");
+            expect(lines[0]).toContain("Body");
+        });
+
+        it("should write one file per message with the file transport", async () => {
+            const directory = await fs.mkdtemp(path.join(os.tmpdir(), "outbox-"));
+            try {
+                const transport = createFileTransport({ directory });
+
+                await transport.send({ to: "a@test.com", subject: "First", text: "1" });
+                await transport.send({ to: "b@test.com", subject: "Second", text: "2" });
+
+                const files = await fs.readdir(directory);
+                expect(files).toHaveLength(2);
+                const messages = await Promise.all(files.map(async file => JSON.parse(await fs.readFile(path.join(directory, file), "utf8"))));
+                expect(messages.map(message => message.subject).sort()).toEqual(["First", "Second"]);
+            } finally {
+                await fs.rm(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe("sendMail()", () => {
+        it("should send from MAIL_FROM through the current transport", async () => {
+            const transport = createMemoryTransport();
+            setMailTransport(transport);
+
+            await sendMail({ to: "a@test.com", subject: "Hi", text: "Text" });
+            process.env.MAIL_FROM = "Team <team@example.com>";
+            await sendMail({ to: "b@test.com", subject: "Hi again", text: "Text" });
+
+            expect(transport.sent[0].from).toBe(DEFAULT_MAIL_FROM);
+            expect(transport.sent[1].from).toBe("Team <team@example.com>");
+            expect(transport.sent[1].to).toBe("b@test.com");
+        });
+    });
+
+    describe("Account emails", () => {
+        it("should link to the frontend with the token", () => {
+            process.env.FRONTEND_URL = "https://app.example.com/";
+
+            expect(buildFrontendLink("/reset-password", { token: "a b" })).toBe("https://app.example.com/reset-password?token=a+b");
+            expect(buildFrontendLink("/login")).toBe("https://app.example.com/login");
+        });
+
+        it("should put the reset link and its expiry in the reset email", () => {
+            process.env.FRONTEND_URL = "https://app.example.com";
+
+            const email = buildPasswordResetEmail({ name: "Asha", token: "abc", validForMs: 60 * 60 * 1000 });
+
+            expect(email.subject).toBe("Reset your FinterHub password");
+            expect(email.text).toContain("Hi Asha,");
+            expect(email.text).toContain("https://app.example.com/reset-password?token=abc");
+            expect(email.text).toContain("expires in 60 minutes");
+        });
+
+        it("should put the verification link in the verification email", () => {
+            process.env.FRONTEND_URL = "https://app.example.com";
+
+            const email = buildEmailVerificationEmail({ name: "Asha", token: "xyz", validForMs: 24 * 60 * 60 * 1000 });
+
+            expect(email.text).toContain("https://app.example.com/verify-email?token=xyz");
+            expect(email.text).toContain("expires in 24 hours");
+        });
+    });
+});
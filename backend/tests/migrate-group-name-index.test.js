@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import Group from "../models/group.model.js";
+import { migrateGroupNameIndex } from "../scripts/migrateGroupNameIndex.js";
+import { connect, closeDatabase } from "./setup/db.js";
+
+
+process.env.NODE_ENV = 'test';
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    await closeDatabase();
+});
+
+// Start every test from a groups collection without indexes
+afterEach(async () => {
+    await Group.collection.drop().catch(() => {});
+});
+
+
+describe("Group Name Index Migration", () => {
+
+    const createLegacyGroup = (name, createdBy) => Group.collection.insertOne({
+        name,
+        description: "Created before names were unique per user",
+        createdBy,
+        members: [createdBy],
+        memberRoles: []
+    });
+
+    it("should drop the global unique index on name", async () => {
+        await Group.collection.createIndex({ name: 1 }, { unique: true, name: "name_1" });
+        await createLegacyGroup("goa trip", new mongoose.Types.ObjectId());
+
+        const result = await migrateGroupNameIndex();
+
+        expect(result.hadUniqueName).toBe(true);
+        expect(result.dropped).toContain("name_1");
+
+        const indexNames = (await Group.collection.indexes()).map(index => index.name);
+        expect(indexNames).not.toContain("name_1");
+        expect(indexNames).toContain("createdBy_1_name_1");
+        expect(indexNames).toContain("createdBy_1_name_1_unique");
+    });
+
+    it("should keep groups that already share a name for one user", async () => {
+        const createdBy = new mongoose.Types.ObjectId();
+        await createLegacyGroup("goa trip", createdBy);
+        await createLegacyGroup("goa trip", createdBy);
+
+        await migrateGroupNameIndex();
+
+        expect(await Group.countDocuments({ createdBy, name: "goa trip" })).toBe(2);
+        await Group.collection.insertOne({ name: "goa trip", createdBy, uniqueName: true });
+        await expect(Group.collection.insertOne({ name: "goa trip", createdBy, uniqueName: true })).rejects.toMatchObject({ code: 11000 });
+    });
+
+    it("should let different users use the same name afterwards", async () => {
+        await Group.collection.createIndex({ name: 1 }, { unique: true, name: "name_1" });
+        await createLegacyGroup("goa trip", new mongoose.Types.ObjectId());
+
+        await migrateGroupNameIndex();
+
+        await expect(createLegacyGroup("goa trip", new mongoose.Types.ObjectId())).resolves.toBeTruthy();
+        expect(await Group.countDocuments({ name: "goa trip" })).toBe(2);
+    });
+
+    it("should do nothing on a database that was already migrated", async () => {
+        await migrateGroupNameIndex();
+
+        const result = await migrateGroupNameIndex();
+
+        expect(result.hadUniqueName).toBe(false);
+        expect(result.dropped).toEqual([]);
+    });
+});
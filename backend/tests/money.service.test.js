@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+import {
+    toMinorUnits,
+    fromMinorUnits,
+    hasValidPrecision,
+    createMoney,
+    toDecimal,
+    allocateMinorUnits,
+    convertMinorUnits,
+    convertMoney
+} from "../services/money.service.js";
+import { getExpenseSharesInMinorUnits, convertExpenseShares } from "../services/balance.service.js";
+import { computeSplitDetails } from "../services/split.service.js";
+
+describe("Money Service Tests", () => {
+
+    describe("Minor units", () => {
+        it("should use the precision of each currency", () => {
+            expect(toMinorUnits(12.34, "USD")).toBe(1234);
+            expect(toMinorUnits(1500, "JPY")).toBe(1500);
+            expect(toMinorUnits(1.234, "KWD")).toBe(1234);
+        });
+
+        it("should not be thrown off by float noise", () => {
+            expect(toMinorUnits(1.005, "USD")).toBe(101);
+            expect(toMinorUnits(0.1 + 0.2, "USD")).toBe(30);
+        });
+
+        it("should round halves away from zero", () => {
+            expect(toMinorUnits(0.125, "USD")).toBe(13);
+            expect(toMinorUnits(-0.125, "USD")).toBe(-13);
+        });
+
+        it("should turn minor units back into decimals", () => {
+            expect(fromMinorUnits(1234, "USD")).toBe(12.34);
+            expect(fromMinorUnits(1500, "JPY")).toBe(1500);
+            expect(fromMinorUnits(1234, "KWD")).toBe(1.234);
+        });
+
+        it("should check the precision of an amount", () => {
+            expect(hasValidPrecision(10.5, "USD")).toBe(true);
+            expect(hasValidPrecision(10.555, "USD")).toBe(false);
+            expect(hasValidPrecision(10.5, "JPY")).toBe(false);
+            expect(hasValidPrecision(10.555, "KWD")).toBe(true);
+        });
+
+        it("should reject unknown currencies", () => {
+            expect(() => toMinorUnits(10, "XYZ")).toThrow("Unsupported currency: XYZ");
+        });
+    });
+
+    describe("Money values", () => {
+        it("should keep the amount together with its currency", () => {
+            expect(createMoney(12.34, "usd")).toEqual({ amount: 1234, currency: "USD" });
+            expect(toDecimal(createMoney(12.34, "USD"))).toBe(12.34);
+        });
+    });
+
+    describe("Allocation", () => {
+        it("should always add up to the total", () => {
+            const parts = allocateMinorUnits(10000, [1, 1, 1]);
+
+            expect(parts).toEqual([3334, 3333, 3333]);
+            expect(parts.reduce((sum, part) => sum + part, 0)).toBe(10000);
+        });
+
+        it("should split in proportion to the weights", () => {
+            expect(allocateMinorUnits(1000, [1, 3])).toEqual([250, 750]);
+        });
+
+        it("should skip zero weights when handing out leftovers", () => {
+            expect(allocateMinorUnits(10, [0, 1, 1, 1])).toEqual([0, 4, 3, 3]);
+        });
+
+        it("should stay exact for very large amounts", () => {
+            const parts = allocateMinorUnits(999999999999, [123456789, 987654321]);
+            expect(parts[0] + parts[1]).toBe(999999999999);
+        });
+
+        it("should reject invalid input", () => {
+            expect(() => allocateMinorUnits(10.5, [1])).toThrow("Total must be a non-negative integer");
+            expect(() => allocateMinorUnits(10, [0.5])).toThrow("Weights must be non-negative integers");
+            expect(() => allocateMinorUnits(10, [0, 0])).toThrow("At least one weight must be greater than 0");
+        });
+    });
+
+    describe("Conversion", () => {
+        it("should convert between currencies with different precision", () => {
+            expect(convertMinorUnits(10000, "USD", "JPY", 151.5)).toBe(15150);
+            expect(convertMinorUnits(15150, "JPY", "USD", 1 / 151.5)).toBe(10000);
+            expect(convertMinorUnits(10000, "USD", "KWD", 0.3077)).toBe(30770);
+        });
+
+        it("should convert money values", () => {
+            expect(convertMoney(createMoney(100, "EUR"), "USD", 1.09)).toEqual({ amount: 10900, currency: "USD" });
+        });
+    });
+
+    describe("Expense shares", () => {
+        const payer = new mongoose.Types.ObjectId().toString();
+        const friend = new mongoose.Types.ObjectId().toString();
+        const other = new mongoose.Types.ObjectId().toString();
+
+        const sumOf = (map) => Array.from(map.values()).reduce((sum, value) => sum + value, 0);
+
+        it("should split an expense into exact minor units", () => {
+            const expense = {
+                amount: 100,
+                currency: "USD",
+                paidBy: payer,
+                splitType: "equal",
+                splitDetails: [{ user: payer }, { user: friend }, { user: other }]
+            };
+
+            const shares = getExpenseSharesInMinorUnits(expense);
+            expect(sumOf(shares)).toBe(10000);
+        });
+
+        it("should leave unassigned amounts with the payer", () => {
+            const expense = {
+                amount: 100,
+                currency: "USD",
+                paidBy: payer,
+                splitType: "custom",
+                splitDetails: [{ user: friend, amount: 40 }]
+            };
+
+            const shares = getExpenseSharesInMinorUnits(expense);
+            expect(shares.get(friend)).toBe(4000);
+            expect(shares.get(payer)).toBe(6000);
+        });
+
+        it("should keep converted shares equal to the converted total", () => {
+            const expense = {
+                amount: 1000,
+                currency: "JPY",
+                paidBy: payer,
+                splitType: "equal",
+                splitDetails: computeSplitDetails({
+                    amount: 1000,
+                    currency: "JPY",
+                    splitType: "equal",
+                    splitDetails: [{ user: payer }, { user: friend }, { user: other }]
+                })
+            };
+
+            const { total, shares } = convertExpenseShares(expense, "USD", 0.0066);
+
+            expect(total).toBe(660);
+            expect(sumOf(shares)).toBe(total);
+        });
+    });
+});
@@ -7,6 +7,7 @@ import authRouter from "../routes/auth.route.js";
 import groupRouter from "../routes/group.route.js";
 import expenseRouter from "../routes/expense.route.js";
 import User from "../models/user.model.js";
+import { createMemoryTransport, setMailTransport } from "../services/mailer.service.js";
 
 /**
  * Professional Integration Test Suite for CI/CD Pipeline
@@ -29,6 +30,7 @@ beforeAll(async () => {
     // Force test environment
     process.env.NODE_ENV = 'test';
     process.env.JWT_SECRET = 'test_secret_key_for_pipeline';
+    setMailTransport(createMemoryTransport());
 
     mongoServer = await MongoMemoryServer.create();
     const uri = mongoServer.getUri();
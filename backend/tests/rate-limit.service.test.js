@@ -0,0 +1,193 @@
+import {
+    DEFAULT_RATE_LIMITS,
+    consumeRateLimit,
+    createMemoryRateLimitStore,
+    createRedisRateLimitStore,
+    getRateLimit,
+    getRateLimitStore,
+    setRateLimitStore,
+    toRetryAfterSeconds
+} from "../services/rateLimit.service.js";
+
+// Just enough of an ioredis client for the Redis store, keeping values and expiry times in a map
+const createFakeRedisClient = (clock) => {
+    const data = new Map();
+    const alive = (key) => {
+        const entry = data.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= clock.now) {
+            data.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    return {
+        data,
+        incr: async (key) => {
+            const entry = alive(key) || { value: "0", expiresAt: null };
+            entry.value = String(Number(entry.value) + 1);
+            data.set(key, entry);
+            return Number(entry.value);
+        },
+        pexpire: async (key, ms) => {
+            const entry = alive(key);
+            if (entry) {
+                entry.expiresAt = clock.now + ms;
+            }
+            return entry ? 1 : 0;
+        },
+        pttl: async (key) => {
+            const entry = alive(key);
+            if (!entry) {
+                return -2;
+            }
+            return entry.expiresAt === null ? -1 : entry.expiresAt - clock.now;
+        },
+        get: async (key) => (alive(key) ? alive(key).value : null),
+        set: async (key, value, mode, ms) => {
+            data.set(key, { value, expiresAt: mode === "PX" ? clock.now + ms : null });
+            return "OK";
+        },
+        del: async (key) => (data.delete(key) ? 1 : 0)
+    };
+};
+
+describe("Rate Limit Service Tests", () => {
+    const originalEnv = { ...process.env };
+    let clock;
+
+    beforeEach(() => {
+        clock = { now: 1_000_000 };
+        setRateLimitStore(null);
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    afterAll(() => {
+        setRateLimitStore(null);
+    });
+
+    const stores = {
+        memory: () => createMemoryRateLimitStore({ now: () => clock.now }),
+        redis: () => createRedisRateLimitStore(createFakeRedisClient(clock))
+    };
+
+    describe.each(Object.keys(stores))("%s store", (name) => {
+        it("should count hits and report the time left", async () => {
+            const store = stores[name]();
+
+            expect(await store.increment("key", 1000)).toEqual({ count: 1, ttlMs: 1000 });
+            clock.now += 400;
+            expect(await store.increment("key", 1000)).toEqual({ count: 2, ttlMs: 600 });
+            expect(await store.get("key")).toEqual({ count: 2, ttlMs: 600 });
+        });
+
+        it("should start over once the counter expired", async () => {
+            const store = stores[name]();
+
+            await store.increment("key", 1000);
+            await store.increment("key", 1000);
+            clock.now += 1000;
+
+            expect(await store.get("key")).toBeNull();
+            expect(await store.increment("key", 1000)).toEqual({ count: 1, ttlMs: 1000 });
+        });
+
+        it("should set and delete counters", async () => {
+            const store = stores[name]();
+
+            await store.set("key", 3, 500);
+            expect(await store.get("key")).toEqual({ count: 3, ttlMs: 500 });
+
+            await store.delete("key");
+            expect(await store.get("key")).toBeNull();
+        });
+
+        it("should keep keys apart", async () => {
+            const store = stores[name]();
+
+            await store.increment("a", 1000);
+            await store.increment("a", 1000);
+            await store.increment("b", 1000);
+
+            expect((await store.get("a")).count).toBe(2);
+            expect((await store.get("b")).count).toBe(1);
+        });
+    });
+
+    describe("Redis store", () => {
+        it("should require a client", () => {
+            expect(() => createRedisRateLimitStore()).toThrow("A Redis client is required for the Redis rate limit store");
+        });
+
+        it("should prefix keys", async () => {
+            const client = createFakeRedisClient(clock);
+            const store = createRedisRateLimitStore(client, { prefix: "test:" });
+
+            await store.increment("login:ip:1", 1000);
+
+            expect([...client.data.keys()]).toEqual(["test:login:ip:1"]);
+        });
+
+        it("should give a counter left without expiry a new one", async () => {
+            const client = createFakeRedisClient(clock);
+            const store = createRedisRateLimitStore(client, { prefix: "" });
+            await client.incr("key");
+
+            expect(await store.increment("key", 1000)).toEqual({ count: 2, ttlMs: 1000 });
+            expect(await client.pttl("key")).toBe(1000);
+        });
+    });
+
+    describe("Limits", () => {
+        it("should use the default limits", () => {
+            delete process.env.LOGIN_RATE_LIMIT_MAX;
+            delete process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES;
+
+            expect(getRateLimit("login")).toEqual({
+                max: DEFAULT_RATE_LIMITS.login.max,
+                windowMs: DEFAULT_RATE_LIMITS.login.windowMinutes * 60 * 1000
+            });
+        });
+
+        it("should read limits from the environment", () => {
+            process.env.SIGNUP_RATE_LIMIT_MAX = "2";
+            process.env.SIGNUP_RATE_LIMIT_WINDOW_MINUTES = "10";
+
+            expect(getRateLimit("signup")).toEqual({ max: 2, windowMs: 10 * 60 * 1000 });
+        });
+
+        it("should ignore invalid values from the environment", () => {
+            process.env.SIGNUP_RATE_LIMIT_MAX = "-1";
+            process.env.SIGNUP_RATE_LIMIT_WINDOW_MINUTES = "soon";
+
+            expect(getRateLimit("signup").max).toBe(DEFAULT_RATE_LIMITS.signup.max);
+        });
+
+        it("should reject unknown limits", () => {
+            expect(() => getRateLimit("upload")).toThrow('Unknown rate limit "upload"');
+        });
+
+        it("should allow hits up to the limit", async () => {
+            setRateLimitStore(createMemoryRateLimitStore({ now: () => clock.now }));
+            const limit = { max: 2, windowMs: 60 * 1000 };
+
+            expect((await consumeRateLimit("key", limit)).allowed).toBe(true);
+            expect((await consumeRateLimit("key", limit)).allowed).toBe(true);
+
+            clock.now += 15 * 1000;
+            expect(await consumeRateLimit("key", limit)).toEqual({ allowed: false, count: 3, retryAfterMs: 45 * 1000 });
+        });
+
+        it("should default to an in-memory store", () => {
+            expect(getRateLimitStore().name).toBe("memory");
+        });
+
+        it("should round Retry-After up to whole seconds", () => {
+            expect(toRetryAfterSeconds(1500)).toBe(2);
+            expect(toRetryAfterSeconds(0)).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,213 @@
+import http from "http";
+import os from "os";
+import path from "path";
+import { mkdtemp, writeFile, rm } from "fs/promises";
+import {
+    normalizeRatesFeed,
+    createStaticRateProvider,
+    createFileRateProvider,
+    createHttpRateProvider,
+    createRateProviderFromEnv,
+    STATIC_RATES_TO_USD
+} from "../services/rateProvider.service.js";
+import {
+    refreshExchangeRates,
+    startRateRefreshScheduler,
+    getExchangeRates,
+    convertCurrency
+} from "../services/currency.service.js";
+
+const feed = {
+    base: "USD",
+    rates: { USD: 1, INR: 80, EUR: 0.8, CAD: 1.25, GBP: 0.5 }
+};
+
+describe("Exchange Rate Provider Tests", () => {
+    let tmpDir;
+    let server;
+    let serverUrl;
+
+    beforeAll(async () => {
+        tmpDir = await mkdtemp(path.join(os.tmpdir(), "finterhub-rates-"));
+
+        server = http.createServer((req, res) => {
+            if (req.url === "/rates") {
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(feed));
+                return;
+            }
+            res.writeHead(503);
+            res.end();
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        serverUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await refreshExchangeRates(createStaticRateProvider());
+        await new Promise(resolve => server.close(resolve));
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    describe("normalizeRatesFeed()", () => {
+        it("should convert units per USD into rates to USD", () => {
+            const { base, rates } = normalizeRatesFeed(feed);
+
+            expect(base).toBe("USD");
+            expect(rates.USD).toBe(1);
+            expect(rates.INR).toBeCloseTo(0.0125, 10);
+            expect(rates.EUR).toBeCloseTo(1.25, 10);
+            expect(rates.GBP).toBeCloseTo(2, 10);
+        });
+
+        it("should handle feeds with a different base currency", () => {
+            const { rates } = normalizeRatesFeed({ base: "EUR", rates: { USD: 1.1, INR: 88 } });
+
+            expect(rates.USD).toBeCloseTo(1, 10);
+            expect(rates.EUR).toBeCloseTo(1.1, 10);
+            expect(rates.INR).toBeCloseTo(0.0125, 10);
+        });
+
+        it("should reject feeds without rates", () => {
+            expect(() => normalizeRatesFeed({ base: "USD" })).toThrow("Rate feed must contain a rates object");
+        });
+
+        it("should reject invalid rate values", () => {
+            expect(() => normalizeRatesFeed({ base: "USD", rates: { INR: -5 } })).toThrow("Invalid rate for INR");
+        });
+
+        it("should reject feeds that cannot be expressed in USD", () => {
+            expect(() => normalizeRatesFeed({ base: "EUR", rates: { INR: 88 } })).toThrow("Rate feed must include USD");
+        });
+    });
+
+    describe("Providers", () => {
+        it("static provider should return the built-in rates", async () => {
+            const provider = createStaticRateProvider();
+            const result = await provider.fetchRates();
+
+            expect(provider.name).toBe("static");
+            expect(result.rates).toEqual(STATIC_RATES_TO_USD);
+        });
+
+        it("file provider should read a JSON feed from disk", async () => {
+            const filePath = path.join(tmpDir, "rates.json");
+            await writeFile(filePath, JSON.stringify(feed));
+
+            const provider = createFileRateProvider(filePath);
+            const result = await provider.fetchRates();
+
+            expect(provider.name).toBe("file");
+            expect(result.rates.CAD).toBeCloseTo(0.8, 10);
+        });
+
+        it("file provider should fail when the file is missing", async () => {
+            const provider = createFileRateProvider(path.join(tmpDir, "missing.json"));
+            await expect(provider.fetchRates()).rejects.toThrow();
+        });
+
+        it("http provider should fetch a JSON feed", async () => {
+            const provider = createHttpRateProvider(`${serverUrl}/rates`);
+            const result = await provider.fetchRates();
+
+            expect(provider.name).toBe("http");
+            expect(result.rates.INR).toBeCloseTo(0.0125, 10);
+        });
+
+        it("http provider should fail on error responses", async () => {
+            const provider = createHttpRateProvider(`${serverUrl}/down`);
+            await expect(provider.fetchRates()).rejects.toThrow("Rate provider responded with status 503");
+        });
+
+        it("should pick the provider from environment settings", () => {
+            expect(createRateProviderFromEnv({}).name).toBe("static");
+            expect(createRateProviderFromEnv({ RATE_PROVIDER: "file", RATE_PROVIDER_FILE: "rates.json" }).name).toBe("file");
+            expect(createRateProviderFromEnv({ RATE_PROVIDER: "http", RATE_PROVIDER_URL: serverUrl }).name).toBe("http");
+            expect(() => createRateProviderFromEnv({ RATE_PROVIDER: "ftp" })).toThrow("Unknown rate provider: ftp");
+            expect(() => createRateProviderFromEnv({ RATE_PROVIDER: "http" })).toThrow("A URL is required for the HTTP rate provider");
+        });
+    });
+
+    describe("refreshExchangeRates()", () => {
+        it("should start using the fetched rates", async () => {
+            const result = await refreshExchangeRates(createHttpRateProvider(`${serverUrl}/rates`));
+
+            expect(result.source).toBe("http");
+            expect(result.updatedCurrencies).toBe(5);
+            expect(result.snapshotId).toBeNull();
+
+            const rates = await getExchangeRates();
+            expect(rates.source).toBe("http");
+            expect(rates.stale).toBe(false);
+            expect(rates.rates.EUR.rate).toBeCloseTo(1.25, 10);
+            expect(rates.rates.EUR.symbol).toBe("€");
+
+            expect(convertCurrency(100, "USD", "INR")).toBe(8000);
+        });
+
+        it("should keep previous rates for currencies missing from the feed", async () => {
+            await refreshExchangeRates(createStaticRateProvider({ USD: 1, EUR: 1.5 }));
+
+            const rates = await getExchangeRates();
+            expect(rates.rates.EUR.rate).toBe(1.5);
+            expect(rates.rates.INR.rate).toBeCloseTo(0.0125, 10);
+        });
+
+        it("should ignore currencies we do not support", async () => {
+            await refreshExchangeRates(createStaticRateProvider({ USD: 1, XYZ: 3 }));
+
+            const rates = await getExchangeRates();
+            expect(rates.rates).not.toHaveProperty("XYZ");
+        });
+
+        it("should leave the current rates in place when the provider fails", async () => {
+            await refreshExchangeRates(createStaticRateProvider());
+
+            await expect(refreshExchangeRates(createHttpRateProvider(`${serverUrl}/down`))).rejects.toThrow();
+
+            const rates = await getExchangeRates();
+            expect(rates.source).toBe("static");
+            expect(rates.rates.INR.rate).toBe(0.012);
+        });
+
+        it("should flag rates older than the staleness window", async () => {
+            await refreshExchangeRates(createStaticRateProvider());
+
+            const previous = process.env.RATE_STALE_AFTER_MS;
+            process.env.RATE_STALE_AFTER_MS = "1";
+            await new Promise(resolve => setTimeout(resolve, 5));
+
+            const rates = await getExchangeRates();
+            expect(rates.stale).toBe(true);
+
+            if (previous === undefined) {
+                delete process.env.RATE_STALE_AFTER_MS;
+            } else {
+                process.env.RATE_STALE_AFTER_MS = previous;
+            }
+        });
+    });
+
+    describe("startRateRefreshScheduler()", () => {
+        it("should refresh right away and on every interval until stopped", async () => {
+            let calls = 0;
+            const provider = {
+                name: "counting",
+                fetchRates: async () => {
+                    calls += 1;
+                    return { base: "USD", rates: { USD: 1 } };
+                }
+            };
+
+            const stop = startRateRefreshScheduler({ provider, intervalMs: 20 });
+            await new Promise(resolve => setTimeout(resolve, 70));
+            stop();
+
+            const callsWhenStopped = calls;
+            expect(callsWhenStopped).toBeGreaterThanOrEqual(2);
+
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(calls).toBe(callsWhenStopped);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+import CurrencyRate from "../models/currency.model.js";
+import { createStaticRateProvider } from "../services/rateProvider.service.js";
+import { refreshExchangeRates } from "../services/currency.service.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+
+
+process.env.NODE_ENV = 'test';
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+});
+
+// Clean up database after all tests, back on the static rates
+afterAll(async () => {
+    await refreshExchangeRates(createStaticRateProvider());
+    await closeDatabase();
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+
+describe("Rate Snapshot Tests", () => {
+
+    it("should save a snapshot on the first refresh", async () => {
+        const result = await refreshExchangeRates(createStaticRateProvider());
+
+        expect(result.unchanged).toBe(false);
+        expect(result.snapshotId).toBeTruthy();
+        expect(await CurrencyRate.countDocuments()).toBe(1);
+    });
+
+    it("should not save another snapshot while the rates stay the same", async () => {
+        const first = await refreshExchangeRates(createStaticRateProvider());
+
+        const second = await refreshExchangeRates(createStaticRateProvider());
+        const third = await refreshExchangeRates(createStaticRateProvider());
+
+        expect(second.unchanged).toBe(true);
+        expect(third.unchanged).toBe(true);
+        expect(third.snapshotId.toString()).toBe(first.snapshotId.toString());
+        expect(await CurrencyRate.countDocuments()).toBe(1);
+    });
+
+    it("should save a snapshot once a rate changes", async () => {
+        await refreshExchangeRates(createStaticRateProvider({ USD: 1, EUR: 1.1 }));
+
+        const result = await refreshExchangeRates(createStaticRateProvider({ USD: 1, EUR: 1.2 }));
+
+        expect(result.unchanged).toBe(false);
+        expect(await CurrencyRate.countDocuments()).toBe(2);
+    });
+});
@@ -0,0 +1,144 @@
+import request from "supertest";
+import express from "express";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+    createLocalReceiptStorage,
+    matchesReceiptType,
+    sanitizeFilename,
+    removeStoredAttachments,
+    setReceiptStorage
+} from "../services/receiptStorage.service.js";
+import { uploadReceipt } from "../middleware/upload.js";
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00]);
+const PDF_BYTES = Buffer.from("%PDF-1.7\n%receipt");
+
+let directory;
+let storage;
+
+beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "receipts-"));
+    storage = createLocalReceiptStorage({ directory });
+    setReceiptStorage(storage);
+});
+
+afterEach(async () => {
+    setReceiptStorage(null);
+    delete process.env.RECEIPT_MAX_SIZE_BYTES;
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+describe("Receipt Storage Tests", () => {
+
+    describe("File type checks", () => {
+        it("should accept content that matches the declared type", () => {
+            expect(matchesReceiptType(PNG_BYTES, "image/png")).toBe(true);
+            expect(matchesReceiptType(PDF_BYTES, "application/pdf")).toBe(true);
+        });
+
+        it("should reject content that does not match the declared type", () => {
+            expect(matchesReceiptType(PDF_BYTES, "image/png")).toBe(false);
+            expect(matchesReceiptType(Buffer.from("<html></html>"), "application/pdf")).toBe(false);
+        });
+
+        it("should reject types that are not allowed", () => {
+            expect(matchesReceiptType(Buffer.from("hello"), "text/plain")).toBe(false);
+        });
+
+        it("should sanitize file names", () => {
+            expect(sanitizeFilename("../../etc/passwd")).toBe("passwd");
+            expect(sanitizeFilename("receipt \"march\".pdf")).toBe("receipt _march_.pdf");
+            expect(sanitizeFilename("")).toBe("receipt");
+        });
+    });
+
+    describe("Local storage", () => {
+        it("should save, read and remove files", async () => {
+            const key = await storage.save({ buffer: PDF_BYTES, mimeType: "application/pdf" });
+
+            expect(key).toMatch(/^[a-f0-9]{32}\.pdf$/);
+            expect(await readStream(await storage.read(key))).toEqual(PDF_BYTES);
+
+            await storage.remove(key);
+            await expect(storage.read(key)).rejects.toThrow();
+        });
+
+        it("should not fail when removing a file that is already gone", async () => {
+            const key = await storage.save({ buffer: PNG_BYTES, mimeType: "image/png" });
+
+            await storage.remove(key);
+            await expect(storage.remove(key)).resolves.toBeUndefined();
+        });
+
+        it("should reject keys that could point outside the directory", async () => {
+            await expect(storage.read("../secret.pdf")).rejects.toThrow("Invalid storage key");
+        });
+
+        it("should remove stored attachments and skip links", async () => {
+            const key = await storage.save({ buffer: PNG_BYTES, mimeType: "image/png" });
+
+            const removed = await removeStoredAttachments([
+                { filename: "photo.png", storageKey: key },
+                { filename: "link.pdf", url: "http://example.com/link.pdf" }
+            ]);
+
+            expect(removed).toBe(1);
+            expect(await fs.readdir(directory)).toEqual([]);
+        });
+    });
+
+    describe("Upload middleware", () => {
+        const app = express();
+        app.post("/upload", uploadReceipt, (req, res) => {
+            res.status(200).json({ size: req.file ? req.file.size : null });
+        });
+
+        it("should accept an allowed file", async () => {
+            const response = await request(app)
+                .post("/upload")
+                .attach("receipt", PNG_BYTES, { filename: "receipt.png", contentType: "image/png" });
+
+            expect(response.status).toBe(200);
+            expect(response.body.size).toBe(PNG_BYTES.length);
+        });
+
+        it("should reject types that are not allowed", async () => {
+            const response = await request(app)
+                .post("/upload")
+                .attach("receipt", Buffer.from("hello"), { filename: "notes.txt", contentType: "text/plain" });
+
+            expect(response.status).toBe(415);
+            expect(response.body.message).toBe("Receipt must be one of: image/jpeg, image/png, image/webp, application/pdf");
+        });
+
+        it("should reject files over the size limit", async () => {
+            process.env.RECEIPT_MAX_SIZE_BYTES = "8";
+
+            const response = await request(app)
+                .post("/upload")
+                .attach("receipt", PNG_BYTES, { filename: "receipt.png", contentType: "image/png" });
+
+            expect(response.status).toBe(413);
+            expect(response.body.message).toBe("Receipt must be at most 8 bytes");
+        });
+
+        it("should reject files sent under another field", async () => {
+            const response = await request(app)
+                .post("/upload")
+                .attach("file", PNG_BYTES, { filename: "receipt.png", contentType: "image/png" });
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe("Upload a single file in the \"receipt\" field");
+        });
+    });
+});
@@ -0,0 +1,90 @@
+import {
+    computeOccurrenceDate,
+    findNextOccurrence,
+    buildRecurrence
+} from "../services/recurringExpense.service.js";
+
+describe("Recurring Expense Service Tests", () => {
+
+    describe("Occurrence dates", () => {
+        it("should add days and weeks", () => {
+            const anchor = new Date("2026-01-10T09:30:00.000Z");
+
+            expect(computeOccurrenceDate(anchor, "daily", 3).toISOString()).toBe("2026-01-13T09:30:00.000Z");
+            expect(computeOccurrenceDate(anchor, "weekly", 2).toISOString()).toBe("2026-01-24T09:30:00.000Z");
+        });
+
+        it("should clamp month ends without drifting", () => {
+            const anchor = new Date("2026-01-31T12:00:00.000Z");
+
+            expect(computeOccurrenceDate(anchor, "monthly", 1).toISOString()).toBe("2026-02-28T12:00:00.000Z");
+            expect(computeOccurrenceDate(anchor, "monthly", 2).toISOString()).toBe("2026-03-31T12:00:00.000Z");
+            expect(computeOccurrenceDate(anchor, "monthly", 3).toISOString()).toBe("2026-04-30T12:00:00.000Z");
+            expect(computeOccurrenceDate(anchor, "monthly", 12).toISOString()).toBe("2027-01-31T12:00:00.000Z");
+        });
+
+        it("should handle leap days in yearly series", () => {
+            const anchor = new Date("2028-02-29T00:00:00.000Z");
+
+            expect(computeOccurrenceDate(anchor, "yearly", 1).toISOString()).toBe("2029-02-28T00:00:00.000Z");
+            expect(computeOccurrenceDate(anchor, "yearly", 4).toISOString()).toBe("2032-02-29T00:00:00.000Z");
+        });
+
+        it("should reject unknown frequencies", () => {
+            expect(() => computeOccurrenceDate(new Date(), "hourly", 1))
+                .toThrow("Recurring frequency must be one of: daily, weekly, monthly, yearly");
+        });
+    });
+
+    describe("Next occurrence", () => {
+        it("should find the first occurrence after a date", () => {
+            const anchor = new Date("2026-01-31T00:00:00.000Z");
+            const { index, date } = findNextOccurrence(anchor, "monthly", new Date("2026-05-15T00:00:00.000Z"));
+
+            expect(index).toBe(4);
+            expect(date.toISOString()).toBe("2026-05-31T00:00:00.000Z");
+        });
+
+        it("should skip an occurrence that falls exactly on the date", () => {
+            const anchor = new Date("2026-01-01T00:00:00.000Z");
+            const { index, date } = findNextOccurrence(anchor, "weekly", new Date("2026-01-15T00:00:00.000Z"));
+
+            expect(index).toBe(3);
+            expect(date.toISOString()).toBe("2026-01-22T00:00:00.000Z");
+        });
+
+        it("should stay exact for long-running daily series", () => {
+            const anchor = new Date("2016-03-01T08:00:00.000Z");
+            const after = new Date("2026-03-01T07:00:00.000Z");
+            const { date } = findNextOccurrence(anchor, "daily", after);
+
+            expect(date.toISOString()).toBe("2026-03-01T08:00:00.000Z");
+        });
+
+        it("should return the first occurrence for dates before it", () => {
+            const anchor = new Date("2026-01-01T00:00:00.000Z");
+            const { index } = findNextOccurrence(anchor, "yearly", new Date("2025-06-01T00:00:00.000Z"));
+
+            expect(index).toBe(1);
+        });
+    });
+
+    describe("New series", () => {
+        it("should schedule the first occurrence after the expense date", () => {
+            const recurrence = buildRecurrence({
+                date: "2026-03-15T00:00:00.000Z",
+                frequency: "monthly",
+                endDate: "2026-12-31T00:00:00.000Z"
+            });
+
+            expect(recurrence.status).toBe("active");
+            expect(recurrence.occurrenceIndex).toBe(1);
+            expect(recurrence.nextOccurrence.toISOString()).toBe("2026-04-15T00:00:00.000Z");
+            expect(recurrence.endDate.toISOString()).toBe("2026-12-31T00:00:00.000Z");
+        });
+
+        it("should leave the end date empty when none is given", () => {
+            expect(buildRecurrence({ date: new Date(), frequency: "daily" }).endDate).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,294 @@
+import request from "supertest";
+import express from "express";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import { addExpenseInAnyCurrency, pauseRecurringExpense, resumeRecurringExpense, endRecurringExpense } from "../controllers/expense.controller.js";
+import { createGroup } from "../controllers/group.controller.js";
+import { auth } from "../middleware/auth.js";
+import User from "../models/user.model.js";
+import Expense from "../models/expense.model.js";
+import { generateDueOccurrences } from "../services/recurringExpense.service.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.post("/api/group/create-group", auth, createGroup);
+app.post("/api/expense/add-expense-in-any-currency", auth, addExpenseInAnyCurrency);
+app.post("/api/expense/:id/recurrence/pause", auth, pauseRecurringExpense);
+app.post("/api/expense/:id/recurrence/resume", auth, resumeRecurringExpense);
+app.post("/api/expense/:id/recurrence/end", auth, endRecurringExpense);
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+    await Expense.syncIndexes();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    await closeDatabase();
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+
+describe("Recurring Expense Tests", () => {
+
+    const createUserAndGetToken = async (emailSuffix = Date.now()) => {
+        const user = await User.create({
+            name: `Test User ${emailSuffix}`,
+            email: `testuser${emailSuffix}@test.com`,
+            password: "password123"
+        });
+
+        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+        return { user, token };
+    };
+
+    const createRecurringExpense = async (token, expenseData = {}) => {
+        return request(app)
+            .post("/api/expense/add-expense-in-any-currency")
+            .set("Authorization", `Bearer ${token}`)
+            .send({
+                title: "Rent",
+                amount: 1200,
+                currency: "USD",
+                category: "Bills & Utilities",
+                date: "2026-01-31T00:00:00.000Z",
+                isRecurring: true,
+                recurringFrequency: "monthly",
+                ...expenseData
+            });
+    };
+
+    describe("Creating a series", () => {
+        it("should schedule the next occurrence", async () => {
+            const { token } = await createUserAndGetToken(1);
+
+            const response = await createRecurringExpense(token);
+
+            expect(response.status).toBe(201);
+            expect(response.body.expense.recurrence.status).toBe("active");
+            expect(new Date(response.body.expense.recurrence.nextOccurrence).toISOString())
+                .toBe("2026-02-28T00:00:00.000Z");
+        });
+
+        it("should reject a missing frequency", async () => {
+            const { token } = await createUserAndGetToken(2);
+
+            const response = await createRecurringExpense(token, { recurringFrequency: undefined });
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe("Recurring frequency must be one of: daily, weekly, monthly, yearly");
+        });
+
+        it("should reject an end date before the expense date", async () => {
+            const { token } = await createUserAndGetToken(3);
+
+            const response = await createRecurringExpense(token, { recurringEndDate: "2025-12-01" });
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe("Recurring end date cannot be before the expense date");
+        });
+    });
+
+    describe("Generating occurrences", () => {
+        it("should create every due occurrence with month ends clamped", async () => {
+            const { token } = await createUserAndGetToken(4);
+            const created = await createRecurringExpense(token);
+
+            const summary = await generateDueOccurrences({ now: new Date("2026-04-30T12:00:00.000Z") });
+
+            expect(summary.created).toBe(3);
+            const occurrences = await Expense.find({ recurringSource: created.body.expense.id }).sort({ occurrenceDate: 1 });
+            expect(occurrences.map(expense => expense.occurrenceDate.toISOString())).toEqual([
+                "2026-02-28T00:00:00.000Z",
+                "2026-03-31T00:00:00.000Z",
+                "2026-04-30T00:00:00.000Z"
+            ]);
+            expect(occurrences[0].amount).toBe(1200);
+            expect(occurrences[0].isRecurring).toBe(false);
+            expect(occurrences[0].exchangeRate.rateToUSD).toBe(1);
+        });
+
+        it("should not create duplicates when run again", async () => {
+            const { token } = await createUserAndGetToken(5);
+            const created = await createRecurringExpense(token);
+            const now = new Date("2026-03-31T12:00:00.000Z");
+
+            await generateDueOccurrences({ now });
+            const secondRun = await generateDueOccurrences({ now });
+
+            expect(secondRun.created).toBe(0);
+            expect(await Expense.countDocuments({ recurringSource: created.body.expense.id })).toBe(2);
+        });
+
+        it("should not create duplicates when runs overlap", async () => {
+            const { token } = await createUserAndGetToken(6);
+            const created = await createRecurringExpense(token);
+            const now = new Date("2026-03-31T12:00:00.000Z");
+
+            await Promise.all([generateDueOccurrences({ now }), generateDueOccurrences({ now })]);
+
+            expect(await Expense.countDocuments({ recurringSource: created.body.expense.id })).toBe(2);
+        });
+
+        it("should end the series after its end date", async () => {
+            const { token } = await createUserAndGetToken(7);
+            const created = await createRecurringExpense(token, { recurringEndDate: "2026-03-15T00:00:00.000Z" });
+
+            const summary = await generateDueOccurrences({ now: new Date("2026-06-01T00:00:00.000Z") });
+
+            expect(summary.created).toBe(1);
+            expect(summary.ended).toBe(1);
+            const series = await Expense.findById(created.body.expense.id);
+            expect(series.recurrence.status).toBe("ended");
+        });
+
+        it("should copy the split to group occurrences", async () => {
+            const { user, token } = await createUserAndGetToken(8);
+            const { user: friend } = await createUserAndGetToken(9);
+            const group = await request(app)
+                .post("/api/group/create-group")
+                .set("Authorization", `Bearer ${token}`)
+                .send({ name: "Flat", description: "Shared flat expenses" });
+            await addGroupMember(group.body.group.id, friend._id);
+
+            const created = await createRecurringExpense(token, {
+                group: group.body.group.id,
+                splitType: "equal",
+                splitDetails: [{ user: user._id.toString() }, { user: friend._id.toString() }]
+            });
+            await generateDueOccurrences({ now: new Date("2026-02-28T12:00:00.000Z") });
+
+            const occurrence = await Expense.findOne({ recurringSource: created.body.expense.id });
+            expect(occurrence.group.toString()).toBe(group.body.group.id);
+            expect(occurrence.splitDetails).toHaveLength(2);
+            expect(occurrence.splitDetails.every(split => split.settled === false)).toBe(true);
+        });
+
+        it("should schedule series created before the scheduler without back-filling", async () => {
+            const { user } = await createUserAndGetToken(10);
+            const legacy = await Expense.create({
+                title: "Gym",
+                amount: 30,
+                currency: "USD",
+                date: new Date("2025-01-01T00:00:00.000Z"),
+                paidBy: user._id,
+                isRecurring: true,
+                recurringFrequency: "monthly"
+            });
+
+            const summary = await generateDueOccurrences({ now: new Date("2026-01-15T00:00:00.000Z") });
+
+            expect(summary.scheduled).toBe(1);
+            expect(summary.created).toBe(0);
+            const series = await Expense.findById(legacy._id);
+            expect(series.recurrence.nextOccurrence.toISOString()).toBe("2026-02-01T00:00:00.000Z");
+        });
+    });
+
+    describe("Pausing, resuming and ending", () => {
+        it("should not create occurrences while paused", async () => {
+            const { token } = await createUserAndGetToken(11);
+            const created = await createRecurringExpense(token);
+
+            const response = await request(app)
+                .post(`/api/expense/${created.body.expense.id}/recurrence/pause`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.series.status).toBe("paused");
+
+            const summary = await generateDueOccurrences({ now: new Date("2026-06-01T00:00:00.000Z") });
+            expect(summary.created).toBe(0);
+        });
+
+        it("should resume from the next date without back-filling", async () => {
+            const { token } = await createUserAndGetToken(12);
+            const created = await createRecurringExpense(token);
+            const id = created.body.expense.id;
+
+            await request(app).post(`/api/expense/${id}/recurrence/pause`).set("Authorization", `Bearer ${token}`);
+            const response = await request(app)
+                .post(`/api/expense/${id}/recurrence/resume`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.series.status).toBe("active");
+            expect(new Date(response.body.series.nextOccurrence).getTime()).toBeGreaterThan(Date.now());
+
+            const summary = await generateDueOccurrences();
+            expect(summary.created).toBe(0);
+        });
+
+        it("should end a series when called on one of its occurrences", async () => {
+            const { token } = await createUserAndGetToken(13);
+            const created = await createRecurringExpense(token);
+            await generateDueOccurrences({ now: new Date("2026-02-28T12:00:00.000Z") });
+            const occurrence = await Expense.findOne({ recurringSource: created.body.expense.id });
+
+            const response = await request(app)
+                .post(`/api/expense/${occurrence._id}/recurrence/end`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.series.id).toBe(created.body.expense.id);
+            expect(response.body.series.status).toBe("ended");
+            expect(await Expense.countDocuments({ recurringSource: created.body.expense.id })).toBe(1);
+        });
+
+        it("should reject invalid transitions", async () => {
+            const { token } = await createUserAndGetToken(14);
+            const created = await createRecurringExpense(token);
+            const id = created.body.expense.id;
+
+            const resume = await request(app)
+                .post(`/api/expense/${id}/recurrence/resume`)
+                .set("Authorization", `Bearer ${token}`);
+            expect(resume.status).toBe(400);
+            expect(resume.body.message).toBe("Only paused series can be resumed (this series is active)");
+
+            await request(app).post(`/api/expense/${id}/recurrence/end`).set("Authorization", `Bearer ${token}`);
+            const endAgain = await request(app)
+                .post(`/api/expense/${id}/recurrence/end`)
+                .set("Authorization", `Bearer ${token}`);
+            expect(endAgain.status).toBe(400);
+            expect(endAgain.body.message).toBe("This series has already ended");
+        });
+
+        it("should reject expenses that do not recur", async () => {
+            const { token } = await createUserAndGetToken(15);
+            const created = await createRecurringExpense(token, { isRecurring: false, recurringFrequency: undefined });
+
+            const response = await request(app)
+                .post(`/api/expense/${created.body.expense.id}/recurrence/pause`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe("This expense is not part of a recurring series");
+        });
+
+        it("should not let other users manage a personal series", async () => {
+            const { token } = await createUserAndGetToken(16);
+            const { token: otherToken } = await createUserAndGetToken(17);
+            const created = await createRecurringExpense(token);
+
+            const response = await request(app)
+                .post(`/api/expense/${created.body.expense.id}/recurrence/pause`)
+                .set("Authorization", `Bearer ${otherToken}`);
+
+            expect(response.status).toBe(403);
+        });
+    });
+});
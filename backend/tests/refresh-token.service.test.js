@@ -0,0 +1,52 @@
+import {
+    DEFAULT_REFRESH_TOKEN_TTL_DAYS,
+    getRefreshTokenTtlMs,
+    hashRefreshToken
+} from "../services/refreshToken.service.js";
+
+describe("Refresh Token Service Tests", () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        delete process.env.REFRESH_TOKEN_TTL_DAYS;
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    describe("hashRefreshToken()", () => {
+        it("should hash the same token the same way", () => {
+            expect(hashRefreshToken("abc")).toBe(hashRefreshToken("abc"));
+            expect(hashRefreshToken("abc")).not.toBe(hashRefreshToken("abd"));
+        });
+
+        it("should not store the token itself", () => {
+            const hash = hashRefreshToken("some-refresh-token");
+
+            expect(hash).not.toContain("some-refresh-token");
+            expect(hash).toMatch(/^[0-9a-f]{64}$/);
+        });
+    });
+
+    describe("getRefreshTokenTtlMs()", () => {
+        it("should default to a week", () => {
+            expect(DEFAULT_REFRESH_TOKEN_TTL_DAYS).toBe(7);
+            expect(getRefreshTokenTtlMs()).toBe(7 * 24 * 60 * 60 * 1000);
+        });
+
+        it("should read REFRESH_TOKEN_TTL_DAYS", () => {
+            process.env.REFRESH_TOKEN_TTL_DAYS = "30";
+
+            expect(getRefreshTokenTtlMs()).toBe(30 * 24 * 60 * 60 * 1000);
+        });
+
+        it("should ignore invalid values", () => {
+            process.env.REFRESH_TOKEN_TTL_DAYS = "-1";
+            expect(getRefreshTokenTtlMs()).toBe(7 * 24 * 60 * 60 * 1000);
+
+            process.env.REFRESH_TOKEN_TTL_DAYS = "soon";
+            expect(getRefreshTokenTtlMs()).toBe(7 * 24 * 60 * 60 * 1000);
+        });
+    });
+});
@@ -3,11 +3,13 @@ import express from "express";
 import mongoose from "mongoose";
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
-import { removeUserFromGroup, createGroup, inviteUserToGroup } from "../controllers/group.controller.js";
+import { removeUserFromGroup, createGroup } from "../controllers/group.controller.js";
 import { auth } from "../middleware/auth.js";
+import { requireGroupPermission } from "../middleware/groupPermission.js";
 import Group from "../models/group.model.js";
 import User from "../models/user.model.js";
 import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
 
 
 process.env.NODE_ENV = 'test';
@@ -17,8 +19,7 @@ dotenv.config();
 const app = express();
 app.use(express.json());
 app.post("/api/group/create-group", auth, createGroup);
-app.post("/api/group/invite-user-to-group/:groupId", auth, inviteUserToGroup);
-app.post("/api/group/remove-user-from-group/:groupId", auth, removeUserFromGroup);
+app.post("/api/group/remove-user-from-group/:groupId", auth, requireGroupPermission("members:remove"), removeUserFromGroup);
 
 // Connect to in-memory database
 beforeAll(async () => {
@@ -70,13 +71,6 @@ describe("Remove User From Group Controller Tests", () => {
         return response.body.group;
     };
 
-    const inviteUserToTestGroup = async (groupId, userId, creatorToken) => {
-        await request(app)
-            .post(`/api/group/invite-user-to-group/${groupId}`)
-            .set("Authorization", `Bearer ${creatorToken}`)
-            .send({ userId: userId.toString() });
-    };
-
 
 
     describe("Success Cases", () => {
@@ -86,7 +80,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(2);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -106,8 +100,8 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member2 } = await createUserAndGetToken(5);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member1._id, creatorToken);
-            await inviteUserToTestGroup(group.id, member2._id, creatorToken);
+            await addGroupMember(group.id, member1._id);
+            await addGroupMember(group.id, member2._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -124,7 +118,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(7);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -145,9 +139,9 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member3 } = await createUserAndGetToken(11);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member1._id, creatorToken);
-            await inviteUserToTestGroup(group.id, member2._id, creatorToken);
-            await inviteUserToTestGroup(group.id, member3._id, creatorToken);
+            await addGroupMember(group.id, member1._id);
+            await addGroupMember(group.id, member2._id);
+            await addGroupMember(group.id, member3._id);
 
             // Remove first member
             await request(app)
@@ -175,8 +169,8 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member2 } = await createUserAndGetToken(14);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member1._id, creatorToken);
-            await inviteUserToTestGroup(group.id, member2._id, creatorToken);
+            await addGroupMember(group.id, member1._id);
+            await addGroupMember(group.id, member2._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -184,7 +178,7 @@ describe("Remove User From Group Controller Tests", () => {
                 .send({ userId: member2._id.toString() })
                 .expect(403);
 
-            expect(response.body.message).toBe("Only group creator can remove users");
+            expect(response.body.message).toBe("Only group owners and admins can remove users");
         });
 
         it("should return 403 if regular member tries to remove themselves", async () => {
@@ -192,7 +186,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member, token: memberToken } = await createUserAndGetToken(16);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -200,7 +194,7 @@ describe("Remove User From Group Controller Tests", () => {
                 .send({ userId: member._id.toString() })
                 .expect(403);
 
-            expect(response.body.message).toBe("Only group creator can remove users");
+            expect(response.body.message).toBe("Only group owners and admins can remove users");
         });
 
         it("should return 403 if non-member tries to remove user", async () => {
@@ -209,7 +203,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { token: outsiderToken } = await createUserAndGetToken(19);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -217,7 +211,7 @@ describe("Remove User From Group Controller Tests", () => {
                 .send({ userId: member._id.toString() })
                 .expect(403);
 
-            expect(response.body.message).toBe("Only group creator can remove users");
+            expect(response.body.message).toBe("You are not a member of this group");
         });
 
         it("should allow creator to remove any member", async () => {
@@ -225,7 +219,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(21);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -244,7 +238,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(23);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -259,7 +253,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(25);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -275,7 +269,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(27);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const expiredToken = jwt.sign(
                 { id: creator._id },
@@ -395,7 +389,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(37);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -411,7 +405,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(39);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             // First removal
             await request(app)
@@ -439,7 +433,7 @@ describe("Remove User From Group Controller Tests", () => {
             for (let i = 0; i < 10; i++) {
                 const { user } = await createUserAndGetToken(100 + i);
                 members.push(user);
-                await inviteUserToTestGroup(group.id, user._id, creatorToken);
+                await addGroupMember(group.id, user._id);
             }
 
             // Remove one member
@@ -459,8 +453,8 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member2 } = await createUserAndGetToken(43);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member1._id, creatorToken);
-            await inviteUserToTestGroup(group.id, member2._id, creatorToken);
+            await addGroupMember(group.id, member1._id);
+            await addGroupMember(group.id, member2._id);
 
             const [response1, response2] = await Promise.all([
                 request(app)
@@ -485,7 +479,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(45);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -504,7 +498,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(47);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -519,7 +513,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(49);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             const response = await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -541,7 +535,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(51);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -559,7 +553,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(53);
             const group = await createTestGroup(creatorToken);
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
@@ -577,7 +571,7 @@ describe("Remove User From Group Controller Tests", () => {
             const { user: member } = await createUserAndGetToken(55);
             const group = await createTestGroup(creatorToken, "Preserve Test Group");
 
-            await inviteUserToTestGroup(group.id, member._id, creatorToken);
+            await addGroupMember(group.id, member._id);
 
             await request(app)
                 .post(`/api/group/remove-user-from-group/${group.id}`)
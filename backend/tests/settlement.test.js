@@ -6,6 +6,8 @@ import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
 import Group from "../models/group.model.js";
 import Expense from "../models/expense.model.js";
+import Settlement from "../models/settlement.model.js";
+import CurrencyRate from "../models/currency.model.js";
 import settlementRouter from "../routes/settlement.route.js";
 import { auth } from "../middleware/auth.js";
 import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
@@ -509,6 +511,36 @@ describe("Settlement Controller Tests", () => {
             expect(response.body.settlements.length).toBe(0);
         });
 
+        it("should settle every cent when an amount does not divide evenly", async () => {
+            await Expense.create({
+                title: "Taxi",
+                amount: 100,
+                currency: "USD",
+                category: "Transportation",
+                paidBy: user1._id,
+                group: group._id,
+                splitType: "equal",
+                splitDetails: [
+                    { user: user1._id, amount: 33.34 },
+                    { user: user2._id, amount: 33.33 },
+                    { user: user3._id, amount: 33.33 }
+                ]
+            });
+
+            const response = await request(app)
+                .get(`/api/settlement/${group._id}/plan`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            const balanceCents = Object.values(response.body.balances)
+                .reduce((sum, balance) => sum + Math.round(balance.balanceUSD * 100), 0);
+            expect(balanceCents).toBe(0);
+
+            const settledCents = response.body.settlements
+                .reduce((sum, settlement) => sum + Math.round(settlement.amountUSD * 100), 0);
+            expect(settledCents).toBe(6666);
+        });
+
         it("should handle large amounts", async () => {
             await Expense.create({
                 title: "Large Expense",
@@ -532,4 +564,161 @@ describe("Settlement Controller Tests", () => {
             expect(response.body.totalAmountUSD).toBe(1000000);
         });
     });
+
+    describe("Repayments in Settlement Plan", () => {
+
+        beforeEach(async () => {
+            // User1 pays $90, split equally between all three members
+            await Expense.create({
+                title: "Groceries",
+                amount: 90,
+                currency: "USD",
+                category: "Groceries",
+                paidBy: user1._id,
+                group: group._id,
+                splitType: "equal",
+                splitDetails: [
+                    { user: user1._id, amount: 30 },
+                    { user: user2._id, amount: 30 },
+                    { user: user3._id, amount: 30 }
+                ]
+            });
+        });
+
+        it("should deduct completed settlements from the plan", async () => {
+            await Settlement.create({
+                group: group._id,
+                from: user2._id,
+                to: user1._id,
+                amount: 30,
+                currency: "USD",
+                amountUSD: 30,
+                status: "completed",
+                completedAt: new Date()
+            });
+
+            const response = await request(app)
+                .get(`/api/settlement/${group._id}/plan`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.repaymentsApplied).toBe(1);
+            expect(response.body.totalRepaidUSD).toBe(30);
+            expect(response.body.balances[user2._id.toString()]).toBeUndefined();
+            expect(response.body.balances[user1._id.toString()].balanceUSD).toBe(30);
+            expect(response.body.settlements.length).toBe(1);
+            expect(response.body.settlements[0].from.user.id).toBe(user3._id.toString());
+        });
+
+        it("should ignore pending and verified settlements by default", async () => {
+            await Settlement.create({
+                group: group._id,
+                from: user2._id,
+                to: user1._id,
+                amount: 30,
+                currency: "USD",
+                amountUSD: 30,
+                status: "verified",
+                verifiedBy: user2._id,
+                verifiedAt: new Date()
+            });
+
+            const response = await request(app)
+                .get(`/api/settlement/${group._id}/plan`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.repaymentsApplied).toBe(0);
+            expect(response.body.settlements.length).toBe(2);
+        });
+
+        it("should include verified settlements when requested", async () => {
+            await Settlement.create({
+                group: group._id,
+                from: user2._id,
+                to: user1._id,
+                amount: 30,
+                currency: "USD",
+                amountUSD: 30,
+                status: "verified",
+                verifiedBy: user2._id,
+                verifiedAt: new Date()
+            });
+
+            const response = await request(app)
+                .get(`/api/settlement/${group._id}/plan?includeVerified=true`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.repaymentsApplied).toBe(1);
+            expect(response.body.settlements.length).toBe(1);
+        });
+
+        it("should return no settlements once every debt is repaid", async () => {
+            await Settlement.insertMany([user2, user3].map(user => ({
+                group: group._id,
+                from: user._id,
+                to: user1._id,
+                amount: 30,
+                currency: "USD",
+                amountUSD: 30,
+                status: "completed",
+                completedAt: new Date()
+            })));
+
+            const response = await request(app)
+                .get(`/api/settlement/${group._id}/plan`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.settlements).toEqual([]);
+            expect(response.body.balances).toEqual({});
+        });
+    });
+
+    describe("Locked Exchange Rates", () => {
+
+        const createEuroExpense = (extra = {}) => Expense.create({
+            title: "Museum tickets",
+            amount: 60,
+            currency: "EUR",
+            category: "Entertainment",
+            paidBy: user1._id,
+            group: group._id,
+            splitType: "equal",
+            splitDetails: [
+                { user: user1._id, amount: 30 },
+                { user: user2._id, amount: 30 }
+            ],
+            ...extra
+        });
+
+        it("should value expenses at the rate locked in when they were recorded", async () => {
+            await createEuroExpense({ exchangeRate: { rateToUSD: 1.5, source: "http" } });
+
+            const response = await request(app)
+                .get(`/api/settlement/${group._id}/plan`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.totalAmountUSD).toBe(90);
+            expect(response.body.settlements.length).toBe(1);
+            expect(response.body.settlements[0].amountUSD).toBe(45);
+        });
+
+        it("should use the snapshot closest to the expense date when no rate was locked", async () => {
+            await CurrencyRate.create([
+                { source: "http", fetchedAt: new Date("2025-06-01"), rates: { EUR: { code: "EUR", rate: 1.2 } } },
+                { source: "http", fetchedAt: new Date("2025-09-01"), rates: { EUR: { code: "EUR", rate: 1.5 } } }
+            ]);
+            await createEuroExpense({ date: new Date("2025-06-03") });
+
+            const response = await request(app)
+                .get(`/api/settlement/${group._id}/plan`)
+                .set("Authorization", `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.settlements[0].amountUSD).toBe(36);
+        });
+    });
 });
@@ -0,0 +1,11 @@
+import Group from "../../models/group.model.js";
+
+/**
+ * Add a user straight to a group, for tests that need members but are not about invitations.
+ */
+export const addGroupMember = async (groupId, userId, role = "member") => {
+    await Group.updateOne(
+        { _id: groupId, members: { $ne: userId } },
+        { $addToSet: { members: userId }, $push: { memberRoles: { user: userId, role } } }
+    );
+};
@@ -0,0 +1,185 @@
+import mongoose from "mongoose";
+import { computeSplitDetails } from "../services/split.service.js";
+
+describe("Split Service Tests", () => {
+    const alice = new mongoose.Types.ObjectId().toString();
+    const bob = new mongoose.Types.ObjectId().toString();
+    const carol = new mongoose.Types.ObjectId().toString();
+
+    const sumOf = (splitDetails) => splitDetails.reduce((sum, split) => sum + Math.round(split.amount * 100), 0);
+
+    describe("splitType: none", () => {
+        it("should return no split details", () => {
+            const result = computeSplitDetails({ amount: 100, splitType: "none", splitDetails: [{ user: alice }] });
+            expect(result).toEqual([]);
+        });
+    });
+
+    describe("splitType: equal", () => {
+        it("should divide the amount evenly", () => {
+            const result = computeSplitDetails({
+                amount: 90,
+                splitType: "equal",
+                splitDetails: [{ user: alice }, { user: bob }, { user: carol }]
+            });
+
+            expect(result.map(split => split.amount)).toEqual([30, 30, 30]);
+        });
+
+        it("should give remainder cents to the first participants in order", () => {
+            const result = computeSplitDetails({
+                amount: 100,
+                splitType: "equal",
+                splitDetails: [{ user: alice }, { user: bob }, { user: carol }]
+            });
+
+            expect(result.map(split => split.amount)).toEqual([33.34, 33.33, 33.33]);
+            expect(sumOf(result)).toBe(10000);
+        });
+
+        it("should use the precision of the expense currency", () => {
+            const result = computeSplitDetails({
+                amount: 1000,
+                currency: "JPY",
+                splitType: "equal",
+                splitDetails: [{ user: alice }, { user: bob }, { user: carol }]
+            });
+
+            expect(result.map(split => split.amount)).toEqual([334, 333, 333]);
+        });
+
+        it("should ignore amounts sent by the client", () => {
+            const result = computeSplitDetails({
+                amount: 10,
+                splitType: "equal",
+                splitDetails: [{ user: alice, amount: 9 }, { user: bob, amount: 1 }]
+            });
+
+            expect(result.map(split => split.amount)).toEqual([5, 5]);
+        });
+
+        it("should ignore a settled flag sent by the client", () => {
+            const result = computeSplitDetails({
+                amount: 10,
+                splitType: "equal",
+                splitDetails: [{ user: alice, settled: true }, { user: bob }]
+            });
+
+            expect(result[0].settled).toBe(false);
+            expect(result[1].settled).toBe(false);
+        });
+    });
+
+    describe("splitType: percentage", () => {
+        it("should derive amounts from percentages", () => {
+            const result = computeSplitDetails({
+                amount: 200,
+                splitType: "percentage",
+                splitDetails: [{ user: alice, percentage: 25 }, { user: bob, percentage: 75 }]
+            });
+
+            expect(result).toEqual([
+                { user: alice, amount: 50, percentage: 25, settled: false },
+                { user: bob, amount: 150, percentage: 75, settled: false }
+            ]);
+        });
+
+        it("should always add up to the expense amount", () => {
+            const result = computeSplitDetails({
+                amount: 10,
+                splitType: "percentage",
+                splitDetails: [
+                    { user: alice, percentage: 33.33 },
+                    { user: bob, percentage: 33.33 },
+                    { user: carol, percentage: 33.34 }
+                ]
+            });
+
+            expect(sumOf(result)).toBe(1000);
+        });
+
+        it("should reject percentages that do not add up to 100", () => {
+            expect(() => computeSplitDetails({
+                amount: 100,
+                splitType: "percentage",
+                splitDetails: [{ user: alice, percentage: 50 }, { user: bob, percentage: 40 }]
+            })).toThrow("Percentages must add up to 100 (got 90)");
+        });
+
+        it("should reject missing or invalid percentages", () => {
+            expect(() => computeSplitDetails({
+                amount: 100,
+                splitType: "percentage",
+                splitDetails: [{ user: alice, percentage: 100 }, { user: bob }]
+            })).toThrow("Each percentage must be a number greater than 0 and at most 100");
+        });
+    });
+
+    describe("splitType: custom", () => {
+        it("should keep custom amounts that add up to the total", () => {
+            const result = computeSplitDetails({
+                amount: 100,
+                splitType: "custom",
+                splitDetails: [{ user: alice, amount: 33.33 }, { user: bob, amount: 66.67 }]
+            });
+
+            expect(result.map(split => split.amount)).toEqual([33.33, 66.67]);
+        });
+
+        it("should reject custom amounts that do not add up to the total", () => {
+            expect(() => computeSplitDetails({
+                amount: 100,
+                splitType: "custom",
+                splitDetails: [{ user: alice, amount: 30 }, { user: bob, amount: 60 }]
+            })).toThrow("Custom split amounts must add up to the expense amount (100, got 90)");
+        });
+
+        it("should reject missing custom amounts", () => {
+            expect(() => computeSplitDetails({
+                amount: 100,
+                splitType: "custom",
+                splitDetails: [{ user: alice, amount: 100 }, { user: bob }]
+            })).toThrow("Each custom split amount must be a number of at least 0");
+        });
+    });
+
+    describe("Validation", () => {
+        it("should reject unknown split types", () => {
+            expect(() => computeSplitDetails({
+                amount: 100,
+                splitType: "shares",
+                splitDetails: [{ user: alice }]
+            })).toThrow("Split type must be one of: equal, percentage, custom, none");
+        });
+
+        it("should require split details", () => {
+            expect(() => computeSplitDetails({ amount: 100, splitType: "equal", splitDetails: [] }))
+                .toThrow("Split details are required when split type is not 'none'");
+        });
+
+        it("should reject entries without a valid user", () => {
+            expect(() => computeSplitDetails({
+                amount: 100,
+                splitType: "equal",
+                splitDetails: [{ userId: alice }]
+            })).toThrow("Each split entry must have a valid user ID");
+        });
+
+        it("should reject duplicate users", () => {
+            expect(() => computeSplitDetails({
+                amount: 100,
+                splitType: "equal",
+                splitDetails: [{ user: alice }, { user: alice }]
+            })).toThrow("A user can only appear once in split details");
+        });
+
+        it("should reject users outside the group", () => {
+            expect(() => computeSplitDetails({
+                amount: 100,
+                splitType: "equal",
+                splitDetails: [{ user: alice }, { user: carol }],
+                memberIds: [alice, bob]
+            })).toThrow("All users in split details must be members of the group");
+        });
+    });
+});
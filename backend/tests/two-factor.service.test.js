@@ -0,0 +1,175 @@
+import jwt from "jsonwebtoken";
+import {
+    TOTP_STEP_SECONDS,
+    buildOtpauthUri,
+    createTwoFactorChallenge,
+    decodeBase32,
+    decryptTotpSecret,
+    encodeBase32,
+    encryptTotpSecret,
+    generateRecoveryCodes,
+    generateTotp,
+    generateTotpSecret,
+    getTotpStep,
+    hashRecoveryCode,
+    verifyTotp,
+    verifyTwoFactorChallenge
+} from "../services/twoFactor.service.js";
+
+// Secret of the RFC 6238 test vectors, "12345678901234567890" in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("Two-Factor Service Tests", () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.JWT_SECRET = "test_secret_for_two_factor";
+        delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+        delete process.env.TWO_FACTOR_ISSUER;
+        delete process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES;
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    describe("Base32", () => {
+        it("should encode and decode the RFC secret", () => {
+            expect(encodeBase32(Buffer.from("12345678901234567890"))).toBe(RFC_SECRET);
+            expect(decodeBase32(RFC_SECRET).toString()).toBe("12345678901234567890");
+        });
+
+        it("should ignore case, spaces and padding when decoding", () => {
+            expect(decodeBase32("gezd gnbv gy3t qojq====").toString()).toBe("1234567890");
+        });
+
+        it("should reject characters outside the alphabet", () => {
+            expect(() => decodeBase32("GEZD1")).toThrow("Invalid base32 secret");
+        });
+
+        it("should generate 160 bit secrets", () => {
+            const secret = generateTotpSecret();
+
+            expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(decodeBase32(secret)).toHaveLength(20);
+            expect(generateTotpSecret()).not.toBe(secret);
+        });
+    });
+
+    describe("Codes", () => {
+        it.each([
+            [59, "287082"],
+            [1111111109, "081804"],
+            [1234567890, "005924"],
+            [2000000000, "279037"]
+        ])("should match the RFC 6238 vector at %i seconds", (seconds, code) => {
+            expect(generateTotp(RFC_SECRET, { step: getTotpStep(seconds * 1000) })).toBe(code);
+        });
+
+        it("should accept the current code and return its step", () => {
+            const time = 1234567890 * 1000;
+
+            expect(verifyTotp(RFC_SECRET, "005924", { time })).toBe(getTotpStep(time));
+            expect(verifyTotp(RFC_SECRET, "005 924", { time })).toBe(getTotpStep(time));
+        });
+
+        it("should accept codes from one step before or after", () => {
+            const time = 1234567890 * 1000;
+            const step = getTotpStep(time);
+
+            expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { step: step - 1 }), { time })).toBe(step - 1);
+            expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { step: step + 1 }), { time })).toBe(step + 1);
+        });
+
+        it("should reject codes from further away", () => {
+            const time = 1234567890 * 1000;
+
+            expect(verifyTotp(RFC_SECRET, "005924", { time: time + 3 * TOTP_STEP_SECONDS * 1000 })).toBeNull();
+        });
+
+        it("should reject codes that are not six digits", () => {
+            expect(verifyTotp(RFC_SECRET, "", {})).toBeNull();
+            expect(verifyTotp(RFC_SECRET, "12345", {})).toBeNull();
+            expect(verifyTotp(RFC_SECRET, "abcdef", {})).toBeNull();
+        });
+    });
+
+    describe("Provisioning URI", () => {
+        it("should describe the account for authenticator apps", () => {
+            const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: "user@test.com" }));
+
+            expect(uri.protocol).toBe("otpauth:");
+            expect(uri.host).toBe("totp");
+            expect(decodeURIComponent(uri.pathname)).toBe("/FinterHub:user@test.com");
+            expect(uri.searchParams.get("secret")).toBe(RFC_SECRET);
+            expect(uri.searchParams.get("issuer")).toBe("FinterHub");
+            expect(uri.searchParams.get("digits")).toBe("6");
+            expect(uri.searchParams.get("period")).toBe("30");
+        });
+
+        it("should use the issuer from TWO_FACTOR_ISSUER", () => {
+            process.env.TWO_FACTOR_ISSUER = "Finter Hub Staging";
+
+            const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: "user@test.com" });
+
+            expect(uri).toContain("otpauth://totp/Finter%20Hub%20Staging:user%40test.com?");
+            expect(new URL(uri).searchParams.get("issuer")).toBe("Finter Hub Staging");
+        });
+    });
+
+    describe("Secret Encryption", () => {
+        it("should decrypt what it encrypted", () => {
+            const stored = encryptTotpSecret(RFC_SECRET);
+
+            expect(stored).not.toContain(RFC_SECRET);
+            expect(decryptTotpSecret(stored)).toBe(RFC_SECRET);
+            expect(encryptTotpSecret(RFC_SECRET)).not.toBe(stored);
+        });
+
+        it("should refuse a secret encrypted under another key", () => {
+            const stored = encryptTotpSecret(RFC_SECRET);
+            process.env.TWO_FACTOR_ENCRYPTION_KEY = "another_key";
+
+            expect(() => decryptTotpSecret(stored)).toThrow();
+        });
+    });
+
+    describe("Recovery Codes", () => {
+        it("should generate distinct codes", () => {
+            const codes = generateRecoveryCodes();
+
+            expect(codes).toHaveLength(10);
+            expect(new Set(codes).size).toBe(10);
+            codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}$/));
+        });
+
+        it("should hash codes regardless of case, spaces and dashes", () => {
+            expect(hashRecoveryCode("3F9A C21B 7D04")).toBe(hashRecoveryCode("3f9a-c21b-7d04"));
+            expect(hashRecoveryCode("3f9a-c21b-7d04")).not.toBe(hashRecoveryCode("3f9a-c21b-7d05"));
+        });
+    });
+
+    describe("Login Challenges", () => {
+        it("should return the user of a valid challenge", () => {
+            const challenge = createTwoFactorChallenge("507f1f77bcf86cd799439011");
+
+            expect(verifyTwoFactorChallenge(challenge)).toBe("507f1f77bcf86cd799439011");
+        });
+
+        it("should not be usable as an access token", () => {
+            const challenge = createTwoFactorChallenge("507f1f77bcf86cd799439011");
+
+            expect(() => jwt.verify(challenge, process.env.JWT_SECRET)).toThrow();
+        });
+
+        it("should refuse access tokens and expired challenges", () => {
+            const accessToken = jwt.sign({ id: "507f1f77bcf86cd799439011" }, process.env.JWT_SECRET);
+            process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES = "0.001";
+            const expired = createTwoFactorChallenge("507f1f77bcf86cd799439011");
+
+            expect(verifyTwoFactorChallenge(accessToken)).toBeNull();
+            expect(verifyTwoFactorChallenge(expired)).toBeNull();
+            expect(verifyTwoFactorChallenge("")).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,302 @@
+import request from "supertest";
+import express from "express";
+import dotenv from "dotenv";
+import cookieParser from "cookie-parser";
+import authRouter from "../routes/auth.route.js";
+import User from "../models/user.model.js";
+import LoginEvent from "../models/loginEvent.model.js";
+import { createMemoryTransport, setMailTransport } from "../services/mailer.service.js";
+import { createMemoryRateLimitStore, setRateLimitStore } from "../services/rateLimit.service.js";
+import { generateTotp, getTotpStep } from "../services/twoFactor.service.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/auth", authRouter);
+
+// Connect to in-memory database, keeping verification emails from signup out of the log
+beforeAll(async () => {
+    setMailTransport(createMemoryTransport());
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    setMailTransport(null);
+    setRateLimitStore(null);
+    await closeDatabase();
+});
+
+beforeEach(() => {
+    setRateLimitStore(createMemoryRateLimitStore());
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+// Code for the step before, at or after now, so one test can use up to three codes
+const codeAt = (secret, offset) => generateTotp(secret, { step: getTotpStep() + offset });
+
+const signup = async (suffix) => {
+    const userData = {
+        name: `Two Factor User ${suffix}`,
+        email: `twofactor${suffix}@test.com`,
+        password: "password123"
+    };
+    const response = await request(app).post("/api/auth/signup").send(userData);
+    return { ...userData, token: response.body.token, userId: response.body.user.id };
+};
+
+const post = (path, token, body = {}) => {
+    return request(app).post(`/api/auth${path}`).set("Authorization", `Bearer ${token}`).send(body);
+};
+
+// Sign up and turn two-factor authentication on, confirming with the code of the previous step
+const signupWithTwoFactor = async (suffix) => {
+    const user = await signup(suffix);
+    const setup = await post("/2fa/setup", user.token).expect(200);
+    const enabled = await post("/2fa/enable", user.token, { code: codeAt(setup.body.secret, -1) }).expect(200);
+    return { ...user, secret: setup.body.secret, recoveryCodes: enabled.body.recoveryCodes };
+};
+
+const startLogin = async ({ email, password }) => {
+    const response = await request(app).post("/api/auth/login").send({ email, password }).expect(200);
+    return response.body.challengeToken;
+};
+
+describe("Two-Factor Enrollment Tests", () => {
+
+    it("should return a secret and a provisioning URI without enabling anything yet", async () => {
+        const { token, email, userId } = await signup(1);
+
+        const response = await post("/2fa/setup", token).expect(200);
+
+        expect(response.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(response.body.otpauthUri).toContain(`secret=${response.body.secret}`);
+        expect(response.body.otpauthUri).toContain(encodeURIComponent(email));
+
+        const stored = await User.findById(userId).lean();
+        expect(stored.twoFactor.enabled).toBe(false);
+        expect(stored.twoFactor.pendingSecret).toBeTruthy();
+        expect(stored.twoFactor.pendingSecret).not.toContain(response.body.secret);
+    });
+
+    it("should enable two-factor authentication with a valid code", async () => {
+        const { token, userId } = await signup(2);
+        const setup = await post("/2fa/setup", token).expect(200);
+
+        const response = await post("/2fa/enable", token, { code: codeAt(setup.body.secret, 0) }).expect(200);
+
+        expect(response.body.recoveryCodes).toHaveLength(10);
+
+        const stored = await User.findById(userId).lean();
+        expect(stored.twoFactor.enabled).toBe(true);
+        expect(stored.twoFactor.pendingSecret).toBeNull();
+        expect(stored.twoFactor.recoveryCodes).toHaveLength(10);
+        expect(stored.twoFactor.recoveryCodes.map(item => item.hash)).not.toContain(response.body.recoveryCodes[0]);
+
+        const profile = await request(app).get("/api/auth/profile").set("Authorization", `Bearer ${token}`).expect(200);
+        expect(profile.body.user.twoFactorEnabled).toBe(true);
+        expect(profile.body.user.twoFactor).toBeUndefined();
+    });
+
+    it("should reject wrong codes and enabling without a setup", async () => {
+        const { token } = await signup(3);
+
+        const withoutSetup = await post("/2fa/enable", token, { code: "123456" }).expect(400);
+        expect(withoutSetup.body.message).toBe("Start the two-factor setup first");
+
+        const setup = await post("/2fa/setup", token).expect(200);
+        const missing = await post("/2fa/enable", token, {}).expect(400);
+        expect(missing.body.message).toBe("Code is required");
+
+        const wrong = await post("/2fa/enable", token, { code: codeAt(setup.body.secret, 5) }).expect(400);
+        expect(wrong.body.message).toBe("Invalid two-factor code");
+    });
+
+    it("should only confirm the latest setup", async () => {
+        const { token } = await signup(4);
+        const first = await post("/2fa/setup", token).expect(200);
+        await post("/2fa/setup", token).expect(200);
+
+        await post("/2fa/enable", token, { code: codeAt(first.body.secret, 0) }).expect(400);
+    });
+
+    it("should refuse a new setup while enabled", async () => {
+        const { token } = await signupWithTwoFactor(5);
+
+        const response = await post("/2fa/setup", token).expect(400);
+
+        expect(response.body.message).toBe("Two-factor authentication is already enabled");
+    });
+});
+
+describe("Two-Factor Login Tests", () => {
+
+    it("should ask for a code instead of starting a session", async () => {
+        const user = await signupWithTwoFactor(10);
+
+        const response = await request(app)
+            .post("/api/auth/login")
+            .send({ email: user.email, password: user.password })
+            .expect(200);
+
+        expect(response.body.twoFactorRequired).toBe(true);
+        expect(response.body.challengeToken).toBeTruthy();
+        expect(response.body.expiresIn).toBe(300);
+        expect(response.body.token).toBeUndefined();
+        expect(response.headers["set-cookie"]).toBeUndefined();
+    });
+
+    it("should not accept the challenge as an access token", async () => {
+        const user = await signupWithTwoFactor(11);
+        const challengeToken = await startLogin(user);
+
+        await request(app).get("/api/auth/profile").set("Authorization", `Bearer ${challengeToken}`).expect(401);
+    });
+
+    it("should finish the login with a code", async () => {
+        const user = await signupWithTwoFactor(12);
+        const challengeToken = await startLogin(user);
+
+        const response = await request(app)
+            .post("/api/auth/2fa/verify")
+            .send({ challengeToken, code: codeAt(user.secret, 0) })
+            .expect(200);
+
+        expect(response.body.token).toBeTruthy();
+        expect(response.body.user.email).toBe(user.email);
+        expect(response.headers["set-cookie"].some(cookie => cookie.startsWith("refreshToken="))).toBe(true);
+
+        await request(app).get("/api/auth/profile").set("Authorization", `Bearer ${response.body.token}`).expect(200);
+    });
+
+    it("should not accept the same code twice", async () => {
+        const user = await signupWithTwoFactor(13);
+        const code = codeAt(user.secret, 0);
+
+        await request(app).post("/api/auth/2fa/verify").send({ challengeToken: await startLogin(user), code }).expect(200);
+
+        const response = await request(app)
+            .post("/api/auth/2fa/verify")
+            .send({ challengeToken: await startLogin(user), code })
+            .expect(401);
+        expect(response.body.message).toBe("Invalid two-factor code");
+    });
+
+    it("should finish the login with a recovery code, only once", async () => {
+        const user = await signupWithTwoFactor(14);
+        const recoveryCode = user.recoveryCodes[0].toUpperCase();
+
+        const response = await request(app)
+            .post("/api/auth/2fa/verify")
+            .send({ challengeToken: await startLogin(user), recoveryCode })
+            .expect(200);
+        expect(response.body.recoveryCodesRemaining).toBe(9);
+
+        await request(app)
+            .post("/api/auth/2fa/verify")
+            .send({ challengeToken: await startLogin(user), recoveryCode })
+            .expect(401);
+    });
+
+    it("should reject invalid challenges", async () => {
+        const user = await signupWithTwoFactor(15);
+
+        const missing = await request(app).post("/api/auth/2fa/verify").send({ code: "123456" }).expect(400);
+        expect(missing.body.message).toBe("Challenge token and a two-factor or recovery code are required");
+
+        const forged = await request(app)
+            .post("/api/auth/2fa/verify")
+            .send({ challengeToken: user.token, code: codeAt(user.secret, 0) })
+            .expect(401);
+        expect(forged.body.message).toBe("Two-factor challenge is invalid or has expired");
+    });
+
+    it("should count wrong codes towards the account lockout", async () => {
+        const user = await signupWithTwoFactor(16);
+        const challengeToken = await startLogin(user);
+
+        for (let i = 0; i < 4; i++) {
+            await request(app).post("/api/auth/2fa/verify").send({ challengeToken, code: "000000" }).expect(401);
+        }
+        const locked = await request(app).post("/api/auth/2fa/verify").send({ challengeToken, code: "000000" }).expect(429);
+        expect(locked.headers["retry-after"]).toBeTruthy();
+
+        await request(app).post("/api/auth/2fa/verify").send({ challengeToken, code: codeAt(user.secret, 0) }).expect(429);
+        expect(await LoginEvent.countDocuments({ user: user.userId, type: "two-factor-failed" })).toBe(5);
+    });
+});
+
+describe("Two-Factor Management Tests", () => {
+
+    it("should disable two-factor authentication with the password and a code", async () => {
+        const user = await signupWithTwoFactor(20);
+
+        const response = await post("/2fa/disable", user.token, { password: user.password, code: codeAt(user.secret, 0) }).expect(200);
+
+        expect(response.body.message).toBe("Two-factor authentication disabled");
+        const stored = await User.findById(user.userId).lean();
+        expect(stored.twoFactor.enabled).toBe(false);
+        expect(stored.twoFactor.secret).toBeNull();
+        expect(stored.twoFactor.recoveryCodes).toHaveLength(0);
+
+        const login = await request(app).post("/api/auth/login").send({ email: user.email, password: user.password }).expect(200);
+        expect(login.body.token).toBeTruthy();
+    });
+
+    it("should disable two-factor authentication with a recovery code", async () => {
+        const user = await signupWithTwoFactor(21);
+
+        await post("/2fa/disable", user.token, { password: user.password, recoveryCode: user.recoveryCodes[3] }).expect(200);
+    });
+
+    it("should require the password and a valid second factor to disable", async () => {
+        const user = await signupWithTwoFactor(22);
+
+        const missing = await post("/2fa/disable", user.token, { password: user.password }).expect(400);
+        expect(missing.body.message).toBe("Password and a two-factor or recovery code are required");
+
+        const wrongPassword = await post("/2fa/disable", user.token, { password: "wrongpassword", code: codeAt(user.secret, 0) }).expect(400);
+        expect(wrongPassword.body.message).toBe("Password is incorrect");
+
+        const wrongCode = await post("/2fa/disable", user.token, { password: user.password, code: codeAt(user.secret, 5) }).expect(400);
+        expect(wrongCode.body.message).toBe("Invalid two-factor code");
+
+        expect((await User.findById(user.userId).lean()).twoFactor.enabled).toBe(true);
+    });
+
+    it("should refuse to disable when it is not enabled", async () => {
+        const { token, password } = await signup(23);
+
+        const response = await post("/2fa/disable", token, { password, code: "123456" }).expect(400);
+
+        expect(response.body.message).toBe("Two-factor authentication is not enabled");
+    });
+
+    it("should replace the recovery codes", async () => {
+        const user = await signupWithTwoFactor(24);
+
+        const response = await post("/2fa/recovery-codes", user.token, { code: codeAt(user.secret, 0) }).expect(200);
+
+        expect(response.body.recoveryCodes).toHaveLength(10);
+        expect(response.body.recoveryCodes).not.toContain(user.recoveryCodes[0]);
+
+        await request(app)
+            .post("/api/auth/2fa/verify")
+            .send({ challengeToken: await startLogin(user), recoveryCode: user.recoveryCodes[0] })
+            .expect(401);
+        await request(app)
+            .post("/api/auth/2fa/verify")
+            .send({ challengeToken: await startLogin(user), recoveryCode: response.body.recoveryCodes[0] })
+            .expect(200);
+    });
+});
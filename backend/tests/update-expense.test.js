@@ -0,0 +1,463 @@
+import request from "supertest";
+import express from "express";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import { addExpenseInAnyCurrency, updateExpense, getExpenseRevisions, deleteExpense } from "../controllers/expense.controller.js";
+import { createGroup } from "../controllers/group.controller.js";
+import { auth } from "../middleware/auth.js";
+import User from "../models/user.model.js";
+import Expense from "../models/expense.model.js";
+import ExpenseRevision from "../models/expenseRevision.model.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { addGroupMember } from "./setup/groups.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.post("/api/group/create-group", auth, createGroup);
+app.post("/api/expense/add-expense-in-any-currency", auth, addExpenseInAnyCurrency);
+app.delete("/api/expense/delete-expense/:id", auth, deleteExpense);
+app.get("/api/expense/:id/revisions", auth, getExpenseRevisions);
+app.patch("/api/expense/:id", auth, updateExpense);
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    await closeDatabase();
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+
+describe("Update Expense Controller Tests", () => {
+
+    const createUserAndGetToken = async (emailSuffix = Date.now()) => {
+        const user = await User.create({
+            name: `Test User ${emailSuffix}`,
+            email: `testuser${emailSuffix}@test.com`,
+            password: "password123"
+        });
+
+        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+        return { user, token };
+    };
+
+    const createTestGroup = async (token) => {
+        const response = await request(app)
+            .post("/api/group/create-group")
+            .set("Authorization", `Bearer ${token}`)
+            .send({
+                name: `Test Group ${Date.now()}`,
+                description: "Test group description for testing"
+            });
+
+        return response.body.group;
+    };
+
+    const createTestExpense = async (token, expenseData = {}) => {
+        const response = await request(app)
+            .post("/api/expense/add-expense-in-any-currency")
+            .set("Authorization", `Bearer ${token}`)
+            .send({
+                title: "Test Expense",
+                amount: 100.00,
+                currency: "USD",
+                category: "Food & Dining",
+                ...expenseData
+            });
+
+        return response.body.expense;
+    };
+
+    const setupGroupWithMember = async (suffix) => {
+        const { user: owner, token: ownerToken } = await createUserAndGetToken(`${suffix}a`);
+        const { user: member, token: memberToken } = await createUserAndGetToken(`${suffix}b`);
+        const group = await createTestGroup(ownerToken);
+
+        await addGroupMember(group.id, member._id);
+
+        return { owner, ownerToken, member, memberToken, group };
+    };
+
+
+    describe("PATCH /api/expense/:id - Success Cases", () => {
+
+        it("should update the amount of an own expense", async () => {
+            const { token } = await createUserAndGetToken(1);
+            const expense = await createTestExpense(token);
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ amount: 120 })
+                .expect(200);
+
+            expect(response.body.message).toBe("Expense updated successfully");
+            expect(response.body.revision).toBe(1);
+            expect(response.body.changedFields).toEqual(["amount"]);
+            expect(response.body.expense.amount).toBe(120);
+
+            const saved = await Expense.findById(expense.id).lean();
+            expect(saved.amount).toBe(120);
+        });
+
+        it("should record previous values in a revision", async () => {
+            const { user, token } = await createUserAndGetToken(2);
+            const expense = await createTestExpense(token, { title: "Dinnr" });
+
+            await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ title: "Dinner", currency: "eur" })
+                .expect(200);
+
+            const revision = await ExpenseRevision.findOne({ expense: expense.id }).lean();
+            expect(revision.revision).toBe(1);
+            expect(revision.editedBy.toString()).toBe(user._id.toString());
+
+            const titleChange = revision.changes.find(change => change.field === "title");
+            expect(titleChange.previousValue).toBe("Dinnr");
+            expect(titleChange.newValue).toBe("Dinner");
+
+            const currencyChange = revision.changes.find(change => change.field === "currency");
+            expect(currencyChange.previousValue).toBe("USD");
+            expect(currencyChange.newValue).toBe("EUR");
+        });
+
+        it("should number revisions sequentially", async () => {
+            const { token } = await createUserAndGetToken(3);
+            const expense = await createTestExpense(token);
+
+            await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ amount: 110 })
+                .expect(200);
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ amount: 130 })
+                .expect(200);
+
+            expect(response.body.revision).toBe(2);
+            expect(await ExpenseRevision.countDocuments({ expense: expense.id })).toBe(2);
+        });
+
+        it("should keep revision numbers unique when edits happen at once", async () => {
+            const { token } = await createUserAndGetToken(40);
+            const expense = await createTestExpense(token);
+
+            const responses = await Promise.all([110, 120, 130].map(amount => request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ amount })));
+
+            const saved = responses.filter(response => response.status === 200);
+            expect(saved.length).toBeGreaterThan(0);
+            responses.filter(response => response.status !== 200).forEach(response => {
+                expect(response.status).toBe(409);
+                expect(response.body.message).toBe("The expense was changed meanwhile, please try again");
+            });
+
+            const revisions = await ExpenseRevision.find({ expense: expense.id }).lean();
+            expect(revisions.map(revision => revision.revision).sort()).toEqual(saved.map((response, i) => i + 1));
+        });
+
+        it("should not create a revision when nothing changes", async () => {
+            const { token } = await createUserAndGetToken(4);
+            const expense = await createTestExpense(token);
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ amount: 100, currency: "USD" })
+                .expect(200);
+
+            expect(response.body.message).toBe("No changes to apply");
+            expect(await ExpenseRevision.countDocuments()).toBe(0);
+        });
+
+        it("should let any group member fix a group expense", async () => {
+            const { owner, ownerToken, memberToken, group } = await setupGroupWithMember(5);
+            const expense = await createTestExpense(ownerToken, { group: group.id });
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${memberToken}`)
+                .send({ category: "Groceries" })
+                .expect(200);
+
+            expect(response.body.expense.category).toBe("Groceries");
+            expect(response.body.expense.paidBy).toBe(owner._id.toString());
+        });
+
+        it("should update split details", async () => {
+            const { owner, ownerToken, member, group } = await setupGroupWithMember(6);
+            const expense = await createTestExpense(ownerToken, { group: group.id });
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${ownerToken}`)
+                .send({
+                    splitType: "custom",
+                    splitDetails: [
+                        { user: owner._id.toString(), amount: 30 },
+                        { user: member._id.toString(), amount: 70 }
+                    ]
+                })
+                .expect(200);
+
+            expect(response.body.changedFields).toEqual(expect.arrayContaining(["splitType", "splitDetails"]));
+            expect(response.body.expense.splitDetails.length).toBe(2);
+        });
+    });
+
+    describe("PATCH /api/expense/:id - Validation Errors", () => {
+
+        it("should return 400 for an invalid expense ID", async () => {
+            const { token } = await createUserAndGetToken(7);
+
+            const response = await request(app)
+                .patch("/api/expense/invalid-id")
+                .set("Authorization", `Bearer ${token}`)
+                .send({ amount: 50 })
+                .expect(400);
+
+            expect(response.body.message).toBe("Invalid expense ID");
+        });
+
+        it("should return 400 when no editable field is sent", async () => {
+            const { token } = await createUserAndGetToken(8);
+            const expense = await createTestExpense(token);
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ unknown: "value" })
+                .expect(400);
+
+            expect(response.body.message).toBe("No valid fields provided for update");
+        });
+
+        it("should return 400 when amount is not positive", async () => {
+            const { token } = await createUserAndGetToken(9);
+            const expense = await createTestExpense(token);
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ amount: -5 })
+                .expect(400);
+
+            expect(response.body.message).toBe("Amount must be greater than 0");
+        });
+
+        it("should return 400 when title is too short", async () => {
+            const { token } = await createUserAndGetToken(10);
+            const expense = await createTestExpense(token);
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ title: "ab" })
+                .expect(400);
+
+            expect(response.body.message).toBe("Title must be at least 3 characters");
+        });
+
+        it("should return 400 when split type needs split details", async () => {
+            const { token } = await createUserAndGetToken(11);
+            const expense = await createTestExpense(token);
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ splitType: "equal" })
+                .expect(400);
+
+            expect(response.body.message).toBe("Split details are required when split type is not 'none'");
+        });
+
+        it("should return 400 when trying to move the expense to another group", async () => {
+            const { token } = await createUserAndGetToken(12);
+            const expense = await createTestExpense(token);
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ group: new mongoose.Types.ObjectId().toString() })
+                .expect(400);
+
+            expect(response.body.message).toBe("The group of an expense cannot be changed");
+        });
+
+        it("should return 400 for an invalid category", async () => {
+            const { token } = await createUserAndGetToken(13);
+            const expense = await createTestExpense(token);
+
+            await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ category: "Not A Category" })
+                .expect(400);
+
+            expect(await ExpenseRevision.countDocuments()).toBe(0);
+        });
+
+        it("should return 400 for an unsupported currency", async () => {
+            const { token } = await createUserAndGetToken(24);
+            const expense = await createTestExpense(token);
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ currency: "abc" })
+                .expect(400);
+
+            expect(response.body.message).toBe("Unsupported currency: ABC");
+            expect(await ExpenseRevision.countDocuments()).toBe(0);
+        });
+
+        it("should return 404 when paidBy user does not exist", async () => {
+            const { token } = await createUserAndGetToken(14);
+            const expense = await createTestExpense(token);
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ paidBy: new mongoose.Types.ObjectId().toString() })
+                .expect(404);
+
+            expect(response.body.message).toBe("User specified in paidBy not found");
+        });
+
+        it("should return 404 when expense does not exist", async () => {
+            const { token } = await createUserAndGetToken(15);
+
+            const response = await request(app)
+                .patch(`/api/expense/${new mongoose.Types.ObjectId()}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ amount: 50 })
+                .expect(404);
+
+            expect(response.body.message).toBe("Expense not found");
+        });
+    });
+
+    describe("PATCH /api/expense/:id - Authorization", () => {
+
+        it("should return 401 if no token is provided", async () => {
+            const response = await request(app)
+                .patch(`/api/expense/${new mongoose.Types.ObjectId()}`)
+                .send({ amount: 50 })
+                .expect(401);
+
+            expect(response.body.message).toContain("Unauthorized");
+        });
+
+        it("should return 403 when editing someone else's personal expense", async () => {
+            const { token: ownerToken } = await createUserAndGetToken(16);
+            const { token: otherToken } = await createUserAndGetToken(17);
+            const expense = await createTestExpense(ownerToken);
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${otherToken}`)
+                .send({ amount: 50 })
+                .expect(403);
+
+            expect(response.body.message).toBe("You are not authorized to update this expense");
+        });
+
+        it("should return 403 when a non-member edits a group expense", async () => {
+            const { ownerToken, group } = await setupGroupWithMember(18);
+            const { token: outsiderToken } = await createUserAndGetToken(19);
+            const expense = await createTestExpense(ownerToken, { group: group.id });
+
+            const response = await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${outsiderToken}`)
+                .send({ amount: 50 })
+                .expect(403);
+
+            expect(response.body.message).toBe("You are not a member of this group");
+        });
+    });
+
+    describe("GET /api/expense/:id/revisions", () => {
+
+        it("should list revisions newest first for group members", async () => {
+            const { ownerToken, memberToken, group } = await setupGroupWithMember(20);
+            const expense = await createTestExpense(ownerToken, { group: group.id });
+
+            await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${ownerToken}`)
+                .send({ amount: 90 });
+
+            await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${ownerToken}`)
+                .send({ notes: "Tip included" });
+
+            const response = await request(app)
+                .get(`/api/expense/${expense.id}/revisions`)
+                .set("Authorization", `Bearer ${memberToken}`)
+                .expect(200);
+
+            expect(response.body.message).toBe("Expense revisions retrieved successfully");
+            expect(response.body.count).toBe(2);
+            expect(response.body.revisions[0].revision).toBe(2);
+            expect(response.body.revisions[1].changes[0]).toEqual({
+                field: "amount",
+                previousValue: 100,
+                newValue: 90
+            });
+            expect(response.body.revisions[0].editedBy).toHaveProperty("name");
+        });
+
+        it("should return 403 for users outside the group", async () => {
+            const { ownerToken, group } = await setupGroupWithMember(21);
+            const { token: outsiderToken } = await createUserAndGetToken(22);
+            const expense = await createTestExpense(ownerToken, { group: group.id });
+
+            const response = await request(app)
+                .get(`/api/expense/${expense.id}/revisions`)
+                .set("Authorization", `Bearer ${outsiderToken}`)
+                .expect(403);
+
+            expect(response.body.message).toBe("You are not authorized to view this expense");
+        });
+
+        it("should remove revisions when the expense is deleted", async () => {
+            const { token } = await createUserAndGetToken(23);
+            const expense = await createTestExpense(token);
+
+            await request(app)
+                .patch(`/api/expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ amount: 80 });
+
+            await request(app)
+                .delete(`/api/expense/delete-expense/${expense.id}`)
+                .set("Authorization", `Bearer ${token}`)
+                .expect(200);
+
+            expect(await ExpenseRevision.countDocuments({ expense: expense.id })).toBe(0);
+        });
+    });
+});
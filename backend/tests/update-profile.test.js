@@ -0,0 +1,282 @@
+import request from "supertest";
+import express from "express";
+import dotenv from "dotenv";
+import cookieParser from "cookie-parser";
+import authRouter from "../routes/auth.route.js";
+import User from "../models/user.model.js";
+import RefreshToken from "../models/refreshToken.model.js";
+import { createMemoryTransport, setMailTransport } from "../services/mailer.service.js";
+import { createMemoryRateLimitStore, setRateLimitStore } from "../services/rateLimit.service.js";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+
+
+process.env.NODE_ENV = 'test';
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/auth", authRouter);
+
+let mailbox;
+
+// Connect to in-memory database
+beforeAll(async () => {
+    await connect();
+});
+
+// Clean up database after all tests
+afterAll(async () => {
+    setMailTransport(null);
+    await closeDatabase();
+});
+
+// Fresh mailbox, and fresh rate limits so signups across tests do not add up
+beforeEach(() => {
+    mailbox = createMemoryTransport();
+    setMailTransport(mailbox);
+    setRateLimitStore(createMemoryRateLimitStore());
+});
+
+// Clear database after each test for clean slate
+afterEach(async () => {
+    await clearDatabase();
+});
+
+const signup = async (suffix) => {
+    const userData = {
+        name: `Profile User ${suffix}`,
+        email: `profile${suffix}@test.com`,
+        password: "password123"
+    };
+    const response = await request(app).post("/api/auth/signup").send(userData);
+    return { ...userData, token: response.body.token, userId: response.body.user.id };
+};
+
+// Token from the link in the last email sent to an address
+const getTokenFromMail = (email) => {
+    const message = [...mailbox.sent].reverse().find(item => item.to === email);
+    return message ? new URL(message.text.match(/\S+\?token=\S+/)[0], "http://localhost").searchParams.get("token") : null;
+};
+
+const updateProfile = (token, updates) => {
+    return request(app)
+        .patch("/api/auth/profile")
+        .set("Authorization", `Bearer ${token}`)
+        .send(updates);
+};
+
+describe("Update Profile Tests", () => {
+
+    it("should return the default preferences in the profile", async () => {
+        const { token } = await signup(1);
+
+        const response = await request(app)
+            .get("/api/auth/profile")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+
+        expect(response.body.user).toMatchObject({
+            preferredCurrency: "USD",
+            locale: "en-US",
+            timezone: "UTC",
+            emailVerified: false,
+            pendingEmail: null
+        });
+    });
+
+    it("should update name, preferred currency, locale and timezone", async () => {
+        const { token, userId } = await signup(2);
+
+        const response = await updateProfile(token, {
+            name: "  New Name  ",
+            preferredCurrency: "inr",
+            locale: "en-in",
+            timezone: "Asia/Kolkata"
+        }).expect(200);
+
+        expect(response.body.message).toBe("Profile updated successfully");
+        expect(response.body.user).toMatchObject({
+            name: "New Name",
+            preferredCurrency: "INR",
+            locale: "en-IN",
+            timezone: "Asia/Kolkata"
+        });
+
+        const stored = await User.findById(userId).lean();
+        expect(stored.preferredCurrency).toBe("INR");
+        expect(stored.locale).toBe("en-IN");
+    });
+
+    it("should leave fields that were not sent unchanged", async () => {
+        const { token, name } = await signup(3);
+
+        const response = await updateProfile(token, { timezone: "Europe/Berlin" }).expect(200);
+
+        expect(response.body.user.name).toBe(name);
+        expect(response.body.user.preferredCurrency).toBe("USD");
+    });
+
+    it("should validate every field", async () => {
+        const { token } = await signup(4);
+
+        const empty = await updateProfile(token, {}).expect(400);
+        expect(empty.body.message).toBe("No valid fields provided for update");
+
+        const unknownOnly = await updateProfile(token, { password: "hacked123" }).expect(400);
+        expect(unknownOnly.body.message).toBe("No valid fields provided for update");
+
+        const name = await updateProfile(token, { name: "   " }).expect(400);
+        expect(name.body.message).toBe("Name cannot be empty");
+
+        const currency = await updateProfile(token, { preferredCurrency: "XYZ" }).expect(400);
+        expect(currency.body.message).toBe("Unsupported currency: XYZ");
+
+        const locale = await updateProfile(token, { locale: "not a locale" }).expect(400);
+        expect(locale.body.message).toBe("Locale must be a language tag such as en-US");
+
+        const timezone = await updateProfile(token, { timezone: "Mars/Olympus_Mons" }).expect(400);
+        expect(timezone.body.message).toBe("Timezone must be an IANA time zone such as Asia/Kolkata");
+    });
+
+    it("should not apply any change when one field is invalid", async () => {
+        const { token, userId, name } = await signup(5);
+
+        await updateProfile(token, { name: "Changed", timezone: "Nowhere/Else" }).expect(400);
+
+        const stored = await User.findById(userId).lean();
+        expect(stored.name).toBe(name);
+    });
+
+    it("should require authentication", async () => {
+        await request(app).patch("/api/auth/profile").send({ name: "Nobody" }).expect(401);
+    });
+});
+
+describe("Email Change Tests", () => {
+
+    it("should keep the current email until the new one is verified", async () => {
+        const { token, email, userId } = await signup(10);
+
+        const response = await updateProfile(token, { email: "new10@test.com" }).expect(200);
+
+        expect(response.body.message).toBe("Profile updated successfully, open the link sent to your new email to finish changing it");
+        expect(response.body.user.email).toBe(email);
+        expect(response.body.user.pendingEmail).toBe("new10@test.com");
+
+        const verified = await request(app)
+            .post("/api/auth/verify-email")
+            .send({ token: getTokenFromMail("new10@test.com") })
+            .expect(200);
+        expect(verified.body.user.email).toBe("new10@test.com");
+
+        const stored = await User.findById(userId).lean();
+        expect(stored.email).toBe("new10@test.com");
+        expect(stored.pendingEmail).toBeNull();
+        expect(stored.emailVerifiedAt).toBeTruthy();
+    });
+
+    it("should reject emails that are invalid or used by another account", async () => {
+        const { token } = await signup(11);
+        await signup(12);
+
+        const invalid = await updateProfile(token, { email: "not-an-email" }).expect(400);
+        expect(invalid.body.message).toBe("Email is not valid");
+
+        const taken = await updateProfile(token, { email: "profile12@test.com" }).expect(400);
+        expect(taken.body.message).toBe("Email is already in use");
+    });
+
+    it("should not switch to an address another account took meanwhile", async () => {
+        const { token, email, userId } = await signup(13);
+        await updateProfile(token, { email: "contested@test.com" }).expect(200);
+        await User.create({ name: "Other", email: "contested@test.com", password: "password123" });
+
+        const response = await request(app)
+            .post("/api/auth/verify-email")
+            .send({ token: getTokenFromMail("contested@test.com") })
+            .expect(400);
+
+        expect(response.body.message).toBe("Email is already in use");
+        expect((await User.findById(userId).lean()).email).toBe(email);
+    });
+
+    it("should cancel a pending change when the current email is sent again", async () => {
+        const { token, email } = await signup(14);
+        await updateProfile(token, { email: "new14@test.com" }).expect(200);
+        const pendingToken = getTokenFromMail("new14@test.com");
+
+        const response = await updateProfile(token, { email }).expect(200);
+        expect(response.body.user.pendingEmail).toBeNull();
+
+        await request(app).post("/api/auth/verify-email").send({ token: pendingToken }).expect(400);
+    });
+
+    it("should resend the verification link to the pending address", async () => {
+        const { token } = await signup(15);
+        await updateProfile(token, { email: "new15@test.com" }).expect(200);
+
+        const response = await request(app)
+            .post("/api/auth/resend-verification")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+
+        expect(response.body.email).toBe("new15@test.com");
+        expect(mailbox.sent.filter(item => item.to === "new15@test.com")).toHaveLength(2);
+    });
+});
+
+describe("Change Password Tests", () => {
+
+    const changePassword = (token, body) => {
+        return request(app)
+            .post("/api/auth/change-password")
+            .set("Authorization", `Bearer ${token}`)
+            .send(body);
+    };
+
+    it("should change the password when the current one is right", async () => {
+        const { token, email } = await signup(20);
+
+        const response = await changePassword(token, { currentPassword: "password123", newPassword: "newpassword456" }).expect(200);
+
+        expect(response.body.message).toBe("Password changed successfully");
+        expect(response.body.token).toBeTruthy();
+
+        await request(app).post("/api/auth/login").send({ email, password: "password123" }).expect(401);
+        await request(app).post("/api/auth/login").send({ email, password: "newpassword456" }).expect(200);
+    });
+
+    it("should sign out other sessions and start a new one", async () => {
+        const { token, userId } = await signup(21);
+
+        const response = await changePassword(token, { currentPassword: "password123", newPassword: "newpassword456" }).expect(200);
+
+        const tokens = await RefreshToken.find({ user: userId }).lean();
+        expect(tokens.filter(item => item.revokedReason === "password-change")).toHaveLength(1);
+        expect(tokens.filter(item => !item.revokedAt)).toHaveLength(1);
+        expect((response.headers["set-cookie"] || []).some(cookie => cookie.startsWith("refreshToken="))).toBe(true);
+    });
+
+    it("should reject a wrong current password", async () => {
+        const { token } = await signup(22);
+
+        const response = await changePassword(token, { currentPassword: "wrongpassword", newPassword: "newpassword456" }).expect(400);
+
+        expect(response.body.message).toBe("Current password is incorrect");
+    });
+
+    it("should validate the new password", async () => {
+        const { token } = await signup(23);
+
+        const missing = await changePassword(token, { newPassword: "newpassword456" }).expect(400);
+        expect(missing.body.message).toBe("Current and new password are required");
+
+        const short = await changePassword(token, { currentPassword: "password123", newPassword: "12345" }).expect(400);
+        expect(short.body.message).toBe("Password must be at least 6 characters");
+
+        const same = await changePassword(token, { currentPassword: "password123", newPassword: "password123" }).expect(400);
+        expect(same.body.message).toBe("New password must be different from the current one");
+    });
+});
@@ -0,0 +1,86 @@
+import zlib from "zlib";
+import { crc32, createZipArchive } from "../services/zipArchive.service.js";
+import { createAccountExportZip } from "../services/accountExport.service.js";
+
+// Entries of a ZIP archive, read through its central directory the way unzip tools do
+const readZip = (archive) => {
+    const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = archive.readUInt16LE(endOffset + 10);
+    let offset = archive.readUInt32LE(endOffset + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        expect(archive.readUInt32LE(offset)).toBe(0x02014b50);
+        const crc = archive.readUInt32LE(offset + 16);
+        const compressedSize = archive.readUInt32LE(offset + 20);
+        const nameLength = archive.readUInt16LE(offset + 28);
+        const localOffset = archive.readUInt32LE(offset + 42);
+        const name = archive.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+        expect(archive.readUInt32LE(localOffset)).toBe(0x04034b50);
+        const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+        const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+        entries.push({ name, content, crc });
+        offset += 46 + nameLength;
+    }
+    return entries;
+};
+
+describe("Zip Archive Service Tests", () => {
+
+    it("should store every file with its content", () => {
+        const archive = createZipArchive([
+            { name: "profile.json", content: '{"name":"Test"}' },
+            { name: "notes/readme.txt", content: Buffer.from("hello ".repeat(50)) }
+        ]);
+
+        const entries = readZip(archive);
+
+        expect(entries.map(entry => entry.name)).toEqual(["profile.json", "notes/readme.txt"]);
+        expect(entries[0].content.toString()).toBe('{"name":"Test"}');
+        expect(entries[1].content.toString()).toBe("hello ".repeat(50));
+    });
+
+    it("should record checksums of the uncompressed content", () => {
+        const [entry] = readZip(createZipArchive([{ name: "a.txt", content: "checksum me" }]));
+
+        expect(entry.crc).toBe(0x01ae872e);
+    });
+
+    it("should compute standard CRC-32 checksums", () => {
+        expect(crc32(Buffer.from("123456789"))).toBe(0xcbf43926);
+        expect(crc32(Buffer.alloc(0))).toBe(0);
+    });
+
+    it("should keep non-ASCII file names", () => {
+        const [entry] = readZip(createZipArchive([{ name: "dépenses.json", content: "[]" }]));
+
+        expect(entry.name).toBe("dépenses.json");
+    });
+
+    it("should build an empty archive", () => {
+        const archive = createZipArchive([]);
+
+        expect(archive).toHaveLength(22);
+        expect(readZip(archive)).toEqual([]);
+    });
+
+    it("should split an account export into one file per section", () => {
+        const archive = createAccountExportZip({
+            exportedAt: new Date("2026-01-15T10:00:00Z"),
+            profile: { name: "Test" },
+            expenses: [{ title: "Dinner" }],
+            loginActivity: []
+        });
+
+        const entries = readZip(archive);
+
+        expect(entries.map(entry => entry.name)).toEqual(["export.json", "profile.json", "expenses.json", "login-activity.json"]);
+        expect(JSON.parse(entries[0].content)).toEqual({
+            exportedAt: "2026-01-15T10:00:00.000Z",
+            files: ["profile.json", "expenses.json", "login-activity.json"]
+        });
+        expect(JSON.parse(entries[2].content)).toEqual([{ title: "Dinner" }]);
+    });
+});